@@ -1,16 +1,282 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
 import path from "node:path";
 import * as sass from "sass";
 import handlebarsPlugin from "@11ty/eleventy-plugin-handlebars";
 import csvToJson from "convert-csv-to-json";
+import { Locale, t } from "./site/assets/scripts/i18n.js";
+
+/**
+ * Identifies a columnar data file.
+ * @type {string}
+ */
+const COLUMNAR_MAGIC = "ACOL";
+
+/**
+ * The cell values that mark a missing value in a CSV source.
+ * @type {Set<string>}
+ */
+const MISSING_VALUES = new Set(["", "NA", "N/A", "NaN"]);
+
+/**
+ * Checks that every file a dataset in the manifest is built from exists, failing the build if one is missing.
+ * @param {Object} dataset - The dataset entry from `site/_data/datasets.json`.
+ */
+function checkDatasetSources(dataset) {
+	let locations = [
+		dataset.files.measurements,
+		...Object.values(dataset.files.sources),
+	];
+
+	for (let location of locations) {
+		let sourcePath = path.join("site", location);
+
+		if (!fs.existsSync(sourcePath)) {
+			throw new Error(
+				`Dataset "${dataset.id}" is missing "${sourcePath}".`,
+			);
+		}
+	}
+}
+
+/**
+ * Reads a CSV file into columns of values.
+ * @param {string} inputPath - The path of the CSV file.
+ * @returns {Object<string, Array<string|number|null>>} The columns, by normalized column name, with null for missing values.
+ */
+function readCsvColumns(inputPath) {
+	let rows = csvToJson
+		.fieldDelimiter(",")
+		.trimHeaderFieldWhiteSpace(true)
+		.getJsonFromCsv(inputPath);
+
+	let columns = {};
+	for (let row of rows) {
+		for (let [key, value] of Object.entries(row)) {
+			// Convert key to lowercase and strip underscores and hyphens.
+			let normalizedKey = key.toLowerCase().replace(/[_-]/g, "");
+
+			// Fix specific default keys.
+			if (normalizedKey === "weightkg") {
+				normalizedKey = "weight";
+			}
+
+			if (!(normalizedKey in columns)) {
+				columns[normalizedKey] = [];
+			}
+
+			// Record blank cells as missing, rather than as 0 as `Number` would.
+			if (MISSING_VALUES.has(String(value).trim())) {
+				columns[normalizedKey].push(null);
+				continue;
+			}
+
+			// Convert numeric values from strings to numbers.
+			let numericValue = Number(value);
+			if (!isNaN(numericValue)) {
+				columns[normalizedKey].push(numericValue);
+			} else {
+				columns[normalizedKey].push(value);
+			}
+		}
+	}
+
+	return columns;
+}
+
+/**
+ * Encodes the columns of each gender into a binary columnar file, so the site can fetch only the columns it needs.
+ *
+ * The file starts with the magic "ACOL", then the byte length of a UTF-8 JSON header as a little-endian uint32,
+ * then the header, padded with spaces to a multiple of 4 bytes. The header lists the number of subjects of each
+ * gender and, for each column, its ID, the byte offset of its values from the start of the file and the genders
+ * it was recorded for. Each column holds little-endian float32 values for the subjects of each of its genders
+ * in turn. Columns with any text value also list their distinct values as `categories`, and hold the index
+ * of each subject's value into them. Missing values are stored as NaN, and each column lists the number of
+ * them for each of its genders as `missing`.
+ * @param {Object<string, Object<string, Array<string|number|null>>>} columnsByGender - The columns of each gender, by gender ID.
+ * @returns {Buffer} The encoded file.
+ */
+function encodeColumnarFile(columnsByGender) {
+	let genders = Object.keys(columnsByGender);
+	let subjects = Object.fromEntries(
+		genders.map((gender) => [
+			gender,
+			Object.values(columnsByGender[gender])[0]?.length ?? 0,
+		]),
+	);
+	let ids = [
+		...new Set(genders.flatMap((g) => Object.keys(columnsByGender[g]))),
+	];
+
+	let columns = ids.map((id) => {
+		let column = {
+			id,
+			genders: genders.filter((g) => id in columnsByGender[g]),
+		};
+		column.missing = Object.fromEntries(
+			column.genders.map((g) => [
+				g,
+				columnsByGender[g][id].filter((value) => value === null).length,
+			]),
+		);
+		let values = column.genders.flatMap((g) => columnsByGender[g][id]);
+
+		if (values.some((value) => typeof value === "string")) {
+			column.categories = [
+				...new Set(
+					values.filter((value) => value !== null).map(String),
+				),
+			].sort();
+			column.values = values.map((value) =>
+				value === null ? NaN : column.categories.indexOf(String(value)),
+			);
+		} else {
+			column.values = values.map((value) =>
+				value === null ? NaN : value,
+			);
+		}
+
+		return column;
+	});
+
+	// Size the header with the largest possible offsets, so the real ones fit in the space left for it.
+	let encodeHeader = () =>
+		Buffer.from(
+			JSON.stringify({
+				version: 2,
+				subjects,
+				columns: columns.map(({ values, ...column }) => column),
+			}),
+		);
+	columns.forEach((column) => (column.offset = 0xffffffff));
+	let headerLength = Math.ceil((8 + encodeHeader().length) / 4) * 4 - 8;
+
+	let offset = 8 + headerLength;
+	for (let column of columns) {
+		column.offset = offset;
+		offset += column.values.length * 4;
+	}
+
+	let file = Buffer.alloc(offset);
+	file.write(COLUMNAR_MAGIC, 0, "ascii");
+	file.writeUInt32LE(headerLength, 4);
+	file.fill(" ", 8, 8 + headerLength);
+	encodeHeader().copy(file, 8);
+	for (let column of columns) {
+		column.values.forEach((value, i) =>
+			file.writeFloatLE(value, column.offset + i * 4),
+		);
+	}
+
+	return file;
+}
+
+/**
+ * Lists the files in a directory and its subdirectories.
+ * @param {string} directory - The directory.
+ * @returns {string[]} The paths of the files, relative to the directory and separated by "/".
+ */
+function listFiles(directory) {
+	return fs
+		.readdirSync(directory, { recursive: true, withFileTypes: true })
+		.filter((entry) => entry.isFile())
+		.map((entry) =>
+			path
+				.relative(directory, path.join(entry.parentPath, entry.name))
+				.split(path.sep)
+				.join("/"),
+		);
+}
+
+/**
+ * Derives a version from the content of some built files, so caches only change when the files do.
+ * @param {string} outputDirectory - The output directory.
+ * @param {string[]} files - The paths of the files, relative to the output directory.
+ * @returns {string} The version.
+ */
+function hashFiles(outputDirectory, files) {
+	let hash = crypto.createHash("sha256");
+
+	for (let file of [...files].sort()) {
+		hash.update(file);
+		hash.update(fs.readFileSync(path.join(outputDirectory, file)));
+	}
+
+	return hash.digest("hex").slice(0, 12);
+}
+
+/**
+ * Writes the service worker, filling in the files it caches and their versions.
+ * Dataset files are cached separately from the app shell, and only for the datasets the user selects.
+ * @param {string} outputDirectory - The output directory.
+ * @param {Object[]} datasets - The dataset entries from `site/_data/datasets.json`.
+ */
+function writeServiceWorker(outputDirectory, datasets) {
+	let datasetFiles = Object.fromEntries(
+		datasets.map((dataset) => [
+			dataset.id,
+			[dataset.files.measurements, dataset.files.columns],
+		]),
+	);
+	let excluded = new Set([
+		"service-worker.js",
+		...Object.values(datasetFiles).flat(),
+	]);
+	let shell = listFiles(outputDirectory).filter(
+		(file) => !excluded.has(file),
+	);
+
+	let build = {
+		version: hashFiles(outputDirectory, shell),
+		// The site root is requested as "./" rather than "index.html".
+		shell: ["./", ...shell],
+		datasets: Object.fromEntries(
+			Object.entries(datasetFiles).map(([id, files]) => [
+				id,
+				{ version: hashFiles(outputDirectory, files), files },
+			]),
+		),
+	};
+
+	let source = fs.readFileSync("site/service-worker.js", "utf8");
+	let placeholder = /^const BUILD = .*;$/m;
+	if (!placeholder.test(source)) {
+		throw new Error("site/service-worker.js has no BUILD placeholder.");
+	}
+
+	fs.writeFileSync(
+		path.join(outputDirectory, "service-worker.js"),
+		source.replace(placeholder, `const BUILD = ${JSON.stringify(build)};`),
+	);
+}
 
 export default async function (eleventyConfig) {
 	// Output directory: _site
 
+	// The datasets to build, which the site also reads to list and load them.
+	let datasets = JSON.parse(
+		fs.readFileSync("site/_data/datasets.json", "utf8"),
+	);
+
 	eleventyConfig.setInputDirectory("site");
 
 	// Add Handlebars support.
 	eleventyConfig.addPlugin(handlebarsPlugin);
 
+	// Render messages in English, as `{{t "key"}}` or `{{t "prefix" name}}` with the parts joined by ".",
+	// and `{{t "key" name=value}}` to fill in placeholders. The site translates them at runtime.
+	eleventyConfig.addShortcode("t", (...args) => {
+		let options = args.pop();
+		return t(args.join("."), options.hash);
+	});
+
+	// The languages offered by the language picker.
+	eleventyConfig.addGlobalData(
+		"locales",
+		Locale.all().map((locale) => ({ id: locale.id, name: locale.name })),
+	);
+
 	// Add sass support.
 	eleventyConfig.addExtension("scss", {
 		outputFileExtension: "css",
@@ -45,67 +311,57 @@ export default async function (eleventyConfig) {
 		},
 	});
 
-	// Add csv-to-json support.
-	eleventyConfig.addExtension("csv", {
-		outputFileExtension: "json",
-
-		// Opt-out of eleventy's layouts.
-		useLayouts: false,
-
-		compile: async function (inputContent, inputPath) {
-			let result = csvToJson
-				.fieldDelimiter(",")
-				.trimHeaderFieldWhiteSpace(true)
-				.getJsonFromCsv(inputPath);
-
-			let columnarResult = {};
-			for (let row of result) {
-				for (let [key, value] of Object.entries(row)) {
-					// Convert key to lowercase and strip underscores and hyphens.
-					let normalizedKey = key.toLowerCase().replace(/[_-]/g, "");
-
-					// Fix specific default keys.
-					if (normalizedKey === "weightkg") {
-						normalizedKey = "weight";
-					}
-
-					if (!(normalizedKey in columnarResult)) {
-						columnarResult[normalizedKey] = [];
-					}
-
-					// Convert numeric values from strings to numbers.
-					let numericValue = Number(value);
-					if (!isNaN(numericValue)) {
-						columnarResult[normalizedKey].push(numericValue);
-					} else {
-						columnarResult[normalizedKey].push(value);
-					}
-				}
-			}
+	// Build the columnar data file of each dataset from its CSV sources.
+	eleventyConfig.on("eleventy.before", async ({ directories }) => {
+		for (let dataset of datasets) {
+			let columnsByGender = Object.fromEntries(
+				Object.entries(dataset.files.sources).map(
+					([gender, location]) => [
+						gender,
+						readCsvColumns(path.join("site", location)),
+					],
+				),
+			);
+			let outputPath = path.join(
+				directories.output,
+				dataset.files.columns,
+			);
 
-			result = columnarResult;
+			fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+			fs.writeFileSync(outputPath, encodeColumnarFile(columnsByGender));
+		}
+	});
 
-			return async (data) => {
-				return JSON.stringify(result);
-			};
-		},
+	// Write the service worker once every other file is built, as it lists them.
+	eleventyConfig.on("eleventy.after", async ({ directories }) => {
+		writeServiceWorker(directories.output, datasets);
 	});
+	eleventyConfig.addWatchTarget("site/service-worker.js");
 
 	// Ignore GitHub-related configuration and content files.
 	eleventyConfig.ignores.add(".github/**");
 
 	// Register "scss" as a template format.
 	eleventyConfig.addTemplateFormats("scss");
-	// Register "csv" as a template format.
-	eleventyConfig.addTemplateFormats("csv");
+
+	// Passthrough copy for the dataset manifest and the measurement definitions it lists.
+	eleventyConfig.addPassthroughCopy({
+		"site/_data/datasets.json": "assets/data/datasets.json",
+	});
+	for (let dataset of datasets) {
+		checkDatasetSources(dataset);
+		eleventyConfig.addPassthroughCopy({
+			[path.join("site", dataset.files.measurements)]:
+				dataset.files.measurements,
+		});
+		for (let location of Object.values(dataset.files.sources)) {
+			eleventyConfig.addWatchTarget(path.join("site", location));
+		}
+	}
 
 	// Passthrough copy for static assets.
 	eleventyConfig.addPassthroughCopy({
 		"site/assets/scripts/": "assets/scripts/",
-		"site/assets/data/ansur1/measurements.json":
-			"assets/data/ansur1/measurements.json",
-		"site/assets/data/ansur2/measurements.json":
-			"assets/data/ansur2/measurements.json",
 		"site/robots.txt": "robots.txt",
 		"site/sitemap.xml": "sitemap.xml",
 		"site/site.webmanifest": "site.webmanifest",
@@ -0,0 +1,164 @@
+/**
+ * Reads columns from a binary columnar data file written by the build, fetching only the columns asked for.
+ *
+ * The file starts with the magic "ACOL", the byte length of a JSON header as a little-endian uint32 and the header,
+ * which lists the number of subjects of each gender and the offset and genders of each column. Each column holds
+ * little-endian float32 values for the subjects of each of its genders in turn; columns with `categories` hold
+ * indices into them. Missing values are stored as NaN, and counted per gender in each column's `missing`.
+ * Columns are fetched with HTTP range requests, falling back to the whole file if the server does not support them.
+ */
+class ColumnarFile {
+	/**
+	 * Identifies a columnar data file.
+	 * @type {string}
+	 */
+	static #MAGIC = "ACOL";
+
+	/**
+	 * The number of bytes to fetch for the header, which usually holds all of it.
+	 * @type {number}
+	 */
+	static #HEADER_PROBE_LENGTH = 65536;
+
+	/**
+	 * Creates a new ColumnarFile. Nothing is fetched until the header or a column is read.
+	 * @param {string} url - The location of the file.
+	 */
+	constructor(url) {
+		this.url = url;
+
+		/** @type {Promise<Object>|null} The parsed header, once requested. */
+		this._header = null;
+		/** @type {ArrayBuffer|null} The whole file, if the server ignored a range request. */
+		this._file = null;
+	}
+
+	/**
+	 * Fetches a range of bytes from the file.
+	 * @param {number} start - The offset of the first byte.
+	 * @param {number} end - The offset after the last byte.
+	 * @returns {Promise<ArrayBuffer>} The bytes, which may end early if the file is shorter.
+	 */
+	async #fetchRange(start, end) {
+		if (!this._file) {
+			const response = await fetch(this.url, {
+				headers: { Range: `bytes=${start}-${end - 1}` },
+			});
+
+			if (!response.ok) {
+				throw new Error(
+					`Failed to fetch "${this.url}": ${response.status} ${response.statusText}`,
+				);
+			}
+			if (response.status === 206) {
+				return response.arrayBuffer();
+			}
+
+			this._file = await response.arrayBuffer();
+		}
+
+		return this._file.slice(start, end);
+	}
+
+	/**
+	 * Reads the header of the file.
+	 * @returns {Promise<{subjects: Object<string, number>, columns: {id: string, offset: number, genders: string[], missing?: Object<string, number>, categories?: string[]}[]}>} The header.
+	 */
+	header() {
+		this._header ??= (async () => {
+			let bytes = await this.#fetchRange(
+				0,
+				ColumnarFile.#HEADER_PROBE_LENGTH,
+			);
+			const view = new DataView(bytes);
+			const magic = new TextDecoder().decode(bytes.slice(0, 4));
+
+			if (magic !== ColumnarFile.#MAGIC) {
+				throw new Error(`"${this.url}" is not a columnar data file.`);
+			}
+
+			const headerEnd = 8 + view.getUint32(4, true);
+			if (headerEnd > bytes.byteLength) {
+				bytes = await this.#fetchRange(0, headerEnd);
+			}
+
+			return JSON.parse(
+				new TextDecoder().decode(bytes.slice(8, headerEnd)),
+			);
+		})().catch((e) => {
+			// Read the header again next time, e.g. once the connection is back.
+			this._header = null;
+			throw e;
+		});
+
+		return this._header;
+	}
+
+	/**
+	 * Reads columns, fetching adjacent columns together.
+	 * Numeric columns are returned as typed arrays, with NaN for missing values, and category columns as
+	 * arrays of their values, with null for missing values.
+	 * @param {string[]} ids - The IDs of the columns. IDs the file does not have are ignored.
+	 * @returns {Promise<Object<string, Object<string, Float32Array|Array<string|null>>>>} The values of each column for each of its genders, by column ID.
+	 */
+	async read(ids) {
+		const header = await this.header();
+		const columns = header.columns
+			.filter((column) => ids.includes(column.id))
+			.sort((a, b) => a.offset - b.offset);
+		const byteLength = (column) =>
+			column.genders.reduce(
+				(sum, gender) => sum + header.subjects[gender] * 4,
+				0,
+			);
+
+		// Group the columns into runs that are contiguous in the file.
+		const runs = [];
+		for (const column of columns) {
+			const run = runs.at(-1);
+
+			if (run && run.end === column.offset) {
+				run.columns.push(column);
+				run.end += byteLength(column);
+			} else {
+				runs.push({
+					start: column.offset,
+					end: column.offset + byteLength(column),
+					columns: [column],
+				});
+			}
+		}
+
+		const result = {};
+
+		await Promise.all(
+			runs.map(async (run) => {
+				const bytes = await this.#fetchRange(run.start, run.end);
+
+				for (const column of run.columns) {
+					let offset = column.offset - run.start;
+					result[column.id] = {};
+
+					for (const gender of column.genders) {
+						const values = new Float32Array(
+							bytes,
+							offset,
+							header.subjects[gender],
+						);
+
+						result[column.id][gender] = column.categories
+							? Array.from(values, (i) =>
+									isNaN(i) ? null : column.categories[i],
+								)
+							: values;
+						offset += values.byteLength;
+					}
+				}
+			}),
+		);
+
+		return result;
+	}
+}
+
+export { ColumnarFile };
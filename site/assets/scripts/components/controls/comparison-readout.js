@@ -0,0 +1,127 @@
+import { Component } from "../component.js";
+import {
+	buildSeries,
+	findCounterpart,
+	getComparisonDataset,
+	getDisplayUnit,
+} from "../../data-utils.js";
+import { formatNumber, t } from "../../i18n.js";
+import { escapeHtml } from "../../html-utils.js";
+
+/**
+ * The standard normal quantile for a two-sided 95% confidence interval.
+ * The surveys have hundreds of subjects per gender, so the t distribution is indistinguishable from normal.
+ * @type {number}
+ */
+const Z_95 = 1.959964;
+
+/**
+ * Component that reports the difference between the means of the selected dataset and the comparison dataset,
+ * for each selected measurement and enabled gender, with a Welch 95% confidence interval.
+ * @extends Component
+ */
+class ComparisonReadoutComponent extends Component {
+	/**
+	 * Creates a new ComparisonReadoutComponent.
+	 * @param {HTMLElement} element - The root element of the readout.
+	 * @param {Object} options
+	 * @param {string[]} options.measurementNames - Names of the measurement dropdowns to read the selections from.
+	 */
+	constructor(element, options) {
+		super(element);
+		this.options = options;
+		this.tableHead = this.element.querySelector("thead tr");
+		this.tableBody = this.element.querySelector("tbody");
+	}
+
+	/**
+	 * Renders the readout for the current measurements, or hides it when no comparison is chosen.
+	 * @param {import("../../dataset.js").Dataset} dataset - The selected dataset.
+	 * @param {import("../../preferences.js").Preferences} preferences - User preferences.
+	 */
+	render(dataset, preferences) {
+		const comparison = getComparisonDataset(dataset, preferences);
+
+		const measurements = this.options.measurementNames
+			.map((name) =>
+				document.querySelector(
+					`details[data-measurement-dropdown][name='${name}'] input[type=radio]:checked`,
+				),
+			)
+			.map((input) =>
+				dataset.measurements().find((m) => m.id === input?.value),
+			)
+			.filter(Boolean);
+
+		if (!comparison || measurements.length === 0) {
+			this.hide();
+			return;
+		}
+
+		this.tableHead.innerHTML = `
+			<th>${t("statistics.measurement")}</th>
+			<th>${t("statistics.gender")}</th>
+			<th>${escapeHtml(dataset.name)}</th>
+			<th>${escapeHtml(comparison.name)}</th>
+			<th>${t("comparison.difference")}</th>
+		`;
+		this.tableBody.innerHTML = "";
+
+		for (const measurement of measurements) {
+			const counterpart = findCounterpart(measurement, comparison);
+			const displayUnit = getDisplayUnit(measurement, preferences);
+			const unit = displayUnit.abbreviation;
+
+			if (!counterpart) {
+				const row = document.createElement("tr");
+				row.innerHTML = `
+					<td>${escapeHtml(measurement.name)}</td>
+					<td colspan="4"><em>${t("comparison.notMeasured", { dataset: escapeHtml(comparison.name) })}</em></td>
+				`;
+				this.tableBody.appendChild(row);
+				continue;
+			}
+
+			const primary = buildSeries(measurement, dataset, preferences);
+			const secondary = buildSeries(counterpart, comparison, preferences);
+
+			primary.genders.forEach((gender, i) => {
+				const j = secondary.genders.indexOf(gender);
+				if (j === -1) return;
+
+				const a = primary.series[i];
+				const b = secondary.series[j];
+				const na = a.count("x");
+				const nb = b.count("x");
+				const difference = a.mean("x") - b.mean("x");
+				const se = Math.sqrt(
+					a.stddev("x") ** 2 / na + b.stddev("x") ** 2 / nb,
+				);
+				const format = (value, signed = false) =>
+					`${signed && value >= 0 ? "+" : ""}${formatNumber(value, displayUnit.decimals)}`;
+
+				const row = document.createElement("tr");
+				row.innerHTML = `
+					<td>${escapeHtml(measurement.name)}</td>
+					<td style="color: ${primary.seriesColors[i]}">${gender.name}</td>
+					<td>${format(a.mean("x"))} ${unit}</td>
+					<td>${format(b.mean("x"))} ${unit}</td>
+					<td>${format(difference, true)} ${unit} (${t("comparison.interval", { low: format(difference - Z_95 * se, true), high: format(difference + Z_95 * se, true) })})</td>
+				`;
+				this.tableBody.appendChild(row);
+			});
+		}
+
+		this.element.removeAttribute("hidden");
+	}
+
+	/**
+	 * Hides the readout and clears its rows.
+	 */
+	hide() {
+		this.element.setAttribute("hidden", "true");
+		this.tableBody.innerHTML = "";
+	}
+}
+
+export { ComparisonReadoutComponent };
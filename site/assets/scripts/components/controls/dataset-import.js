@@ -0,0 +1,688 @@
+import { Component } from "../component.js";
+import { Dataset, ImportedDataset } from "../../dataset.js";
+import { Covariate } from "../../model.js";
+import { t, translatePage } from "../../i18n.js";
+import {
+	normalizeColumnId,
+	parseCsv,
+	parseNumber,
+} from "../../import-utils.js";
+
+/**
+ * The units a column can be recorded in, by the kind of measurement.
+ * The conversion factor converts from the base unit (m or kg) to the recorded unit,
+ * as in the bundled `measurements.json` files.
+ * @type {Object<string, { abbreviation: string, conversionFactor: number }[]>}
+ */
+const SOURCE_UNITS = {
+	length: [
+		{ abbreviation: "mm", conversionFactor: 1000 },
+		{ abbreviation: "cm", conversionFactor: 100 },
+		{ abbreviation: "m", conversionFactor: 1 },
+		{ abbreviation: "in", conversionFactor: 39.3701 },
+	],
+	mass: [
+		{ abbreviation: "kg", conversionFactor: 1 },
+		{ abbreviation: "g", conversionFactor: 1000 },
+		{ abbreviation: "lbs", conversionFactor: 2.20462 },
+	],
+};
+
+/**
+ * The number of distinct values offered when mapping the gender column.
+ * @type {number}
+ */
+const MAX_GENDER_VALUES = 20;
+
+/**
+ * Splits a unit named at the end of a column header from the rest of it,
+ * e.g. "Stature (mm)" or "weight_lbs".
+ * @param {string} header - The column header.
+ * @returns {{ base: string, abbreviation: string|null }} The header without the unit, and the unit's abbreviation if one is named.
+ */
+const splitUnit = (header) => {
+	const abbreviations = Object.values(SOURCE_UNITS)
+		.flat()
+		.map((unit) => unit.abbreviation);
+	const match = header.match(/^(.*?)[\s_(-]+([a-z]+)\)?$/i);
+
+	return match && abbreviations.includes(match[2].toLowerCase())
+		? { base: match[1], abbreviation: match[2].toLowerCase() }
+		: { base: header, abbreviation: null };
+};
+
+/**
+ * A dialog for importing a CSV file of measurements as a new dataset.
+ * The user names the dataset, picks the gender column and the values that mark male and
+ * female subjects, and maps every other column to a measurement (with its ID, name and unit),
+ * a demographic covariate, or nothing. Imported datasets are registered with `Dataset`,
+ * listed in the dataset preference dropdown and persisted in a `DatasetStore`.
+ *
+ * Selecting an imported dataset, or falling back to ANSUR II when the selected one is removed,
+ * dispatches a bubbling `change` event from its radio, as a user selection would.
+ * @extends Component
+ */
+class DatasetImportComponent extends Component {
+	/**
+	 * Creates a new DatasetImportComponent.
+	 * @param {HTMLDialogElement} element - The import dialog.
+	 * @param {HTMLElement} list - The list of datasets in the dataset preference dropdown.
+	 * @param {import("../../dataset-store.js").DatasetStore} store - The store for imported datasets.
+	 */
+	constructor(element, list, store) {
+		super(element);
+		this.list = list;
+		this.store = store;
+
+		this.openButton = this.list.querySelector("[data-dataset-import-open]");
+		this.fileInput = this.element.querySelector(
+			"[data-dataset-import-file]",
+		);
+		this.nameInput = this.element.querySelector(
+			"[data-dataset-import-name]",
+		);
+		this.mapping = this.element.querySelector(
+			"[data-dataset-import-mapping]",
+		);
+		this.genderSelect = this.element.querySelector(
+			"[data-dataset-import-gender]",
+		);
+		this.maleSelect = this.element.querySelector(
+			"[data-dataset-import-male]",
+		);
+		this.femaleSelect = this.element.querySelector(
+			"[data-dataset-import-female]",
+		);
+		this.columnsBody = this.element.querySelector(
+			"[data-dataset-import-columns]",
+		);
+		this.status = this.element.querySelector(
+			"[data-dataset-import-status]",
+		);
+		this.submitButton = this.element.querySelector(
+			"[data-dataset-import-submit]",
+		);
+
+		/** @type {string[]} The column headers of the file. */
+		this.headers = [];
+		/** @type {string[][]} The data rows of the file, without the header row. */
+		this.rows = [];
+
+		this.openButton?.addEventListener("click", (event) => {
+			event.preventDefault();
+			this.open();
+		});
+		this.element
+			.querySelectorAll("[data-dataset-import-close]")
+			.forEach((button) =>
+				button.addEventListener("click", () => this.element.close()),
+			);
+		this.fileInput.addEventListener("change", () => this.readFile());
+		this.genderSelect.addEventListener("change", () => {
+			this.updateGenderValues();
+			this.updateColumns();
+			this.validate();
+		});
+		this.columnsBody.addEventListener("change", (event) => {
+			if (event.target.matches("[data-column-role]")) {
+				this.updateColumnRow(event.target.closest("tr"));
+			}
+			this.validate();
+		});
+		this.element.addEventListener("input", () => this.validate());
+		this.submitButton.addEventListener("click", () => this.submit());
+	}
+
+	/**
+	 * Registers and lists the datasets imported in earlier sessions.
+	 * Failures to read the store are logged, leaving the bundled datasets available.
+	 * @returns {Promise<void>} A promise that resolves once the datasets are listed.
+	 */
+	async restore() {
+		let datasets = [];
+		try {
+			datasets = await this.store.getAll();
+		} catch (e) {
+			console.error("Failed to load imported datasets", e);
+		}
+
+		for (const dataset of datasets) {
+			Dataset.register(dataset);
+			this.addListItem(dataset);
+		}
+	}
+
+	/**
+	 * Opens the dialog with an empty form.
+	 */
+	open() {
+		this.fileInput.value = "";
+		this.nameInput.value = "";
+		this.headers = [];
+		this.rows = [];
+		this.mapping.hidden = true;
+		this.setStatus(t("import.status.choose"));
+		this.submitButton.disabled = true;
+
+		this.element.showModal();
+	}
+
+	/**
+	 * Shows a status message in the dialog.
+	 * @param {string} message - The message.
+	 */
+	setStatus(message) {
+		this.status.textContent = message;
+	}
+
+	/**
+	 * Reads and parses the chosen file, then builds the column mapping.
+	 * @returns {Promise<void>} A promise that resolves once the file has been read.
+	 */
+	async readFile() {
+		const file = this.fileInput.files[0];
+		if (!file) return;
+
+		const [headers = [], ...rows] = parseCsv(await file.text());
+		this.headers = headers.map((header) => header.trim());
+		this.rows = rows;
+
+		if (this.headers.length < 2 || this.rows.length === 0) {
+			this.mapping.hidden = true;
+			this.submitButton.disabled = true;
+			this.setStatus(t("import.status.invalidFile"));
+			return;
+		}
+
+		if (!this.nameInput.value) {
+			this.nameInput.value = file.name.replace(/\.[^.]*$/, "");
+		}
+
+		this.genderSelect.replaceChildren(
+			...this.headers.map((header, i) => new Option(header, i)),
+		);
+		this.genderSelect.value = String(this.guessGenderColumn());
+
+		this.updateGenderValues();
+		this.updateColumns();
+		this.mapping.hidden = false;
+		this.validate();
+	}
+
+	/**
+	 * Gets the cells of a column.
+	 * @param {number} index - The column index.
+	 * @returns {string[]} The cells, one per data row.
+	 */
+	columnValues(index) {
+		return this.rows.map((row) => (row[index] ?? "").trim());
+	}
+
+	/**
+	 * Guesses the gender column: one named "gender" or "sex", or else the first text column.
+	 * @returns {number} The column index.
+	 */
+	guessGenderColumn() {
+		const named = this.headers.findIndex((header) =>
+			/^(gender|sex)$/i.test(header),
+		);
+		if (named !== -1) return named;
+
+		const text = this.headers.findIndex((_, i) =>
+			this.columnValues(i).some(
+				(cell) => cell !== "" && isNaN(parseNumber(cell)),
+			),
+		);
+		return Math.max(text, 0);
+	}
+
+	/**
+	 * Gets the index of the gender column.
+	 * @returns {number} The column index.
+	 */
+	get genderColumn() {
+		return parseInt(this.genderSelect.value, 10);
+	}
+
+	/**
+	 * Offers the distinct values of the gender column as the male and female values,
+	 * guessing each from its first letter.
+	 */
+	updateGenderValues() {
+		const values = [...new Set(this.columnValues(this.genderColumn))]
+			.filter(Boolean)
+			.slice(0, MAX_GENDER_VALUES);
+
+		for (const [select, pattern] of [
+			[this.maleSelect, /^m/i],
+			[this.femaleSelect, /^(f|w)/i],
+		]) {
+			select.replaceChildren(
+				...values.map((value) => new Option(value, value)),
+			);
+			select.value = values.find((value) => pattern.test(value)) ?? "";
+		}
+	}
+
+	/**
+	 * Builds a mapping row for every column other than the gender column,
+	 * guessing how each column is used from its header and values.
+	 */
+	updateColumns() {
+		this.columnsBody.replaceChildren();
+
+		this.headers.forEach((header, index) => {
+			if (index === this.genderColumn) return;
+
+			const { base } = splitUnit(header);
+			const id = normalizeColumnId(base);
+			const numeric = this.columnValues(index).every(
+				(cell) => cell === "" || !isNaN(parseNumber(cell)),
+			);
+			const covariate = Covariate.all().find((c) => c.id === id);
+			const role = covariate
+				? covariate.id
+				: !numeric
+					? "ignore"
+					: /weight|mass/i.test(header)
+						? "mass"
+						: "length";
+
+			const row = document.createElement("tr");
+			row.dataset.columnIndex = index;
+
+			const headerCell = document.createElement("td");
+			headerCell.textContent = header;
+
+			const roleSelect = document.createElement("select");
+			roleSelect.dataset.columnRole = "";
+			roleSelect.setAttribute(
+				"aria-label",
+				t("import.column.useAs.label", { column: header }),
+			);
+			roleSelect.append(
+				new Option(t("import.role.ignore"), "ignore"),
+				new Option(t("import.role.length"), "length"),
+				new Option(t("import.role.mass"), "mass"),
+				...Covariate.all().map((c) => new Option(c.name, c.id)),
+			);
+			roleSelect.value = role;
+
+			const idInput = document.createElement("input");
+			idInput.type = "text";
+			idInput.dataset.columnId = "";
+			idInput.setAttribute(
+				"aria-label",
+				t("import.column.id.label", { column: header }),
+			);
+			idInput.value = id;
+
+			const nameInput = document.createElement("input");
+			nameInput.type = "text";
+			nameInput.dataset.columnName = "";
+			nameInput.setAttribute(
+				"aria-label",
+				t("import.column.name.label", { column: header }),
+			);
+			nameInput.value = base.replace(/[_-]+/g, " ");
+
+			const unitSelect = document.createElement("select");
+			unitSelect.dataset.columnUnit = "";
+			unitSelect.setAttribute(
+				"aria-label",
+				t("import.column.unit.label", { column: header }),
+			);
+
+			row.append(
+				headerCell,
+				...[roleSelect, idInput, nameInput, unitSelect].map(
+					(control) => {
+						const cell = document.createElement("td");
+						cell.appendChild(control);
+						return cell;
+					},
+				),
+			);
+			this.columnsBody.appendChild(row);
+			this.updateColumnRow(row);
+		});
+	}
+
+	/**
+	 * Enables the inputs of a mapping row that apply to its role,
+	 * and offers the units for its kind of measurement.
+	 * @param {HTMLTableRowElement} row - The mapping row.
+	 */
+	updateColumnRow(row) {
+		const role = row.querySelector("[data-column-role]").value;
+		const header = this.headers[row.dataset.columnIndex];
+		const unitSelect = row.querySelector("[data-column-unit]");
+		const units = SOURCE_UNITS[role] ?? [];
+
+		// Prefer a unit named in the header.
+		const { abbreviation } = splitUnit(header);
+		const named = units.find((unit) => unit.abbreviation === abbreviation);
+
+		unitSelect.replaceChildren(
+			...units.map(
+				(unit) => new Option(unit.abbreviation, unit.conversionFactor),
+			),
+		);
+		if (units.length > 0) {
+			unitSelect.value = String(
+				(named ?? units[role === "length" ? 1 : 0]).conversionFactor,
+			);
+		}
+
+		const isMeasurement = units.length > 0;
+		unitSelect.disabled = !isMeasurement;
+		row.querySelector("[data-column-id]").disabled = !isMeasurement;
+		row.querySelector("[data-column-name]").disabled = !isMeasurement;
+	}
+
+	/**
+	 * Reads the column mapping.
+	 * @returns {{ measurements: { index: number, id: string, name: string, unit: string, conversionFactor: number }[], covariates: { index: number, id: string }[] }} The measurement and covariate columns.
+	 */
+	get columnMapping() {
+		const measurements = [];
+		const covariates = [];
+
+		for (const row of this.columnsBody.querySelectorAll("tr")) {
+			const index = parseInt(row.dataset.columnIndex, 10);
+			const role = row.querySelector("[data-column-role]").value;
+
+			if (role in SOURCE_UNITS) {
+				measurements.push({
+					index,
+					id: row.querySelector("[data-column-id]").value.trim(),
+					name: row.querySelector("[data-column-name]").value.trim(),
+					unit: role,
+					conversionFactor: Number(
+						row.querySelector("[data-column-unit]").value,
+					),
+				});
+			} else if (role !== "ignore") {
+				covariates.push({ index, id: role });
+			}
+		}
+
+		return { measurements, covariates };
+	}
+
+	/**
+	 * Checks the form, describing the first problem or what will be imported,
+	 * and enables the import button when the form is valid.
+	 * @returns {boolean} Whether the form is valid.
+	 */
+	validate() {
+		const problem = this.findProblem();
+
+		if (problem) {
+			this.setStatus(problem);
+		} else {
+			const { measurements } = this.columnMapping;
+			const { data, skipped } = this.buildData();
+			const [id] = Object.keys(data.measurements);
+
+			this.setStatus(
+				t(
+					measurements.length === 1
+						? "import.status.ready.one"
+						: "import.status.ready",
+					{
+						count: measurements.length,
+						male: data.male[id].length,
+						female: data.female[id].length,
+					},
+				) +
+					(skipped > 0
+						? ` ${t("import.status.skipped", { count: skipped })}`
+						: ""),
+			);
+		}
+
+		this.submitButton.disabled = problem !== null;
+		return problem === null;
+	}
+
+	/**
+	 * Finds the first problem with the form.
+	 * @returns {string|null} A description of the problem, or null if there is none.
+	 */
+	findProblem() {
+		if (this.rows.length === 0) return t("import.problem.noFile");
+		if (!this.nameInput.value.trim()) {
+			return t("import.problem.noName");
+		}
+		if (!this.maleSelect.value || !this.femaleSelect.value) {
+			return t("import.problem.noGenderValues");
+		}
+		if (this.maleSelect.value === this.femaleSelect.value) {
+			return t("import.problem.sameGenderValues");
+		}
+
+		const { measurements, covariates } = this.columnMapping;
+		if (measurements.length === 0) {
+			return t("import.problem.noMeasurements");
+		}
+
+		const ids = [
+			...measurements.map((m) => m.id),
+			...covariates.map((c) => c.id),
+		];
+		const invalid = measurements.find((m) => !/^[a-z0-9]+$/.test(m.id));
+		if (invalid) {
+			return t("import.problem.invalidId", { id: invalid.id });
+		}
+		const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+		if (duplicate) {
+			return t("import.problem.duplicateId", { id: duplicate });
+		}
+		if (measurements.some((m) => !m.name)) {
+			return t("import.problem.noMeasurementName");
+		}
+
+		const { data } = this.buildData();
+		const [id] = Object.keys(data.measurements);
+		if (data.male[id].length + data.female[id].length === 0) {
+			return t("import.problem.noRows");
+		}
+
+		return null;
+	}
+
+	/**
+	 * Builds the dataset's measurement definitions and the columns of values for each gender.
+	 * Blank cells are kept as missing values (null). Rows with another gender value, with text in a measurement
+	 * column, or without a value for any measurement, are left out.
+	 * @returns {{ data: { measurements: Object, male: Object, female: Object }, skipped: number }} The data, and the number of rows left out.
+	 */
+	buildData() {
+		const { measurements, covariates } = this.columnMapping;
+		const genders = {
+			[this.maleSelect.value]: "male",
+			[this.femaleSelect.value]: "female",
+		};
+		const columns = [...measurements, ...covariates];
+		const data = {
+			measurements: Object.fromEntries(
+				measurements.map((m) => [
+					m.id,
+					{
+						name: m.name,
+						category: "general",
+						unit: m.unit,
+						conversionFactor: m.conversionFactor,
+					},
+				]),
+			),
+			male: Object.fromEntries(columns.map((c) => [c.id, []])),
+			female: Object.fromEntries(columns.map((c) => [c.id, []])),
+		};
+		let skipped = 0;
+
+		for (const row of this.rows) {
+			const gender = genders[(row[this.genderColumn] ?? "").trim()];
+			const values = measurements.map((m) =>
+				parseNumber(row[m.index] ?? ""),
+			);
+
+			const blank = measurements.map(
+				(m) => (row[m.index] ?? "").trim() === "",
+			);
+
+			if (
+				!gender ||
+				blank.every(Boolean) ||
+				values.some((value, i) => !blank[i] && !isFinite(value))
+			) {
+				skipped++;
+				continue;
+			}
+
+			measurements.forEach((m, i) =>
+				data[gender][m.id].push(blank[i] ? null : values[i]),
+			);
+			for (const covariate of covariates) {
+				const cell = (row[covariate.index] ?? "").trim();
+				const number = parseNumber(cell);
+				data[gender][covariate.id].push(
+					cell === "" ? null : isNaN(number) ? cell : number,
+				);
+			}
+		}
+
+		return { data, skipped };
+	}
+
+	/**
+	 * Creates an ID for a dataset name that no registered dataset uses.
+	 * @param {string} name - The dataset name.
+	 * @returns {string} The ID.
+	 */
+	createId(name) {
+		const base = `imported-${normalizeColumnId(name) || "dataset"}`;
+		const ids = Dataset.all().map((dataset) => dataset.id);
+
+		let id = base;
+		for (let i = 2; ids.includes(id); i++) {
+			id = `${base}-${i}`;
+		}
+		return id;
+	}
+
+	/**
+	 * Imports the file as a new dataset and selects it.
+	 * The dataset is still imported for this session if it cannot be persisted.
+	 * @returns {Promise<void>} A promise that resolves once the dataset is selected.
+	 */
+	async submit() {
+		if (!this.validate()) return;
+
+		const { data } = this.buildData();
+		const name = this.nameInput.value.trim();
+		const dataset = new ImportedDataset(this.createId(name), name, data);
+
+		this.submitButton.disabled = true;
+		try {
+			await this.store.put(dataset);
+		} catch (e) {
+			console.error("Failed to save imported dataset", e);
+			alert(t("import.notSaved", { dataset: name }));
+		}
+
+		Dataset.register(dataset);
+		this.addListItem(dataset);
+		this.element.close();
+		this.select(dataset.id);
+	}
+
+	/**
+	 * Adds an imported dataset to the dataset preference dropdown, with a button to remove it.
+	 * @param {ImportedDataset} dataset - The dataset.
+	 */
+	addListItem(dataset) {
+		const { measurements, male, female } = dataset.data;
+		const ids = Object.keys(measurements);
+		const count = (columns) => columns[ids[0]]?.length ?? 0;
+
+		const li = document.createElement("li");
+		const label = document.createElement("label");
+		const input = document.createElement("input");
+		const text = document.createElement("span");
+		const description = document.createElement("small");
+		const removeButton = document.createElement("button");
+
+		li.dataset.importedDataset = dataset.id;
+		input.type = "radio";
+		input.name = "dataset";
+		input.value = dataset.id;
+		description.dataset.i18n = "import.imported";
+		description.dataset.i18nParams = JSON.stringify({
+			count: ids.length,
+			male: count(male),
+			female: count(female),
+		});
+		text.append(dataset.name, document.createElement("br"), description);
+		label.append(input, text);
+
+		removeButton.type = "button";
+		removeButton.className = "outline secondary";
+		removeButton.dataset.i18n = "import.remove";
+		removeButton.dataset.i18nAriaLabel = "import.remove.label";
+		removeButton.dataset.i18nParams = JSON.stringify({
+			dataset: dataset.name,
+		});
+		removeButton.addEventListener("click", () => this.remove(dataset));
+
+		li.append(label, removeButton);
+		translatePage(li);
+		this.openButton.closest("li").before(li);
+	}
+
+	/**
+	 * Removes an imported dataset, selecting ANSUR II if it was selected.
+	 * @param {ImportedDataset} dataset - The dataset.
+	 * @returns {Promise<void>} A promise that resolves once the dataset is removed.
+	 */
+	async remove(dataset) {
+		if (!confirm(t("import.remove.confirm", { dataset: dataset.name }))) {
+			return;
+		}
+
+		try {
+			await this.store.delete(dataset.id);
+		} catch (e) {
+			console.error("Failed to delete imported dataset", e);
+		}
+
+		Dataset.unregister(dataset.id);
+
+		const li = this.list.querySelector(
+			`li[data-imported-dataset='${dataset.id}']`,
+		);
+		const wasSelected = li?.querySelector("input").checked;
+		li?.remove();
+
+		if (wasSelected) {
+			this.select(Dataset.default().id);
+		}
+	}
+
+	/**
+	 * Selects a dataset in the dropdown, notifying listeners as a user selection would.
+	 * @param {string} id - The ID of the dataset.
+	 */
+	select(id) {
+		const input = this.list.querySelector(
+			`input[name='dataset'][value='${id}']`,
+		);
+		if (!input) return;
+
+		input.checked = true;
+		input.dispatchEvent(new Event("change", { bubbles: true }));
+	}
+}
+
+export { DatasetImportComponent };
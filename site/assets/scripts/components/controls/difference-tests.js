@@ -0,0 +1,143 @@
+import { Component } from "../component.js";
+import { TwoSampleComparison } from "../../math.js";
+import { buildSeries } from "../../data-utils.js";
+import { Gender } from "../../model.js";
+import { formatNumber, t } from "../../i18n.js";
+
+/**
+ * The smallest p-value reported as a number; smaller ones are reported as a bound.
+ * @type {number}
+ */
+const P_FLOOR = 0.001;
+
+/**
+ * Component that reports how the male and female distributions of the selected measurement differ:
+ * Welch's t-test, Mann–Whitney U, two-sample Kolmogorov–Smirnov and Levene's test,
+ * with Cohen's d, Hedges' g and the overlap of the fitted normals as effect sizes.
+ * @extends Component
+ */
+class DifferenceTestsComponent extends Component {
+	/**
+	 * Creates a new DifferenceTestsComponent.
+	 * @param {HTMLElement} element - The root element of the panel.
+	 * @param {Object} options
+	 * @param {string} options.measurementName - Name of the measurement dropdown to read the selection from.
+	 */
+	constructor(element, options) {
+		super(element);
+		this.options = options;
+		this.title = this.element.querySelector(
+			"[data-difference-tests-title]",
+		);
+		this.testsBody = this.element.querySelector(
+			"[data-difference-tests-tests]",
+		);
+		this.effectsBody = this.element.querySelector(
+			"[data-difference-tests-effects]",
+		);
+	}
+
+	/**
+	 * Renders the tests for the current measurement, or hides the panel unless both genders have subjects.
+	 * @param {import("../../dataset.js").Dataset} dataset - The dataset.
+	 * @param {import("../../preferences.js").Preferences} preferences - User preferences.
+	 */
+	render(dataset, preferences) {
+		const input = document.querySelector(
+			`details[data-measurement-dropdown][name='${this.options.measurementName}'] input[type=radio]:checked`,
+		);
+		const measurement = dataset
+			.measurements()
+			.find((m) => m.id === input?.value);
+
+		if (!measurement) {
+			this.hide();
+			return;
+		}
+
+		const { series, genders } = buildSeries(
+			measurement,
+			dataset,
+			preferences,
+		);
+		const male = series[genders.indexOf(Gender.MALE)];
+		const female = series[genders.indexOf(Gender.FEMALE)];
+
+		if (!male || !female || male.count("x") < 2 || female.count("x") < 2) {
+			this.hide();
+			return;
+		}
+
+		const comparison = new TwoSampleComparison(male, female, "x");
+		const welch = comparison.welchTTest();
+		const mannWhitney = comparison.mannWhitneyU();
+		const ks = comparison.kolmogorovSmirnov();
+		const levene = comparison.levene();
+
+		this.title.textContent = t("tests.title", {
+			measurement: measurement.name,
+		});
+
+		this.testsBody.innerHTML = `
+			<tr>
+				<td>${t("tests.welch")}</td>
+				<td>t(${formatNumber(welch.df, 1)}) = ${formatNumber(welch.statistic, 2)}</td>
+				<td>${this.formatP(welch.p)}</td>
+			</tr>
+			<tr>
+				<td>${t("tests.mannWhitney")}</td>
+				<td>U = ${formatNumber(mannWhitney.statistic, 0)}, z = ${formatNumber(mannWhitney.z, 2)}</td>
+				<td>${this.formatP(mannWhitney.p)}</td>
+			</tr>
+			<tr>
+				<td>${t("tests.kolmogorovSmirnov")}</td>
+				<td>D = ${formatNumber(ks.statistic, 3)}</td>
+				<td>${this.formatP(ks.p)}</td>
+			</tr>
+			<tr>
+				<td>${t("tests.levene")}</td>
+				<td>W(${levene.df1}, ${levene.df2}) = ${formatNumber(levene.statistic, 2)}</td>
+				<td>${this.formatP(levene.p)}</td>
+			</tr>
+		`;
+
+		this.effectsBody.innerHTML = `
+			<tr>
+				<td>${t("tests.cohensD")}</td>
+				<td>${formatNumber(comparison.cohensD(), 2)}</td>
+			</tr>
+			<tr>
+				<td>${t("tests.hedgesG")}</td>
+				<td>${formatNumber(comparison.hedgesG(), 2)}</td>
+			</tr>
+			<tr>
+				<td>${t("tests.overlap")}</td>
+				<td>${formatNumber(comparison.overlap() * 100, 1)}%</td>
+			</tr>
+		`;
+
+		this.element.removeAttribute("hidden");
+	}
+
+	/**
+	 * Formats a p-value, as a bound when it is too small to be worth stating.
+	 * @param {number} p - The p-value.
+	 * @returns {string} The formatted p-value.
+	 */
+	formatP(p) {
+		return p < P_FLOOR
+			? t("tests.pBelow", { bound: formatNumber(P_FLOOR, 3) })
+			: formatNumber(p, 3);
+	}
+
+	/**
+	 * Hides the panel and clears its rows.
+	 */
+	hide() {
+		this.element.setAttribute("hidden", "true");
+		this.testsBody.innerHTML = "";
+		this.effectsBody.innerHTML = "";
+	}
+}
+
+export { DifferenceTestsComponent };
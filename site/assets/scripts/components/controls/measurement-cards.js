@@ -0,0 +1,414 @@
+import { Component } from "../component.js";
+import { MeasurementDropdownComponent } from "./measurement-dropdown.js";
+import { UnitInputComponent } from "./unit-input.js";
+import { t } from "../../i18n.js";
+
+/**
+ * Component for a list of measurement cards, each choosing a measurement and entering its value,
+ * for the experiments that take several measurements of one person.
+ * A measurement can be chosen in only one card at a time.
+ * Fires a `CHANGE_EVENT` on its root element whenever the cards or their values change.
+ * @extends Component
+ */
+class MeasurementCardsComponent extends Component {
+	/**
+	 * The name of the event fired whenever the cards or their values change.
+	 * @type {string}
+	 */
+	static CHANGE_EVENT = "cards-change";
+
+	/**
+	 * Creates a new MeasurementCardsComponent.
+	 * @param {HTMLElement} element - The root element, holding the card container and the add button.
+	 * @param {Object} options
+	 * @param {string} options.name - The prefix of the names of the cards' measurement dropdowns.
+	 * @param {string[]} options.defaultMeasurementIds - The measurements to show a card for when there are none.
+	 */
+	constructor(element, options) {
+		super(element);
+		this.options = options;
+
+		this.cardsContainer = this.element.querySelector(
+			"[data-measurement-cards]",
+		);
+		this.addButton = this.element.querySelector(
+			"[data-add-measurement-row]",
+		);
+
+		/** @type {{ dropdown: MeasurementDropdownComponent, unitInput: UnitInputComponent, card: HTMLDivElement, measurementId: string | null }[]} */
+		this.measurementCards = [];
+
+		this.dataset = null;
+		this.currentUnitSystem = "metric";
+		/** @type {Object<string, Object<string, string>>} The chosen display units, as stored in the preferences. */
+		this.displayUnits = {};
+
+		this.rowCounter = 0;
+
+		this.addButton.addEventListener("click", () => {
+			this.addCard();
+			this.notify();
+		});
+	}
+
+	/**
+	 * Notifies listeners that the cards or their values changed.
+	 */
+	notify() {
+		this.element.dispatchEvent(
+			new CustomEvent(MeasurementCardsComponent.CHANGE_EVENT, {
+				bubbles: true,
+			}),
+		);
+	}
+
+	/**
+	 * Updates the cards for a new dataset, adding the default cards if there are none.
+	 * @param {import("../../dataset.js").Dataset} dataset - The dataset.
+	 * @param {string} unitSystem - The unit system.
+	 * @param {Object<string, Object<string, string>>} [displayUnits] - The chosen display units.
+	 */
+	update(dataset, unitSystem, displayUnits) {
+		this.dataset = dataset;
+		this.currentUnitSystem = unitSystem || "metric";
+		if (displayUnits) {
+			this.displayUnits = displayUnits;
+		}
+
+		// Update all existing dropdowns
+		this.measurementCards.forEach((cardData) => {
+			cardData.dropdown.update(dataset);
+			this.updateCardUnit(cardData);
+		});
+
+		// Sync dropdown disabled states
+		this.syncDropdownDisabledStates();
+
+		if (this.measurementCards.length === 0) {
+			const available = new Set(dataset.measurements().map((m) => m.id));
+			const ids = this.options.defaultMeasurementIds.filter((id) =>
+				available.has(id),
+			);
+			// Datasets with none of the defaults start from their first measurement.
+			(ids.length > 0 ? ids : [undefined]).forEach((id) =>
+				this.addCard(id),
+			);
+		}
+	}
+
+	/**
+	 * Changes the unit system and display units.
+	 * Converts the entered values, restoring them exactly when converting back to the unit they were entered in.
+	 * @param {string} unitSystem - The unit system.
+	 * @param {Object<string, Object<string, string>>} [displayUnits] - The chosen display units.
+	 */
+	setUnitSystem(unitSystem, displayUnits) {
+		this.currentUnitSystem = unitSystem;
+		this.displayUnits = displayUnits ?? {};
+
+		this.measurementCards.forEach((cardData) => {
+			const measurement = this.getCardMeasurement(cardData);
+			if (measurement) {
+				cardData.unitInput.setDisplayUnit(
+					this.getDisplayUnit(measurement),
+				);
+			}
+		});
+	}
+
+	/**
+	 * Rewrites the entered values in the number format of the current locale.
+	 * @param {import("../../i18n.js").Locale} oldLocale - The locale the values were written in.
+	 */
+	setLocale(oldLocale) {
+		this.measurementCards.forEach((cardData) =>
+			cardData.unitInput.setLocale(oldLocale),
+		);
+	}
+
+	/**
+	 * Gets the display unit chosen for a measurement.
+	 * @param {import("../../model.js").Measurement} measurement - The measurement.
+	 * @returns {import("../../model.js").DisplayUnit} The display unit.
+	 */
+	getDisplayUnit(measurement) {
+		return measurement.unit.displayUnitFor(
+			this.currentUnitSystem,
+			this.displayUnits,
+		);
+	}
+
+	/**
+	 * Gets the measurement selected in a card.
+	 * @param {{ dropdown: MeasurementDropdownComponent }} cardData - The card data.
+	 * @returns {import("../../model.js").Measurement|undefined} The measurement, if one is selected.
+	 */
+	getCardMeasurement(cardData) {
+		const measurementId = cardData.dropdown.element.querySelector(
+			"input[type=radio]:checked",
+		)?.value;
+
+		return measurementId
+			? this.dataset?.measurements().find((m) => m.id === measurementId)
+			: undefined;
+	}
+
+	/**
+	 * Gets the set of currently selected measurement IDs across all cards.
+	 * @returns {Set<string>} Set of selected measurement IDs.
+	 */
+	getSelectedMeasurementIds() {
+		const ids = new Set();
+		for (const cardData of this.measurementCards) {
+			if (cardData.measurementId) {
+				ids.add(cardData.measurementId);
+			}
+		}
+		return ids;
+	}
+
+	/**
+	 * Finds the next available (unselected) measurement ID.
+	 * @returns {string | null} The next available measurement ID, or null if all are selected.
+	 */
+	getNextAvailableMeasurementId() {
+		if (!this.dataset) return null;
+
+		const selectedIds = this.getSelectedMeasurementIds();
+		const allMeasurements = this.dataset.measurements();
+
+		for (const measurement of allMeasurements) {
+			if (!selectedIds.has(measurement.id)) {
+				return measurement.id;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Syncs the disabled state of measurement options across all dropdowns.
+	 * Disables options that are selected in other cards.
+	 */
+	syncDropdownDisabledStates() {
+		const selectedIds = this.getSelectedMeasurementIds();
+
+		for (const cardData of this.measurementCards) {
+			const currentSelection = cardData.measurementId;
+			const radioInputs =
+				cardData.dropdown.element.querySelectorAll("input[type=radio]");
+
+			radioInputs.forEach((radio) => {
+				const li = radio.closest("li");
+				// Disable if selected elsewhere (but not in this card)
+				if (
+					selectedIds.has(radio.value) &&
+					radio.value !== currentSelection
+				) {
+					radio.disabled = true;
+					if (li) li.style.opacity = "0.5";
+				} else {
+					radio.disabled = false;
+					if (li) li.style.opacity = "";
+				}
+			});
+		}
+
+		// Disable add button if all measurements are used
+		if (this.dataset) {
+			const allMeasurements = this.dataset.measurements();
+			this.addButton.disabled =
+				selectedIds.size >= allMeasurements.length;
+		}
+	}
+
+	/**
+	 * Adds a new measurement card.
+	 * @param {string} [defaultMeasurement] - The default measurement ID. If not provided, uses next available.
+	 */
+	addCard(defaultMeasurement) {
+		// Determine which measurement to use
+		let measurementToSelect = defaultMeasurement;
+		if (!measurementToSelect) {
+			measurementToSelect = this.getNextAvailableMeasurementId();
+		}
+		if (!measurementToSelect) {
+			// All measurements are already selected
+			return;
+		}
+
+		const cardId = this.rowCounter++;
+		const cardName = `${this.options.name}${cardId}`;
+
+		const card = document.createElement("div");
+		card.className = "measurement-card";
+		card.innerHTML = `
+			<div class="measurement-card-content">
+				<details class="dropdown"
+				         name="${cardName}"
+				         data-measurement-dropdown
+				         data-measurement-dropdown-default="${measurementToSelect}">
+					<summary>${t("controls.measurement")}</summary>
+					<ul>
+						<li>
+							<input type="search"
+							       placeholder="${t("controls.search")}"
+							       aria-label="${t("controls.search")}"
+							       data-i18n-placeholder="controls.search"
+							       data-i18n-aria-label="controls.search" />
+						</li>
+					</ul>
+				</details>
+				<fieldset role="group" data-unit-input>
+					<input type="text" inputmode="decimal" data-measurement-value />
+					<button class="contrast" data-unit-button disabled></button>
+				</fieldset>
+			</div>
+			<div class="measurement-card-remove">
+				<button class="outline contrast"
+				        data-remove-row
+				        title="${t("cards.remove")}"
+				        data-i18n-title="cards.remove">&times;</button>
+			</div>
+		`;
+
+		this.cardsContainer.appendChild(card);
+
+		const dropdownElement = card.querySelector(
+			"[data-measurement-dropdown]",
+		);
+		const dropdown = new MeasurementDropdownComponent(dropdownElement);
+		const unitInput = new UnitInputComponent(
+			card.querySelector("[data-unit-input]"),
+		);
+		const removeButton = card.querySelector("[data-remove-row]");
+
+		const cardData = {
+			dropdown,
+			unitInput,
+			card,
+			measurementId: null,
+		};
+		this.measurementCards.push(cardData);
+
+		// Update dropdown with dataset
+		if (this.dataset) {
+			dropdown.update(this.dataset);
+			this.updateCardUnit(cardData);
+		}
+
+		// Sync disabled states after adding
+		this.syncDropdownDisabledStates();
+
+		// Listen for measurement changes
+		dropdownElement.addEventListener("measurement-change", () => {
+			this.updateCardUnit(cardData);
+			this.syncDropdownDisabledStates();
+			unitInput.clear();
+			this.notify();
+		});
+
+		// Listen for value changes
+		unitInput.input.addEventListener("input", () => {
+			this.notify();
+		});
+
+		// Listen for remove
+		removeButton.addEventListener("click", () => {
+			this.removeCard(cardData);
+		});
+	}
+
+	/**
+	 * Gets the measurement and entered value of each card.
+	 * @returns {{ measurementId: string, value: string }[]} The cards, in display order, with values written with a decimal point.
+	 */
+	getCards() {
+		return this.measurementCards
+			.filter((cardData) => cardData.measurementId)
+			.map((cardData) => {
+				const value = cardData.unitInput.value;
+				return {
+					measurementId: cardData.measurementId,
+					value: isNaN(value) ? "" : String(value),
+				};
+			});
+	}
+
+	/**
+	 * Replaces all cards, e.g. when restoring shared state.
+	 * Measurements the dataset does not have, or that repeat an earlier card, are skipped.
+	 * @param {{ measurementId: string, value: string }[]} cards - The cards to show.
+	 */
+	setCards(cards) {
+		for (const cardData of [...this.measurementCards]) {
+			cardData.card.remove();
+		}
+		this.measurementCards = [];
+
+		const available = new Set(
+			this.dataset?.measurements().map((m) => m.id) ?? [],
+		);
+
+		for (const { measurementId, value } of cards) {
+			if (
+				!available.has(measurementId) ||
+				this.getSelectedMeasurementIds().has(measurementId)
+			) {
+				continue;
+			}
+
+			this.addCard(measurementId);
+			this.measurementCards.at(-1).unitInput.value = value;
+		}
+
+		this.syncDropdownDisabledStates();
+		this.notify();
+	}
+
+	/**
+	 * Gets the measurements with an entered value, and their values in the display units.
+	 * @returns {{ measurement: import("../../model.js").Measurement, value: number }[]} The entered measurements, in display order.
+	 */
+	getEntries() {
+		return this.measurementCards
+			.map((cardData) => ({
+				measurement: this.getCardMeasurement(cardData),
+				value: cardData.unitInput.value,
+			}))
+			.filter(({ measurement, value }) => measurement && !isNaN(value));
+	}
+
+	/**
+	 * Updates the unit label for a card.
+	 * @param {{ dropdown: MeasurementDropdownComponent, unitInput: UnitInputComponent, card: HTMLDivElement, measurementId: string | null }} cardData - The card data.
+	 */
+	updateCardUnit(cardData) {
+		if (!this.dataset) return;
+
+		const measurement = this.getCardMeasurement(cardData);
+		cardData.measurementId = measurement?.id ?? null;
+
+		if (measurement) {
+			cardData.unitInput.setDisplayUnit(
+				this.getDisplayUnit(measurement),
+				false,
+			);
+		}
+	}
+
+	/**
+	 * Removes a measurement card.
+	 * @param {{ dropdown: MeasurementDropdownComponent, unitInput: UnitInputComponent, card: HTMLDivElement, measurementId: string | null }} cardData - The card data.
+	 */
+	removeCard(cardData) {
+		const index = this.measurementCards.indexOf(cardData);
+		if (index > -1) {
+			this.measurementCards.splice(index, 1);
+			cardData.card.remove();
+			this.syncDropdownDisabledStates();
+			this.notify();
+		}
+	}
+}
+
+export { MeasurementCardsComponent };
@@ -1,8 +1,13 @@
 import { Component } from "../component.js";
+import { Category } from "../../model.js";
+import { EventName } from "../../events.js";
+import { t } from "../../i18n.js";
 
 /**
  * Component for a dropdown list of measurements, including search functionality.
+ * Measurements are listed in collapsible groups by category, each showing its number of measurements.
  * Controls the visibility of measurement options based on user input and handles selection events.
+ * In multiple mode (`data-measurement-dropdown-multiple`), options are checkboxes and any number may be selected.
  * @extends Component
  */
 class MeasurementDropdownComponent extends Component {
@@ -19,6 +24,10 @@ class MeasurementDropdownComponent extends Component {
 		this.defaultValue = this.element.getAttribute(
 			"data-measurement-dropdown-default",
 		);
+		this.multiple = this.element.hasAttribute(
+			"data-measurement-dropdown-multiple",
+		);
+		this.inputType = this.multiple ? "checkbox" : "radio";
 
 		// Attach search event listener if the input exists
 		if (this.searchInput) {
@@ -30,29 +39,64 @@ class MeasurementDropdownComponent extends Component {
 
 		// Listen for changes on the radio buttons within the dropdown
 		this.element.addEventListener("change", this.onChange.bind(this));
+
+		// The group names are translated with the page; the summary is not, as it shows the selection.
+		window.addEventListener(EventName.LOCALE_CHANGED, () =>
+			this.updateSummary(this.selectionLabel()),
+		);
 	}
 
 	/**
 	 * Handles input events on the search field.
-	 * Filters the measurement options based on the search text.
+	 * Shows the measurements matching every search term, by name or by category, so a
+	 * search can span all groups ("length") or narrow down within one ("arm length").
+	 * Groups with matches are expanded and their counts show the number of matches.
+	 * Clearing the search collapses the groups again, except those holding the selection.
 	 * @param {Event} event - The input event.
 	 */
 	onSearch(event) {
-		const inputText = event.target.value;
-		const optionLabelElements = this.element.querySelectorAll("label");
-
-		optionLabelElements.forEach((element) => {
-			// Case-insensitive inclusion search
-			if (
-				!element.innerText
-					.toLowerCase()
-					.includes(inputText.toLowerCase())
-			) {
-				element.parentElement.setAttribute("hidden", "true");
-			} else {
-				element.parentElement.removeAttribute("hidden");
-			}
-		});
+		const terms = event.target.value
+			.toLowerCase()
+			.split(/\s+/)
+			.filter(Boolean);
+
+		this.list
+			.querySelectorAll("li[data-measurement-group]")
+			.forEach((group) => {
+				const category = t(
+					`category.${group.dataset.measurementGroup}`,
+				).toLowerCase();
+				const options = group.querySelectorAll("li");
+				let matches = 0;
+
+				options.forEach((option) => {
+					// Case-insensitive inclusion search
+					const text = `${category} ${option.innerText.toLowerCase()}`;
+					if (terms.every((term) => text.includes(term))) {
+						option.removeAttribute("hidden");
+						matches++;
+					} else {
+						option.setAttribute("hidden", "true");
+					}
+				});
+
+				if (matches === 0) {
+					group.setAttribute("hidden", "true");
+				} else {
+					group.removeAttribute("hidden");
+				}
+
+				group.querySelector(
+					"[data-measurement-group-count]",
+				).textContent =
+					terms.length > 0
+						? `${matches}/${options.length}`
+						: `${options.length}`;
+				group.querySelector("details").open =
+					terms.length > 0
+						? matches > 0
+						: group.querySelector("input:checked") !== null;
+			});
 	}
 
 	/**
@@ -61,15 +105,14 @@ class MeasurementDropdownComponent extends Component {
 	 * @param {Event} event - The change event.
 	 */
 	onChange(event) {
-		// Only interested in radio button changes
-		if (!event.target.matches("input[type=radio]")) {
+		// Only interested in option changes
+		if (!event.target.matches(`input[type=${this.inputType}]`)) {
 			return;
 		}
 
 		const measurementId = event.target.value;
-		const measurementLabel = event.target.parentElement.textContent.trim();
 
-		this.updateSummary(measurementLabel);
+		this.updateSummary(this.selectionLabel());
 
 		// Notify parent components about the selection change
 		this.element.dispatchEvent(
@@ -93,6 +136,40 @@ class MeasurementDropdownComponent extends Component {
 		}
 	}
 
+	/**
+	 * Gets the IDs of the selected measurements.
+	 * @returns {string[]} The selected measurement IDs, in list order.
+	 */
+	get values() {
+		return Array.from(
+			this.element.querySelectorAll(
+				`input[type=${this.inputType}]:checked`,
+			),
+			(input) => input.value,
+		);
+	}
+
+	/**
+	 * Builds the summary text for the current selection.
+	 * @returns {string} The label of the selected measurement, or a count in multiple mode.
+	 */
+	selectionLabel() {
+		const selected = this.element.querySelectorAll(
+			`input[type=${this.inputType}]:checked`,
+		);
+
+		if (this.multiple && selected.length !== 1) {
+			return selected.length === 0
+				? t("controls.noMeasurements")
+				: t("controls.measurementCount", { count: selected.length });
+		}
+
+		return (
+			selected[0]?.parentElement.textContent.trim() ??
+			t("controls.measurement")
+		);
+	}
+
 	/**
 	 * Updates the dropdown with a new set of measurements from a dataset.
 	 * Preserves the current selection if it exists in the new dataset.
@@ -105,14 +182,13 @@ class MeasurementDropdownComponent extends Component {
 				return {
 					label: measurement.name,
 					value: measurement.id,
+					category: measurement.category,
 				};
 			});
 
-		// Get currently selected measurement before clearing
-		const currentlySelectedElement = this.element.querySelector(
-			"input[type=radio]:checked",
-		);
-		const currentlySelectedValue = currentlySelectedElement?.value;
+		// Get currently selected measurements before clearing
+		const currentlySelectedValues = this.values;
+		const currentlySelectedValue = currentlySelectedValues[0];
 
 		// Clear existing measurement options (but keep search input structure)
 		this.list.innerHTML = "";
@@ -123,7 +199,7 @@ class MeasurementDropdownComponent extends Component {
 			this.searchInput.value = ""; // Clear search
 		}
 
-		let selectedValue = null;
+		let selectedValues = [];
 		// Check if the previously selected value exists in the new measurement list
 		const currentExistsInNew =
 			currentlySelectedValue &&
@@ -131,44 +207,77 @@ class MeasurementDropdownComponent extends Component {
 				(m) => m.value === currentlySelectedValue,
 			);
 
+		// In multiple mode the default is a comma-separated list of IDs.
+		const defaultValues = this.multiple
+			? (this.defaultValue ?? "").split(",")
+			: [this.defaultValue];
+
 		if (currentExistsInNew) {
-			selectedValue = currentlySelectedValue;
+			selectedValues = currentlySelectedValues;
 		} else if (
-			formattedMeasurements.some((m) => m.value === this.defaultValue)
+			formattedMeasurements.some((m) => defaultValues.includes(m.value))
 		) {
-			selectedValue = this.defaultValue;
+			selectedValues = defaultValues;
 		} else if (formattedMeasurements.length > 0) {
-			selectedValue = formattedMeasurements[0].value;
+			selectedValues = [formattedMeasurements[0].value];
 		}
 
-		formattedMeasurements.forEach((measurement) => {
-			const li = document.createElement("li");
-			const label = document.createElement("label");
-			const input = document.createElement("input");
-
-			input.type = "radio";
-			input.name = this.name;
-			input.value = measurement.value;
+		// Group the options by category, expanding the groups that hold the selection.
+		for (const category of Category.all()) {
+			const measurements = formattedMeasurements.filter(
+				(m) => m.category === category,
+			);
+			if (measurements.length === 0) continue;
 
-			if (measurement.value === selectedValue) {
-				input.checked = true;
-			}
+			const group = document.createElement("li");
+			const details = document.createElement("details");
+			const summary = document.createElement("summary");
+			const name = document.createElement("span");
+			const count = document.createElement("small");
+			const options = document.createElement("ul");
 
-			label.append(
-				input,
-				document.createTextNode(`${measurement.label}`),
+			group.dataset.measurementGroup = category.id;
+			name.dataset.i18n = `category.${category.id}`;
+			name.textContent = category.name;
+			count.dataset.measurementGroupCount = "";
+			count.textContent = `${measurements.length}`;
+			summary.append(name, " ", count);
+			details.open = measurements.some((m) =>
+				selectedValues.includes(m.value),
 			);
-			li.appendChild(label);
-			this.list.appendChild(li);
-		});
+
+			measurements.forEach((measurement) => {
+				const li = document.createElement("li");
+				const label = document.createElement("label");
+				const input = document.createElement("input");
+
+				input.type = this.inputType;
+				input.name = this.name;
+				input.value = measurement.value;
+
+				if (selectedValues.includes(measurement.value)) {
+					input.checked = true;
+				}
+
+				label.append(
+					input,
+					document.createTextNode(`${measurement.label}`),
+				);
+				li.appendChild(label);
+				options.appendChild(li);
+			});
+
+			details.append(summary, options);
+			group.appendChild(details);
+			this.list.appendChild(group);
+		}
 
 		// Trigger update of summary and notify parent
 		const selectedOption = this.element.querySelector(
-			"input[type=radio]:checked",
+			`input[type=${this.inputType}]:checked`,
 		);
 		if (selectedOption) {
-			const label = selectedOption.parentElement.textContent.trim();
-			this.updateSummary(label);
+			this.updateSummary(this.selectionLabel());
 
 			this.element.dispatchEvent(
 				new CustomEvent("measurement-change", {
@@ -181,7 +290,7 @@ class MeasurementDropdownComponent extends Component {
 				}),
 			);
 		} else {
-			this.updateSummary("Measurement");
+			this.updateSummary(t("controls.measurement"));
 		}
 
 		return !currentExistsInNew;
@@ -1,11 +1,13 @@
 import { Component } from "../component.js";
 import { MeasurementDropdownComponent } from "./measurement-dropdown.js";
+import { UnitInputComponent } from "./unit-input.js";
 import { EventName } from "../../events.js";
 
 /**
  * Composite component handling a measurement selection.
  * Includes a dropdown for selecting the measurement type and an input for value.
  * Handles unit conversions and updates based on global dataset or unit system changes.
+ * Values of compound units such as feet and inches are entered in parts.
  * @extends Component
  */
 class MeasurementComponent extends Component {
@@ -22,10 +24,10 @@ class MeasurementComponent extends Component {
 		);
 		this.dropdown = new MeasurementDropdownComponent(dropdownElement);
 
-		this.input = this.element.querySelector(
-			"input[data-measurement-value]",
+		this.unitInput = new UnitInputComponent(
+			this.element.querySelector("[data-unit-input]"),
 		);
-		this.unitButton = this.element.querySelector("button[data-unit-for]");
+		this.input = this.unitInput.input;
 
 		// Listen for measurement changes from the dropdown
 		this.element.addEventListener(
@@ -42,36 +44,45 @@ class MeasurementComponent extends Component {
 			EventName.UNIT_SYSTEM_CHANGED,
 			this.onUnitSystemChanged.bind(this),
 		);
+		window.addEventListener(EventName.LOCALE_CHANGED, (event) =>
+			this.unitInput.setLocale(event.detail.oldLocale),
+		);
 
 		this.dataset = null;
 		this.currentUnitSystem = "metric";
+		/** @type {Object<string, Object<string, string>>} The chosen display units, as stored in the preferences. */
+		this.displayUnits = {};
+	}
+
+	/**
+	 * Gets the display unit of the selected measurement.
+	 * @returns {import("../../model.js").DisplayUnit|null} The display unit, or null if no measurement is selected.
+	 */
+	get displayUnit() {
+		const measurement = this.dataset
+			?.measurements()
+			.find((m) => m.id === this.measurementId);
+
+		return (
+			measurement?.unit.displayUnitFor(
+				this.currentUnitSystem,
+				this.displayUnits,
+			) ?? null
+		);
 	}
 
 	/**
 	 * Handles a change in the selected measurement type.
-	 * Updates the unit label to match the new measurement's units in the current system.
+	 * Updates the unit label to match the new measurement's display unit.
 	 * Clears the input value.
-	 * @param {CustomEvent} event - The measurement change event.
 	 */
-	onMeasurementChange(event) {
-		const { measurementId } = event.detail;
-
-		if (this.dataset && this.currentUnitSystem) {
-			const measurement = this.dataset
-				.measurements()
-				.find((m) => m.id === measurementId);
-
-			if (measurement) {
-				const abbrev =
-					measurement.unit.forSystem[this.currentUnitSystem]
-						.abbreviation;
-				this.updateUnitLabel(abbrev);
-			}
+	onMeasurementChange() {
+		const displayUnit = this.displayUnit;
+		if (displayUnit) {
+			this.unitInput.setDisplayUnit(displayUnit, false);
 		}
 
-		if (this.input) {
-			this.input.value = "";
-		}
+		this.unitInput.clear();
 	}
 
 	/**
@@ -80,86 +91,47 @@ class MeasurementComponent extends Component {
 	 * @param {CustomEvent} event - The dataset change event.
 	 */
 	onDatasetChanged(event) {
-		const { dataset, unitSystem } = event.detail;
-		this.update(dataset, unitSystem);
+		const { dataset, unitSystem, displayUnits } = event.detail;
+		this.update(dataset, unitSystem, displayUnits);
 	}
 
 	/**
-	 * Handles changes to the global unit system (e.g., Metric vs Imperial).
-	 * Updates the unit label and converts the current input value if valid.
+	 * Handles changes to the global unit system (e.g., Metric vs Imperial) or a chosen display unit.
+	 * Updates the unit label and converts the current input value, restoring it exactly when
+	 * converting back to the unit it was entered in.
 	 * @param {CustomEvent} event - The unit system change event.
 	 */
 	onUnitSystemChanged(event) {
-		const { unitSystem, oldUnitSystem } = event.detail;
+		const { unitSystem, displayUnits } = event.detail;
 		this.currentUnitSystem = unitSystem;
+		this.displayUnits = displayUnits ?? {};
 
-		if (!this.dataset || !this.measurementId) {
-			return;
-		}
-
-		const measurement = this.dataset
-			.measurements()
-			.find((m) => m.id === this.measurementId);
-
-		if (!measurement) {
-			return;
-		}
-
-		// Update label to the new unit abbreviation
-		const unitAbbreviation =
-			measurement.unit.forSystem[unitSystem].abbreviation;
-		this.updateUnitLabel(unitAbbreviation);
-
-		// Update value if needed (convert existing value)
-		if (this.inputValue && !isNaN(this.inputValue) && oldUnitSystem) {
-			const oldUnitSystemData = measurement.unit.forSystem[oldUnitSystem];
-			const newUnitSystemData = measurement.unit.forSystem[unitSystem];
-
-			// Perform conversion if both unit systems define a conversion factor
-			if (oldUnitSystemData && newUnitSystemData) {
-				const oldConversionFactor = oldUnitSystemData.conversionFactor;
-				const newConversionFactor = newUnitSystemData.conversionFactor;
-
-				if (
-					oldConversionFactor &&
-					oldConversionFactor !== 0 &&
-					newConversionFactor &&
-					newConversionFactor !== 0
-				) {
-					const newValue =
-						this.inputValue *
-						(newConversionFactor / oldConversionFactor);
-					this.inputValue = newValue.toFixed(2);
-				}
-			}
+		const displayUnit = this.displayUnit;
+		if (displayUnit) {
+			this.unitInput.setDisplayUnit(displayUnit);
 		}
 	}
 
-	update(dataset, unitSystem) {
+	/**
+	 * Updates the component with a new dataset.
+	 * @param {import("../../dataset.js").Dataset} dataset - The dataset.
+	 * @param {string} [unitSystem] - The unit system.
+	 * @param {Object<string, Object<string, string>>} [displayUnits] - The chosen display units.
+	 */
+	update(dataset, unitSystem, displayUnits) {
 		this.dataset = dataset;
 		if (unitSystem) {
 			this.currentUnitSystem = unitSystem;
 		}
+		if (displayUnits) {
+			this.displayUnits = displayUnits;
+		}
 
 		this.dropdown.update(dataset);
 
-		if (this.measurementId && this.currentUnitSystem) {
-			const measurement = this.dataset
-				.measurements()
-				.find((m) => m.id === this.measurementId);
-
-			if (measurement) {
-				const abbrev =
-					measurement.unit.forSystem[this.currentUnitSystem]
-						.abbreviation;
-				this.updateUnitLabel(abbrev);
-			}
-		}
-	}
-
-	updateUnitLabel(abbreviation) {
-		if (this.unitButton) {
-			this.unitButton.textContent = abbreviation;
+		const displayUnit = this.displayUnit;
+		if (displayUnit) {
+			this.unitInput.setDisplayUnit(displayUnit, false);
 		}
 	}
 
@@ -169,11 +141,11 @@ class MeasurementComponent extends Component {
 	}
 
 	get inputValue() {
-		return this.input ? parseFloat(this.input.value) : NaN;
+		return this.unitInput.value;
 	}
 
 	set inputValue(val) {
-		if (this.input) this.input.value = val;
+		this.unitInput.value = val;
 	}
 
 	get name() {
@@ -0,0 +1,87 @@
+import { Component } from "../component.js";
+import { Dataset } from "../../dataset.js";
+
+/**
+ * Component that registers the service worker, asks it to cache the datasets the user selects, and shows
+ * which datasets are available offline in the dataset dropdown.
+ * @extends Component
+ */
+class OfflineStatusComponent extends Component {
+	/**
+	 * Creates a new OfflineStatusComponent.
+	 * @param {HTMLElement} element - The dataset dropdown, holding a `[data-dataset-offline]` indicator per dataset.
+	 * @param {string} scriptUrl - The location of the service worker script.
+	 */
+	constructor(element, scriptUrl) {
+		super(element);
+		this.scriptUrl = scriptUrl;
+
+		/** @type {Promise<ServiceWorkerRegistration|null>|null} The registration once the service worker is active, or null if registering failed. */
+		this.registration = null;
+	}
+
+	/**
+	 * Registers the service worker, if the browser supports them, and shows the datasets already cached.
+	 * @returns {Promise<void>} A promise that resolves once the indicators have been updated.
+	 */
+	async register() {
+		if (!("serviceWorker" in navigator)) return;
+
+		navigator.serviceWorker.addEventListener("message", (event) => {
+			if (event.data?.type === "dataset-cached") {
+				this.render();
+			}
+		});
+
+		this.registration = navigator.serviceWorker
+			.register(this.scriptUrl)
+			.then(() => navigator.serviceWorker.ready)
+			.catch((e) => {
+				console.error("Failed to register the service worker", e);
+				return null;
+			});
+
+		await this.registration;
+		await this.render();
+	}
+
+	/**
+	 * Asks the service worker to cache the files of a dataset, so it is available offline.
+	 * Imported datasets are stored in the browser already and are left alone.
+	 * @param {Dataset} dataset - The dataset.
+	 * @returns {Promise<void>} A promise that resolves once the request has been sent.
+	 */
+	async cache(dataset) {
+		if (!this.registration || !Dataset.bundled.includes(dataset)) return;
+
+		const registration = await this.registration;
+		registration?.active?.postMessage({
+			type: "cache-dataset",
+			id: dataset.id,
+		});
+	}
+
+	/**
+	 * Shows the indicator of each dataset whose files are all cached.
+	 * @returns {Promise<void>} A promise that resolves once the indicators have been updated.
+	 */
+	async render() {
+		if (!("caches" in window)) return;
+
+		for (const dataset of Dataset.bundled) {
+			const indicator = this.element.querySelector(
+				`[data-dataset-offline='${dataset.id}']`,
+			);
+			if (!indicator) continue;
+
+			const cached = await Promise.all(
+				[dataset.files.measurements, dataset.files.columns].map(
+					(file) => caches.match(file),
+				),
+			);
+			indicator.hidden = !cached.every(Boolean);
+		}
+	}
+}
+
+export { OfflineStatusComponent };
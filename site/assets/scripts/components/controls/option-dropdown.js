@@ -0,0 +1,62 @@
+import { Component } from "../component.js";
+import { EventName } from "../../events.js";
+
+/**
+ * A dropdown of radio options whose summary mirrors the selected option.
+ * Each radio input may carry a `data-summary` attribute with the text to show when selected.
+ * @extends Component
+ */
+class OptionDropdownComponent extends Component {
+	/**
+	 * Creates a new OptionDropdownComponent.
+	 * @param {HTMLElement} element - The root details element of the dropdown.
+	 */
+	constructor(element) {
+		super(element);
+		this.summary = this.element.querySelector("summary");
+
+		this.element.addEventListener("change", this.onChange.bind(this));
+		window.addEventListener(
+			EventName.LOCALE_CHANGED,
+			this.updateSummary.bind(this),
+		);
+
+		this.updateSummary();
+	}
+
+	/**
+	 * Handles change events on the option radio buttons.
+	 * @param {Event} event - The change event.
+	 */
+	onChange(event) {
+		if (!event.target.matches("input[type=radio]")) {
+			return;
+		}
+
+		this.updateSummary();
+	}
+
+	/**
+	 * Updates the summary text to match the selected option.
+	 */
+	updateSummary() {
+		const selected = this.element.querySelector(
+			"input[type=radio]:checked",
+		);
+		if (this.summary && selected) {
+			this.summary.textContent =
+				selected.dataset.summary ??
+				selected.parentElement.textContent.trim();
+		}
+	}
+
+	/**
+	 * Gets the value of the selected option.
+	 * @returns {string|undefined} The selected value.
+	 */
+	get value() {
+		return this.element.querySelector("input[type=radio]:checked")?.value;
+	}
+}
+
+export { OptionDropdownComponent };
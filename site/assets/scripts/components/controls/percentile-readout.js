@@ -0,0 +1,91 @@
+import { Component } from "../component.js";
+import { zScore } from "../../math.js";
+import { buildSeries } from "../../data-utils.js";
+import { formatNumber, parseFormattedNumber } from "../../i18n.js";
+
+/**
+ * Component that reports where an entered measurement value ranks within each enabled gender series.
+ * Shows the z-score, the empirical percentile from the raw data and the percentile implied by a fitted normal.
+ * @extends Component
+ */
+class PercentileReadoutComponent extends Component {
+	/**
+	 * Creates a new PercentileReadoutComponent.
+	 * @param {HTMLElement} element - The root element of the readout.
+	 * @param {Object} options
+	 * @param {string} options.measurementName - Name of the measurement dropdown to read the selection from.
+	 * @param {string} options.measurementValueName - Name of the input to read the value from.
+	 */
+	constructor(element, options) {
+		super(element);
+		this.options = options;
+		this.tableBody = this.element.querySelector("tbody");
+	}
+
+	/**
+	 * Renders the readout for the current measurement and value.
+	 * @param {import("../../dataset.js").Dataset} dataset - The dataset.
+	 * @param {import("../../preferences.js").Preferences} preferences - User preferences.
+	 */
+	render(dataset, preferences) {
+		const measurementId = document.querySelector(
+			`details[data-measurement-dropdown][name='${this.options.measurementName}'] input[type=radio]:checked`,
+		)?.value;
+		const valueInput = document.querySelector(
+			`input[name='${this.options.measurementValueName}']`,
+		);
+		const value = valueInput?.value
+			? parseFormattedNumber(valueInput.value)
+			: undefined;
+
+		const measurement = dataset
+			.measurements()
+			.find((m) => m.id === measurementId);
+
+		if (!measurement || value === undefined || isNaN(value)) {
+			this.hide();
+			return;
+		}
+
+		const seriesData = buildSeries(measurement, dataset, preferences);
+
+		if (seriesData.series.length === 0) {
+			this.hide();
+			return;
+		}
+
+		const formatZ = (z) =>
+			z >= 0 ? `+${formatNumber(z, 2)}` : formatNumber(z, 2);
+		const formatPct = (p) => `${formatNumber(p * 100, 1)}%`;
+
+		this.tableBody.innerHTML = "";
+
+		for (let i = 0; i < seriesData.series.length; i++) {
+			const series = seriesData.series[i];
+			const z = zScore(value, series.mean("x"), series.stddev("x"));
+			const empirical = series.percentileRank("x", value);
+			const gaussian = series.cdf("x")(value);
+
+			const row = document.createElement("tr");
+			row.innerHTML = `
+				<td style="color: ${seriesData.seriesColors[i]}">${seriesData.seriesLabels[i]}</td>
+				<td>${formatZ(z)}σ</td>
+				<td>${formatPct(empirical)}</td>
+				<td>${formatPct(gaussian)}</td>
+			`;
+			this.tableBody.appendChild(row);
+		}
+
+		this.element.removeAttribute("hidden");
+	}
+
+	/**
+	 * Hides the readout and clears its rows.
+	 */
+	hide() {
+		this.element.setAttribute("hidden", "true");
+		this.tableBody.innerHTML = "";
+	}
+}
+
+export { PercentileReadoutComponent };
@@ -0,0 +1,314 @@
+import { Component } from "../component.js";
+import { Gender } from "../../model.js";
+import { PopulationFilter } from "../../population-filter.js";
+import { EventName, PopulationChangedEventData } from "../../events.js";
+import { t } from "../../i18n.js";
+
+/**
+ * A dropdown for restricting the data to a population of subjects by their demographic covariates.
+ * Range covariates (e.g. age) get a minimum and maximum input; the others a collapsible group
+ * of checkboxes, one per recorded value. Within a covariate any checked value is accepted;
+ * across covariates every criterion must be met.
+ * Dispatches a 'population-changed' event on the window whenever the criteria change.
+ * @extends Component
+ */
+class PopulationFilterComponent extends Component {
+	/**
+	 * Creates a new PopulationFilterComponent.
+	 * @param {HTMLElement} element - The root details element of the dropdown.
+	 */
+	constructor(element) {
+		super(element);
+		this.summary = this.element.querySelector("summary");
+		this.list = this.element.querySelector("ul");
+		this.countItem = this.element.querySelector("[data-population-count]");
+		this.resetButton = this.element.querySelector(
+			"[data-population-reset]",
+		);
+
+		/** @type {import("../../dataset.js").Dataset|null} The current dataset. */
+		this.dataset = null;
+		/** @type {import("../../model.js").Covariate[]} The covariates of the current dataset. */
+		this.covariates = [];
+
+		this.element.addEventListener("input", this.onInput.bind(this));
+		this.element.addEventListener("change", this.onInput.bind(this));
+		this.resetButton?.addEventListener("click", this.reset.bind(this));
+
+		// Rebuilt rather than translated in place, as the labels of the criteria are formatted from several messages.
+		window.addEventListener(EventName.LOCALE_CHANGED, () => {
+			if (this.dataset) this.update(this.dataset);
+		});
+	}
+
+	/**
+	 * Gets the name of the input(s) for a covariate.
+	 * @param {import("../../model.js").Covariate} covariate - The covariate.
+	 * @returns {string} The input name, e.g. "populationPrimarymos".
+	 */
+	inputName(covariate) {
+		return `population${covariate.id[0].toUpperCase()}${covariate.id.slice(1)}`;
+	}
+
+	/**
+	 * Handles edits to the criteria.
+	 * @param {Event} event - The input or change event.
+	 */
+	onInput(event) {
+		if (!event.target.name?.startsWith("population")) {
+			return;
+		}
+
+		// Inputs may fire both events; react to checkboxes once they change and to values as they are typed.
+		if ((event.target.type === "checkbox") !== (event.type === "change")) {
+			return;
+		}
+
+		this.notify();
+	}
+
+	/**
+	 * Clears every criterion.
+	 */
+	reset() {
+		for (const input of this.list.querySelectorAll("input")) {
+			if (input.type === "checkbox") {
+				input.checked = false;
+			} else {
+				input.value = "";
+			}
+		}
+
+		this.notify();
+	}
+
+	/**
+	 * Updates the summaries and notifies the app of the new criteria.
+	 */
+	notify() {
+		this.updateSummary();
+
+		window.dispatchEvent(
+			new CustomEvent(EventName.POPULATION_CHANGED, {
+				detail: new PopulationChangedEventData(this.filter),
+			}),
+		);
+	}
+
+	/**
+	 * Builds the population filter from the inputs.
+	 * @returns {PopulationFilter} The filter.
+	 */
+	get filter() {
+		const criteria = {};
+
+		for (const covariate of this.covariates) {
+			const name = this.inputName(covariate);
+
+			if (covariate.type === "range") {
+				const min = parseFloat(
+					this.list.querySelector(`input[name='${name}Min']`).value,
+				);
+				const max = parseFloat(
+					this.list.querySelector(`input[name='${name}Max']`).value,
+				);
+				if (!isNaN(min) || !isNaN(max)) {
+					criteria[covariate.id] = {
+						...(isNaN(min) ? {} : { min }),
+						...(isNaN(max) ? {} : { max }),
+					};
+				}
+			} else {
+				const values = Array.from(
+					this.list.querySelectorAll(`input[name='${name}']:checked`),
+					(input) => input.value,
+				);
+				if (values.length > 0) {
+					criteria[covariate.id] = values;
+				}
+			}
+		}
+
+		return new PopulationFilter(criteria);
+	}
+
+	/**
+	 * Updates the dropdown summary and the summary of each checkbox group with the number of criteria.
+	 */
+	updateSummary() {
+		for (const group of this.list.querySelectorAll(
+			"li[data-population-covariate] details",
+		)) {
+			const checked = group.querySelectorAll("input:checked").length;
+			group.querySelector("[data-population-selected]").textContent =
+				checked > 0
+					? t("population.selected", { count: checked })
+					: t("population.any");
+		}
+
+		const count = Object.keys(this.filter.criteria).length;
+		this.summary.textContent =
+			count > 0 ? `${t("population")} (${count})` : t("population");
+	}
+
+	/**
+	 * Rebuilds the criteria inputs for a dataset's covariates.
+	 * Keeps the criteria that still apply, without notifying the app.
+	 * @param {import("../../dataset.js").Dataset} dataset - The dataset.
+	 */
+	update(dataset) {
+		const previous = this.filter.criteria;
+		this.dataset = dataset;
+
+		this.list
+			.querySelectorAll(
+				"li[data-population-covariate], li[data-population-empty]",
+			)
+			.forEach((li) => li.remove());
+
+		this.covariates = dataset.covariates();
+
+		if (this.covariates.length === 0) {
+			const li = document.createElement("li");
+			li.dataset.populationEmpty = "";
+			li.innerHTML = `<small data-i18n="population.empty">${t("population.empty")}</small>`;
+			this.countItem.before(li);
+		}
+
+		for (const covariate of this.covariates) {
+			const values = Gender.all().flatMap((gender) =>
+				dataset.covariateValuesFor(covariate, gender),
+			);
+			const li =
+				covariate.type === "range"
+					? this.createRangeItem(
+							covariate,
+							values,
+							previous[covariate.id],
+						)
+					: this.createChoiceItem(
+							covariate,
+							values,
+							previous[covariate.id],
+						);
+
+			li.dataset.populationCovariate = covariate.id;
+			this.countItem.before(li);
+		}
+
+		this.updateSummary();
+	}
+
+	/**
+	 * Creates the minimum and maximum inputs for a range covariate.
+	 * @param {import("../../model.js").Covariate} covariate - The covariate.
+	 * @param {Array<number|null>} values - The values of every subject, used for the placeholders. Missing values are ignored.
+	 * @param {{min?: number, max?: number}} [criterion] - The current criterion.
+	 * @returns {HTMLLIElement} The list item.
+	 */
+	createRangeItem(covariate, values, criterion) {
+		const name = this.inputName(covariate);
+		const li = document.createElement("li");
+		const group = document.createElement("div");
+		group.setAttribute("role", "group");
+
+		// Without any observed values there is no range to suggest.
+		const observed = values.filter((value) => value !== null);
+		const bounds = {
+			Min: observed.length > 0 ? Math.min(...observed) : "",
+			Max: observed.length > 0 ? Math.max(...observed) : "",
+		};
+		for (const [suffix, bound] of Object.entries(bounds)) {
+			const input = document.createElement("input");
+			input.type = "number";
+			input.step = "any";
+			input.name = `${name}${suffix}`;
+			input.placeholder = `${bound}`;
+			input.setAttribute(
+				"aria-label",
+				t(`population.${suffix.toLowerCase()}`, {
+					covariate: covariate.name,
+				}),
+			);
+			input.value = criterion?.[suffix.toLowerCase()] ?? "";
+			group.appendChild(input);
+		}
+
+		const label = document.createElement("small");
+		label.textContent = covariate.name;
+		li.append(label, group);
+
+		return li;
+	}
+
+	/**
+	 * Creates a collapsible group of checkboxes for a choice covariate, most common values first.
+	 * @param {import("../../model.js").Covariate} covariate - The covariate.
+	 * @param {Array<string|number|null>} values - The values of every subject, with null for missing values.
+	 * @param {Array<string|number>} [criterion] - The currently accepted values.
+	 * @returns {HTMLLIElement} The list item.
+	 */
+	createChoiceItem(covariate, values, criterion) {
+		const counts = new Map();
+		for (const value of values) {
+			counts.set(value, (counts.get(value) ?? 0) + 1);
+		}
+		const accepted = (criterion ?? []).map(String);
+
+		const li = document.createElement("li");
+		const details = document.createElement("details");
+		const summary = document.createElement("summary");
+		const selected = document.createElement("small");
+		const options = document.createElement("ul");
+
+		li.dataset.populationGroup = "";
+		selected.dataset.populationSelected = "";
+		summary.append(`${covariate.name} `, selected);
+
+		[...counts]
+			.sort(([, a], [, b]) => b - a)
+			.forEach(([value, count]) => {
+				const option = document.createElement("li");
+				const label = document.createElement("label");
+				const input = document.createElement("input");
+				const countText = document.createElement("small");
+
+				input.type = "checkbox";
+				input.name = this.inputName(covariate);
+				input.value = value;
+				input.checked = accepted.includes(String(value));
+				countText.textContent = ` ${count}`;
+
+				label.append(input, covariate.labelFor(value), countText);
+				option.appendChild(label);
+				options.appendChild(option);
+			});
+
+		details.open = accepted.length > 0;
+		details.append(summary, options);
+		li.appendChild(details);
+
+		return li;
+	}
+
+	/**
+	 * Shows the number of subjects of each selected gender in the population.
+	 * @param {import("../../dataset.js").Dataset} dataset - The dataset.
+	 * @param {import("../../preferences.js").Preferences} preferences - User preferences.
+	 */
+	render(dataset, preferences) {
+		const counts = Gender.all()
+			.filter((gender) => preferences.genders[gender.id])
+			.map(
+				(gender) =>
+					`${gender.name}: ${t("population.count", {
+						selected: dataset.subjectCount(gender, true),
+						total: dataset.subjectCount(gender),
+					})}`,
+			);
+
+		this.countItem.innerHTML = `<small>${counts.length > 0 ? counts.join(", ") : t("population.noGenders")}</small>`;
+	}
+}
+
+export { PopulationFilterComponent };
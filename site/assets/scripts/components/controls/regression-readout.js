@@ -0,0 +1,192 @@
+import { Component } from "../component.js";
+import {
+	buildJointSeries,
+	buildRegressions,
+	getDisplayUnit,
+} from "../../data-utils.js";
+import { formatNumber, parseFormattedNumber, t } from "../../i18n.js";
+
+/**
+ * The number of significant digits the coefficients of an equation are shown with.
+ * @type {number}
+ */
+const SIGNIFICANT_DIGITS = 4;
+
+/**
+ * Component that reports the regressions fitted in the scatter plot: the equation, R², residual standard error
+ * and number of subjects of each, and the Y each predicts at an entered X value with its 95% intervals.
+ * @extends Component
+ */
+class RegressionReadoutComponent extends Component {
+	/**
+	 * Creates a new RegressionReadoutComponent.
+	 * @param {HTMLElement} element - The root element of the readout.
+	 * @param {Object} options
+	 * @param {string} options.measurementXName - Name of the measurement dropdown to read the predictor from.
+	 * @param {string} options.measurementYName - Name of the measurement dropdown to read the response from.
+	 * @param {string} options.measurementValueXName - Name of the input to read the X value from.
+	 * @param {string} options.modelOptionName - Name of the option radios choosing the regression model.
+	 * @param {string} options.groupOptionName - Name of the option radios choosing how subjects are grouped.
+	 */
+	constructor(element, options) {
+		super(element);
+		this.options = options;
+		this.tableHead = this.element.querySelector("thead tr");
+		this.tableBody = this.element.querySelector("tbody");
+		this.note = this.element.querySelector(
+			"[data-regression-readout-note]",
+		);
+	}
+
+	/**
+	 * Renders the readout for the current measurements and model, or hides it when no model is chosen.
+	 * @param {import("../../dataset.js").Dataset} dataset - The dataset.
+	 * @param {import("../../preferences.js").Preferences} preferences - User preferences.
+	 */
+	render(dataset, preferences) {
+		const [measurementX, measurementY] = [
+			this.options.measurementXName,
+			this.options.measurementYName,
+		].map((name) => {
+			const input = document.querySelector(
+				`details[data-measurement-dropdown][name='${name}'] input[type=radio]:checked`,
+			);
+			return dataset.measurements().find((m) => m.id === input?.value);
+		});
+		const modelId =
+			document.querySelector(
+				`input[name='${this.options.modelOptionName}']:checked`,
+			)?.value ?? "none";
+
+		if (!measurementX || !measurementY || modelId === "none") {
+			this.hide();
+			return;
+		}
+
+		const { regressions, labels, colors } = buildRegressions(
+			buildJointSeries(measurementX, measurementY, dataset, preferences),
+			modelId,
+			document.querySelector(
+				`input[name='${this.options.groupOptionName}']:checked`,
+			)?.value ?? "gender",
+		);
+
+		if (regressions.length === 0) {
+			this.hide();
+			return;
+		}
+
+		const displayUnitX = getDisplayUnit(measurementX, preferences);
+		const displayUnitY = getDisplayUnit(measurementY, preferences);
+		const valueXInput = document.querySelector(
+			`input[name='${this.options.measurementValueXName}']`,
+		);
+		const valueX = valueXInput?.value
+			? parseFormattedNumber(valueXInput.value)
+			: NaN;
+		const predicting = !isNaN(valueX);
+
+		this.tableHead.innerHTML = `
+			<th>${t("regression.fit")}</th>
+			<th>${t("regression.equation")}</th>
+			<th>R²</th>
+			<th>${t("regression.standardError")}</th>
+			<th>n</th>
+			${
+				predicting
+					? `<th>${t("regression.predicted", { value: `${formatNumber(valueX, displayUnitX.decimals)} ${displayUnitX.abbreviation}` })}</th>
+					<th>${t("regression.confidence")}</th>
+					<th>${t("regression.prediction")}</th>`
+					: ""
+			}
+		`;
+		this.tableBody.innerHTML = "";
+
+		regressions.forEach((regression, i) => {
+			const prediction = predicting ? regression.predict(valueX) : null;
+			const interval = ({ low, high }) =>
+				t("comparison.interval", {
+					low: formatNumber(low, displayUnitY.decimals),
+					high: formatNumber(high, displayUnitY.decimals),
+				});
+
+			const row = document.createElement("tr");
+			row.innerHTML = `
+				<td style="color: ${colors[i]}">${labels[i]}</td>
+				<td>${this.formatEquation(regression)}</td>
+				<td>${formatNumber(regression.rSquared, 3)}</td>
+				<td>${formatNumber(regression.standardError, regression.model.logarithmic ? 3 : displayUnitY.decimals)}</td>
+				<td>${regression.count}</td>
+				${
+					!predicting
+						? ""
+						: prediction
+							? `<td>${formatNumber(prediction.y, displayUnitY.decimals)} ${displayUnitY.abbreviation}</td>
+							<td>${interval(prediction.confidence)}</td>
+							<td>${interval(prediction.prediction)}</td>`
+							: `<td colspan="3"><em>${t("regression.outOfDomain")}</em></td>`
+				}
+			`;
+			this.tableBody.appendChild(row);
+		});
+
+		this.note.textContent = t(
+			regressions[0].model.logarithmic
+				? "regression.note.logarithmic"
+				: "regression.note",
+			{ x: displayUnitX.abbreviation, y: displayUnitY.abbreviation },
+		);
+
+		this.element.removeAttribute("hidden");
+	}
+
+	/**
+	 * States the equation of a regression, e.g. "ŷ = 12.3 + 0.456x".
+	 * @param {import("../../math.js").Regression} regression - The regression.
+	 * @returns {string} The equation.
+	 */
+	formatEquation(regression) {
+		const logarithmic = regression.model.logarithmic;
+		const variable = logarithmic ? " ln x" : "x";
+
+		const right = regression
+			.polynomial()
+			.map((coefficient, power) => {
+				const magnitude = this.formatCoefficient(Math.abs(coefficient));
+				const term =
+					power === 0
+						? magnitude
+						: `${magnitude}${variable}${power > 1 ? `<sup>${power}</sup>` : ""}`;
+				if (power === 0) return coefficient < 0 ? `−${term}` : term;
+				return ` ${coefficient < 0 ? "−" : "+"} ${term}`;
+			})
+			.join("");
+		return `${logarithmic ? "ln ŷ" : "ŷ"} = ${right}`;
+	}
+
+	/**
+	 * Formats a coefficient to a fixed number of significant digits.
+	 * @param {number} value - The coefficient, not negative.
+	 * @returns {string} The formatted coefficient.
+	 */
+	formatCoefficient(value) {
+		const decimals =
+			value > 0
+				? Math.max(
+						0,
+						SIGNIFICANT_DIGITS - 1 - Math.floor(Math.log10(value)),
+					)
+				: 0;
+		return formatNumber(value, decimals);
+	}
+
+	/**
+	 * Hides the readout and clears its rows.
+	 */
+	hide() {
+		this.element.setAttribute("hidden", "true");
+		this.tableBody.innerHTML = "";
+	}
+}
+
+export { RegressionReadoutComponent };
@@ -0,0 +1,251 @@
+import { Component } from "../component.js";
+import { formatInputNumber, parseFormattedNumber } from "../../i18n.js";
+
+/**
+ * The number of decimals converted values are rounded to, unless their display unit shows more, such as meters.
+ * @type {number}
+ */
+const DECIMALS = 2;
+
+/**
+ * The number of decimals the value input keeps for compound units, so the parts survive the round trip.
+ * @type {number}
+ */
+const VALUE_DECIMALS = 10;
+
+/**
+ * Component for a value input labeled with its display unit.
+ * Compound units such as feet and inches are entered in one input per part. The value input then stays hidden
+ * but still holds the value as a decimal number of the display unit, so anything reading it need not know about parts.
+ * Values are typed and shown in the number format of the current locale.
+ * The entry as typed is remembered, so converting it to other units and back restores it exactly.
+ * @extends Component
+ */
+class UnitInputComponent extends Component {
+	/**
+	 * Creates a new UnitInputComponent.
+	 * @param {HTMLElement} element - The root element, holding the value input and the unit button.
+	 */
+	constructor(element) {
+		super(element);
+
+		this.input = this.element.querySelector(
+			"input[data-measurement-value]",
+		);
+		this.unitButton = this.element.querySelector("button");
+
+		/** @type {import("../../model.js").DisplayUnit|null} The display unit values are entered in. */
+		this.displayUnit = null;
+		/** @type {HTMLInputElement[]} The inputs for the parts of a compound unit. */
+		this.partInputs = [];
+		/** @type {{ displayUnit: import("../../model.js").DisplayUnit, texts: string[] }|null} The entry as last typed or set. */
+		this.entry = null;
+		/** @type {boolean} Whether the value input is being updated from the part inputs. */
+		this.syncing = false;
+
+		// The value input may also be set from outside, e.g. when restoring a shared link.
+		this.input.addEventListener("input", () => {
+			if (this.syncing) return;
+			this.renderParts();
+			this.remember();
+		});
+	}
+
+	/**
+	 * Gets the entered value in the display unit.
+	 * @returns {number} The value, or NaN if none is entered.
+	 */
+	get value() {
+		return parseFormattedNumber(this.input.value);
+	}
+
+	/**
+	 * Sets the entered value, as a decimal number of the display unit.
+	 * @param {number|string} value - The value, a number or its text with a decimal point, or an empty string to clear it.
+	 */
+	set value(value) {
+		this.input.value =
+			value === "" || isNaN(Number(value))
+				? ""
+				: formatInputNumber(Number(value), VALUE_DECIMALS);
+		this.renderParts();
+		this.remember();
+	}
+
+	/**
+	 * Clears the entry.
+	 */
+	clear() {
+		this.value = "";
+		this.entry = null;
+	}
+
+	/**
+	 * Changes the display unit, converting an entered value from the previous one.
+	 * Returning to the unit the value was entered in restores the entry exactly.
+	 * @param {import("../../model.js").DisplayUnit} displayUnit - The new display unit.
+	 * @param {boolean} [convert=true] - Whether to convert the entered value; false when the measurement itself changed.
+	 */
+	setDisplayUnit(displayUnit, convert = true) {
+		const previous = this.displayUnit;
+
+		this.displayUnit = displayUnit;
+		this.unitButton.textContent = displayUnit.entryLabel;
+		this.buildParts();
+
+		if (!convert || !previous || previous === displayUnit) {
+			this.renderParts();
+			return;
+		}
+
+		if (this.entry?.displayUnit === displayUnit) {
+			this.restore(this.entry.texts);
+			return;
+		}
+
+		// Convert from the entry as typed rather than from an earlier rounded conversion.
+		const source = this.entry?.displayUnit ?? previous;
+		const value = this.entry
+			? this.parse(this.entry.texts, source)
+			: this.value;
+		if (isNaN(value)) return;
+
+		const converted =
+			(value / source.conversionFactor) * displayUnit.conversionFactor;
+
+		if (displayUnit.isCompound) {
+			this.restore(
+				displayUnit
+					.split(converted, DECIMALS)
+					.map((part) => formatInputNumber(part, DECIMALS)),
+			);
+		} else {
+			this.input.value = formatInputNumber(
+				converted,
+				Math.max(DECIMALS, displayUnit.decimals),
+			);
+		}
+	}
+
+	/**
+	 * Rewrites the entered values, and the entry remembered for converting back, in the number format of the current locale.
+	 * @param {import("../../i18n.js").Locale} oldLocale - The locale the values were written in.
+	 */
+	setLocale(oldLocale) {
+		const rewrite = (text) => {
+			const value = parseFormattedNumber(text, oldLocale);
+			return isNaN(value)
+				? text
+				: formatInputNumber(value, VALUE_DECIMALS);
+		};
+
+		this.input.value = rewrite(this.input.value);
+		this.partInputs.forEach(
+			(input) => (input.value = rewrite(input.value)),
+		);
+		if (this.entry) {
+			this.entry.texts = this.entry.texts.map(rewrite);
+		}
+	}
+
+	/**
+	 * Parses an entry into a value.
+	 * @param {string[]} texts - The entry: one text per part for compound units, or the value otherwise.
+	 * @param {import("../../model.js").DisplayUnit} displayUnit - The display unit of the entry.
+	 * @returns {number} The value in the display unit, or NaN if nothing is entered.
+	 */
+	parse(texts, displayUnit) {
+		if (texts.every((text) => text === "")) return NaN;
+
+		return displayUnit.isCompound
+			? displayUnit.join(texts.map(parseFormattedNumber))
+			: parseFormattedNumber(texts[0]);
+	}
+
+	/**
+	 * Creates or removes the part inputs to match the display unit, hiding the value input while there are parts.
+	 */
+	buildParts() {
+		this.partInputs.forEach((input) => input.remove());
+		this.partInputs = (this.displayUnit?.parts ?? []).map((part) => {
+			const input = document.createElement("input");
+			input.type = "text";
+			input.inputMode = "decimal";
+			input.placeholder = part.abbreviation;
+			input.setAttribute("aria-label", part.abbreviation);
+			input.dataset.unitPart = "";
+			input.addEventListener("input", () => this.onPartInput());
+			this.input.before(input);
+			return input;
+		});
+		this.input.hidden = this.partInputs.length > 0;
+	}
+
+	/**
+	 * Mirrors the part inputs into the value input and notifies listeners of the value input.
+	 */
+	onPartInput() {
+		const texts = this.partInputs.map((input) => input.value);
+
+		const value = this.parse(texts, this.displayUnit);
+
+		this.syncing = true;
+		try {
+			this.input.value = isNaN(value)
+				? ""
+				: formatInputNumber(value, VALUE_DECIMALS);
+			this.input.dispatchEvent(new Event("input", { bubbles: true }));
+		} finally {
+			this.syncing = false;
+		}
+
+		this.remember();
+	}
+
+	/**
+	 * Fills the part inputs from the value input.
+	 */
+	renderParts() {
+		if (this.partInputs.length === 0) return;
+
+		const value = this.value;
+		const texts = isNaN(value)
+			? this.partInputs.map(() => "")
+			: this.displayUnit
+					.split(value, DECIMALS)
+					.map((part) => formatInputNumber(part, DECIMALS));
+		this.partInputs.forEach((input, i) => (input.value = texts[i]));
+	}
+
+	/**
+	 * Shows an entry in the display unit: one text per part for compound units, or the value otherwise.
+	 * @param {string[]} texts - The entry.
+	 */
+	restore(texts) {
+		if (this.displayUnit.isCompound) {
+			const value = this.parse(texts, this.displayUnit);
+			this.partInputs.forEach((input, i) => (input.value = texts[i]));
+			this.input.value = isNaN(value)
+				? ""
+				: formatInputNumber(value, VALUE_DECIMALS);
+		} else {
+			this.input.value = texts[0];
+		}
+	}
+
+	/**
+	 * Remembers the current entry as typed, so it can be restored after converting away and back.
+	 */
+	remember() {
+		this.entry = this.displayUnit
+			? {
+					displayUnit: this.displayUnit,
+					texts: this.displayUnit.isCompound
+						? this.partInputs.map((input) => input.value)
+						: [this.input.value],
+				}
+			: null;
+	}
+}
+
+export { UnitInputComponent };
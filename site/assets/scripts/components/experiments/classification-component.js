@@ -1,9 +1,11 @@
 import { Component } from "../component.js";
-import { MeasurementDropdownComponent } from "../controls/measurement-dropdown.js";
+import { MeasurementCardsComponent } from "../controls/measurement-cards.js";
 import { Series, LDAClassifier, BayesianClassifier } from "../../math.js";
 import { Gender } from "../../model.js";
-import { convertValuesForDisplay } from "../../data-utils.js";
+import { displayValuesFor } from "../../data-utils.js";
 import { EventName } from "../../events.js";
+import { formatNumber, t } from "../../i18n.js";
+import { escapeHtml } from "../../html-utils.js";
 
 /**
  * Color constants for gender display.
@@ -14,6 +16,39 @@ const COLORS = {
 	neutral: "#6b7280",
 };
 
+/**
+ * The class labels given to the classifiers: the ids of the genders, in series order.
+ * @type {string[]}
+ */
+const LABELS = [Gender.MALE.id, Gender.FEMALE.id];
+
+/**
+ * Gets the color for a class label.
+ * @param {string} label - The class label, a gender id.
+ * @returns {string} The color.
+ */
+const colorFor = (label) =>
+	label === Gender.MALE.id ? COLORS.male : COLORS.female;
+
+/**
+ * Gets the display name for a class label.
+ * @param {string} label - The class label, a gender id.
+ * @returns {string} The localized name of the gender.
+ */
+const nameFor = (label) => t(`gender.${label}`);
+
+/**
+ * Formats a Bayes factor or likelihood ratio, showing ratios below 1 as their reciprocal.
+ * @param {number} bf - The Bayes factor.
+ * @returns {string} The formatted Bayes factor.
+ */
+const formatBayesFactor = (bf) => {
+	if (bf === Infinity) return "∞";
+	if (bf === 0) return "0";
+	if (bf >= 1) return formatNumber(bf, 2);
+	return `1/${formatNumber(1 / bf, 2)}`;
+};
+
 /**
  * Component for the Bayesian gender classification experiment.
  * Allows users to enter multiple measurements and classifies them based on the ANSUR dataset.
@@ -27,11 +62,12 @@ class ClassificationComponent extends Component {
 	constructor(element) {
 		super(element);
 
-		this.cardsContainer = this.element.querySelector(
-			"[data-classification-rows]",
-		);
-		this.addButton = this.element.querySelector(
-			"[data-add-measurement-row]",
+		this.cards = new MeasurementCardsComponent(
+			this.element.querySelector("[data-measurement-card-list]"),
+			{
+				name: "classificationMeasurement",
+				defaultMeasurementIds: ["stature"],
+			},
 		);
 		this.resultText = this.element.querySelector("[data-result-text]");
 		this.resultSummary = this.element.querySelector(
@@ -66,17 +102,18 @@ class ClassificationComponent extends Component {
 			"[data-classifier-summary]",
 		);
 
-		/** @type {{ dropdown: MeasurementDropdownComponent, input: HTMLInputElement, unitButton: HTMLButtonElement, card: HTMLDivElement, measurementId: string | null }[]} */
-		this.measurementCards = [];
-
 		this.dataset = null;
 		this.currentUnitSystem = "metric";
+		/** @type {Object<string, Object<string, string>>} The chosen display units, as stored in the preferences. */
+		this.displayUnits = {};
 		this.currentClassifier = "lda"; // Default classifier
+		/** @type {{ outlierRule: string, excludeOutliers: boolean }} Which subjects are excluded from training as outliers. */
+		this.outliers = { outlierRule: "iqr", excludeOutliers: false };
 
-		this.rowCounter = 0;
-
-		// Bind event handlers
-		this.addButton.addEventListener("click", () => this.addCard());
+		this.cards.element.addEventListener(
+			MeasurementCardsComponent.CHANGE_EVENT,
+			() => this.classify(),
+		);
 
 		// Handle classifier selection
 		if (this.classifierDropdown) {
@@ -101,31 +138,54 @@ class ClassificationComponent extends Component {
 			EventName.UNIT_SYSTEM_CHANGED,
 			this.onUnitSystemChanged.bind(this),
 		);
+		window.addEventListener(EventName.OUTLIERS_CHANGED, (event) =>
+			this.setOutliers(
+				event.detail.outlierRule,
+				event.detail.excludeOutliers,
+			),
+		);
+		window.addEventListener(
+			EventName.LOCALE_CHANGED,
+			this.onLocaleChanged.bind(this),
+		);
+	}
+
+	/**
+	 * Handles locale change events.
+	 * Rewrites the entered values in the new number format and shows the result in the new language.
+	 * @param {CustomEvent} event - The event.
+	 */
+	onLocaleChanged(event) {
+		this.cards.setLocale(event.detail.oldLocale);
+		this.updateClassifierSummary();
+		this.classify();
+	}
+
+	/**
+	 * Sets which subjects are excluded from training as outliers and classifies again.
+	 * @param {string} outlierRule - The ID of the rule outliers are detected by.
+	 * @param {boolean} excludeOutliers - Whether outliers are excluded.
+	 */
+	setOutliers(outlierRule, excludeOutliers) {
+		this.outliers = { outlierRule, excludeOutliers };
+		this.classify();
 	}
 
 	/**
 	 * Updates the component with a new dataset.
 	 * @param {import("../../dataset.js").Dataset} dataset - The dataset.
 	 * @param {string} unitSystem - The unit system.
+	 * @param {Object<string, Object<string, string>>} [displayUnits] - The chosen display units.
 	 */
-	update(dataset, unitSystem) {
+	update(dataset, unitSystem, displayUnits) {
 		this.dataset = dataset;
 		this.currentUnitSystem = unitSystem || "metric";
-
-		// Update all existing dropdowns
-		this.measurementCards.forEach((cardData) => {
-			cardData.dropdown.update(dataset);
-			this.updateCardUnit(cardData);
-		});
-
-		// Sync dropdown disabled states
-		this.syncDropdownDisabledStates();
-
-		// Add initial card if none exist
-		if (this.measurementCards.length === 0) {
-			this.addCard("stature");
+		if (displayUnits) {
+			this.displayUnits = displayUnits;
 		}
 
+		this.cards.update(dataset, this.currentUnitSystem, this.displayUnits);
+
 		this.classify();
 	}
 
@@ -134,8 +194,8 @@ class ClassificationComponent extends Component {
 	 * @param {CustomEvent} event - The event.
 	 */
 	onDatasetChanged(event) {
-		const { dataset, unitSystem } = event.detail;
-		this.update(dataset, unitSystem);
+		const { dataset, unitSystem, displayUnits } = event.detail;
+		this.update(dataset, unitSystem, displayUnits);
 	}
 
 	/**
@@ -144,239 +204,41 @@ class ClassificationComponent extends Component {
 	updateClassifierSummary() {
 		if (!this.classifierSummary) return;
 
-		const summaryText =
-			this.currentClassifier === "lda"
-				? "Linear Discriminant Analysis"
-				: "Naive Bayes";
-		this.classifierSummary.textContent = summaryText;
+		this.classifierSummary.textContent = t(
+			`classifier.${this.currentClassifier}`,
+		);
 	}
 
 	/**
-	 * Handles unit system change events.
+	 * Handles unit system and display unit change events.
+	 * Converts the entered values, restoring them exactly when converting back to the unit they were entered in.
 	 * @param {CustomEvent} event - The event.
 	 */
 	onUnitSystemChanged(event) {
-		const { unitSystem, oldUnitSystem } = event.detail;
+		const { unitSystem, displayUnits } = event.detail;
 		this.currentUnitSystem = unitSystem;
+		this.displayUnits = displayUnits ?? {};
 
-		// Convert values and update unit labels
-		this.measurementCards.forEach((cardData) => {
-			const measurementId = cardData.dropdown.element.querySelector(
-				"input[type=radio]:checked",
-			)?.value;
-
-			if (!measurementId || !this.dataset) return;
-
-			const measurement = this.dataset
-				.measurements()
-				.find((m) => m.id === measurementId);
-			if (!measurement) return;
-
-			// Update unit label
-			const abbrev = measurement.unit.forSystem[unitSystem].abbreviation;
-			cardData.unitButton.textContent = abbrev;
-
-			// Convert value
-			const currentValue = parseFloat(cardData.input.value);
-			if (!isNaN(currentValue) && oldUnitSystem) {
-				const oldFactor =
-					measurement.unit.forSystem[oldUnitSystem].conversionFactor;
-				const newFactor =
-					measurement.unit.forSystem[unitSystem].conversionFactor;
-				if (oldFactor && newFactor) {
-					cardData.input.value = (
-						currentValue *
-						(newFactor / oldFactor)
-					).toFixed(2);
-				}
-			}
-		});
+		this.cards.setUnitSystem(unitSystem, displayUnits);
 
 		this.classify();
 	}
 
 	/**
-	 * Gets the set of currently selected measurement IDs across all cards.
-	 * @returns {Set<string>} Set of selected measurement IDs.
-	 */
-	getSelectedMeasurementIds() {
-		const ids = new Set();
-		for (const cardData of this.measurementCards) {
-			if (cardData.measurementId) {
-				ids.add(cardData.measurementId);
-			}
-		}
-		return ids;
-	}
-
-	/**
-	 * Finds the next available (unselected) measurement ID.
-	 * @returns {string | null} The next available measurement ID, or null if all are selected.
+	 * Gets the measurement and entered value of each card.
+	 * @returns {{ measurementId: string, value: string }[]} The cards, in display order, with values written with a decimal point.
 	 */
-	getNextAvailableMeasurementId() {
-		if (!this.dataset) return null;
-
-		const selectedIds = this.getSelectedMeasurementIds();
-		const allMeasurements = this.dataset.measurements();
-
-		for (const measurement of allMeasurements) {
-			if (!selectedIds.has(measurement.id)) {
-				return measurement.id;
-			}
-		}
-		return null;
+	getCards() {
+		return this.cards.getCards();
 	}
 
 	/**
-	 * Syncs the disabled state of measurement options across all dropdowns.
-	 * Disables options that are selected in other cards.
+	 * Replaces all cards, e.g. when restoring shared state, and classifies again.
+	 * Measurements the dataset does not have, or that repeat an earlier card, are skipped.
+	 * @param {{ measurementId: string, value: string }[]} cards - The cards to show.
 	 */
-	syncDropdownDisabledStates() {
-		const selectedIds = this.getSelectedMeasurementIds();
-
-		for (const cardData of this.measurementCards) {
-			const currentSelection = cardData.measurementId;
-			const radioInputs =
-				cardData.dropdown.element.querySelectorAll("input[type=radio]");
-
-			radioInputs.forEach((radio) => {
-				const li = radio.closest("li");
-				// Disable if selected elsewhere (but not in this card)
-				if (
-					selectedIds.has(radio.value) &&
-					radio.value !== currentSelection
-				) {
-					radio.disabled = true;
-					if (li) li.style.opacity = "0.5";
-				} else {
-					radio.disabled = false;
-					if (li) li.style.opacity = "";
-				}
-			});
-		}
-
-		// Disable add button if all measurements are used
-		if (this.dataset) {
-			const allMeasurements = this.dataset.measurements();
-			this.addButton.disabled =
-				selectedIds.size >= allMeasurements.length;
-		}
-	}
-
-	/**
-	 * Adds a new measurement card.
-	 * @param {string} [defaultMeasurement] - The default measurement ID. If not provided, uses next available.
-	 */
-	addCard(defaultMeasurement) {
-		// Determine which measurement to use
-		let measurementToSelect = defaultMeasurement;
-		if (!measurementToSelect) {
-			measurementToSelect = this.getNextAvailableMeasurementId();
-		}
-		if (!measurementToSelect) {
-			// All measurements are already selected
-			return;
-		}
-
-		const cardId = this.rowCounter++;
-		const cardName = `classificationMeasurement${cardId}`;
-
-		const card = document.createElement("div");
-		card.className = "classification-card";
-		card.innerHTML = `
-			<div class="classification-card-content">
-				<details class="dropdown"
-				         name="${cardName}"
-				         data-measurement-dropdown
-				         data-measurement-dropdown-default="${measurementToSelect}">
-					<summary>Measurement</summary>
-					<ul>
-						<li>
-							<input type="search" placeholder="Search" aria-label="Search" />
-						</li>
-					</ul>
-				</details>
-				<fieldset role="group">
-					<input type="number" data-measurement-value />
-					<button class="contrast" data-unit-button disabled></button>
-				</fieldset>
-			</div>
-			<div class="classification-card-remove">
-				<button class="outline contrast" data-remove-row title="Remove">&times;</button>
-			</div>
-		`;
-
-		this.cardsContainer.appendChild(card);
-
-		const dropdownElement = card.querySelector(
-			"[data-measurement-dropdown]",
-		);
-		const dropdown = new MeasurementDropdownComponent(dropdownElement);
-		const input = card.querySelector("input[data-measurement-value]");
-		const unitButton = card.querySelector("[data-unit-button]");
-		const removeButton = card.querySelector("[data-remove-row]");
-
-		const cardData = {
-			dropdown,
-			input,
-			unitButton,
-			card,
-			measurementId: null,
-		};
-		this.measurementCards.push(cardData);
-
-		// Update dropdown with dataset
-		if (this.dataset) {
-			dropdown.update(this.dataset);
-			this.updateCardUnit(cardData);
-		}
-
-		// Sync disabled states after adding
-		this.syncDropdownDisabledStates();
-
-		// Listen for measurement changes
-		dropdownElement.addEventListener("measurement-change", () => {
-			this.updateCardUnit(cardData);
-			this.syncDropdownDisabledStates();
-			input.value = "";
-			this.classify();
-		});
-
-		// Listen for value changes
-		input.addEventListener("input", () => {
-			this.classify();
-		});
-
-		// Listen for remove
-		removeButton.addEventListener("click", () => {
-			this.removeCard(cardData);
-		});
-	}
-
-	/**
-	 * Updates the unit label for a card.
-	 * @param {{ dropdown: MeasurementDropdownComponent, input: HTMLInputElement, unitButton: HTMLButtonElement, card: HTMLDivElement, measurementId: string | null }} cardData - The card data.
-	 */
-	updateCardUnit(cardData) {
-		if (!this.dataset) return;
-
-		const measurementId = cardData.dropdown.element.querySelector(
-			"input[type=radio]:checked",
-		)?.value;
-
-		cardData.measurementId = measurementId || null;
-
-		if (!measurementId) return;
-
-		const measurement = this.dataset
-			.measurements()
-			.find((m) => m.id === measurementId);
-
-		if (measurement) {
-			const abbrev =
-				measurement.unit.forSystem[this.currentUnitSystem].abbreviation;
-			cardData.unitButton.textContent = abbrev;
-		}
+	setCards(cards) {
+		this.cards.setCards(cards);
 	}
 
 	/**
@@ -387,14 +249,9 @@ class ClassificationComponent extends Component {
 	renderEvidenceBreakdown(result, measurementInfo) {
 		this.resultWorkContent.innerHTML = "";
 
-		const formatZ = (z) => (z >= 0 ? `+${z.toFixed(2)}` : z.toFixed(2));
-		const formatBF = (bf) => {
-			if (bf === Infinity) return "∞";
-			if (bf === 0) return "0";
-			if (bf >= 1) return bf.toFixed(2);
-			return `1/${(1 / bf).toFixed(2)}`;
-		};
-		const formatPct = (p) => `${(p * 100).toFixed(1)}%`;
+		const formatZ = (z) =>
+			z >= 0 ? `+${formatNumber(z, 2)}` : formatNumber(z, 2);
+		const formatPct = (p) => `${formatNumber(p * 100, 1)}%`;
 
 		const isLDA = this.currentClassifier === "lda";
 
@@ -406,23 +263,21 @@ class ClassificationComponent extends Component {
 
 			const [d0, d1] = result.mahalanobis;
 			const closerTo = d0.distance < d1.distance ? d0.label : d1.label;
-			const closerColor =
-				closerTo === "Male" ? COLORS.male : COLORS.female;
 
 			mahalSection.innerHTML = `
 				<div class="evidence-header">
-					<span class="measurement-name">Mahalanobis Distance</span>
-					<span class="evidence-label" style="color: ${closerColor}">Closer to ${closerTo}</span>
+					<span class="measurement-name">${t("classification.mahalanobis")}</span>
+					<span class="evidence-label" style="color: ${colorFor(closerTo)}">${t("classification.closerTo", { gender: nameFor(closerTo) })}</span>
 				</div>
 				<div class="evidence-details">
 					<div class="evidence-row">
-						<span class="evidence-metric">Distance:</span>
+						<span class="evidence-metric">${t("classification.distance")}</span>
 						<span>
-							<span style="color: ${COLORS.male}">Male</span>: ${d0.distance.toFixed(2)}${d0.distance < d1.distance ? " ✓" : ""}
+							<span style="color: ${colorFor(d0.label)}">${nameFor(d0.label)}</span>: ${formatNumber(d0.distance, 2)}${d0.distance < d1.distance ? " ✓" : ""}
 						</span>
 						<span class="evidence-separator">|</span>
 						<span>
-							<span style="color: ${COLORS.female}">Female</span>: ${d1.distance.toFixed(2)}${d1.distance < d0.distance ? " ✓" : ""}
+							<span style="color: ${colorFor(d1.label)}">${nameFor(d1.label)}</span>: ${formatNumber(d1.distance, 2)}${d1.distance < d0.distance ? " ✓" : ""}
 						</span>
 					</div>
 				</div>
@@ -440,15 +295,12 @@ class ClassificationComponent extends Component {
 			const info = measurementInfo[measurementId];
 			if (!info) continue;
 
-			const favorsLabel =
-				evidence.evidence.favors === "first" ? "Male" : "Female";
-			const color =
-				evidence.evidence.favors === "first"
-					? COLORS.male
-					: COLORS.female;
+			const favors =
+				evidence.evidence.favors === "first" ? LABELS[0] : LABELS[1];
+			const color = colorFor(favors);
 
-			const zMale = evidence.zScores["Male"];
-			const zFemale = evidence.zScores["Female"];
+			const zMale = evidence.zScores[Gender.MALE.id];
+			const zFemale = evidence.zScores[Gender.FEMALE.id];
 
 			// Determine which z-score is closer to 0 (more typical)
 			const maleMoreTypical = Math.abs(zMale) < Math.abs(zFemale);
@@ -458,33 +310,32 @@ class ClassificationComponent extends Component {
 				evidence.weight !== undefined
 					? formatPct(evidence.weight)
 					: formatPct(naiveBayesWeight);
-			const weightLabel = "Weight";
 
 			const item = document.createElement("div");
 			item.className = "classification-work-item";
 			item.innerHTML = `
 				<div class="evidence-header">
-					<span class="measurement-name">${info.name}</span>
-					<span class="evidence-label" style="color: ${color}">${evidence.evidence.label} → ${favorsLabel}</span>
+					<span class="measurement-name">${escapeHtml(info.name)}</span>
+					<span class="evidence-label" style="color: ${color}">${evidence.evidence.label} → ${nameFor(favors)}</span>
 				</div>
 				<div class="evidence-details">
 					<div class="evidence-row">
-						<span class="evidence-metric">${weightLabel}:</span>
+						<span class="evidence-metric">${t("classification.weight")}</span>
 						<span>${weightPct}</span>
 					</div>
 					<div class="evidence-row">
-						<span class="evidence-metric">Z-scores:</span>
+						<span class="evidence-metric">${t("classification.zScores")}</span>
 						<span>
-							<span style="color: ${COLORS.male}">Male</span>: ${formatZ(zMale)}σ${maleMoreTypical ? " ✓" : ""}
+							<span style="color: ${COLORS.male}">${Gender.MALE.name}</span>: ${formatZ(zMale)}σ${maleMoreTypical ? " ✓" : ""}
 						</span>
 						<span class="evidence-separator">|</span>
 						<span>
-							<span style="color: ${COLORS.female}">Female</span>: ${formatZ(zFemale)}σ${!maleMoreTypical ? " ✓" : ""}
+							<span style="color: ${COLORS.female}">${Gender.FEMALE.name}</span>: ${formatZ(zFemale)}σ${!maleMoreTypical ? " ✓" : ""}
 						</span>
 					</div>
 					<div class="evidence-row">
-						<span class="evidence-metric">Likelihood ratio:</span>
-						<span>${formatBF(evidence.bayesFactor)} (${evidence.bayesFactor >= 1 ? "favors Male" : "favors Female"})</span>
+						<span class="evidence-metric">${t("classification.likelihoodRatio")}</span>
+						<span>${formatBayesFactor(evidence.bayesFactor)} (${t("classification.favors", { gender: evidence.bayesFactor >= 1 ? Gender.MALE.name : Gender.FEMALE.name })})</span>
 					</div>
 				</div>
 			`;
@@ -499,26 +350,17 @@ class ClassificationComponent extends Component {
 		this.resultWorkContent.innerHTML = "";
 	}
 
-	/**
-	 * Removes a measurement card.
-	 * @param {{ dropdown: MeasurementDropdownComponent, input: HTMLInputElement, unitButton: HTMLButtonElement, card: HTMLDivElement, measurementId: string | null }} cardData - The card data.
-	 */
-	removeCard(cardData) {
-		const index = this.measurementCards.indexOf(cardData);
-		if (index > -1) {
-			this.measurementCards.splice(index, 1);
-			cardData.card.remove();
-			this.syncDropdownDisabledStates();
-			this.classify();
-		}
-	}
-
 	/**
 	 * Performs the classification based on current measurements.
 	 */
 	classify() {
+		// Notify parent components that the cards or classifier changed
+		this.element.dispatchEvent(
+			new CustomEvent("classification-change", { bubbles: true }),
+		);
+
 		if (!this.dataset) {
-			this.showNoResult("Dataset not loaded.");
+			this.showNoResult(t("classification.noDataset"));
 			return;
 		}
 
@@ -526,23 +368,14 @@ class ClassificationComponent extends Component {
 		const point = {};
 		const measurementIds = [];
 
-		for (const cardData of this.measurementCards) {
-			const measurementId = cardData.dropdown.element.querySelector(
-				"input[type=radio]:checked",
-			)?.value;
-			const value = parseFloat(cardData.input.value);
-
-			if (measurementId && !isNaN(value)) {
-				// Use measurementId as the dimension key
-				point[measurementId] = value;
-				measurementIds.push(measurementId);
-			}
+		for (const { measurement, value } of this.cards.getEntries()) {
+			// Use the measurement ID as the dimension key
+			point[measurement.id] = value;
+			measurementIds.push(measurement.id);
 		}
 
 		if (Object.keys(point).length === 0) {
-			this.showNoResult(
-				"Add at least one measurement with a value to see the classification result.",
-			);
+			this.showNoResult(t("classification.noMeasurements"));
 			return;
 		}
 
@@ -557,16 +390,27 @@ class ClassificationComponent extends Component {
 		);
 
 		if (!maleSeries || !femaleSeries) {
-			this.showNoResult("Unable to build series for classification.");
+			this.showNoResult(t("classification.noSeries"));
+			return;
+		}
+
+		if (
+			maleSeries.count(measurementIds[0]) === 0 ||
+			femaleSeries.count(measurementIds[0]) === 0
+		) {
+			this.showNoResult(t("classification.bothGenders"));
 			return;
 		}
 
 		// Create classifier based on selection
 		let classifier;
 		if (this.currentClassifier === "naive-bayes") {
-			classifier = new BayesianClassifier([maleSeries, femaleSeries]);
+			classifier = new BayesianClassifier(
+				[maleSeries, femaleSeries],
+				LABELS,
+			);
 		} else {
-			classifier = new LDAClassifier([maleSeries, femaleSeries]);
+			classifier = new LDAClassifier([maleSeries, femaleSeries], LABELS);
 		}
 		const result = classifier.classifyWithDetails(point);
 
@@ -575,6 +419,8 @@ class ClassificationComponent extends Component {
 
 	/**
 	 * Builds a Series for a specific gender using the selected measurements.
+	 * Subjects missing any of the measurements, or excluded as outliers in any, are left out,
+	 * so the classifier is trained on complete rows.
 	 * @param {Gender} gender - The gender.
 	 * @param {string[]} measurementIds - The measurement IDs to include.
 	 * @returns {Series|null} The series, or null if failed.
@@ -589,18 +435,19 @@ class ClassificationComponent extends Component {
 
 			if (!measurement) return null;
 
-			const rawValues = measurement.valuesFor(gender);
-			const convertedValues = convertValuesForDisplay(
-				rawValues,
-				measurementId,
+			values[measurementId] = displayValuesFor(
+				measurement,
+				gender,
 				this.dataset,
-				{ unit: this.currentUnitSystem },
+				{
+					unit: this.currentUnitSystem,
+					displayUnits: this.displayUnits,
+					...this.outliers,
+				},
 			);
-
-			values[measurementId] = convertedValues;
 		}
 
-		return new Series(values);
+		return new Series(values).complete(measurementIds);
 	}
 
 	/**
@@ -609,37 +456,27 @@ class ClassificationComponent extends Component {
 	 */
 	showResult(result) {
 		const winnerLabel = result.winner.label;
-		const winnerColor =
-			winnerLabel === "Male" ? COLORS.male : COLORS.female;
+		const winnerColor = colorFor(winnerLabel);
 
 		// Hide the placeholder text
 		this.resultText.style.display = "none";
 
 		// Show the summary section
 		this.resultSummary.style.display = "block";
-		this.resultWinner.textContent = winnerLabel;
+		this.resultWinner.textContent = nameFor(winnerLabel);
 		this.resultWinner.style.color = winnerColor;
 
 		this.resultEvidence.textContent = `(${result.evidence.label})`;
 		this.resultEvidence.style.color = winnerColor;
 
-		// Format Bayes factor
-		let bfDisplay;
-		if (result.bayesFactor === Infinity) {
-			bfDisplay = "∞";
-		} else if (result.bayesFactor === 0) {
-			bfDisplay = "0";
-		} else if (result.bayesFactor >= 1) {
-			bfDisplay = result.bayesFactor.toFixed(2);
-		} else {
-			bfDisplay = `1/${(1 / result.bayesFactor).toFixed(2)}`;
-		}
-		this.resultBayesFactor.textContent = bfDisplay;
+		this.resultBayesFactor.textContent = formatBayesFactor(
+			result.bayesFactor,
+		);
 
 		// Add note about direction
-		const bfNote =
-			result.bayesFactor >= 1 ? " (favors Male)" : " (favors Female)";
-		this.resultBayesFactorNote.textContent = bfNote;
+		const favored =
+			result.bayesFactor >= 1 ? Gender.MALE.name : Gender.FEMALE.name;
+		this.resultBayesFactorNote.textContent = ` (${t("classification.favors", { gender: favored })})`;
 		this.resultBayesFactorNote.style.color =
 			result.bayesFactor >= 1 ? COLORS.male : COLORS.female;
 
@@ -649,32 +486,21 @@ class ClassificationComponent extends Component {
 
 		for (const r of result.results) {
 			const row = document.createElement("tr");
-			const color = r.label === "Male" ? COLORS.male : COLORS.female;
 			row.innerHTML = `
-				<td style="color: ${color}">${r.label}</td>
-				<td>${(r.posterior * 100).toFixed(2)}%</td>
+				<td style="color: ${colorFor(r.label)}">${nameFor(r.label)}</td>
+				<td>${formatNumber(r.posterior * 100, 2)}%</td>
 			`;
 			this.resultProbabilities.appendChild(row);
 		}
 
 		// Build measurement info for evidence breakdown
 		const measurementInfo = {};
-		for (const cardData of this.measurementCards) {
-			const measurementId = cardData.measurementId;
-			const value = parseFloat(cardData.input.value);
-			if (measurementId && !isNaN(value) && this.dataset) {
-				const measurement = this.dataset
-					.measurements()
-					.find((m) => m.id === measurementId);
-				if (measurement) {
-					measurementInfo[measurementId] = {
-						name: measurement.name,
-						value: value,
-						unit: measurement.unit.forSystem[this.currentUnitSystem]
-							.abbreviation,
-					};
-				}
-			}
+		for (const { measurement, value } of this.cards.getEntries()) {
+			measurementInfo[measurement.id] = {
+				name: measurement.name,
+				value: value,
+				unit: this.cards.getDisplayUnit(measurement).abbreviation,
+			};
 		}
 
 		// Show evidence breakdown
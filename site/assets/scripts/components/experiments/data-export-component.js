@@ -0,0 +1,343 @@
+import { Component } from "../component.js";
+import { MeasurementDropdownComponent } from "../controls/measurement-dropdown.js";
+import {
+	buildMultiSeries,
+	countMissingValues,
+	getUnitAbbreviationForMeasurement,
+} from "../../data-utils.js";
+import { downloadBlob, formatCsv } from "../../download-utils.js";
+import { EventName } from "../../events.js";
+import { t } from "../../i18n.js";
+
+/**
+ * The percentiles included in the summary statistics export, as fractions.
+ * @type {number[]}
+ */
+const PERCENTILES = [0.01, 0.05, 0.25, 0.5, 0.75, 0.95, 0.99];
+
+/**
+ * Component for the data export experiment.
+ * Downloads the selected measurements for the enabled genders, converted to the current unit system,
+ * either as raw per-subject values or as summary statistics with a correlation matrix.
+ * @extends Component
+ */
+class DataExportComponent extends Component {
+	/**
+	 * Creates a new DataExportComponent.
+	 * @param {HTMLElement} element - The root element.
+	 * @param {import("../../preferences.js").Preferences} preferences - User preferences, read at export time.
+	 */
+	constructor(element, preferences) {
+		super(element);
+		this.preferences = preferences;
+		this.dataset = null;
+
+		this.dropdown = new MeasurementDropdownComponent(
+			this.element.querySelector("[data-measurement-dropdown]"),
+		);
+		this.status = this.element.querySelector("[data-export-status]");
+		this.dataButton = this.element.querySelector("[data-export-data]");
+		this.statisticsButton = this.element.querySelector(
+			"[data-export-statistics]",
+		);
+
+		this.dataButton.addEventListener("click", () => this.exportData());
+		this.statisticsButton.addEventListener("click", () =>
+			this.exportStatistics(),
+		);
+		this.element.addEventListener("measurement-change", () =>
+			this.updateStatus(),
+		);
+
+		window.addEventListener(EventName.DATASET_CHANGED, (event) =>
+			this.update(event.detail.dataset),
+		);
+		window.addEventListener(EventName.GENDER_CHANGED, () =>
+			this.updateStatus(),
+		);
+		window.addEventListener(EventName.LOCALE_CHANGED, () =>
+			this.updateStatus(),
+		);
+	}
+
+	/**
+	 * Updates the component with a new dataset.
+	 * @param {import("../../dataset.js").Dataset} dataset - The dataset.
+	 */
+	update(dataset) {
+		this.dataset = dataset;
+		this.dropdown.update(dataset);
+		this.updateStatus();
+	}
+
+	/**
+	 * Gets the selected measurements.
+	 * @returns {import("../../model.js").Measurement[]} The selected measurements, in list order.
+	 */
+	get measurements() {
+		if (!this.dataset) return [];
+
+		const ids = this.dropdown.values;
+		return this.dataset.measurements().filter((m) => ids.includes(m.id));
+	}
+
+	/**
+	 * Gets the selected file format.
+	 * @returns {"csv"|"json"} The file format.
+	 */
+	get format() {
+		return (
+			this.element.querySelector("input[name='dataExportFormat']:checked")
+				?.value ?? "csv"
+		);
+	}
+
+	/**
+	 * Describes what will be exported and enables the buttons when there is anything to export.
+	 */
+	updateStatus() {
+		const measurements = this.measurements;
+		const { series, seriesLabels, genders } = buildMultiSeries(
+			measurements,
+			this.dataset,
+			this.preferences,
+		);
+		// Counted from the population, as the measurement values may still be loading.
+		const subjectCount = genders.reduce(
+			(sum, gender) => sum + this.dataset.subjectCount(gender, true),
+			0,
+		);
+
+		const empty = measurements.length === 0 || series.length === 0;
+		this.dataButton.disabled = empty;
+		this.statisticsButton.disabled = empty;
+
+		if (this.status) {
+			this.status.textContent = empty
+				? t("export.empty")
+				: t(
+						measurements.length === 1
+							? "export.status.one"
+							: "export.status",
+						{
+							count: measurements.length,
+							subjects: subjectCount,
+							series: seriesLabels.join(", "),
+						},
+					);
+		}
+	}
+
+	/**
+	 * Builds the column descriptions for the selected measurements.
+	 * @param {import("../../model.js").Measurement[]} measurements - The measurements.
+	 * @returns {{ id: string, name: string, unit: string }[]} The columns.
+	 */
+	describeColumns(measurements) {
+		return measurements.map((m) => ({
+			id: m.id,
+			name: m.name,
+			unit: getUnitAbbreviationForMeasurement(
+				m.id,
+				this.dataset,
+				this.preferences,
+			),
+		}));
+	}
+
+	/**
+	 * Loads the values of measurements to export, showing in the status if they could not be loaded.
+	 * @param {import("../../model.js").Measurement[]} measurements - The measurements.
+	 * @returns {Promise<boolean>} A promise that resolves to whether the values were loaded.
+	 */
+	async loadValues(measurements) {
+		try {
+			await this.dataset.loadMeasurements(measurements.map((m) => m.id));
+			return true;
+		} catch (e) {
+			console.error("Failed to load measurements for export", e);
+			if (this.status) {
+				this.status.textContent = t("export.failed");
+			}
+			return false;
+		}
+	}
+
+	/**
+	 * Downloads one row per subject with the selected measurements, once their values have loaded.
+	 * @returns {Promise<void>} A promise that resolves when the download has started.
+	 */
+	async exportData() {
+		const measurements = this.measurements;
+		if (!(await this.loadValues(measurements))) return;
+		const { series, genders } = buildMultiSeries(
+			measurements,
+			this.dataset,
+			this.preferences,
+		);
+		const columns = this.describeColumns(measurements);
+
+		const subjects = series.flatMap((s, i) =>
+			s.valuesOf(columns[0].id).map((_, row) => ({
+				gender: genders[i].id,
+				...Object.fromEntries(
+					columns.map((c) => [c.id, s.valuesOf(c.id)[row]]),
+				),
+			})),
+		);
+
+		if (this.format === "json") {
+			this.download(
+				{
+					dataset: this.dataset.id,
+					unitSystem: this.preferences.unit,
+					measurements: columns,
+					subjects,
+				},
+				"data",
+			);
+		} else {
+			this.download(
+				[
+					["gender", ...columns.map((c) => `${c.id} (${c.unit})`)],
+					...subjects.map((subject) => [
+						subject.gender,
+						...columns.map((c) => subject[c.id]),
+					]),
+				],
+				"data",
+			);
+		}
+	}
+
+	/**
+	 * Downloads n, missing and excluded outlier counts, mean, SD and percentiles per gender and measurement, and the correlation matrix
+	 * per gender over pairwise-complete subjects, once the measurement values have loaded.
+	 * @returns {Promise<void>} A promise that resolves when the download has started.
+	 */
+	async exportStatistics() {
+		const measurements = this.measurements;
+		if (!(await this.loadValues(measurements))) return;
+		const { series, genders } = buildMultiSeries(
+			measurements,
+			this.dataset,
+			this.preferences,
+		);
+		const columns = this.describeColumns(measurements);
+
+		const statistics = series.flatMap((s, i) =>
+			columns.map((c, j) => {
+				const missing = countMissingValues(measurements[j], [
+					genders[i],
+				]);
+				return {
+					gender: genders[i].id,
+					measurement: c.id,
+					unit: c.unit,
+					n: s.count(c.id),
+					missing,
+					excluded: s.missingCount(c.id) - missing,
+					mean: s.mean(c.id),
+					sd: s.stddev(c.id),
+					percentiles: Object.fromEntries(
+						PERCENTILES.map((p) => [
+							`p${Math.round(p * 100)}`,
+							s.percentile(c.id, p),
+						]),
+					),
+				};
+			}),
+		);
+
+		const correlations = series.map((s, i) => ({
+			gender: genders[i].id,
+			measurements: columns.map((c) => c.id),
+			matrix: columns.map((row) =>
+				columns.map((column) => s.correlation(row.id, column.id)),
+			),
+		}));
+
+		if (this.format === "json") {
+			this.download(
+				{
+					dataset: this.dataset.id,
+					unitSystem: this.preferences.unit,
+					statistics,
+					correlations,
+				},
+				"statistics",
+			);
+			return;
+		}
+
+		const percentileKeys = PERCENTILES.map(
+			(p) => `p${Math.round(p * 100)}`,
+		);
+		const rows = [
+			[
+				"gender",
+				"measurement",
+				"unit",
+				"n",
+				"missing",
+				"excluded",
+				"mean",
+				"sd",
+				...percentileKeys,
+			],
+			...statistics.map((stat) => [
+				stat.gender,
+				stat.measurement,
+				stat.unit,
+				stat.n,
+				stat.missing,
+				stat.excluded,
+				stat.mean,
+				stat.sd,
+				...percentileKeys.map((key) => stat.percentiles[key]),
+			]),
+		];
+
+		// Each correlation matrix follows as its own block, separated by a blank line.
+		for (const correlation of correlations) {
+			rows.push(
+				[],
+				[
+					`correlation (${correlation.gender})`,
+					...correlation.measurements,
+				],
+				...correlation.matrix.map((row, r) => [
+					correlation.measurements[r],
+					...row,
+				]),
+			);
+		}
+
+		this.download(rows, "statistics");
+	}
+
+	/**
+	 * Downloads content in the selected format.
+	 * @param {Object|Array[]} content - An object to serialize as JSON, or rows to format as CSV.
+	 * @param {string} kind - What is exported, used in the file name.
+	 */
+	download(content, kind) {
+		const filename = `${this.dataset.id}-${kind}-${this.preferences.unit}`;
+
+		if (this.format === "json") {
+			downloadBlob(
+				new Blob([JSON.stringify(content, null, "\t")], {
+					type: "application/json",
+				}),
+				`${filename}.json`,
+			);
+		} else {
+			downloadBlob(
+				new Blob([formatCsv(content)], { type: "text/csv" }),
+				`${filename}.csv`,
+			);
+		}
+	}
+}
+
+export { DataExportComponent };
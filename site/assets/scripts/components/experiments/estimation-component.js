@@ -0,0 +1,272 @@
+import { Component } from "../component.js";
+import { MeasurementCardsComponent } from "../controls/measurement-cards.js";
+import { ConditionalNormal, LDAClassifier } from "../../math.js";
+import { buildMultiSeries, getDisplayUnit } from "../../data-utils.js";
+import { EventName } from "../../events.js";
+import { formatNumber, t } from "../../i18n.js";
+import { escapeHtml } from "../../html-utils.js";
+
+/**
+ * The probability the prediction intervals hold.
+ * @type {number}
+ */
+const COVERAGE = 0.95;
+
+/**
+ * Component for the estimation experiment.
+ * Takes the measurements known of a person and estimates every other measurement of the dataset
+ * from the multivariate normal of each gender conditioned on them: for each gender separately,
+ * or as the mixture of the genders weighted by their posterior under linear discriminant analysis,
+ * the classifier of the classification experiment.
+ * @extends Component
+ */
+class EstimationComponent extends Component {
+	/**
+	 * Creates a new EstimationComponent.
+	 * @param {HTMLElement} element - The root element.
+	 * @param {Object} options
+	 * @param {string} options.modelOptionName - Name of the option radios choosing between the weighted and per-gender estimates.
+	 */
+	constructor(element, options) {
+		super(element);
+		this.options = options;
+
+		this.cards = new MeasurementCardsComponent(
+			this.element.querySelector("[data-measurement-card-list]"),
+			{
+				name: "estimationMeasurement",
+				defaultMeasurementIds: ["stature", "weight"],
+			},
+		);
+		this.message = this.element.querySelector("[data-estimation-message]");
+		this.result = this.element.querySelector("[data-estimation-result]");
+		this.weights = this.element.querySelector("[data-estimation-weights]");
+		this.tableHead = this.element.querySelector("thead tr");
+		this.tableBody = this.element.querySelector("tbody");
+
+		window.addEventListener(EventName.DATASET_CHANGED, (event) => {
+			const { dataset, unitSystem, displayUnits } = event.detail;
+			this.update(dataset, unitSystem, displayUnits);
+		});
+		// Converts the entered values before the results are refreshed in the new units.
+		window.addEventListener(EventName.UNIT_SYSTEM_CHANGED, (event) =>
+			this.cards.setUnitSystem(
+				event.detail.unitSystem,
+				event.detail.displayUnits,
+			),
+		);
+		window.addEventListener(EventName.LOCALE_CHANGED, (event) =>
+			this.cards.setLocale(event.detail.oldLocale),
+		);
+	}
+
+	/**
+	 * Updates the cards for a new dataset.
+	 * @param {import("../../dataset.js").Dataset} dataset - The dataset.
+	 * @param {string} unitSystem - The unit system.
+	 * @param {Object<string, Object<string, string>>} [displayUnits] - The chosen display units.
+	 */
+	update(dataset, unitSystem, displayUnits) {
+		this.cards.update(dataset, unitSystem, displayUnits);
+	}
+
+	/**
+	 * Gets the measurement and entered value of each card.
+	 * @returns {{ measurementId: string, value: string }[]} The cards, in display order, with values written with a decimal point.
+	 */
+	getCards() {
+		return this.cards.getCards();
+	}
+
+	/**
+	 * Replaces all cards, e.g. when restoring shared state.
+	 * Measurements the dataset does not have, or that repeat an earlier card, are skipped.
+	 * @param {{ measurementId: string, value: string }[]} cards - The cards to show.
+	 */
+	setCards(cards) {
+		this.cards.setCards(cards);
+	}
+
+	/**
+	 * Renders the estimates of the measurements not entered.
+	 * @param {import("../../dataset.js").Dataset} dataset - The dataset.
+	 * @param {import("../../preferences.js").Preferences} preferences - User preferences.
+	 */
+	render(dataset, preferences) {
+		const entries = this.cards.getEntries();
+		if (entries.length === 0) {
+			this.showMessage(t("estimation.noMeasurements"));
+			return;
+		}
+
+		const measurements = dataset.measurements();
+		if (!dataset.isLoaded(measurements.map((m) => m.id))) {
+			this.showMessage(t("estimation.loading"));
+			return;
+		}
+
+		const point = Object.fromEntries(
+			entries.map(({ measurement, value }) => [measurement.id, value]),
+		);
+		const { series, seriesLabels, seriesColors, genders } =
+			buildMultiSeries(measurements, dataset, preferences);
+
+		// Genders whose subjects can be conditioned on the entered measurements
+		const groups = series
+			.map((s, i) => ({
+				series: s,
+				model: new ConditionalNormal(s, point),
+				label: seriesLabels[i],
+				color: seriesColors[i],
+				gender: genders[i],
+			}))
+			.filter((group) => group.model.defined);
+
+		if (groups.length === 0) {
+			this.showMessage(t("estimation.noModel"));
+			return;
+		}
+
+		const weighted =
+			(document.querySelector(
+				`input[name='${this.options.modelOptionName}']:checked`,
+			)?.value ?? "weighted") === "weighted";
+		const posteriors = weighted ? this.posteriors(groups, point) : null;
+
+		// Each column mixes the estimates of some genders: all of them by posterior, or one at a time.
+		const columns = weighted
+			? [
+					{
+						label: t("estimation.estimate"),
+						color: "",
+						groups,
+						weights: posteriors,
+					},
+				]
+			: groups.map((group) => ({
+					label: group.label,
+					color: group.color,
+					groups: [group],
+					weights: [1],
+				}));
+
+		if (weighted && groups.length > 1) {
+			this.weights.innerHTML = t("estimation.weightedBy", {
+				weights: groups
+					.map(
+						(group, i) =>
+							`<span style="color: ${group.color}">${group.label}</span> ${formatNumber(posteriors[i] * 100, 1)}%`,
+					)
+					.join(", "),
+			});
+			this.weights.removeAttribute("hidden");
+		} else {
+			this.weights.setAttribute("hidden", "true");
+		}
+
+		this.tableHead.innerHTML = `
+			<th scope="col">${t("estimation.measurement")}</th>
+			${columns
+				.map(
+					(column) => `
+						<th scope="col" style="color: ${column.color}">${column.label}</th>
+						<th scope="col">${t("estimation.interval", { coverage: formatNumber(COVERAGE * 100, 0) })}</th>
+					`,
+				)
+				.join("")}
+		`;
+		this.tableBody.innerHTML = "";
+
+		for (const measurement of measurements) {
+			if (measurement.id in point) continue;
+
+			const displayUnit = getDisplayUnit(measurement, preferences);
+
+			const row = document.createElement("tr");
+			row.innerHTML = `
+				<td>${escapeHtml(measurement.name)}</td>
+				${columns.map((column) => this.formatEstimate(column, measurement.id, displayUnit)).join("")}
+			`;
+			this.tableBody.appendChild(row);
+		}
+
+		this.message.setAttribute("hidden", "true");
+		this.result.removeAttribute("hidden");
+	}
+
+	/**
+	 * Computes the posterior of each gender given the entered measurements, with linear discriminant analysis
+	 * trained on the subjects observed in all of them.
+	 * A single gender, or two that cannot be told apart, are weighted by their share of the candidates.
+	 * @param {{ series: import("../../math.js").Series, gender: import("../../model.js").Gender }[]} groups - The genders.
+	 * @param {Object.<string, number>} point - The entered values, by measurement ID.
+	 * @returns {number[]} The posterior of each gender, in order.
+	 */
+	posteriors(groups, point) {
+		const dims = Object.keys(point);
+		const complete = groups.map((group) => group.series.complete(dims));
+
+		if (groups.length !== 2 || complete.some((s) => s.count(dims[0]) < 2)) {
+			return groups.map(() => 1 / groups.length);
+		}
+
+		const labels = groups.map((group) => group.gender.id);
+		const { results } = new LDAClassifier(
+			complete,
+			labels,
+		).classifyWithDetails(point);
+
+		return labels.map(
+			(label) => results.find((r) => r.label === label).posterior,
+		);
+	}
+
+	/**
+	 * Formats the estimate of one measurement in one column as its mean and prediction interval.
+	 * Genders that cannot estimate the measurement, e.g. as too few of their subjects have it, are left out of the mixture.
+	 * @param {{ groups: { model: ConditionalNormal }[], weights: number[] }} column - The column.
+	 * @param {string} measurementId - The ID of the measurement.
+	 * @param {import("../../model.js").DisplayUnit} displayUnit - The measurement's display unit.
+	 * @returns {string} The cells of the column.
+	 */
+	formatEstimate(column, measurementId, displayUnit) {
+		const estimates = column.groups.map((group) =>
+			group.model.estimate(measurementId),
+		);
+		const available = estimates
+			.map((estimate, i) => ({ estimate, weight: column.weights[i] }))
+			.filter(({ estimate, weight }) => estimate && weight > 0);
+		const total = available.reduce((sum, { weight }) => sum + weight, 0);
+
+		if (available.length === 0 || total === 0) {
+			return `<td colspan="2"><em>${t("estimation.unavailable")}</em></td>`;
+		}
+
+		const { mean, low, high } = ConditionalNormal.mix(
+			available.map(({ estimate }) => estimate),
+			available.map(({ weight }) => weight / total),
+			COVERAGE,
+		);
+
+		return `
+			<td>${formatNumber(mean, displayUnit.decimals)} ${displayUnit.abbreviation}</td>
+			<td>${t("comparison.interval", {
+				low: formatNumber(low, displayUnit.decimals),
+				high: formatNumber(high, displayUnit.decimals),
+			})}</td>
+		`;
+	}
+
+	/**
+	 * Shows a message in place of the estimates.
+	 * @param {string} message - The message.
+	 */
+	showMessage(message) {
+		this.message.textContent = message;
+		this.message.removeAttribute("hidden");
+		this.result.setAttribute("hidden", "true");
+		this.tableBody.innerHTML = "";
+	}
+}
+
+export { EstimationComponent };
@@ -0,0 +1,134 @@
+import { Component } from "../component.js";
+import { MeasurementDropdownComponent } from "../controls/measurement-dropdown.js";
+import { Series } from "../../math.js";
+import {
+	buildMultiSeries,
+	countMissingValues,
+	getDisplayUnit,
+	getExcludedOutlierRule,
+} from "../../data-utils.js";
+import { EventName } from "../../events.js";
+import { formatNumber, t } from "../../i18n.js";
+import { escapeHtml } from "../../html-utils.js";
+
+/**
+ * The percentiles listed in the table, as fractions.
+ * @type {number[]}
+ */
+const PERCENTILES = [0.01, 0.05, 0.5, 0.95, 0.99];
+
+/**
+ * Color for the pooled population, matching the neutral color used elsewhere.
+ * @type {string}
+ */
+const POOLED_COLOR = "#6b7280";
+
+/**
+ * Component for the summary statistics experiment.
+ * Lists descriptive statistics for the selected measurements, for each enabled gender
+ * and for the pooled population, in the current unit system.
+ * @extends Component
+ */
+class SummaryStatisticsComponent extends Component {
+	/**
+	 * Creates a new SummaryStatisticsComponent.
+	 * @param {HTMLElement} element - The root element.
+	 */
+	constructor(element) {
+		super(element);
+
+		this.dropdown = new MeasurementDropdownComponent(
+			this.element.querySelector("[data-measurement-dropdown]"),
+		);
+		this.tableBody = this.element.querySelector("tbody");
+		this.emptyText = this.element.querySelector("[data-statistics-empty]");
+		this.excludedHeader = this.element.querySelector(
+			"[data-statistics-excluded]",
+		);
+
+		window.addEventListener(EventName.DATASET_CHANGED, (event) =>
+			this.update(event.detail.dataset),
+		);
+	}
+
+	/**
+	 * Updates the measurement options for a new dataset.
+	 * @param {import("../../dataset.js").Dataset} dataset - The dataset.
+	 */
+	update(dataset) {
+		this.dropdown.update(dataset);
+	}
+
+	/**
+	 * Renders the statistics table.
+	 * @param {import("../../dataset.js").Dataset} dataset - The dataset.
+	 * @param {import("../../preferences.js").Preferences} preferences - User preferences.
+	 */
+	render(dataset, preferences) {
+		const ids = this.dropdown.values;
+		const measurements = dataset
+			.measurements()
+			.filter((m) => ids.includes(m.id));
+
+		const { series, seriesLabels, seriesColors, genders } =
+			buildMultiSeries(measurements, dataset, preferences);
+
+		const groups = series.map((s, i) => ({
+			series: s,
+			label: seriesLabels[i],
+			color: seriesColors[i],
+			genders: [genders[i]],
+		}));
+		if (series.length > 1) {
+			groups.push({
+				series: Series.pool(series),
+				label: t("statistics.pooled"),
+				color: POOLED_COLOR,
+				genders,
+			});
+		}
+
+		// Excluded outliers are missing from the series, but are listed apart from the values never measured.
+		const excluding = getExcludedOutlierRule(preferences) !== null;
+		this.excludedHeader.hidden = !excluding;
+
+		this.tableBody.innerHTML = "";
+		this.emptyText.hidden = measurements.length > 0 && groups.length > 0;
+
+		for (const measurement of measurements) {
+			const displayUnit = getDisplayUnit(measurement, preferences);
+
+			groups.forEach((group, i) => {
+				const s = group.series;
+				const id = measurement.id;
+				const format = (v) =>
+					v === undefined || isNaN(v)
+						? "–"
+						: formatNumber(v, displayUnit.decimals);
+
+				const missing = countMissingValues(measurement, group.genders);
+
+				const row = document.createElement("tr");
+				row.innerHTML = `
+					${i === 0 ? `<th scope="rowgroup" rowspan="${groups.length}">${escapeHtml(measurement.name)} <small>(${displayUnit.abbreviation})</small></th>` : ""}
+					<td style="color: ${group.color}">${group.label}</td>
+					<td>${s.count(id)}</td>
+					<td>${missing}</td>
+					${excluding ? `<td>${s.missingCount(id) - missing}</td>` : ""}
+					<td>${format(s.mean(id))}</td>
+					<td>${format(s.stddev(id))}</td>
+					<td>${format(s.min(id))}</td>
+					<td>${format(s.max(id))}</td>
+					<td>${format(s.median(id))}</td>
+					<td>${format(s.iqr(id))}</td>
+					<td>${formatNumber(s.skewness(id), 2)}</td>
+					<td>${formatNumber(s.kurtosis(id), 2)}</td>
+					${PERCENTILES.map((p) => `<td>${format(s.percentile(id, p))}</td>`).join("")}
+				`;
+				this.tableBody.appendChild(row);
+			});
+		}
+	}
+}
+
+export { SummaryStatisticsComponent };
@@ -0,0 +1,111 @@
+import { PlotComponent } from "./plot-component.js";
+import { AgeTrendPlot } from "../../plots/age-trend-plot.js";
+import {
+	buildAgeSeries,
+	getDisplayUnit,
+	getUnitAbbreviationForMeasurement,
+} from "../../data-utils.js";
+import { AgeBand, Covariate } from "../../model.js";
+import { getThemePreference } from "../../theme-toggle.js";
+import { parseFormattedNumber } from "../../i18n.js";
+
+/**
+ * The parameter of each trend line smoother: the fraction of subjects in each
+ * LOESS regression, or the half-width in years of the moving average window.
+ * @type {Object<string, number>}
+ */
+const SMOOTHING_PARAMETERS = {
+	loess: 0.5,
+	"moving-average": 2.5,
+};
+
+/**
+ * Component for the plot of a measurement against age.
+ * @extends PlotComponent
+ */
+export class AgeTrendPlotComponent extends PlotComponent {
+	/**
+	 * @param {HTMLCanvasElement} element
+	 * @param {Object} options
+	 * @param {string} options.measurementName
+	 * @param {string} options.measurementValueName
+	 * @param {string} options.smoothingOptionName
+	 * @param {string} options.pointsToggleName
+	 * @param {string} options.bandsToggleName
+	 */
+	constructor(element, options) {
+		super(element);
+		this.options = options;
+	}
+
+	render(dataset, preferences) {
+		const measurementId =
+			document.querySelector(
+				`details[data-measurement-dropdown][name='${this.options.measurementName}'] input[type=radio]:checked`,
+			)?.value ?? "stature";
+
+		const measurement = dataset
+			.measurements()
+			.find((m) => m.id === measurementId);
+
+		if (!measurement) return;
+
+		this.resize();
+
+		const seriesData = buildAgeSeries(measurement, dataset, preferences);
+
+		const valueInput = document.querySelector(
+			`input[name='${this.options.measurementValueName}']`,
+		);
+		const value = valueInput?.value
+			? parseFormattedNumber(valueInput.value)
+			: undefined;
+
+		const method =
+			document.querySelector(
+				`input[name='${this.options.smoothingOptionName}']:checked`,
+			)?.value ?? "loess";
+		const smoothing =
+			method in SMOOTHING_PARAMETERS
+				? { method, parameter: SMOOTHING_PARAMETERS[method] }
+				: null;
+
+		const pointsToggle = document.querySelector(
+			`input[name='${this.options.pointsToggleName}']`,
+		);
+		const bandsToggle = document.querySelector(
+			`input[name='${this.options.bandsToggleName}']`,
+		);
+
+		const plot = new AgeTrendPlot(
+			seriesData.series,
+			seriesData.seriesColors,
+			seriesData.seriesLabels,
+			AgeBand.all(),
+			smoothing,
+			value,
+			{ top: 20, right: 20, bottom: 40, left: 50 },
+			`${measurement.name} (${getUnitAbbreviationForMeasurement(
+				measurement.id,
+				dataset,
+				preferences,
+			)})`,
+			getThemePreference() === "dark",
+			pointsToggle ? pointsToggle.checked : true,
+			bandsToggle ? bandsToggle.checked : true,
+			dataset.hasCovariate(Covariate.AGE)
+				? "No subjects to plot."
+				: `${dataset.name} does not record age.`,
+		);
+		plot.decimals.y = getDisplayUnit(measurement, preferences).decimals;
+
+		this.draw(
+			plot,
+			[
+				dataset.id,
+				measurement.id,
+				getDisplayUnit(measurement, preferences).id,
+			].join(":"),
+		);
+	}
+}
@@ -0,0 +1,176 @@
+import { PlotComponent } from "./plot-component.js";
+import { CorrelationMatrixPlot } from "../../plots/correlation-matrix-plot.js";
+import { buildMultiSeries } from "../../data-utils.js";
+import { Category, Gender } from "../../model.js";
+import { getThemePreference } from "../../theme-toggle.js";
+
+/**
+ * The symbol shown for each correlation coefficient.
+ * @type {Object<string, string>}
+ */
+const COEFFICIENT_LABELS = {
+	pearson: "r",
+	spearman: "ρ",
+};
+
+/**
+ * The distance in CSS pixels a pointer may move between press and release and still count as a click rather than a pan.
+ * @type {number}
+ */
+const CLICK_TOLERANCE = 4;
+
+/**
+ * Component for the correlation matrix of every pair of measurements.
+ * Clicking a cell dispatches a bubbling `measurement-pair-select` event with the
+ * column (`measurementXId`) and row (`measurementYId`) measurement IDs.
+ * @extends PlotComponent
+ */
+export class CorrelationMatrixPlotComponent extends PlotComponent {
+	/**
+	 * @param {HTMLCanvasElement} element
+	 * @param {Object} options
+	 * @param {string} options.coefficientOptionName
+	 */
+	constructor(element, options) {
+		super(element);
+		this.options = options;
+
+		/** @type {{ key: string|null, matrices: Float64Array[], seriesColors: string[], seriesLabels: string[] }} The matrices of the last render, which only change with the dataset, population, genders or coefficient. */
+		this.cache = {
+			key: null,
+			matrices: [],
+			seriesColors: [],
+			seriesLabels: [],
+		};
+		/** @type {{ px: number, py: number }|null} Where the primary pointer was pressed. */
+		this.pressPosition = null;
+
+		this.element?.addEventListener("pointerdown", (event) => {
+			this.pressPosition = this.getCanvasPosition(event);
+		});
+		this.element?.addEventListener("click", this.onClick.bind(this));
+	}
+
+	/**
+	 * Handles clicks on the matrix by selecting the pair under the pointer.
+	 * Ignores the click that ends a pan.
+	 * @param {MouseEvent} event - The click event.
+	 */
+	onClick(event) {
+		const { px, py } = this.getCanvasPosition(event);
+		if (
+			!this.plot ||
+			!this.pressPosition ||
+			Math.hypot(px - this.pressPosition.px, py - this.pressPosition.py) >
+				CLICK_TOLERANCE
+		) {
+			return;
+		}
+
+		const pair = this.plot.pairAt(px, py);
+		if (!pair) return;
+
+		this.element.dispatchEvent(
+			new CustomEvent("measurement-pair-select", {
+				bubbles: true,
+				detail: {
+					measurementXId: pair.x.id,
+					measurementYId: pair.y.id,
+				},
+			}),
+		);
+	}
+
+	/**
+	 * Calculates the correlation matrix of a series over the given measurements.
+	 * @param {import("../../math.js").Series} series - The series.
+	 * @param {string[]} ids - The measurement IDs, in display order.
+	 * @param {"pearson"|"spearman"} coefficient - The correlation coefficient.
+	 * @returns {Float64Array} The symmetric, row-major matrix.
+	 */
+	calculateMatrix(series, ids, coefficient) {
+		const n = ids.length;
+		const matrix = new Float64Array(n * n);
+
+		for (let i = 0; i < n; i++) {
+			matrix[i * n + i] = 1;
+			for (let j = i + 1; j < n; j++) {
+				const r =
+					coefficient === "spearman"
+						? series.rankCorrelation(ids[i], ids[j])
+						: series.correlation(ids[i], ids[j]);
+				matrix[i * n + j] = r;
+				matrix[j * n + i] = r;
+			}
+		}
+
+		return matrix;
+	}
+
+	render(dataset, preferences) {
+		const coefficient =
+			document.querySelector(
+				`input[name='${this.options.coefficientOptionName}']:checked`,
+			)?.value ?? "pearson";
+
+		// Group the measurements by category, keeping the dataset order within each.
+		// Measurements listed without data for every gender are left out.
+		const categories = Category.all();
+		const measurements = dataset
+			.measurements()
+			.filter((m) =>
+				Gender.all().every((gender) => m.recorded[gender.id]),
+			)
+			.sort(
+				(a, b) =>
+					categories.indexOf(a.category) -
+					categories.indexOf(b.category),
+			);
+
+		this.resize();
+
+		// The matrix uses every measurement, which load in the background after the selected ones.
+		if (!dataset.isLoaded(measurements.map((m) => m.id))) return;
+
+		const genders = Gender.all().filter(
+			(gender) => preferences.genders[gender.id],
+		);
+
+		// Correlations do not depend on the unit system, so only recalculate when the data changes.
+		const key = [
+			dataset.id,
+			dataset.population.key(),
+			coefficient,
+			...genders.map((gender) => gender.id),
+		].join(":");
+		if (this.cache.key !== key) {
+			const { series, seriesColors, seriesLabels } = buildMultiSeries(
+				measurements,
+				dataset,
+				preferences,
+			);
+			const ids = measurements.map((m) => m.id);
+
+			this.cache = {
+				key,
+				matrices: series.map((s) =>
+					this.calculateMatrix(s, ids, coefficient),
+				),
+				seriesColors,
+				seriesLabels,
+			};
+		}
+
+		const plot = new CorrelationMatrixPlot(
+			measurements,
+			this.cache.matrices,
+			this.cache.seriesColors,
+			this.cache.seriesLabels,
+			COEFFICIENT_LABELS[coefficient],
+			{ top: 20, right: 80, bottom: 45, left: 60 },
+			getThemePreference() === "dark",
+		);
+
+		this.draw(plot, dataset.id);
+	}
+}
@@ -1,10 +1,14 @@
 import { PlotComponent } from "./plot-component.js";
 import { DensityPlot } from "../../plots/density-plot.js";
 import {
+	buildAgeBandSeries,
+	buildComparedSeries,
 	buildSeries,
-	getUnitAbbreviationForMeasurement,
+	getDisplayUnit,
 } from "../../data-utils.js";
 import { getThemePreference } from "../../theme-toggle.js";
+import { formatNumber, parseFormattedNumber } from "../../i18n.js";
+import { Kernel } from "../../math.js";
 
 export class DensityPlotComponent extends PlotComponent {
 	/**
@@ -13,10 +17,95 @@ export class DensityPlotComponent extends PlotComponent {
 	 * @param {string} options.measurementXName
 	 * @param {string} options.measurementValueXName
 	 * @param {string} options.sigmaToggleName
+	 * @param {string} options.curveOptionName
+	 * @param {string} options.kernelOptionName
+	 * @param {string} options.bandwidthOptionName
+	 * @param {string} options.bandwidthManualOptionName
+	 * @param {string} options.ageBandOptionName
 	 */
 	constructor(element, options) {
 		super(element);
 		this.options = options;
+
+		this.bandwidthSlider = document.querySelector(
+			`input[name='${this.options.bandwidthManualOptionName}']`,
+		);
+		this.bandwidthReadout =
+			this.bandwidthSlider?.parentElement.querySelector(
+				"[data-bandwidth-readout]",
+			);
+		// The measurement and unit the manual bandwidth slider is scaled for.
+		this.bandwidthSliderKey = null;
+	}
+
+	/**
+	 * Gets the value of the checked radio option with the given name.
+	 * @param {string} name - The name of the radio group.
+	 * @param {string} fallback - The value to use if none is checked.
+	 * @returns {string} The selected value.
+	 */
+	getOption(name, fallback) {
+		return (
+			document.querySelector(`input[name='${name}']:checked`)?.value ??
+			fallback
+		);
+	}
+
+	/**
+	 * Resolves the kernel density bandwidth for each series and updates the bandwidth controls.
+	 * The manual slider is rescaled around the Silverman bandwidth whenever the measurement or unit changes.
+	 * @param {import("../../math.js").Series[]} series - The series to estimate.
+	 * @param {string} rule - The bandwidth rule ("silverman", "scott" or "manual").
+	 * @param {string} sliderKey - Identifies the measurement and unit the slider is scaled for.
+	 * @param {import("../../model.js").DisplayUnit} displayUnit - The display unit, whose abbreviation the readout shows.
+	 * @returns {number[]} The bandwidth for each series.
+	 */
+	resolveBandwidths(series, rule, sliderKey, displayUnit) {
+		const slider = this.bandwidthSlider;
+
+		if (
+			slider &&
+			sliderKey !== this.bandwidthSliderKey &&
+			series.length > 0
+		) {
+			const reference =
+				series.reduce(
+					(sum, s) => sum + s.bandwidth("x", "silverman"),
+					0,
+				) / series.length;
+
+			slider.min = String(reference / 20);
+			slider.max = String(reference * 5);
+			slider.step = String(reference / 100);
+			slider.value = String(reference);
+			this.bandwidthSliderKey = sliderKey;
+		}
+
+		if (slider) {
+			slider.disabled = rule !== "manual";
+		}
+
+		const bandwidths =
+			rule === "manual" && slider
+				? series.map(() => parseFloat(slider.value))
+				: series.map((s) => s.bandwidth("x", rule));
+
+		if (this.bandwidthReadout) {
+			const unique = [
+				// A bandwidth is a fraction of the spread, so it is shown one decimal finer than the values.
+				...new Set(
+					bandwidths.map((h) =>
+						formatNumber(h, displayUnit.decimals + 1),
+					),
+				),
+			];
+			this.bandwidthReadout.textContent =
+				unique.length > 0
+					? `h = ${unique.join(" / ")} ${displayUnit.abbreviation}`
+					: "";
+		}
+
+		return bandwidths;
 	}
 
 	render(dataset, preferences) {
@@ -33,12 +122,20 @@ export class DensityPlotComponent extends PlotComponent {
 
 		this.resize();
 
-		const seriesData = buildSeries(measurementX, dataset, preferences);
+		const seriesData =
+			this.getOption(this.options.ageBandOptionName, "none") === "split"
+				? buildAgeBandSeries(measurementX, dataset, preferences)
+				: buildComparedSeries(
+						buildSeries,
+						[measurementX],
+						dataset,
+						preferences,
+					);
 		const valueXInput = document.querySelector(
 			`input[name='${this.options.measurementValueXName}']`,
 		);
 		const valueX = valueXInput?.value
-			? parseFloat(valueXInput.value)
+			? parseFormattedNumber(valueXInput.value)
 			: undefined;
 
 		const sigmaToggleInfo = document.querySelector(
@@ -46,6 +143,24 @@ export class DensityPlotComponent extends PlotComponent {
 		);
 		const showSigma = sigmaToggleInfo ? sigmaToggleInfo.checked : true;
 
+		const displayUnit = getDisplayUnit(measurementX, preferences);
+		const curveMode = this.getOption(
+			this.options.curveOptionName,
+			"normal",
+		);
+		const kernelId = this.getOption(
+			this.options.kernelOptionName,
+			Kernel.GAUSSIAN.id,
+		);
+		const kernel =
+			Kernel.all().find((k) => k.id === kernelId) ?? Kernel.GAUSSIAN;
+		const bandwidths = this.resolveBandwidths(
+			seriesData.series,
+			this.getOption(this.options.bandwidthOptionName, "silverman"),
+			`${measurementX.id},${displayUnit.id}`,
+			displayUnit,
+		);
+
 		const plot = new DensityPlot(
 			seriesData.series,
 			seriesData.seriesColors,
@@ -53,15 +168,22 @@ export class DensityPlotComponent extends PlotComponent {
 			3, // lineThickness
 			{ x: valueX },
 			{ top: 20, right: 20, bottom: 40, left: 50 },
-			`${measurementX.name} (${getUnitAbbreviationForMeasurement(
-				measurementX.id,
-				dataset,
-				preferences,
-			)})`,
+			`${measurementX.name} (${displayUnit.abbreviation})`,
 			getThemePreference() === "dark",
 			showSigma,
+			curveMode,
+			{ kernel, bandwidths },
 		);
+		plot.decimals.x = displayUnit.decimals;
 
-		plot.render(this.element);
+		this.draw(
+			plot,
+			[
+				dataset.id,
+				measurementX.id,
+				displayUnit.id,
+				preferences.compareDataset,
+			].join(":"),
+		);
 	}
 }
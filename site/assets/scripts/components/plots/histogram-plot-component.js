@@ -1,10 +1,13 @@
 import { PlotComponent } from "./plot-component.js";
 import { HistogramPlot } from "../../plots/histogram-plot.js";
 import {
+	buildComparedSeries,
 	buildSeries,
+	getDisplayUnit,
 	getUnitAbbreviationForMeasurement,
 } from "../../data-utils.js";
 import { getThemePreference } from "../../theme-toggle.js";
+import { parseFormattedNumber } from "../../i18n.js";
 
 export class HistogramPlotComponent extends PlotComponent {
 	/**
@@ -32,12 +35,17 @@ export class HistogramPlotComponent extends PlotComponent {
 
 		this.resize();
 
-		const seriesData = buildSeries(measurementX, dataset, preferences);
+		const seriesData = buildComparedSeries(
+			buildSeries,
+			[measurementX],
+			dataset,
+			preferences,
+		);
 		const valueXInput = document.querySelector(
 			`input[name='${this.options.measurementValueXName}']`,
 		);
 		const valueX = valueXInput?.value
-			? parseFloat(valueXInput.value)
+			? parseFormattedNumber(valueXInput.value)
 			: undefined;
 
 		const plot = new HistogramPlot(
@@ -55,7 +63,16 @@ export class HistogramPlotComponent extends PlotComponent {
 			)})`,
 			getThemePreference() === "dark",
 		);
+		plot.decimals.x = getDisplayUnit(measurementX, preferences).decimals;
 
-		plot.render(this.element);
+		this.draw(
+			plot,
+			[
+				dataset.id,
+				measurementX.id,
+				getDisplayUnit(measurementX, preferences).id,
+				preferences.compareDataset,
+			].join(":"),
+		);
 	}
 }
@@ -2,9 +2,11 @@ import { PlotComponent } from "./plot-component.js";
 import { JointDensityPlot } from "../../plots/joint-density-plot.js";
 import {
 	buildJointSeries,
+	getDisplayUnit,
 	getUnitAbbreviationForMeasurement,
 } from "../../data-utils.js";
 import { getThemePreference } from "../../theme-toggle.js";
+import { parseFormattedNumber } from "../../i18n.js";
 
 export class JointDensityPlotComponent extends PlotComponent {
 	/**
@@ -15,6 +17,8 @@ export class JointDensityPlotComponent extends PlotComponent {
 	 * @param {string} options.measurementValueXName
 	 * @param {string} options.measurementValueYName
 	 * @param {string} options.sigmaToggleName
+	 * @param {string} options.ellipseToggleName
+	 * @param {string} options.heatmapOptionName
 	 */
 	constructor(element, options) {
 		super(element);
@@ -57,10 +61,10 @@ export class JointDensityPlotComponent extends PlotComponent {
 		);
 
 		const valueX = valueXInput?.value
-			? parseFloat(valueXInput.value)
+			? parseFormattedNumber(valueXInput.value)
 			: undefined;
 		const valueY = valueYInput?.value
-			? parseFloat(valueYInput.value)
+			? parseFormattedNumber(valueYInput.value)
 			: undefined;
 
 		const sigmaToggleInfo = document.querySelector(
@@ -68,12 +72,25 @@ export class JointDensityPlotComponent extends PlotComponent {
 		);
 		const showSigma = sigmaToggleInfo ? sigmaToggleInfo.checked : true;
 
+		const ellipseToggle = document.querySelector(
+			`input[name='${this.options.ellipseToggleName}']`,
+		);
+		const showEllipses = ellipseToggle ? ellipseToggle.checked : true;
+
+		const heatmapMode =
+			document.querySelector(
+				`input[name='${this.options.heatmapOptionName}']:checked`,
+			)?.value ?? "mixture";
+
+		// Leave room on the right for the color scale legend.
+		const rightPadding = heatmapMode === "none" ? 20 : 80;
+
 		const plot = new JointDensityPlot(
 			seriesData.series,
 			seriesData.seriesColors,
 			seriesData.seriesLabels,
 			{ x: valueX, y: valueY },
-			{ top: 20, right: 20, bottom: 40, left: 50 },
+			{ top: 20, right: rightPadding, bottom: 40, left: 50 },
 			`${measurementX.name} (${getUnitAbbreviationForMeasurement(
 				measurementX.id,
 				dataset,
@@ -86,8 +103,23 @@ export class JointDensityPlotComponent extends PlotComponent {
 			)})`,
 			getThemePreference() === "dark",
 			showSigma,
+			heatmapMode,
+			showEllipses,
 		);
+		plot.decimals = {
+			x: getDisplayUnit(measurementX, preferences).decimals,
+			y: getDisplayUnit(measurementY, preferences).decimals,
+		};
 
-		plot.render(this.element);
+		this.draw(
+			plot,
+			[
+				dataset.id,
+				measurementX.id,
+				measurementY.id,
+				getDisplayUnit(measurementX, preferences).id,
+				getDisplayUnit(measurementY, preferences).id,
+			].join(":"),
+		);
 	}
 }
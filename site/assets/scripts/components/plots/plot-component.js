@@ -1,8 +1,13 @@
 import { Component } from "../component.js";
+import { downloadBlob } from "../../download-utils.js";
+import { formatNumber, parseFormattedNumber } from "../../i18n.js";
 
 /**
  * Base class for plot components.
- * Handles canvas resizing and common plot initialization.
+ * Handles canvas resizing, common plot initialization, hover inspection and zooming.
+ * The canvas is expected to sit in a positioned frame element, into which an
+ * overlay canvas (crosshair) and a tooltip are inserted. The frame may be followed
+ * by a `[data-plot-toolbar]` holding axis-range inputs, a reset button and export buttons.
  */
 export class PlotComponent extends Component {
 	/**
@@ -11,10 +16,79 @@ export class PlotComponent extends Component {
 	 */
 	constructor(element) {
 		super(element);
+
+		/** @type {import("../../plots/plot.js").Plot|null} The most recently drawn plot. */
+		this.plot = null;
+		/** @type {{ px: number, py: number }|null} The pointer position being inspected, in CSS pixels. */
+		this.pointer = null;
+		/** @type {{minX?: number, maxX?: number, minY?: number, maxY?: number}|null} The zoomed view, or null for the full data range. */
+		this.view = null;
+		/** @type {string|null} Identifies what the view was set for; the view resets when this changes. */
+		this.viewKey = null;
+		/** @type {Map<number, { px: number, py: number }>} The pointers pressed on the canvas, by pointer ID. */
+		this.activePointers = new Map();
+		/** @type {number|null} The pending animation frame for a redraw. */
+		this.redrawFrame = null;
+
+		const frame = this.element?.parentElement;
+		if (!frame) return;
+
+		this.toolbar = frame.parentElement?.querySelector(
+			"[data-plot-toolbar]",
+		);
+		this.boundInputs = this.toolbar
+			? [...this.toolbar.querySelectorAll("input[data-view-bound]")]
+			: [];
+		this.resetButton = this.toolbar?.querySelector("[data-view-reset]");
+
+		for (const input of this.boundInputs) {
+			input.addEventListener("change", this.onBoundChange.bind(this));
+		}
+		this.resetButton?.addEventListener("click", this.resetView.bind(this));
+
+		for (const button of this.toolbar?.querySelectorAll(
+			"[data-plot-export]",
+		) ?? []) {
+			button.addEventListener("click", () =>
+				this.export(button.dataset.plotExport),
+			);
+		}
+
+		this.overlay = document.createElement("canvas");
+		this.overlay.className = "plot-overlay";
+		this.overlay.setAttribute("aria-hidden", "true");
+		frame.appendChild(this.overlay);
+
+		this.tooltip = document.createElement("div");
+		this.tooltip.className = "plot-tooltip";
+		this.tooltip.setAttribute("role", "status");
+		this.tooltip.hidden = true;
+		frame.appendChild(this.tooltip);
+
+		this.element.addEventListener(
+			"pointermove",
+			this.onPointerMove.bind(this),
+		);
+		this.element.addEventListener(
+			"pointerdown",
+			this.onPointerDown.bind(this),
+		);
+		this.element.addEventListener("pointerup", this.onPointerUp.bind(this));
+		this.element.addEventListener(
+			"pointercancel",
+			this.onPointerUp.bind(this),
+		);
+		this.element.addEventListener(
+			"pointerleave",
+			this.onPointerLeave.bind(this),
+		);
+		this.element.addEventListener("wheel", this.onWheel.bind(this), {
+			passive: false,
+		});
 	}
 
 	/**
-	 * Resizes the canvas to match its display size, accounting for DPR.
+	 * Resizes the canvas (and its overlay) to match its display size, accounting for DPR.
 	 */
 	resize() {
 		const canvas = this.element;
@@ -29,13 +103,364 @@ export class PlotComponent extends Component {
 		// If dimensions are 0, the canvas may not be rendered yet
 		if (width === 0 || height === 0) return;
 
-		// Set the actual size in memory (scaled to account for extra pixel density)
-		canvas.width = Math.floor(width * dpr);
-		canvas.height = Math.floor(height * dpr);
+		for (const target of [canvas, this.overlay]) {
+			if (!target) continue;
+
+			// Set the actual size in memory (scaled to account for extra pixel density)
+			target.width = Math.floor(width * dpr);
+			target.height = Math.floor(height * dpr);
+
+			// Normalize coordinate system to use css pixels.
+			const ctx = target.getContext("2d");
+			ctx.scale(dpr, dpr);
+		}
+	}
+
+	/**
+	 * Draws a plot onto the canvas with the current view, and re-applies any active inspection to it.
+	 * @param {import("../../plots/plot.js").Plot} plot - The plot to draw.
+	 * @param {string} [viewKey] - Identifies what is plotted (e.g. dataset, measurements and unit).
+	 * The view is kept across draws with the same key and reset when it changes.
+	 */
+	draw(plot, viewKey = this.viewKey) {
+		if (viewKey !== this.viewKey) {
+			this.view = null;
+			this.viewKey = viewKey;
+		}
+
+		this.plot = plot;
+		plot.viewBounds = this.view;
+		plot.render(this.element);
+		this.updateToolbar();
+		this.updateInspection();
+	}
+
+	/**
+	 * Redraws the current plot on the next animation frame, coalescing repeated requests.
+	 */
+	requestRedraw() {
+		if (this.redrawFrame !== null) return;
+
+		this.redrawFrame = requestAnimationFrame(() => {
+			this.redrawFrame = null;
+			if (this.plot) this.draw(this.plot);
+		});
+	}
+
+	/**
+	 * Sets the zoomed view and redraws.
+	 * @param {{minX?: number, maxX?: number, minY?: number, maxY?: number}|null} view - The view, or null for the full data range.
+	 */
+	setView(view) {
+		this.view = view;
+		this.requestRedraw();
+	}
+
+	/**
+	 * Resets the view to the full data range.
+	 */
+	resetView() {
+		this.setView(null);
+	}
+
+	/**
+	 * Zooms the zoomable axes around a canvas position.
+	 * @param {number} factor - The factor to scale the visible range by; below 1 zooms in.
+	 * @param {number} px - The X coordinate on the canvas to keep fixed.
+	 * @param {number} py - The Y coordinate on the canvas to keep fixed.
+	 */
+	zoom(factor, px, py) {
+		const { plot } = this;
+		if (!plot?.bounds || !plot.size) return;
+
+		// Build on the pending view, which may not have been drawn yet.
+		const bounds = { ...plot.bounds, ...this.view };
+		const { width, height } = plot.size;
+		const anchor = plot.invertPointProjection(
+			px,
+			py,
+			width,
+			height,
+			bounds,
+		);
+
+		const view = { ...this.view };
+		for (const axis of plot.zoomAxes()) {
+			const min = `min${axis.toUpperCase()}`;
+			const max = `max${axis.toUpperCase()}`;
+			const center = anchor[axis === "x" ? 0 : 1];
+
+			view[min] = center - (center - bounds[min]) * factor;
+			view[max] = center + (bounds[max] - center) * factor;
+		}
+
+		this.setView(view);
+	}
+
+	/**
+	 * Pans the zoomable axes by a canvas distance.
+	 * @param {number} dx - The horizontal distance in CSS pixels.
+	 * @param {number} dy - The vertical distance in CSS pixels.
+	 */
+	pan(dx, dy) {
+		const { plot } = this;
+		if (!plot?.bounds || !plot.size) return;
+
+		const { width, height } = plot.size;
+		const { padding } = plot;
+		const plotWidth = width - padding.left - padding.right;
+		const plotHeight = height - padding.top - padding.bottom;
+
+		// Build on the pending view, which may not have been drawn yet.
+		const bounds = { ...plot.bounds, ...this.view };
+
+		const view = { ...this.view };
+		for (const axis of plot.zoomAxes()) {
+			const min = `min${axis.toUpperCase()}`;
+			const max = `max${axis.toUpperCase()}`;
+			const span = bounds[max] - bounds[min];
+
+			// Screen Y grows downwards while data Y grows upwards.
+			const shift =
+				axis === "x"
+					? (-dx / plotWidth) * span
+					: (dy / plotHeight) * span;
+
+			view[min] = bounds[min] + shift;
+			view[max] = bounds[max] + shift;
+		}
+
+		this.setView(view);
+	}
+
+	/**
+	 * Downloads the current plot, as drawn on screen, as an image.
+	 * @param {"png"|"svg"} format - The image format.
+	 * @returns {Promise<void>} A promise that resolves once the download has started.
+	 */
+	async export(format) {
+		if (!this.plot?.size) return;
+
+		const filename = [this.element.id, ...(this.viewKey?.split(":") ?? [])]
+			.filter(Boolean)
+			.join("-");
+
+		if (format === "svg") {
+			const blob = new Blob([this.plot.toSvg()], {
+				type: "image/svg+xml",
+			});
+			downloadBlob(blob, `${filename}.svg`);
+		} else {
+			downloadBlob(await this.plot.toPng(), `${filename}.png`);
+		}
+	}
+
+	/**
+	 * Mirrors the rendered bounds into the axis-range inputs.
+	 */
+	updateToolbar() {
+		const bounds = this.plot?.bounds;
+
+		for (const input of this.boundInputs) {
+			// Leave the input being edited alone.
+			if (input === document.activeElement) continue;
+
+			const value = bounds?.[input.dataset.viewBound];
+			const axis = input.dataset.viewBound.endsWith("X") ? "x" : "y";
+			input.value =
+				value === undefined
+					? ""
+					: formatNumber(value, this.plot.decimals[axis]);
+			input.removeAttribute("aria-invalid");
+		}
+
+		if (this.resetButton) {
+			this.resetButton.disabled = !this.plot?.isZoomed();
+		}
+	}
+
+	/**
+	 * Handles edits to the axis-range inputs.
+	 * Applies them as the view when each minimum is below its maximum.
+	 */
+	onBoundChange() {
+		const view = { ...this.view };
+		for (const input of this.boundInputs) {
+			const value = parseFormattedNumber(input.value);
+			if (!isNaN(value)) view[input.dataset.viewBound] = value;
+		}
+
+		let valid = true;
+		for (const axis of ["X", "Y"]) {
+			const invalid = view[`min${axis}`] >= view[`max${axis}`];
+			valid &&= !invalid;
+
+			for (const input of this.boundInputs) {
+				if (input.dataset.viewBound.endsWith(axis)) {
+					input.setAttribute("aria-invalid", invalid);
+				}
+			}
+		}
+
+		if (valid) this.setView(view);
+	}
+
+	/**
+	 * Gets the position of a pointer event relative to the canvas.
+	 * @param {PointerEvent|WheelEvent} event - The event.
+	 * @returns {{ px: number, py: number }} The position in CSS pixels.
+	 */
+	getCanvasPosition(event) {
+		const rect = this.element.getBoundingClientRect();
+		return { px: event.clientX - rect.left, py: event.clientY - rect.top };
+	}
+
+	/**
+	 * Handles a pointer being pressed on the canvas, starting a pan or pinch.
+	 * @param {PointerEvent} event - The pointer event.
+	 */
+	onPointerDown(event) {
+		if (event.pointerType === "mouse" && event.button !== 0) return;
+
+		this.element.setPointerCapture(event.pointerId);
+		this.activePointers.set(event.pointerId, this.getCanvasPosition(event));
+		this.pointer = this.getCanvasPosition(event);
+		this.updateInspection();
+	}
+
+	/**
+	 * Handles pointer movement over the canvas.
+	 * Pans while one pointer is pressed and zooms while two are pinched.
+	 * @param {PointerEvent} event - The pointer event.
+	 */
+	onPointerMove(event) {
+		const position = this.getCanvasPosition(event);
+		const previous = this.activePointers.get(event.pointerId);
+
+		if (previous && this.activePointers.size === 1) {
+			this.pan(position.px - previous.px, position.py - previous.py);
+		} else if (previous && this.activePointers.size === 2) {
+			const other = [...this.activePointers.entries()].find(
+				([id]) => id !== event.pointerId,
+			)[1];
+			const before = Math.hypot(
+				previous.px - other.px,
+				previous.py - other.py,
+			);
+			const after = Math.hypot(
+				position.px - other.px,
+				position.py - other.py,
+			);
+
+			if (before > 0 && after > 0) {
+				this.zoom(
+					before / after,
+					(position.px + other.px) / 2,
+					(position.py + other.py) / 2,
+				);
+			}
+		}
+
+		if (previous) this.activePointers.set(event.pointerId, position);
+
+		this.pointer = position;
+		this.updateInspection();
+	}
+
+	/**
+	 * Handles a pointer being released or cancelled.
+	 * @param {PointerEvent} event - The pointer event.
+	 */
+	onPointerUp(event) {
+		this.activePointers.delete(event.pointerId);
+	}
+
+	/**
+	 * Handles the pointer leaving the canvas.
+	 */
+	onPointerLeave() {
+		if (this.activePointers.size > 0) return;
+
+		this.pointer = null;
+		this.updateInspection();
+	}
+
+	/**
+	 * Handles the mouse wheel (and trackpad pinch, which browsers report as a wheel) by zooming around the pointer.
+	 * @param {WheelEvent} event - The wheel event.
+	 */
+	onWheel(event) {
+		if (!this.plot || this.plot.zoomAxes().length === 0) return;
+
+		event.preventDefault();
+
+		// Line-based deltas (e.g. Firefox) are much smaller than pixel-based ones.
+		const scale =
+			event.deltaMode === WheelEvent.DOM_DELTA_LINE ? 0.05 : 0.002;
+		const { px, py } = this.getCanvasPosition(event);
+		this.zoom(Math.exp(event.deltaY * scale), px, py);
+	}
+
+	/**
+	 * Redraws the crosshair overlay and tooltip for the current pointer position.
+	 */
+	updateInspection() {
+		if (!this.overlay) return;
+
+		const ctx = this.overlay.getContext("2d");
+		ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+
+		const inspection =
+			this.plot && this.pointer
+				? this.plot.inspect(this.pointer.px, this.pointer.py)
+				: null;
+
+		if (!inspection) {
+			this.tooltip.hidden = true;
+			return;
+		}
+
+		this.plot.drawInspection(ctx, inspection);
+		this.showTooltip(inspection);
+	}
+
+	/**
+	 * Fills and positions the tooltip next to the inspected point.
+	 * @param {NonNullable<ReturnType<import("../../plots/plot.js").Plot["inspect"]>>} inspection - The inspection to show.
+	 */
+	showTooltip(inspection) {
+		this.tooltip.innerHTML = "";
+
+		const title = document.createElement("strong");
+		title.textContent = inspection.title;
+		this.tooltip.appendChild(title);
+
+		for (const row of inspection.rows) {
+			const line = document.createElement("div");
+			const label = document.createElement("span");
+			label.textContent = `${row.label}: `;
+			if (row.color) label.style.color = row.color;
+			line.append(label, row.value);
+			this.tooltip.appendChild(line);
+		}
+
+		this.tooltip.hidden = false;
+
+		// Keep the tooltip inside the frame, flipping to the other side of the pointer near the edges.
+		const offset = 12;
+		const frameWidth = this.element.offsetWidth;
+		const frameHeight = this.element.offsetHeight;
+		const { offsetWidth: tipWidth, offsetHeight: tipHeight } = this.tooltip;
+
+		let left = inspection.px + offset;
+		if (left + tipWidth > frameWidth)
+			left = inspection.px - offset - tipWidth;
+		let top = inspection.py + offset;
+		if (top + tipHeight > frameHeight)
+			top = inspection.py - offset - tipHeight;
 
-		// Normalize coordinate system to use css pixels.
-		const ctx = canvas.getContext("2d");
-		ctx.scale(dpr, dpr);
+		this.tooltip.style.left = `${Math.max(0, left)}px`;
+		this.tooltip.style.top = `${Math.max(0, top)}px`;
 	}
 
 	/**
@@ -1,10 +1,16 @@
 import { PlotComponent } from "./plot-component.js";
 import { ScatterPlot } from "../../plots/scatter-plot.js";
 import {
+	buildComparedSeries,
 	buildJointSeries,
+	buildRegressions,
+	getComparisonDataset,
+	getDisplayUnit,
 	getUnitAbbreviationForMeasurement,
 } from "../../data-utils.js";
+import { OutlierRule } from "../../math.js";
 import { getThemePreference } from "../../theme-toggle.js";
+import { parseFormattedNumber } from "../../i18n.js";
 
 export class ScatterPlotComponent extends PlotComponent {
 	/**
@@ -14,6 +20,8 @@ export class ScatterPlotComponent extends PlotComponent {
 	 * @param {string} options.measurementYName
 	 * @param {string} options.measurementValueXName
 	 * @param {string} options.measurementValueYName
+	 * @param {string} options.regressionOptionName
+	 * @param {string} options.regressionGroupOptionName
 	 */
 	constructor(element, options) {
 		super(element);
@@ -41,13 +49,31 @@ export class ScatterPlotComponent extends PlotComponent {
 
 		this.resize();
 
-		const seriesData = buildJointSeries(
-			measurementX,
-			measurementY,
+		const seriesData = buildComparedSeries(
+			buildJointSeries,
+			[measurementX, measurementY],
 			dataset,
 			preferences,
 		);
 
+		// Regressions describe the selected dataset, not the comparison dataset.
+		const regressions = buildRegressions(
+			getComparisonDataset(dataset, preferences)
+				? buildJointSeries(
+						measurementX,
+						measurementY,
+						dataset,
+						preferences,
+					)
+				: seriesData,
+			document.querySelector(
+				`input[name='${this.options.regressionOptionName}']:checked`,
+			)?.value ?? "none",
+			document.querySelector(
+				`input[name='${this.options.regressionGroupOptionName}']:checked`,
+			)?.value ?? "gender",
+		);
+
 		const valueXInput = document.querySelector(
 			`input[name='${this.options.measurementValueXName}']`,
 		);
@@ -56,10 +82,10 @@ export class ScatterPlotComponent extends PlotComponent {
 		);
 
 		const valueX = valueXInput?.value
-			? parseFloat(valueXInput.value)
+			? parseFormattedNumber(valueXInput.value)
 			: undefined;
 		const valueY = valueYInput?.value
-			? parseFloat(valueYInput.value)
+			? parseFormattedNumber(valueYInput.value)
 			: undefined;
 
 		const plot = new ScatterPlot(
@@ -80,8 +106,29 @@ export class ScatterPlotComponent extends PlotComponent {
 				preferences,
 			)})`,
 			getThemePreference() === "dark",
+			// Excluded outliers are not plotted, so there is nothing to flag.
+			preferences.excludeOutliers
+				? null
+				: (OutlierRule.all().find(
+						(rule) => rule.id === preferences.outlierRule,
+					) ?? OutlierRule.IQR),
+			regressions,
 		);
+		plot.decimals = {
+			x: getDisplayUnit(measurementX, preferences).decimals,
+			y: getDisplayUnit(measurementY, preferences).decimals,
+		};
 
-		plot.render(this.element);
+		this.draw(
+			plot,
+			[
+				dataset.id,
+				measurementX.id,
+				measurementY.id,
+				getDisplayUnit(measurementX, preferences).id,
+				getDisplayUnit(measurementY, preferences).id,
+				preferences.compareDataset,
+			].join(":"),
+		);
 	}
 }
@@ -1,5 +1,7 @@
-import { Series } from "./math.js";
-import { Gender } from "./model.js";
+import { OutlierRule, Regression, RegressionModel, Series } from "./math.js";
+import { Dataset } from "./dataset.js";
+import { AgeBand, Covariate, Gender } from "./model.js";
+import { t } from "./i18n.js";
 
 /**
  * Evidence categories based on Lee & Wagenmakers (2013) interpretation of Bayes factors.
@@ -9,32 +11,54 @@ import { Gender } from "./model.js";
 /**
  * Gets the evidence category for a Bayes factor using Lee & Wagenmakers (2013) scale.
  * @param {number} bf - The Bayes factor (can be < 1 or > 1).
- * @returns {{ category: EvidenceCategory, label: string, favors: 'first' | 'second' | 'neither' }}
+ * @returns {{ category: EvidenceCategory, label: string, favors: 'first' | 'second' | 'neither' }} The category, with its label in the current locale.
  */
 export const getEvidenceCategory = (bf) => {
 	const absBf = bf >= 1 ? bf : 1 / bf;
 	const favors = bf >= 1 ? "first" : "second";
 
+	let category;
 	if (absBf >= 100) {
-		return { category: "extreme", label: "Extreme", favors };
+		category = "extreme";
 	} else if (absBf >= 30) {
-		return { category: "veryStrong", label: "Very Strong", favors };
+		category = "veryStrong";
 	} else if (absBf >= 10) {
-		return { category: "strong", label: "Strong", favors };
+		category = "strong";
 	} else if (absBf >= 3) {
-		return { category: "moderate", label: "Moderate", favors };
+		category = "moderate";
 	} else {
-		return { category: "anecdotal", label: "Anecdotal", favors };
+		category = "anecdotal";
 	}
+
+	return { category, label: t(`evidence.${category}`), favors };
 };
 
 /**
- * Converts measurement values to the display unit based on preferences.
- * @param {number[]} values - The values to convert.
+ * Returns whether a gender is plotted: it must be selected and have subjects in the selected population.
+ * @param {Gender} gender - The gender.
+ * @param {import("./dataset.js").Dataset} dataset - The dataset.
+ * @param {import("./preferences.js").Preferences} preferences - user preferences.
+ * @returns {boolean} Whether to build a series for the gender.
+ */
+const includesGender = (gender, dataset, preferences) =>
+	preferences.genders[gender.id] && dataset.subjectCount(gender, true) > 0;
+
+/**
+ * Gets the display unit chosen for a measurement's unit in the selected unit system.
+ * @param {import("./model.js").Measurement} measurement - The measurement.
+ * @param {{unit: string, displayUnits?: Object<string, Object<string, string>>}} preferences - user preferences.
+ * @returns {import("./model.js").DisplayUnit} The display unit.
+ */
+export const getDisplayUnit = (measurement, preferences) =>
+	measurement.unit.displayUnitFor(preferences.unit, preferences.displayUnits);
+
+/**
+ * Converts measurement values to the display unit based on preferences. Missing values stay null.
+ * @param {Array<number|null>} values - The values to convert, with null for missing values.
  * @param {string} measurementId - The ID of the measurement.
  * @param {import("./dataset.js").Dataset} dataset - The dataset.
  * @param {import("./preferences.js").Preferences} preferences - user preferences.
- * @returns {number[]} The converted values.
+ * @returns {Array<number|null>} The converted values.
  */
 export const convertValuesForDisplay = (
 	values,
@@ -47,8 +71,84 @@ export const convertValuesForDisplay = (
 		.find((m) => m.id === measurementId);
 
 	return values.map((v) =>
-		measurement.unit.convertTo(v, { id: preferences.unit }),
+		v === null
+			? null
+			: measurement.unit.convertTo(
+					v,
+					getDisplayUnit(measurement, preferences),
+				),
+	);
+};
+
+/**
+ * Gets the outlier rule subjects are excluded by.
+ * @param {{excludeOutliers: boolean, outlierRule: string}} preferences - user preferences.
+ * @returns {OutlierRule|null} The rule, or null if outliers are included.
+ */
+export const getExcludedOutlierRule = (preferences) =>
+	preferences.excludeOutliers
+		? (OutlierRule.all().find(
+				(rule) => rule.id === preferences.outlierRule,
+			) ?? OutlierRule.IQR)
+		: null;
+
+/**
+ * Gets the values of a measurement for the subjects of a gender in the population, in the display unit.
+ * When outliers are excluded, values outside the fences of the rule, fitted to the population, are missing.
+ * @param {Object} measurement - The measurement.
+ * @param {Gender} gender - The gender.
+ * @param {import("./dataset.js").Dataset} dataset - The dataset.
+ * @param {import("./preferences.js").Preferences} preferences - user preferences.
+ * @returns {Array<number|null>} The values, with null for missing and excluded values.
+ */
+export const displayValuesFor = (measurement, gender, dataset, preferences) => {
+	const values = convertValuesForDisplay(
+		measurement.valuesFor(gender),
+		measurement.id,
+		dataset,
+		preferences,
 	);
+	const rule = getExcludedOutlierRule(preferences);
+	if (!rule) return values;
+
+	const series = new Series({ x: values });
+	return values.map((v) => (series.isOutlier("x", rule, v) ? null : v));
+};
+
+/**
+ * Counts the subjects of some genders in the population without a value for a measurement.
+ * Values excluded as outliers are not counted, so subtracting this from a series' missing count gives the excluded ones.
+ * @param {Object} measurement - The measurement.
+ * @param {Gender[]} genders - The genders.
+ * @returns {number} The number of missing values.
+ */
+export const countMissingValues = (measurement, genders) =>
+	genders.reduce(
+		(sum, gender) =>
+			sum +
+			measurement.valuesFor(gender).filter((v) => v === null).length,
+		0,
+	);
+
+/**
+ * Excludes the bivariate outliers of a two-variable series, by Mahalanobis distance, when outliers are excluded.
+ * @param {Series} series - The series, with dimensions "x" and "y".
+ * @param {import("./preferences.js").Preferences} preferences - user preferences.
+ * @returns {Series} The series, with both values of each outlying subject missing.
+ */
+const excludeBivariateOutliers = (series, preferences) => {
+	if (!getExcludedOutlierRule(preferences)) return series;
+
+	const xs = series.valuesOf("x");
+	const ys = series.valuesOf("y");
+	const outlying = xs.map((x, i) =>
+		series.isBivariateOutlier("x", "y", x, ys[i]),
+	);
+
+	return new Series({
+		x: xs.map((x, i) => (outlying[i] ? null : x)),
+		y: ys.map((y, i) => (outlying[i] ? null : y)),
+	});
 };
 
 /**
@@ -56,57 +156,62 @@ export const convertValuesForDisplay = (
  * @param {Object} measurementX - The measurement object.
  * @param {import("./dataset.js").Dataset} dataset - The dataset.
  * @param {import("./preferences.js").Preferences} preferences - user preferences.
- * @returns {{series: Series[], seriesLabels: string[], seriesColors: string[]}}
+ * @returns {{series: Series[], seriesLabels: string[], seriesColors: string[], genders: Gender[]}}
  */
 export const buildSeries = (measurementX, dataset, preferences) => {
 	const series = [];
 	const seriesLabels = [];
 	const seriesColors = [];
+	const genders = [];
 
-	if (preferences.genders.male) {
+	if (includesGender(Gender.MALE, dataset, preferences)) {
 		series.push(
 			new Series({
-				x: convertValuesForDisplay(
-					measurementX.valuesFor(Gender.MALE),
-					measurementX.id,
+				x: displayValuesFor(
+					measurementX,
+					Gender.MALE,
 					dataset,
 					preferences,
 				),
 			}),
 		);
-		seriesLabels.push("Male");
+		seriesLabels.push(Gender.MALE.name);
 		seriesColors.push("#2563eb");
+		genders.push(Gender.MALE);
 	}
 
-	if (preferences.genders.female) {
+	if (includesGender(Gender.FEMALE, dataset, preferences)) {
 		series.push(
 			new Series({
-				x: convertValuesForDisplay(
-					measurementX.valuesFor(Gender.FEMALE),
-					measurementX.id,
+				x: displayValuesFor(
+					measurementX,
+					Gender.FEMALE,
 					dataset,
 					preferences,
 				),
 			}),
 		);
-		seriesLabels.push("Female");
+		seriesLabels.push(Gender.FEMALE.name);
 		seriesColors.push("#db2777");
+		genders.push(Gender.FEMALE);
 	}
 
 	return {
 		series: series,
 		seriesLabels: seriesLabels,
 		seriesColors: seriesColors,
+		genders: genders,
 	};
 };
 
 /**
  * Builds data series for two-variable plots.
+ * When outliers are excluded, subjects whose pair of values is a bivariate outlier are excluded too.
  * @param {Object} measurementX - The X measurement.
  * @param {Object} measurementY - The Y measurement.
  * @param {import("./dataset.js").Dataset} dataset - The dataset.
  * @param {import("./preferences.js").Preferences} preferences - user preferences.
- * @returns {{series: Series[], seriesLabels: string[], seriesColors: string[]}}
+ * @returns {{series: Series[], seriesLabels: string[], seriesColors: string[], genders: Gender[]}}
  */
 export const buildJointSeries = (
 	measurementX,
@@ -117,53 +222,327 @@ export const buildJointSeries = (
 	const series = [];
 	const seriesLabels = [];
 	const seriesColors = [];
+	const genders = [];
 
-	if (preferences.genders.male) {
+	if (includesGender(Gender.MALE, dataset, preferences)) {
 		series.push(
-			new Series({
-				x: convertValuesForDisplay(
-					measurementX.valuesFor(Gender.MALE),
-					measurementX.id,
-					dataset,
-					preferences,
-				),
-				y:
-					measurementY === null
-						? []
-						: convertValuesForDisplay(
-								measurementY.valuesFor(Gender.MALE),
-								measurementY.id,
-								dataset,
-								preferences,
-							),
-			}),
+			excludeBivariateOutliers(
+				new Series({
+					x: displayValuesFor(
+						measurementX,
+						Gender.MALE,
+						dataset,
+						preferences,
+					),
+					y:
+						measurementY === null
+							? []
+							: displayValuesFor(
+									measurementY,
+									Gender.MALE,
+									dataset,
+									preferences,
+								),
+				}),
+				preferences,
+			),
 		);
-		seriesLabels.push("Male");
+		seriesLabels.push(Gender.MALE.name);
 		seriesColors.push("#2563eb");
+		genders.push(Gender.MALE);
 	}
 
-	if (preferences.genders.female) {
+	if (includesGender(Gender.FEMALE, dataset, preferences)) {
 		series.push(
-			new Series({
-				x: convertValuesForDisplay(
-					measurementX.valuesFor(Gender.FEMALE),
-					measurementX.id,
-					dataset,
-					preferences,
-				),
-				y:
-					measurementY === null
-						? []
-						: convertValuesForDisplay(
-								measurementY.valuesFor(Gender.FEMALE),
-								measurementY.id,
-								dataset,
-								preferences,
-							),
-			}),
+			excludeBivariateOutliers(
+				new Series({
+					x: displayValuesFor(
+						measurementX,
+						Gender.FEMALE,
+						dataset,
+						preferences,
+					),
+					y:
+						measurementY === null
+							? []
+							: displayValuesFor(
+									measurementY,
+									Gender.FEMALE,
+									dataset,
+									preferences,
+								),
+				}),
+				preferences,
+			),
 		);
-		seriesLabels.push("Female");
+		seriesLabels.push(Gender.FEMALE.name);
 		seriesColors.push("#db2777");
+		genders.push(Gender.FEMALE);
+	}
+
+	return {
+		series: series,
+		seriesLabels: seriesLabels,
+		seriesColors: seriesColors,
+		genders: genders,
+	};
+};
+
+/**
+ * The color of a regression fitted to all subjects, regardless of gender.
+ * @type {string}
+ */
+const POOLED_COLOR = "#6b7280";
+
+/**
+ * Fits regressions of Y on X to joint series such as those of `buildJointSeries`.
+ * Regressions that cannot be fitted, for want of subjects, are left out.
+ * @param {{series: Series[], seriesLabels: string[], seriesColors: string[]}} seriesData - The joint series.
+ * @param {string} modelId - The ID of the regression model, or "none" for no regression.
+ * @param {"gender"|"pooled"|"both"} grouping - Whether to fit each series, all series pooled, or both.
+ * @returns {{regressions: Regression[], labels: string[], colors: string[]}} The fitted regressions, with their labels and colors.
+ */
+export const buildRegressions = (seriesData, modelId, grouping) => {
+	const model = RegressionModel.all().find((m) => m.id === modelId);
+	const fits = [];
+
+	if (model && grouping !== "pooled") {
+		seriesData.series.forEach((series, i) => {
+			fits.push({
+				regression: new Regression([series], model),
+				label: seriesData.seriesLabels[i],
+				color: seriesData.seriesColors[i],
+			});
+		});
+	}
+
+	if (model && grouping !== "gender" && seriesData.series.length > 0) {
+		fits.push({
+			regression: new Regression(seriesData.series, model),
+			label: t("statistics.pooled"),
+			color: POOLED_COLOR,
+		});
+	}
+
+	const fitted = fits.filter((fit) => fit.regression.fitted);
+	return {
+		regressions: fitted.map((fit) => fit.regression),
+		labels: fitted.map((fit) => fit.label),
+		colors: fitted.map((fit) => fit.color),
+	};
+};
+
+/**
+ * Builds data series over any number of measurements, one dimension per measurement ID.
+ * @param {Object[]} measurements - The measurements.
+ * @param {import("./dataset.js").Dataset} dataset - The dataset.
+ * @param {import("./preferences.js").Preferences} preferences - user preferences.
+ * @returns {{series: Series[], seriesLabels: string[], seriesColors: string[], genders: Gender[]}}
+ */
+export const buildMultiSeries = (measurements, dataset, preferences) => {
+	const genders = Gender.all().filter((gender) =>
+		includesGender(gender, dataset, preferences),
+	);
+
+	const series = genders.map(
+		(gender) =>
+			new Series(
+				Object.fromEntries(
+					measurements.map((measurement) => [
+						measurement.id,
+						displayValuesFor(
+							measurement,
+							gender,
+							dataset,
+							preferences,
+						),
+					]),
+				),
+			),
+	);
+
+	return {
+		series: series,
+		seriesLabels: genders.map((gender) => gender.name),
+		seriesColors: genders.map((gender) =>
+			gender === Gender.MALE ? "#2563eb" : "#db2777",
+		),
+		genders: genders,
+	};
+};
+
+/**
+ * The color of each gender's series from a comparison dataset.
+ * @type {Object<string, string>}
+ */
+const COMPARISON_COLORS = {
+	male: "#0d9488",
+	female: "#d97706",
+};
+
+/**
+ * Gets the dataset to compare the selected dataset with, if one is chosen and has been fetched.
+ * @param {import("./dataset.js").Dataset} dataset - The selected dataset.
+ * @param {import("./preferences.js").Preferences} preferences - user preferences.
+ * @returns {import("./dataset.js").Dataset|null} The comparison dataset, or null for no comparison.
+ */
+export const getComparisonDataset = (dataset, preferences) => {
+	const comparison = Dataset.all().find(
+		(ds) => ds.id === preferences.compareDataset,
+	);
+
+	return comparison && comparison !== dataset && comparison.fetched()
+		? comparison
+		: null;
+};
+
+/**
+ * Finds the measurement in another dataset that corresponds to a measurement.
+ * The surveys name some measurements differently, so measurements are matched by ID and then by name.
+ * Measurements listed without data for every gender are ignored.
+ * @param {Object} measurement - The measurement.
+ * @param {import("./dataset.js").Dataset} dataset - The dataset to search.
+ * @returns {Object|null} The corresponding measurement, or null if the dataset does not have it.
+ */
+export const findCounterpart = (measurement, dataset) => {
+	const measurements = dataset
+		.measurements()
+		.filter((m) => Gender.all().every((gender) => m.recorded[gender.id]));
+	const name = measurement.name.toLowerCase();
+
+	return (
+		measurements.find((m) => m.id === measurement.id) ??
+		measurements.find((m) => m.name.toLowerCase() === name) ??
+		null
+	);
+};
+
+/**
+ * Builds data series with a builder such as `buildSeries` or `buildJointSeries`, adding the
+ * series of the comparison dataset for the corresponding measurements when one is chosen.
+ * Series are then labeled by dataset and gender. If the comparison dataset lacks any of the
+ * measurements, only the selected dataset's series are built and `missing` is set.
+ * @param {function(...*): {series: Series[], seriesLabels: string[], seriesColors: string[], genders: Gender[]}} build - The builder, called with the measurements followed by the dataset and preferences.
+ * @param {Object[]} measurements - The measurements, in the order the builder takes them.
+ * @param {import("./dataset.js").Dataset} dataset - The selected dataset.
+ * @param {import("./preferences.js").Preferences} preferences - user preferences.
+ * @returns {{series: Series[], seriesLabels: string[], seriesColors: string[], genders: Gender[], missing?: boolean}}
+ */
+export const buildComparedSeries = (
+	build,
+	measurements,
+	dataset,
+	preferences,
+) => {
+	const primary = build(...measurements, dataset, preferences);
+	const comparison = getComparisonDataset(dataset, preferences);
+
+	if (!comparison) return primary;
+
+	const prefix = (name, labels) => labels.map((label) => `${name} ${label}`);
+	const counterparts = measurements.map((m) =>
+		findCounterpart(m, comparison),
+	);
+
+	if (counterparts.includes(null)) {
+		return {
+			...primary,
+			seriesLabels: prefix(dataset.name, primary.seriesLabels),
+			missing: true,
+		};
+	}
+
+	const secondary = build(...counterparts, comparison, preferences);
+
+	return {
+		series: [...primary.series, ...secondary.series],
+		seriesLabels: [
+			...prefix(dataset.name, primary.seriesLabels),
+			...prefix(comparison.name, secondary.seriesLabels),
+		],
+		seriesColors: [
+			...primary.seriesColors,
+			...secondary.genders.map((gender) => COMPARISON_COLORS[gender.id]),
+		],
+		genders: [...primary.genders, ...secondary.genders],
+	};
+};
+
+/**
+ * Shades of each gender's color for the age bands, youngest (lightest) first.
+ * @type {Object<string, string[]>}
+ */
+const AGE_BAND_COLORS = {
+	male: ["#93c5fd", "#3b82f6", "#1d4ed8", "#1e3a8a"],
+	female: ["#f9a8d4", "#ec4899", "#be185d", "#831843"],
+};
+
+/**
+ * Builds data series of a measurement (Y) against age (X) for the subjects in the population
+ * whose age and measurement are both recorded. Genders without recorded ages are left out.
+ * @param {Object} measurement - The measurement.
+ * @param {import("./dataset.js").Dataset} dataset - The dataset.
+ * @param {import("./preferences.js").Preferences} preferences - user preferences.
+ * @returns {{series: Series[], seriesLabels: string[], seriesColors: string[]}}
+ */
+export const buildAgeSeries = (measurement, dataset, preferences) => {
+	const genders = Gender.all().filter(
+		(gender) =>
+			includesGender(gender, dataset, preferences) &&
+			dataset.covariateValuesFor(Covariate.AGE, gender).length > 0,
+	);
+
+	return {
+		series: genders.map((gender) =>
+			new Series({
+				x: dataset.covariateValuesFor(Covariate.AGE, gender, true),
+				y: displayValuesFor(measurement, gender, dataset, preferences),
+			}).complete(["x", "y"]),
+		),
+		seriesLabels: genders.map((gender) => gender.name),
+		seriesColors: genders.map((gender) =>
+			gender === Gender.MALE ? "#2563eb" : "#db2777",
+		),
+	};
+};
+
+/**
+ * Builds data series for single-variable plots with one series per gender and age band.
+ * Age bands without subjects in the population are left out.
+ * Falls back to one series per gender if the dataset does not record age.
+ * @param {Object} measurementX - The measurement object.
+ * @param {import("./dataset.js").Dataset} dataset - The dataset.
+ * @param {import("./preferences.js").Preferences} preferences - user preferences.
+ * @returns {{series: Series[], seriesLabels: string[], seriesColors: string[]}}
+ */
+export const buildAgeBandSeries = (measurementX, dataset, preferences) => {
+	if (!dataset.hasCovariate(Covariate.AGE)) {
+		return buildSeries(measurementX, dataset, preferences);
+	}
+
+	const series = [];
+	const seriesLabels = [];
+	const seriesColors = [];
+
+	for (const gender of Gender.all()) {
+		if (!includesGender(gender, dataset, preferences)) continue;
+
+		const values = displayValuesFor(
+			measurementX,
+			gender,
+			dataset,
+			preferences,
+		);
+		const ages = dataset.covariateValuesFor(Covariate.AGE, gender, true);
+
+		AgeBand.all().forEach((band, i) => {
+			const x = values.filter((_, j) => band.contains(ages[j]));
+			if (x.length === 0) return;
+
+			series.push(new Series({ x }));
+			seriesLabels.push(`${gender.name} ${band.name}`);
+			seriesColors.push(AGE_BAND_COLORS[gender.id][i]);
+		});
 	}
 
 	return {
@@ -174,7 +553,7 @@ export const buildJointSeries = (
 };
 
 /**
- * Gets the abbreviation for a measurement's unit.
+ * Gets the abbreviation of the display unit chosen for a measurement's unit.
  * @param {string} measurementId - The measurement ID.
  * @param {import("./dataset.js").Dataset} dataset - The dataset.
  * @param {import("./preferences.js").Preferences} preferences - The preferences.
@@ -191,5 +570,5 @@ export const getUnitAbbreviationForMeasurement = (
 	if (!measurement) {
 		return "";
 	}
-	return measurement.unit.forSystem[preferences.unit].abbreviation;
+	return getDisplayUnit(measurement, preferences).abbreviation;
 };
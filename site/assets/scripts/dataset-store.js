@@ -0,0 +1,111 @@
+import { ImportedDataset } from "./dataset.js";
+
+/**
+ * Persists imported datasets in IndexedDB, so they are available across reloads.
+ */
+export class DatasetStore {
+	/**
+	 * The name of the IndexedDB database.
+	 * @type {string}
+	 */
+	static #DATABASE_NAME = "anthropometry";
+
+	/**
+	 * The name of the object store holding the imported datasets.
+	 * @type {string}
+	 */
+	static #STORE_NAME = "datasets";
+
+	/**
+	 * Creates a new DatasetStore. The database is opened on first use.
+	 */
+	constructor() {
+		/** @type {Promise<IDBDatabase>|null} */
+		this._database = null;
+	}
+
+	/**
+	 * Opens (or creates) the database.
+	 * @returns {Promise<IDBDatabase>} The database.
+	 */
+	#open() {
+		this._database ??= new Promise((resolve, reject) => {
+			const request = indexedDB.open(DatasetStore.#DATABASE_NAME, 1);
+
+			request.onupgradeneeded = () => {
+				request.result.createObjectStore(DatasetStore.#STORE_NAME, {
+					keyPath: "id",
+				});
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+
+		return this._database;
+	}
+
+	/**
+	 * Runs a request against the object store.
+	 * @param {IDBTransactionMode} mode - The transaction mode.
+	 * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request.
+	 * @returns {Promise<any>} The result of the request, once its transaction completes.
+	 */
+	async #request(mode, makeRequest) {
+		const database = await this.#open();
+
+		return new Promise((resolve, reject) => {
+			const transaction = database.transaction(
+				DatasetStore.#STORE_NAME,
+				mode,
+			);
+			const request = makeRequest(
+				transaction.objectStore(DatasetStore.#STORE_NAME),
+			);
+
+			transaction.oncomplete = () => resolve(request.result);
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error);
+		});
+	}
+
+	/**
+	 * Loads every stored dataset.
+	 * @returns {Promise<ImportedDataset[]>} The datasets, oldest first.
+	 */
+	async getAll() {
+		const records = await this.#request("readonly", (store) =>
+			store.getAll(),
+		);
+
+		return records
+			.sort((a, b) => a.importedAt - b.importedAt)
+			.map(
+				(record) => new ImportedDataset(record.id, record.name, record),
+			);
+	}
+
+	/**
+	 * Stores a dataset, replacing any stored dataset with the same ID.
+	 * @param {ImportedDataset} dataset - The dataset.
+	 * @returns {Promise<void>} A promise that resolves once the dataset is stored.
+	 */
+	async put(dataset) {
+		await this.#request("readwrite", (store) =>
+			store.put({
+				id: dataset.id,
+				name: dataset.name,
+				importedAt: Date.now(),
+				...dataset.data,
+			}),
+		);
+	}
+
+	/**
+	 * Deletes a stored dataset.
+	 * @param {string} id - The ID of the dataset.
+	 * @returns {Promise<void>} A promise that resolves once the dataset is deleted.
+	 */
+	async delete(id) {
+		await this.#request("readwrite", (store) => store.delete(id));
+	}
+}
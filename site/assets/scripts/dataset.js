@@ -1,30 +1,117 @@
-import { Measurement, Unit } from "./model.js";
+import { Category, Covariate, Gender, Measurement, Unit } from "./model.js";
+import { PopulationFilter } from "./population-filter.js";
+import { ColumnarFile } from "./columnar-file.js";
 
 /**
  * Represents a dataset of measurements.
  */
 class Dataset {
-	static ANSUR1 = new Dataset("ansur1", "ANSUR I");
-	static ANSUR2 = new Dataset("ansur2", "ANSUR II");
+	/**
+	 * The location of the manifest listing the bundled datasets.
+	 * @type {string}
+	 */
+	static MANIFEST_URL = "assets/data/datasets.json";
+
+	/**
+	 * The datasets listed in the manifest, in manifest order.
+	 * @type {Dataset[]}
+	 */
+	static bundled = [];
+
+	/**
+	 * Fetches the manifest and registers the bundled datasets it lists.
+	 * Must be called before any dataset is looked up.
+	 * @param {string} [url=Dataset.MANIFEST_URL] - The location of the manifest.
+	 * @returns {Promise<void>} A promise that resolves when the datasets have been registered.
+	 */
+	static async loadManifest(url = this.MANIFEST_URL) {
+		const manifest = await fetch(url).then((res) => res.json());
+
+		this.bundled = manifest.map(
+			(entry) => new Dataset(entry.id, entry.name, entry),
+		);
+	}
 
 	/**
 	 * Returns an array of all datasets.
 	 * @returns {Dataset[]} An array of all datasets.
 	 */
 	static all() {
-		return [this.ANSUR1, this.ANSUR2];
+		return [...this.bundled, ...this.imported];
+	}
+
+	/**
+	 * Returns the dataset to select when none has been chosen: the recommended bundled dataset,
+	 * or the first one if none is recommended.
+	 * @returns {Dataset|undefined} The default dataset, or undefined if the manifest has not been loaded.
+	 */
+	static default() {
+		return this.bundled.find((ds) => ds.recommended) ?? this.bundled[0];
+	}
+
+	/**
+	 * The datasets imported by the user, in the order they were registered.
+	 * @type {ImportedDataset[]}
+	 */
+	static imported = [];
+
+	/**
+	 * Registers an imported dataset so it is listed by `Dataset.all()`.
+	 * Replaces any registered dataset with the same ID.
+	 * @param {ImportedDataset} dataset - The dataset.
+	 */
+	static register(dataset) {
+		this.unregister(dataset.id);
+		this.imported.push(dataset);
+	}
+
+	/**
+	 * Removes an imported dataset from `Dataset.all()`.
+	 * @param {string} id - The ID of the dataset.
+	 */
+	static unregister(id) {
+		this.imported = this.imported.filter((dataset) => dataset.id !== id);
 	}
 
 	/**
 	 * Creates a new instance.
 	 * @param {string} id The id for the instance.
 	 * @param {string} name The name for the instance.
+	 * @param {Object} [info={}] The manifest entry describing the dataset.
+	 * @param {string} [info.citation] The reference to cite for the data.
+	 * @param {number} [info.year] The year the survey was conducted, which may precede its publication.
+	 * @param {{male: number, female: number}} [info.subjects] The number of subjects of each gender.
+	 * @param {string[]} [info.groups] The IDs of the covariates subjects can be grouped by.
+	 * @param {boolean} [info.recommended] Whether the dataset is selected by default.
+	 * @param {{measurements: string, columns: string}} [info.files] The locations of the measurement definitions
+	 * and of the columnar data file holding the values of every subject.
 	 */
-	constructor(id, name) {
+	constructor(id, name, info = {}) {
 		this.id = id;
 		this.name = name;
+		this.citation = info.citation ?? null;
+		this.year = info.year ?? null;
+		this.subjects = info.subjects ?? null;
+		this.groups = info.groups ?? [];
+		this.recommended = info.recommended ?? false;
+		this.files = info.files ?? null;
 
 		this._measurements = null;
+		/** @type {ColumnarFile|null} The file the measurement values are loaded from. */
+		this._columns = null;
+		/** @type {Set<string>} The IDs of the measurements whose values have been loaded. */
+		this._loaded = new Set();
+		/** @type {Map<string, Promise<void>>} The loads in progress, by measurement ID. */
+		this._loading = new Map();
+		/** @type {{male: Object<string, Array<string|number|null>>, female: Object<string, Array<string|number|null>>}|null} The covariate values of each subject, by gender and covariate ID, with null for missing values. */
+		this._covariates = null;
+		/** @type {{male: number, female: number}|null} The number of subjects of each gender. */
+		this._subjectCounts = null;
+		/** @type {{male: number[]|null, female: number[]|null}} The indices of the subjects in the population, or null for every subject. */
+		this._selection = { male: null, female: null };
+
+		/** @type {PopulationFilter} The filter selecting the subjects whose measurements are used. */
+		this.population = new PopulationFilter();
 	}
 
 	/**
@@ -48,42 +135,287 @@ class Dataset {
 	}
 
 	/**
-	 * Fetches the measurements for the dataset.
-	 * @returns {Promise<void>} A promise that resolves when the measurements have been fetched.
+	 * Returns the demographic covariates recorded in the dataset.
+	 * @returns {Covariate[]} The covariates, which may be empty.
+	 */
+	covariates() {
+		if (!this.fetched()) {
+			throw new Error(`Dataset "${this.id}" has not been fetched yet.`);
+		}
+
+		return Covariate.all().filter(
+			(covariate) => covariate.id in this._covariates.male,
+		);
+	}
+
+	/**
+	 * Returns whether the dataset records a covariate.
+	 * @param {Covariate} covariate - The covariate.
+	 * @returns {boolean} Whether the covariate is recorded.
+	 */
+	hasCovariate(covariate) {
+		return this.covariates().includes(covariate);
+	}
+
+	/**
+	 * Returns the values of a covariate for the subjects of a gender.
+	 * @param {Covariate} covariate - The covariate.
+	 * @param {Gender} gender - The gender.
+	 * @param {boolean} [inPopulation=false] - Whether to return only the subjects in the selected population,
+	 * in the same order as the measurement values.
+	 * @returns {Array<string|number|null>} The values, with null for missing values, or an empty array if the covariate is not recorded.
+	 */
+	covariateValuesFor(covariate, gender, inPopulation = false) {
+		const values = this._covariates[gender.id][covariate.id] ?? [];
+		const selection = this._selection[gender.id];
+
+		return inPopulation && selection && values.length > 0
+			? selection.map((i) => values[i])
+			: values;
+	}
+
+	/**
+	 * Returns the number of subjects of a gender.
+	 * @param {Gender} gender - The gender.
+	 * @param {boolean} [inPopulation=false] - Whether to count only the subjects in the selected population.
+	 * @returns {number} The number of subjects.
+	 */
+	subjectCount(gender, inPopulation = false) {
+		const selection = this._selection[gender.id];
+
+		return inPopulation && selection
+			? selection.length
+			: this._subjectCounts[gender.id];
+	}
+
+	/**
+	 * Selects the population whose measurements are used, applying it to every measurement.
+	 * @param {PopulationFilter} population - The population filter.
+	 */
+	setPopulation(population) {
+		this.population = population;
+
+		for (const gender of Gender.all()) {
+			const selection = population.select(
+				this._covariates[gender.id],
+				this._subjectCounts[gender.id],
+			);
+			this._selection[gender.id] = selection;
+
+			for (const measurement of this._measurements) {
+				measurement.selection[gender.id] = selection;
+			}
+		}
+	}
+
+	/**
+	 * Returns whether the values of some measurements have been loaded.
+	 * @param {string[]} ids - The IDs of the measurements. IDs the dataset does not have are ignored.
+	 * @returns {boolean} Whether every measurement's values have been loaded.
+	 */
+	isLoaded(ids) {
+		return this.measurements()
+			.filter((measurement) => ids.includes(measurement.id))
+			.every((measurement) => this._loaded.has(measurement.id));
+	}
+
+	/**
+	 * Loads the values of some measurements, fetching only the columns that have not been loaded yet.
+	 * @param {string[]} [ids] - The IDs of the measurements, or every measurement if omitted.
+	 * @returns {Promise<void>} A promise that resolves when the values have been loaded.
+	 */
+	async loadMeasurements(ids = this.measurements().map((m) => m.id)) {
+		const missing = this.measurements().filter(
+			(measurement) =>
+				ids.includes(measurement.id) &&
+				!this._loaded.has(measurement.id),
+		);
+		const pending = missing.filter(
+			(measurement) => !this._loading.has(measurement.id),
+		);
+
+		if (pending.length > 0) {
+			const columns = this._columns.read(pending.map((m) => m.id));
+
+			for (const measurement of pending) {
+				this._loading.set(
+					measurement.id,
+					columns
+						.then((values) =>
+							this.#setValues(
+								measurement,
+								values[measurement.id] ?? {},
+							),
+						)
+						.finally(() => this._loading.delete(measurement.id)),
+				);
+			}
+		}
+
+		await Promise.all(missing.map((m) => this._loading.get(m.id)));
+	}
+
+	/**
+	 * Fetches the measurement definitions and covariates for the dataset.
+	 * Measurement values are loaded on demand with `loadMeasurements`.
+	 * @returns {Promise<void>} A promise that resolves when the dataset has been fetched.
 	 */
 	async fetch() {
 		if (this.fetched()) {
 			return;
 		}
 
-		const [measurements, male, female] = await Promise.all([
-			fetch(`assets/data/${this.id}/measurements.json`).then((res) =>
-				res.json(),
-			),
-			fetch(`assets/data/${this.id}/by-gender/male.json`).then((res) =>
-				res.json(),
-			),
-			fetch(`assets/data/${this.id}/by-gender/female.json`).then((res) =>
-				res.json(),
+		this._columns ??= new ColumnarFile(this.files.columns);
+
+		const [measurements, header, covariates] = await Promise.all([
+			fetch(this.files.measurements).then((res) => res.json()),
+			this._columns.header(),
+			this._columns.read(
+				Covariate.all().map((covariate) => covariate.id),
 			),
 		]);
+		const recorded = new Map(
+			header.columns.map((column) => [column.id, column.genders]),
+		);
+		const covariatesFor = (gender) =>
+			Object.fromEntries(
+				Object.entries(covariates)
+					.filter(([, values]) => gender in values)
+					.map(([id, values]) => [
+						id,
+						Array.from(values[gender], (value) =>
+							Number.isNaN(value) ? null : value,
+						),
+					]),
+			);
+
+		this.#setUp(
+			measurements,
+			{ male: covariatesFor("male"), female: covariatesFor("female") },
+			header.subjects,
+			(id, gender) => recorded.get(id)?.includes(gender) ?? false,
+		);
+	}
+
+	/**
+	 * Loads the measurements and covariates of the dataset from columns held in memory.
+	 * @param {Object<string, {name: string, category?: string, unit: string, conversionFactor: number}>} measurements - The measurement definitions by ID.
+	 * @param {Object<string, Array<string|number|null>>} male - The columns of values for male subjects, by measurement or covariate ID,
+	 * with null for missing values.
+	 * @param {Object<string, Array<string|number|null>>} female - The columns of values for female subjects, by measurement or covariate ID,
+	 * with null for missing values.
+	 */
+	load(measurements, male, female) {
+		const columns = { male, female };
+
+		this.#setUp(
+			measurements,
+			columns,
+			{
+				male: Object.values(male)[0]?.length ?? 0,
+				female: Object.values(female)[0]?.length ?? 0,
+			},
+			(id, gender) => id in columns[gender],
+		);
+
+		for (const measurement of this._measurements) {
+			this.#setValues(measurement, {
+				male: male[measurement.id],
+				female: female[measurement.id],
+			});
+		}
+	}
 
+	/**
+	 * Creates the measurements, without their values, and stores the covariates and subject counts.
+	 * @param {Object<string, {name: string, category?: string, unit: string, conversionFactor: number}>} measurements - The measurement definitions by ID.
+	 * @param {{male: Object<string, Array<string|number>>, female: Object<string, Array<string|number>>}} columns - Columns for
+	 * each gender, by column ID, including every covariate column.
+	 * @param {{male: number, female: number}} subjectCounts - The number of subjects of each gender.
+	 * @param {function(string, string): boolean} isRecorded - Returns whether a measurement, by ID, was recorded for a gender, by ID.
+	 */
+	#setUp(measurements, columns, subjectCounts, isRecorded) {
 		this._measurements = Object.entries(measurements).map(
-			([id, measurement]) =>
-				new Measurement(
+			([id, definition]) => {
+				const measurement = new Measurement(
 					id,
-					measurement.name,
-					Unit.all().find((unit) => unit.id === measurement.unit),
-					{
-						male: male[id],
-						female: female[id],
-					},
-					measurement.conversionFactor,
-				),
+					definition.name,
+					Unit.all().find((unit) => unit.id === definition.unit),
+					{ male: null, female: null },
+					definition.conversionFactor,
+					Category.all().find(
+						(category) => category.id === definition.category,
+					),
+				);
+				measurement.recorded = {
+					male: isRecorded(id, "male"),
+					female: isRecorded(id, "female"),
+				};
+
+				return measurement;
+			},
 		);
+		this._loaded.clear();
+
+		const covariatesFor = (data) =>
+			Object.fromEntries(
+				Covariate.all()
+					.filter((covariate) => covariate.id in data)
+					.map((covariate) => [covariate.id, data[covariate.id]]),
+			);
+		this._covariates = {
+			male: covariatesFor(columns.male),
+			female: covariatesFor(columns.female),
+		};
+		this._subjectCounts = subjectCounts;
+
+		this.setPopulation(this.population);
+	}
+
+	/**
+	 * Stores the loaded values of a measurement.
+	 * @param {Measurement} measurement - The measurement.
+	 * @param {{male?: ArrayLike<number|null>, female?: ArrayLike<number|null>}} values - The raw values for each gender it was recorded for,
+	 * with null or NaN for missing values.
+	 */
+	#setValues(measurement, values) {
+		measurement.forGender = {
+			male: values.male ?? null,
+			female: values.female ?? null,
+		};
+		this._loaded.add(measurement.id);
+	}
+}
+
+/**
+ * A dataset imported by the user, whose data is held in memory rather than fetched.
+ * @extends Dataset
+ */
+class ImportedDataset extends Dataset {
+	/**
+	 * Creates a new instance.
+	 * @param {string} id The id for the instance.
+	 * @param {string} name The name for the instance.
+	 * @param {{measurements: Object, male: Object, female: Object}} data The measurement definitions and
+	 * the columns of values for each gender, as accepted by `Dataset.load`.
+	 */
+	constructor(id, name, data) {
+		super(id, name);
+
+		this.data = data;
+	}
+
+	/**
+	 * Loads the imported data.
+	 * @returns {Promise<void>} A promise that resolves when the data has been loaded.
+	 */
+	async fetch() {
+		if (this.fetched()) {
+			return;
+		}
 
-		return;
+		this.load(this.data.measurements, this.data.male, this.data.female);
 	}
 }
 
-export { Dataset };
+export { Dataset, ImportedDataset };
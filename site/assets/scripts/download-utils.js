@@ -0,0 +1,37 @@
+/**
+ * Saves a blob as a file by clicking a temporary download link.
+ * @param {Blob} blob - The file contents.
+ * @param {string} filename - The suggested file name.
+ */
+export const downloadBlob = (blob, filename) => {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+
+	// Revoke after the click has been handled so the download can start.
+	setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Formats rows as CSV text, quoting cells that contain separators, quotes or line breaks.
+ * @param {(string|number|null|undefined)[][]} rows - The rows, including any header row.
+ * @returns {string} The CSV text.
+ */
+export const formatCsv = (rows) =>
+	rows
+		.map((row) =>
+			row
+				.map((cell) => {
+					const text =
+						cell === null || cell === undefined ? "" : String(cell);
+					return /[",\r\n]/.test(text)
+						? `"${text.replace(/"/g, '""')}"`
+						: text;
+				})
+				.join(","),
+		)
+		.join("\r\n");
@@ -6,10 +6,16 @@ export class EventName {
 	static DATASET_CHANGED = "dataset-changed";
 	/** Event fired when the active gender selection changes. */
 	static GENDER_CHANGED = "gender-changed";
-	/** Event fired when the unit system (metric/imperial) changes. */
+	/** Event fired when the unit system (metric/imperial) or a chosen display unit (e.g. mm, ft + in) changes. */
 	static UNIT_SYSTEM_CHANGED = "unit-system-changed";
+	/** Event fired when the population filter changes. */
+	static POPULATION_CHANGED = "population-changed";
+	/** Event fired when the outlier rule or whether outliers are excluded changes. */
+	static OUTLIERS_CHANGED = "outliers-changed";
 	/** Event fired when the UI theme changes. */
 	static THEME_CHANGED = "theme-changed";
+	/** Event fired when the interface language changes, after the page is translated. */
+	static LOCALE_CHANGED = "locale-changed";
 }
 
 /**
@@ -31,10 +37,12 @@ export class DatasetChangedEventData {
 	/**
 	 * @param {import("./dataset.js").Dataset} dataset - The new active dataset.
 	 * @param {string} unitSystem - The current unit system.
+	 * @param {Object<string, Object<string, string>>} displayUnits - The chosen display units, as stored in the preferences.
 	 */
-	constructor(dataset, unitSystem) {
+	constructor(dataset, unitSystem, displayUnits) {
 		this.dataset = dataset;
 		this.unitSystem = unitSystem;
+		this.displayUnits = displayUnits;
 	}
 }
 
@@ -57,9 +65,53 @@ export class UnitSystemChangedEventData {
 	/**
 	 * @param {string} unitSystem - The new unit system code.
 	 * @param {string} oldUnitSystem - The previous unit system code.
+	 * @param {Object<string, Object<string, string>>} displayUnits - The new display unit choices, as stored in the preferences.
+	 * @param {Object<string, Object<string, string>>} oldDisplayUnits - The previous display unit choices.
 	 */
-	constructor(unitSystem, oldUnitSystem) {
+	constructor(unitSystem, oldUnitSystem, displayUnits, oldDisplayUnits) {
 		this.unitSystem = unitSystem;
 		this.oldUnitSystem = oldUnitSystem;
+		this.displayUnits = displayUnits;
+		this.oldDisplayUnits = oldDisplayUnits;
+	}
+}
+
+/**
+ * Data payload for the 'population-changed' event.
+ */
+export class PopulationChangedEventData {
+	/**
+	 * @param {import("./population-filter.js").PopulationFilter} population - The new population filter.
+	 */
+	constructor(population) {
+		this.population = population;
+	}
+}
+
+/**
+ * Data payload for the 'outliers-changed' event.
+ */
+export class OutliersChangedEventData {
+	/**
+	 * @param {string} outlierRule - The ID of the rule outliers are detected by.
+	 * @param {boolean} excludeOutliers - Whether outliers are excluded.
+	 */
+	constructor(outlierRule, excludeOutliers) {
+		this.outlierRule = outlierRule;
+		this.excludeOutliers = excludeOutliers;
+	}
+}
+
+/**
+ * Data payload for the 'locale-changed' event.
+ */
+export class LocaleChangedEventData {
+	/**
+	 * @param {import("./i18n.js").Locale} locale - The new locale.
+	 * @param {import("./i18n.js").Locale} oldLocale - The previous locale, which entered numbers are written in.
+	 */
+	constructor(locale, oldLocale) {
+		this.locale = locale;
+		this.oldLocale = oldLocale;
 	}
 }
@@ -0,0 +1,13 @@
+/**
+ * Escapes text for use in HTML content and attribute values, e.g. names from an imported file
+ * that are templated into `innerHTML`.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+export const escapeHtml = (text) =>
+	String(text)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
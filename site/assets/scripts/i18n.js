@@ -0,0 +1,172 @@
+import en from "./messages/en.js";
+import de from "./messages/de.js";
+
+/**
+ * Represents a language the interface is available in, with its message catalog.
+ * Messages missing from a catalog fall back to English.
+ */
+class Locale {
+	/**
+	 * English.
+	 * @type {Locale}
+	 */
+	static ENGLISH = new Locale("en", "English", en);
+	/**
+	 * German.
+	 * @type {Locale}
+	 */
+	static GERMAN = new Locale("de", "Deutsch", de);
+
+	/**
+	 * Gets all defined locales.
+	 * @returns {Locale[]} An array of all defined locales.
+	 */
+	static all() {
+		return [this.ENGLISH, this.GERMAN];
+	}
+
+	/**
+	 * Finds the locale matching a language tag, such as "de-AT" or "en".
+	 * @param {string|null|undefined} tag - The language tag.
+	 * @returns {Locale|undefined} The locale, if one matches the tag's language.
+	 */
+	static find(tag) {
+		const language = tag?.toLowerCase().split("-")[0];
+		return this.all().find((locale) => locale.id === language);
+	}
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} id The language tag of the locale.
+	 * @param {string} name The name of the language, in that language.
+	 * @param {Object<string, string>} messages The messages by key.
+	 */
+	constructor(id, name, messages) {
+		this.id = id;
+		this.name = name;
+		this.messages = messages;
+	}
+}
+
+/**
+ * The attributes translated by `translatePage`, by the data attribute naming their message key.
+ * @type {Object<string, string>}
+ */
+const TRANSLATED_ATTRIBUTES = {
+	i18nTitle: "title",
+	i18nPlaceholder: "placeholder",
+	i18nAriaLabel: "aria-label",
+	i18nTooltip: "data-tooltip",
+	i18nSummary: "data-summary",
+};
+
+/**
+ * The locale the interface is shown in.
+ * @type {Locale}
+ */
+let current = Locale.ENGLISH;
+
+/**
+ * Gets the locale the interface is shown in.
+ * @returns {Locale} The locale.
+ */
+export const getLocale = () => current;
+
+/**
+ * Sets the locale the interface is shown in.
+ * @param {Locale} locale - The locale.
+ */
+export const setLocale = (locale) => {
+	current = locale;
+};
+
+/**
+ * Translates a message, filling in its `{name}` placeholders.
+ * @param {string} key - The message key, e.g. "gender.male".
+ * @param {Object<string, string|number>} [params={}] - The values of the placeholders.
+ * @returns {string} The message in the current locale, in English if it has none, or the key if neither has one.
+ */
+export const t = (key, params = {}) => {
+	const message =
+		current.messages[key] ?? Locale.ENGLISH.messages[key] ?? key;
+
+	return message.replace(/\{(\w+)\}/g, (match, name) =>
+		name in params ? String(params[name]) : match,
+	);
+};
+
+/**
+ * Formats a number for the current locale with a fixed number of decimals and no grouping,
+ * the localized counterpart of `toFixed`.
+ * @param {number} value - The value.
+ * @param {number} [decimals=1] - The number of decimals.
+ * @returns {string} The formatted number.
+ */
+export const formatNumber = (value, decimals = 1) =>
+	new Intl.NumberFormat(current.id, {
+		minimumFractionDigits: decimals,
+		maximumFractionDigits: decimals,
+		useGrouping: false,
+	}).format(value);
+
+/**
+ * Formats a number for an input in the current locale, rounded but without trailing zeros.
+ * @param {number} value - The value.
+ * @param {number} [decimals=2] - The maximum number of decimals.
+ * @returns {string} The formatted number.
+ */
+export const formatInputNumber = (value, decimals = 2) =>
+	new Intl.NumberFormat(current.id, {
+		maximumFractionDigits: decimals,
+		useGrouping: false,
+	}).format(value);
+
+/**
+ * Parses a number typed or formatted in the current locale.
+ * Numbers are formatted without grouping, so the only separator expected is the decimal one;
+ * a decimal point is accepted in every locale, as number pads type one.
+ * @param {string} text - The text.
+ * @param {Locale} [locale] - The locale the text is written in, if not the current one.
+ * @returns {number} The number, or NaN if the text is empty or not a number.
+ */
+export const parseFormattedNumber = (text, locale = current) => {
+	const decimal = new Intl.NumberFormat(locale.id)
+		.formatToParts(0.5)
+		.find((part) => part.type === "decimal").value;
+	const normalized = text.trim().replaceAll(decimal, ".");
+
+	return normalized === "" ? NaN : Number(normalized);
+};
+
+/**
+ * Gets the placeholder values of an element's messages, from the JSON object in its `data-i18n-params`.
+ * @param {HTMLElement} element - The element.
+ * @returns {Object<string, string|number>} The values of the placeholders.
+ */
+const paramsOf = (element) =>
+	element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+
+/**
+ * Translates the static interface: the text of elements with a `data-i18n` key and the attributes named by
+ * `data-i18n-title`, `data-i18n-placeholder`, `data-i18n-aria-label`, `data-i18n-tooltip` and `data-i18n-summary`
+ * keys, all filled in from the JSON object in `data-i18n-params` if any.
+ * Runs again whenever the locale changes, so elements created by script can carry these attributes too.
+ * @param {ParentNode} root - The element to translate within.
+ */
+export const translatePage = (root) => {
+	for (const element of root.querySelectorAll("[data-i18n]")) {
+		element.textContent = t(element.dataset.i18n, paramsOf(element));
+	}
+
+	for (const [key, attribute] of Object.entries(TRANSLATED_ATTRIBUTES)) {
+		const selector = `[data-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}]`;
+		for (const element of root.querySelectorAll(selector)) {
+			element.setAttribute(
+				attribute,
+				t(element.dataset[key], paramsOf(element)),
+			);
+		}
+	}
+};
+
+export { Locale };
@@ -0,0 +1,72 @@
+/**
+ * Parses CSV text into rows of cells.
+ * Supports quoted cells containing separators, escaped quotes ("") and line breaks,
+ * and any of CRLF, LF or CR line endings. Blank lines are skipped.
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The rows, including any header row.
+ */
+export const parseCsv = (text) => {
+	const rows = [];
+	let row = [];
+	let cell = "";
+	let quoted = false;
+
+	// Skip a leading byte order mark.
+	const start = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+	const endRow = () => {
+		row.push(cell);
+		if (row.length > 1 || row[0] !== "") rows.push(row);
+		row = [];
+		cell = "";
+	};
+
+	for (let i = start; i < text.length; i++) {
+		const char = text[i];
+
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				cell += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ",") {
+			row.push(cell);
+			cell = "";
+		} else if (char === "\r" || char === "\n") {
+			if (char === "\r" && text[i + 1] === "\n") i++;
+			endRow();
+		} else {
+			cell += char;
+		}
+	}
+
+	if (cell !== "" || row.length > 0) endRow();
+
+	return rows;
+};
+
+/**
+ * Derives a measurement or covariate ID from a column header, the same way the
+ * bundled datasets are built: lowercase, without spaces, underscores or punctuation.
+ * @param {string} header - The column header.
+ * @returns {string} The ID.
+ */
+export const normalizeColumnId = (header) => {
+	const id = header.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+	// Match the bundled datasets, which name body weight "weight".
+	return id === "weightkg" ? "weight" : id;
+};
+
+/**
+ * Parses a cell as a number, treating blank cells as missing.
+ * @param {string} cell - The cell text.
+ * @returns {number} The number, or NaN if the cell is blank or not numeric.
+ */
+export const parseNumber = (cell) => (cell.trim() === "" ? NaN : Number(cell));
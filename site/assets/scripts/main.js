@@ -2,28 +2,76 @@ import {
 	EventName,
 	DatasetChangedEventData,
 	GenderChangedEventData,
+	LocaleChangedEventData,
+	OutliersChangedEventData,
 	UnitSystemChangedEventData,
 } from "./events.js";
 import { Dataset } from "./dataset.js";
+import { DatasetStore } from "./dataset-store.js";
+import { Unit, UnitSystem } from "./model.js";
+import { OutlierRule } from "./math.js";
+import { findCounterpart, getComparisonDataset } from "./data-utils.js";
 import { Preferences } from "./preferences.js";
+import { UrlState } from "./url-state.js";
+import { Locale, getLocale, setLocale, translatePage } from "./i18n.js";
 
 // UI Components
 import { MeasurementComponent } from "./components/controls/measurement.js";
 import { SwitchComponent } from "./components/controls/switch.js";
+import { OptionDropdownComponent } from "./components/controls/option-dropdown.js";
+import { PercentileReadoutComponent } from "./components/controls/percentile-readout.js";
+import { ComparisonReadoutComponent } from "./components/controls/comparison-readout.js";
+import { DifferenceTestsComponent } from "./components/controls/difference-tests.js";
+import { RegressionReadoutComponent } from "./components/controls/regression-readout.js";
+import { PopulationFilterComponent } from "./components/controls/population-filter.js";
+import { DatasetImportComponent } from "./components/controls/dataset-import.js";
+import { OfflineStatusComponent } from "./components/controls/offline-status.js";
 import { HistogramPlotComponent } from "./components/plots/histogram-plot-component.js";
 import { DensityPlotComponent } from "./components/plots/density-plot-component.js";
 import { ScatterPlotComponent } from "./components/plots/scatter-plot-component.js";
 import { JointDensityPlotComponent } from "./components/plots/joint-density-plot-component.js";
+import { CorrelationMatrixPlotComponent } from "./components/plots/correlation-matrix-plot-component.js";
+import { AgeTrendPlotComponent } from "./components/plots/age-trend-plot-component.js";
 import { ClassificationComponent } from "./components/experiments/classification-component.js";
+import { DataExportComponent } from "./components/experiments/data-export-component.js";
+import { SummaryStatisticsComponent } from "./components/experiments/summary-statistics-component.js";
+import { EstimationComponent } from "./components/experiments/estimation-component.js";
+import { MeasurementCardsComponent } from "./components/controls/measurement-cards.js";
 
 /** @type {MeasurementComponent[]} List of measurement control components */
 let measurementComponents = [];
 /** @type {SwitchComponent[]} List of switch components */
 let switchComponents = [];
+/** @type {OptionDropdownComponent[]} List of option dropdown components */
+let optionDropdownComponents = [];
+/** @type {PercentileReadoutComponent[]} List of percentile readout components */
+let percentileReadoutComponents = [];
+/** @type {ComparisonReadoutComponent[]} List of comparison readout components */
+let comparisonReadoutComponents = [];
+/** @type {DifferenceTestsComponent[]} List of difference tests components */
+let differenceTestsComponents = [];
+/** @type {RegressionReadoutComponent[]} List of regression readout components */
+let regressionReadoutComponents = [];
+/** @type {PopulationFilterComponent|null} */
+let populationFilterComponent = null;
+/** @type {DatasetImportComponent|null} */
+let datasetImportComponent = null;
+/** @type {OfflineStatusComponent|null} */
+let offlineStatusComponent = null;
 /** @type {import("./components/plots/plot-component.js").PlotComponent[]} */
 let plotComponents = [];
 /** @type {ClassificationComponent|null} */
 let classificationComponent = null;
+/** @type {DataExportComponent|null} */
+let dataExportComponent = null;
+/** @type {SummaryStatisticsComponent|null} */
+let summaryStatisticsComponent = null;
+/** @type {EstimationComponent|null} */
+let estimationComponent = null;
+/** @type {UrlState|null} Mirrors the experiment state in the URL */
+let urlState = null;
+/** @type {boolean} Whether a URL state is being applied, during which the URL is left alone */
+let applyingUrlState = false;
 
 const preferences = new Preferences();
 
@@ -59,23 +107,182 @@ const debounce = (func, delay) => {
 	};
 };
 
+/**
+ * Lists the measurements selected anywhere on the page, in the experiments and the measurement cards,
+ * for the selected dataset and, through their counterparts, any comparison dataset.
+ * @returns {[Dataset, string[]][]} Each dataset with the IDs of its selected measurements.
+ */
+const selectedMeasurements = () => {
+	const ids = Array.from(
+		document.querySelectorAll(
+			"details[data-measurement-dropdown] input:checked",
+		),
+		(input) => input.value,
+	);
+	const selected = [[dataset.value, ids]];
+
+	const comparison = getComparisonDataset(dataset.value, preferences);
+	if (comparison) {
+		selected.push([
+			comparison,
+			dataset.value
+				.measurements()
+				.filter((m) => ids.includes(m.id))
+				.map((m) => findCounterpart(m, comparison)?.id)
+				.filter(Boolean),
+		]);
+	}
+
+	return selected;
+};
+
+/**
+ * Loads the values of the selected measurements that have not been loaded yet.
+ * @returns {Promise<void>} A promise that resolves when the values have been loaded.
+ */
+const loadSelectedMeasurements = async () => {
+	await Promise.all(
+		selectedMeasurements().map(([ds, ids]) => ds.loadMeasurements(ids)),
+	);
+};
+
+/**
+ * Loads the values of every measurement of the selected dataset in the background, after the selected ones,
+ * for the experiments that use them all. Results are refreshed once they arrive.
+ */
+const loadRemainingMeasurements = async () => {
+	const current = dataset.value;
+
+	try {
+		await loadSelectedMeasurements();
+		await current.loadMeasurements();
+	} catch (e) {
+		console.error("Failed to load measurements", e);
+		return;
+	}
+
+	if (dataset.value === current) {
+		classificationComponent?.classify();
+		refreshResults();
+	}
+};
+
 const refreshResults = () => {
 	if (!dataset.value) return;
 
+	// Render once the selected measurements have loaded, rather than with missing values.
+	if (selectedMeasurements().some(([ds, ids]) => !ds.isLoaded(ids))) {
+		loadSelectedMeasurements()
+			.then(() => {
+				classificationComponent?.classify();
+				refreshResults();
+			})
+			.catch((e) => console.error("Failed to load measurements", e));
+		return;
+	}
+
 	plotComponents.forEach((component) => {
 		component.render(dataset.value, preferences);
 	});
+
+	percentileReadoutComponents.forEach((component) => {
+		component.render(dataset.value, preferences);
+	});
+
+	comparisonReadoutComponents.forEach((component) => {
+		component.render(dataset.value, preferences);
+	});
+
+	differenceTestsComponents.forEach((component) => {
+		component.render(dataset.value, preferences);
+	});
+
+	regressionReadoutComponents.forEach((component) => {
+		component.render(dataset.value, preferences);
+	});
+
+	summaryStatisticsComponent?.render(dataset.value, preferences);
+
+	estimationComponent?.render(dataset.value, preferences);
+
+	populationFilterComponent?.render(dataset.value, preferences);
+
+	syncUrlDebounced();
 };
 
 const refreshResultsDebounced = debounce(refreshResults, 16.67);
 
+/**
+ * Pushes the current state to the browser history if it differs from the URL.
+ */
+const syncUrl = () => {
+	if (!urlState || applyingUrlState) return;
+
+	const search = UrlState.serialize(urlState.capture());
+	if (search !== location.search) {
+		history.pushState(null, "", search + location.hash);
+	}
+};
+
+// Debounced so that typing a value or dragging through options adds a single history entry.
+const syncUrlDebounced = debounce(syncUrl, 500);
+
+/**
+ * Rebuilds the population filter for the current dataset and applies its criteria to the data.
+ */
+const updatePopulation = () => {
+	if (!populationFilterComponent) return;
+
+	populationFilterComponent.update(dataset.value);
+	dataset.value.setPopulation(populationFilterComponent.filter);
+};
+
+/**
+ * Loads the comparison dataset, if one is chosen, and selects the same population in it as in the selected dataset.
+ * The selected dataset cannot be compared with itself, so its comparison option is disabled.
+ */
+const updateComparison = async () => {
+	document
+		.querySelectorAll(
+			"details[data-preference-dropdown] input[name='compareDataset']",
+		)
+		.forEach((input) => {
+			input.disabled = input.value === preferences.dataset;
+		});
+
+	const comparison = Dataset.all().find(
+		(ds) => ds.id === preferences.compareDataset,
+	);
+	if (comparison) {
+		await comparison.fetch();
+		offlineStatusComponent?.cache(comparison);
+	}
+	getComparisonDataset(dataset.value, preferences)?.setPopulation(
+		dataset.value.population,
+	);
+};
+
 const handleDatasetChange = async () => {
 	// Load the new dataset
 	dataset.value = await getDataset();
+	offlineStatusComponent?.cache(dataset.value);
+	updatePopulation();
+	try {
+		await updateComparison();
+	} catch (e) {
+		// Stop comparing rather than leave the new dataset half set up.
+		console.error("Failed to load the comparison dataset", e);
+		preferences.compareDataset = null;
+		syncPreferenceInputs();
+	}
 
 	// Update components
 	measurementComponents.forEach((component) =>
-		component.update(dataset.value, preferences.unit),
+		component.update(
+			dataset.value,
+			preferences.unit,
+			preferences.displayUnits,
+		),
 	);
 
 	window.dispatchEvent(
@@ -83,17 +290,33 @@ const handleDatasetChange = async () => {
 			detail: new DatasetChangedEventData(
 				dataset.value,
 				preferences.unit,
+				preferences.displayUnits,
 			),
 		}),
 	);
+
+	loadRemainingMeasurements();
 };
 
 /**
- * Initializes the application.
- * Sets up initial state, event listeners, and default values.
+ * Selects a measurement in a measurement dropdown, notifying listeners as a user selection would.
+ * @param {string} name - The name of the measurement dropdown.
+ * @param {string} measurementId - The ID of the measurement to select.
  */
-const initialize = async () => {
-	// Sync UI state with stored preferences
+const selectMeasurement = (name, measurementId) => {
+	const input = document.querySelector(
+		`details[data-measurement-dropdown][name='${name}'] input[value='${measurementId}']`,
+	);
+	if (!input || input.checked) return;
+
+	input.checked = true;
+	input.dispatchEvent(new Event("change", { bubbles: true }));
+};
+
+/**
+ * Syncs the preference dropdown inputs with the stored preferences.
+ */
+const syncPreferenceInputs = () => {
 	document.querySelector(
 		`details[data-preference-dropdown] input[name='dataset'][value='${preferences.dataset}']`,
 	).checked = true;
@@ -106,9 +329,327 @@ const initialize = async () => {
 	document.querySelector(
 		`details[data-preference-dropdown] input[name='unit'][value='${preferences.unit}']`,
 	).checked = true;
+	document
+		.querySelectorAll(
+			"details[data-preference-dropdown] [data-display-unit]",
+		)
+		.forEach(
+			(input) =>
+				(input.checked =
+					Unit.all()
+						.find((unit) => unit.id === input.dataset.displayUnit)
+						.displayUnitFor(
+							input.dataset.unitSystem,
+							preferences.displayUnits,
+						).id === input.value),
+		);
+	document.querySelector(
+		`details[data-preference-dropdown] input[name='compareDataset'][value='${preferences.compareDataset ?? ""}']`,
+	).checked = true;
+	document.querySelector(
+		`details[data-preference-dropdown] input[name='outlierRule'][value='${preferences.outlierRule}']`,
+	).checked = true;
+	document.querySelector(
+		"details[data-preference-dropdown] input[name='excludeOutliers']",
+	).checked = preferences.excludeOutliers;
+	updateUnitSystemHints();
+};
+
+/**
+ * Shows the chosen length and mass units next to each unit system, e.g. "(ft-in, st-lbs)".
+ */
+const updateUnitSystemHints = () => {
+	document.querySelectorAll("[data-unit-system-hint]").forEach((hint) => {
+		const abbreviations = [Unit.LENGTH, Unit.MASS].map((unit) => {
+			const displayUnit = unit.displayUnitFor(
+				hint.dataset.unitSystemHint,
+				preferences.displayUnits,
+			);
+			return displayUnit.isCompound
+				? displayUnit.parts.map((part) => part.abbreviation).join("-")
+				: displayUnit.abbreviation;
+		});
+		hint.textContent = `(${abbreviations.join(", ")})`;
+	});
+};
+
+/**
+ * Shows the interface in the chosen language, or the browser's if none is chosen, and checks it in the language picker.
+ * Runs before the components are created, as they read the translated labels, and again whenever the language changes.
+ */
+const applyLocale = () => {
+	const locale =
+		Locale.find(preferences.locale) ??
+		Locale.find(navigator.language) ??
+		Locale.ENGLISH;
+
+	setLocale(locale);
+	document.documentElement.lang = locale.id;
+	translatePage(document);
+
+	const input = document.querySelector(
+		`details[data-preference-dropdown] input[name='locale'][value='${locale.id}']`,
+	);
+	if (input) input.checked = true;
+};
+
+/**
+ * Switches the interface to another language in place, then notifies the app so the components
+ * translate what they rendered and rewrite entered values in the new number format.
+ * @param {string} localeId - The ID of the new locale.
+ */
+const changeLocale = (localeId) => {
+	const oldLocale = getLocale();
+	preferences.locale = localeId;
+	applyLocale();
+
+	window.dispatchEvent(
+		new CustomEvent(EventName.LOCALE_CHANGED, {
+			detail: new LocaleChangedEventData(getLocale(), oldLocale),
+		}),
+	);
+};
+
+/**
+ * Notifies the app that the unit system or a chosen display unit changed, so values are converted.
+ * @param {string} oldUnitSystem - The previous unit system ID.
+ * @param {Object<string, Object<string, string>>} oldDisplayUnits - The previous display unit choices.
+ */
+const dispatchUnitSystemChanged = (oldUnitSystem, oldDisplayUnits) => {
+	window.dispatchEvent(
+		new CustomEvent(EventName.UNIT_SYSTEM_CHANGED, {
+			detail: new UnitSystemChangedEventData(
+				preferences.unit,
+				oldUnitSystem,
+				preferences.displayUnits,
+				oldDisplayUnits,
+			),
+		}),
+	);
+};
+
+/**
+ * Notifies the app that the outlier rule or whether outliers are excluded changed.
+ */
+const dispatchOutliersChanged = () => {
+	window.dispatchEvent(
+		new CustomEvent(EventName.OUTLIERS_CHANGED, {
+			detail: new OutliersChangedEventData(
+				preferences.outlierRule,
+				preferences.excludeOutliers,
+			),
+		}),
+	);
+};
+
+/**
+ * Stores the preferences of a URL state, ignoring unknown datasets, unit systems and outlier rules.
+ * A link that names a dataset but no comparison dataset turns any comparison off, and likewise
+ * a link that names a dataset but no outlier exclusion includes outliers, and one that names no
+ * display units uses the default ones.
+ * @param {ReturnType<typeof UrlState.parse>} state - The URL state.
+ * @returns {{ dataset: boolean, genders: boolean, unit: { unitSystem: string, displayUnits: Object<string, Object<string, string>> }|null, compare: boolean, outliers: boolean }} What changed; `unit` is the previous unit system and display units.
+ */
+const applyUrlPreferences = (state) => {
+	const changed = {
+		dataset: false,
+		genders: false,
+		unit: null,
+		compare: false,
+		outliers: false,
+	};
+
+	if (
+		state.dataset &&
+		state.dataset !== preferences.dataset &&
+		Dataset.all().some((ds) => ds.id === state.dataset)
+	) {
+		preferences.dataset = state.dataset;
+		changed.dataset = true;
+	}
+
+	if (state.genders) {
+		for (const gender of ["male", "female"]) {
+			if (preferences.genders[gender] !== state.genders[gender]) {
+				preferences.setGender(gender, state.genders[gender]);
+				changed.genders = true;
+			}
+		}
+	}
+
+	const previousUnits = {
+		unitSystem: preferences.unit,
+		displayUnits: preferences.displayUnits,
+	};
+
+	if (
+		state.unit &&
+		state.unit !== preferences.unit &&
+		UnitSystem.all().some((unit) => unit.id === state.unit)
+	) {
+		changed.unit = previousUnits;
+		preferences.unit = state.unit;
+	}
+
+	const displayUnitIds = state.dataset ? (state.units ?? []) : state.units;
+	if (displayUnitIds) {
+		for (const unit of Unit.all()) {
+			for (const system of UnitSystem.all()) {
+				const choices = unit.forSystem[system.id];
+				const chosen =
+					choices.find((choice) =>
+						displayUnitIds.includes(choice.id),
+					) ?? choices[0];
+
+				if (
+					unit.displayUnitFor(system.id, preferences.displayUnits) !==
+					chosen
+				) {
+					preferences.setDisplayUnit(system.id, unit.id, chosen.id);
+					changed.unit = previousUnits;
+				}
+			}
+		}
+	}
+
+	const compare = state.dataset ? (state.compare ?? null) : undefined;
+	if (
+		compare !== undefined &&
+		compare !== preferences.compareDataset &&
+		(compare === null || Dataset.all().some((ds) => ds.id === compare))
+	) {
+		preferences.compareDataset = compare;
+		changed.compare = true;
+	}
+
+	const outliers = state.dataset
+		? (state.outliers ?? { rule: preferences.outlierRule, exclude: false })
+		: undefined;
+	if (
+		outliers &&
+		OutlierRule.all().some((rule) => rule.id === outliers.rule) &&
+		(outliers.rule !== preferences.outlierRule ||
+			outliers.exclude !== preferences.excludeOutliers)
+	) {
+		preferences.outlierRule = outliers.rule;
+		preferences.excludeOutliers = outliers.exclude;
+		changed.outliers = true;
+	}
+
+	return changed;
+};
+
+/**
+ * Restores a URL state when navigating through the browser history.
+ * @param {ReturnType<typeof UrlState.parse>} state - The URL state.
+ */
+const restoreUrlState = async (state) => {
+	applyingUrlState = true;
+
+	try {
+		const changed = applyUrlPreferences(state);
+		syncPreferenceInputs();
+
+		if (changed.dataset) {
+			await handleDatasetChange();
+		} else if (changed.compare) {
+			await updateComparison();
+		}
+		if (changed.outliers) {
+			dispatchOutliersChanged();
+		}
+		if (changed.genders) {
+			window.dispatchEvent(
+				new CustomEvent(EventName.GENDER_CHANGED, {
+					detail: new GenderChangedEventData(preferences.genders),
+				}),
+			);
+		}
+		if (changed.unit) {
+			dispatchUnitSystemChanged(
+				changed.unit.unitSystem,
+				changed.unit.displayUnits,
+			);
+		}
+
+		urlState.apply(state);
+	} finally {
+		applyingUrlState = false;
+	}
+
+	refreshResults();
+	history.replaceState(
+		null,
+		"",
+		UrlState.serialize(urlState.capture()) + location.hash,
+	);
+};
+
+/**
+ * Initializes the application.
+ * Sets up initial state, event listeners, and default values.
+ */
+const initialize = async () => {
+	applyLocale();
+
+	// List the bundled datasets before restoring or selecting one
+	await Dataset.loadManifest();
+
+	// Register the datasets imported in earlier sessions before one is selected
+	const datasetImportElement = document.querySelector(
+		"dialog[data-dataset-import]",
+	);
+	if (datasetImportElement) {
+		datasetImportComponent = new DatasetImportComponent(
+			datasetImportElement,
+			document
+				.querySelector(
+					"details[data-preference-dropdown] input[name='dataset']",
+				)
+				.closest("ul"),
+			new DatasetStore(),
+		);
+		await datasetImportComponent.restore();
+	}
+	// Fall back to the default dataset if none is stored or the stored one has been removed
+	if (!Dataset.all().some((ds) => ds.id === preferences.dataset)) {
+		preferences.dataset = Dataset.default().id;
+	}
+
+	// Shared links override the stored preferences
+	const initialUrlState = UrlState.parse(location.search);
+	applyUrlPreferences(initialUrlState);
+	syncPreferenceInputs();
+
+	// Keep the app and the selected datasets available offline, without holding up the first render
+	const datasetDropdownElement = document
+		.querySelector(
+			"details[data-preference-dropdown] input[name='dataset']",
+		)
+		.closest("details");
+	offlineStatusComponent = new OfflineStatusComponent(
+		datasetDropdownElement,
+		"service-worker.js",
+	);
+	offlineStatusComponent.register();
 
 	// Load the initial dataset.
 	dataset.value = await getDataset();
+	offlineStatusComponent.cache(dataset.value);
+	await updateComparison();
+
+	const populationFilterElement = document.querySelector(
+		"details[data-population-filter]",
+	);
+	if (populationFilterElement) {
+		populationFilterComponent = new PopulationFilterComponent(
+			populationFilterElement,
+		);
+		updatePopulation();
+		getComparisonDataset(dataset.value, preferences)?.setPopulation(
+			dataset.value.population,
+		);
+	}
 
 	// Set up preference dropdown interactions
 	const preferenceDropdownElements = document.querySelectorAll(
@@ -122,12 +663,32 @@ const initialize = async () => {
 				return;
 			}
 
+			// Display unit choices are grouped by unit and system rather than named individually
+			if (target.matches("[data-display-unit]")) {
+				const oldDisplayUnits = preferences.displayUnits;
+				preferences.setDisplayUnit(
+					target.dataset.unitSystem,
+					target.dataset.displayUnit,
+					target.value,
+				);
+				updateUnitSystemHints();
+				dispatchUnitSystemChanged(preferences.unit, oldDisplayUnits);
+				return;
+			}
+
 			// Handle preference changes based on the input name
 			switch (target.name) {
-				case "dataset":
+				case "dataset": {
+					const previous = preferences.dataset;
 					preferences.dataset = target.value;
-					handleDatasetChange();
+					handleDatasetChange().catch((e) => {
+						// Keep the previous dataset, which is still loaded, selected.
+						console.error("Failed to load dataset", e);
+						preferences.dataset = previous;
+						syncPreferenceInputs();
+					});
 					break;
+				}
 				case "genderMale":
 					preferences.setGender("male", target.checked);
 					// Notify app of gender preference change
@@ -153,15 +714,39 @@ const initialize = async () => {
 					const oldUnit = preferences.unit;
 					preferences.unit = target.value;
 					// Notify app of unit system change (triggers conversion)
-					window.dispatchEvent(
-						new CustomEvent(EventName.UNIT_SYSTEM_CHANGED, {
-							detail: new UnitSystemChangedEventData(
-								preferences.unit,
-								oldUnit,
-							),
-						}),
+					dispatchUnitSystemChanged(
+						oldUnit,
+						preferences.displayUnits,
 					);
 					break;
+				case "compareDataset": {
+					const previous = preferences.compareDataset;
+					preferences.compareDataset = target.value;
+					updateComparison()
+						.catch((e) => {
+							// Keep comparing with the previous dataset, which is still loaded.
+							console.error(
+								"Failed to load the comparison dataset",
+								e,
+							);
+							preferences.compareDataset = previous;
+							syncPreferenceInputs();
+							return updateComparison();
+						})
+						.then(refreshResults);
+					break;
+				}
+				case "outlierRule":
+					preferences.outlierRule = target.value;
+					dispatchOutliersChanged();
+					break;
+				case "excludeOutliers":
+					preferences.excludeOutliers = target.checked;
+					dispatchOutliersChanged();
+					break;
+				case "locale":
+					changeLocale(target.value);
+					break;
 			}
 		});
 	});
@@ -180,6 +765,58 @@ const initialize = async () => {
 		(element) => new SwitchComponent(element),
 	);
 
+	const optionDropdownElements = document.querySelectorAll(
+		"details[data-option-dropdown]",
+	);
+	optionDropdownComponents = Array.from(optionDropdownElements).map(
+		(element) => new OptionDropdownComponent(element),
+	);
+
+	const percentileReadoutElements = document.querySelectorAll(
+		"div[data-percentile-readout]",
+	);
+	percentileReadoutComponents = Array.from(percentileReadoutElements).map(
+		(element) =>
+			new PercentileReadoutComponent(element, {
+				measurementName: element.dataset.measurementName,
+				measurementValueName: element.dataset.measurementValueName,
+			}),
+	);
+
+	const comparisonReadoutElements = document.querySelectorAll(
+		"div[data-comparison-readout]",
+	);
+	comparisonReadoutComponents = Array.from(comparisonReadoutElements).map(
+		(element) =>
+			new ComparisonReadoutComponent(element, {
+				measurementNames: element.dataset.measurementNames.split(","),
+			}),
+	);
+
+	const differenceTestsElements = document.querySelectorAll(
+		"div[data-difference-tests]",
+	);
+	differenceTestsComponents = Array.from(differenceTestsElements).map(
+		(element) =>
+			new DifferenceTestsComponent(element, {
+				measurementName: element.dataset.measurementName,
+			}),
+	);
+
+	const regressionReadoutElements = document.querySelectorAll(
+		"div[data-regression-readout]",
+	);
+	regressionReadoutComponents = Array.from(regressionReadoutElements).map(
+		(element) =>
+			new RegressionReadoutComponent(element, {
+				measurementXName: element.dataset.measurementXName,
+				measurementYName: element.dataset.measurementYName,
+				measurementValueXName: element.dataset.measurementValueXName,
+				modelOptionName: element.dataset.modelOptionName,
+				groupOptionName: element.dataset.groupOptionName,
+			}),
+	);
+
 	// Initialize Plot Components
 	plotComponents = [
 		new HistogramPlotComponent(document.getElementById("histogram-plot"), {
@@ -191,11 +828,18 @@ const initialize = async () => {
 			measurementYName: "measurementYScatter",
 			measurementValueXName: "measurementValueXScatter",
 			measurementValueYName: "measurementValueYScatter",
+			regressionOptionName: "scatterRegressionOption",
+			regressionGroupOptionName: "scatterRegressionGroupOption",
 		}),
 		new DensityPlotComponent(document.getElementById("density-plot"), {
 			measurementXName: "measurementXDensity",
 			measurementValueXName: "measurementValueXDensity",
 			sigmaToggleName: "densitySigmaToggle",
+			curveOptionName: "densityCurveOption",
+			kernelOptionName: "densityKernelOption",
+			bandwidthOptionName: "densityBandwidthOption",
+			bandwidthManualOptionName: "densityBandwidthManualOption",
+			ageBandOptionName: "densityAgeBandOption",
 		}),
 		new JointDensityPlotComponent(
 			document.getElementById("joint-density-plot"),
@@ -205,8 +849,23 @@ const initialize = async () => {
 				measurementValueXName: "measurementValueXJointDensity",
 				measurementValueYName: "measurementValueYJointDensity",
 				sigmaToggleName: "jointDensitySigmaToggle",
+				ellipseToggleName: "jointDensityEllipseToggle",
+				heatmapOptionName: "jointDensityHeatmapOption",
+			},
+		),
+		new CorrelationMatrixPlotComponent(
+			document.getElementById("correlation-matrix-plot"),
+			{
+				coefficientOptionName: "correlationCoefficientOption",
 			},
 		),
+		new AgeTrendPlotComponent(document.getElementById("age-trend-plot"), {
+			measurementName: "measurementAgeTrend",
+			measurementValueName: "measurementValueAgeTrend",
+			smoothingOptionName: "ageTrendSmoothingOption",
+			pointsToggleName: "ageTrendPointsToggle",
+			bandsToggleName: "ageTrendBandsToggle",
+		}),
 	];
 
 	// Initialize Classification Component
@@ -217,24 +876,103 @@ const initialize = async () => {
 		classificationComponent = new ClassificationComponent(
 			classificationElement,
 		);
-		classificationComponent.update(dataset.value, preferences.unit);
+		classificationComponent.update(
+			dataset.value,
+			preferences.unit,
+			preferences.displayUnits,
+		);
+		classificationComponent.setOutliers(
+			preferences.outlierRule,
+			preferences.excludeOutliers,
+		);
+	}
+
+	// Initialize Data Export Component
+	const dataExportElement = document.querySelector(
+		"[data-data-export-experiment]",
+	);
+	if (dataExportElement) {
+		dataExportComponent = new DataExportComponent(
+			dataExportElement,
+			preferences,
+		);
+		dataExportComponent.update(dataset.value);
+	}
+
+	// Initialize Summary Statistics Component
+	const summaryStatisticsElement = document.querySelector(
+		"[data-summary-statistics-experiment]",
+	);
+	if (summaryStatisticsElement) {
+		summaryStatisticsComponent = new SummaryStatisticsComponent(
+			summaryStatisticsElement,
+		);
+		summaryStatisticsComponent.update(dataset.value);
+	}
+
+	// Initialize Estimation Component
+	const estimationElement = document.querySelector(
+		"[data-estimation-experiment]",
+	);
+	if (estimationElement) {
+		estimationComponent = new EstimationComponent(estimationElement, {
+			modelOptionName: "estimationModelOption",
+		});
+		estimationComponent.update(
+			dataset.value,
+			preferences.unit,
+			preferences.displayUnits,
+		);
+		estimationElement.addEventListener(
+			MeasurementCardsComponent.CHANGE_EVENT,
+			refreshResultsDebounced,
+		);
 	}
 
 	document.addEventListener("measurement-change", () => {
 		refreshResults();
 	});
 
+	// Load a pair picked in the correlation matrix into the joint distribution experiments
+	document.addEventListener("measurement-pair-select", (e) => {
+		const { measurementXId, measurementYId } = e.detail;
+
+		for (const experiment of ["Scatter", "JointDensity"]) {
+			selectMeasurement(`measurementX${experiment}`, measurementXId);
+			selectMeasurement(`measurementY${experiment}`, measurementYId);
+		}
+
+		document
+			.querySelectorAll(
+				"details[name='scatter'], details[name='joint-density']",
+			)
+			.forEach((details) => (details.open = true));
+		document
+			.querySelector("details[name='scatter']")
+			?.scrollIntoView({ behavior: "smooth", block: "start" });
+	});
+
 	// Initial population of measurement controls
 	measurementComponents.forEach((component) =>
-		component.update(dataset.value, preferences.unit),
+		component.update(
+			dataset.value,
+			preferences.unit,
+			preferences.displayUnits,
+		),
 	);
 
-	// Listen for input changes that should trigger plot updates (values, toggles)
+	// Registered after the components, whose own listeners convert the entered values to the new units
+	// or number format first.
+	window.addEventListener(EventName.UNIT_SYSTEM_CHANGED, refreshResults);
+	window.addEventListener(EventName.LOCALE_CHANGED, refreshResults);
+
+	// Listen for input changes that should trigger plot updates (values, toggles, options)
 	document.addEventListener("input", (e) => {
 		if (
 			e.target.matches("input") &&
 			(e.target.name.includes("measurementValue") ||
-				e.target.name.includes("Toggle"))
+				e.target.name.includes("Toggle") ||
+				e.target.name.includes("Option"))
 		) {
 			refreshResultsDebounced();
 		}
@@ -242,14 +980,46 @@ const initialize = async () => {
 
 	document.addEventListener("change", (e) => {
 		if (
-			e.target.matches("input[type=checkbox]") &&
-			e.target.name.includes("Toggle")
+			(e.target.matches("input[type=checkbox]") &&
+				e.target.name.includes("Toggle")) ||
+			(e.target.matches("input[type=radio]") &&
+				e.target.name.includes("Option"))
 		) {
 			refreshResultsDebounced();
 		}
 	});
 
+	// Mirror the experiment state in the URL, starting from the shared link
+	urlState = new UrlState(
+		document.body,
+		preferences,
+		Object.fromEntries(
+			[
+				["cards", classificationComponent],
+				["estimate", estimationComponent],
+			].filter(([, component]) => component),
+		),
+	);
+	urlState.captureDefaults();
+	applyingUrlState = true;
+	try {
+		urlState.apply(initialUrlState);
+	} finally {
+		applyingUrlState = false;
+	}
+	history.replaceState(
+		null,
+		"",
+		UrlState.serialize(urlState.capture()) + location.hash,
+	);
+
+	document.addEventListener("classification-change", syncUrlDebounced);
+	window.addEventListener("popstate", () =>
+		restoreUrlState(UrlState.parse(location.search)),
+	);
+
 	refreshResults();
+	loadRemainingMeasurements();
 };
 
 window.addEventListener("DOMContentLoaded", initialize);
@@ -257,4 +1027,14 @@ window.addEventListener("resize", refreshResultsDebounced);
 window.addEventListener(EventName.THEME_CHANGED, refreshResults);
 window.addEventListener(EventName.DATASET_CHANGED, refreshResults);
 window.addEventListener(EventName.GENDER_CHANGED, refreshResults);
-window.addEventListener(EventName.UNIT_SYSTEM_CHANGED, refreshResults);
+window.addEventListener(EventName.OUTLIERS_CHANGED, refreshResultsDebounced);
+window.addEventListener(EventName.POPULATION_CHANGED, (event) => {
+	dataset.value?.setPopulation(event.detail.population);
+	if (dataset.value) {
+		getComparisonDataset(dataset.value, preferences)?.setPopulation(
+			event.detail.population,
+		);
+	}
+	classificationComponent?.classify();
+	refreshResultsDebounced();
+});
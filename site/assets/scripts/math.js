@@ -1,5 +1,14 @@
 import { getEvidenceCategory } from "./data-utils.js";
 
+/**
+ * Returns whether a value is missing: null, undefined or NaN.
+ * @param {number|null|undefined} value - The value.
+ * @returns {boolean} Whether the value is missing.
+ */
+function isMissing(value) {
+	return value === null || value === undefined || Number.isNaN(value);
+}
+
 /**
  * Calculates the arithmetic mean of an array of numbers.
  * @param {number[]} x - The input array.
@@ -10,151 +19,1796 @@ function mean(x) {
 	return x.reduce((a, b) => a + b, 0) / x.length;
 }
 
-/**
- * Calculates the standard deviation of an array of numbers.
- * @param {number[]} x - The input array.
- * @param {number} mx - The pre-calculated mean of the array.
- * @returns {number} The standard deviation, or 0 if empty.
- */
-function stddev(x, mx) {
-	if (x.length === 0) return 0;
-	return Math.sqrt(x.reduce((s, v) => s + (v - mx) ** 2, 0) / x.length);
-}
+/**
+ * Calculates the standard deviation of an array of numbers.
+ * @param {number[]} x - The input array.
+ * @param {number} mx - The pre-calculated mean of the array.
+ * @returns {number} The standard deviation, or 0 if empty.
+ */
+function stddev(x, mx) {
+	if (x.length === 0) return 0;
+	return Math.sqrt(x.reduce((s, v) => s + (v - mx) ** 2, 0) / x.length);
+}
+
+/**
+ * Calculates the covariance between two arrays of numbers.
+ * @param {number[]} x - The first array.
+ * @param {number} mx - The mean of the first array.
+ * @param {number[]} y - The second array.
+ * @param {number} my - The mean of the second array.
+ * @returns {number} The covariance.
+ */
+function covariance(x, mx, y, my) {
+	if (x.length !== y.length || x.length === 0) return 0;
+	return x.reduce((s, v, i) => s + (v - mx) * (y[i] - my), 0) / x.length;
+}
+
+/**
+ * Calculates a standardized central moment of an array of numbers, E[((x - mean) / sd)^k].
+ * @param {number[]} x - The input array.
+ * @param {number} mx - The pre-calculated mean of the array.
+ * @param {number} sx - The pre-calculated (population) standard deviation of the array.
+ * @param {number} k - The order of the moment.
+ * @returns {number} The standardized moment, or 0 if empty or constant.
+ */
+function standardizedMoment(x, mx, sx, k) {
+	if (x.length === 0 || sx === 0) return 0;
+	return x.reduce((s, v) => s + ((v - mx) / sx) ** k, 0) / x.length;
+}
+
+/**
+ * Calculates the probability density function of a Gaussian distribution at a point.
+ * @param {number} x - The point to evaluate.
+ * @param {number} mx - The mean of the distribution.
+ * @param {number} sx - The standard deviation of the distribution.
+ * @returns {number} The probability density.
+ */
+function gaussianPdf(x, mx, sx) {
+	if (sx === 0) return 0;
+	const z = (x - mx) / sx;
+	return (1 / (sx * Math.sqrt(2 * Math.PI))) * Math.exp(-0.5 * z * z);
+}
+
+/**
+ * Calculates the log probability density of a bivariate Gaussian distribution at a point.
+ * Working in log space avoids underflow far from the mean.
+ * @param {number} x - The X coordinate to evaluate.
+ * @param {number} y - The Y coordinate to evaluate.
+ * @param {number} mx - The mean of X.
+ * @param {number} my - The mean of Y.
+ * @param {number} sx - The standard deviation of X.
+ * @param {number} sy - The standard deviation of Y.
+ * @param {number} rho - The correlation between X and Y.
+ * @returns {number} The log probability density, or -Infinity if degenerate.
+ */
+function bivariateGaussianLogPdf(x, y, mx, my, sx, sy, rho) {
+	const oneMinusRho2 = 1 - rho * rho;
+	if (sx === 0 || sy === 0 || oneMinusRho2 <= 0) return -Infinity;
+
+	const zx = (x - mx) / sx;
+	const zy = (y - my) / sy;
+	const q = (zx * zx - 2 * rho * zx * zy + zy * zy) / oneMinusRho2;
+
+	return -Math.log(2 * Math.PI * sx * sy * Math.sqrt(oneMinusRho2)) - 0.5 * q;
+}
+
+/**
+ * Approximates the error function using Abramowitz & Stegun formula 7.1.26.
+ * Accurate to roughly 1.5e-7, which is plenty for display purposes.
+ * @param {number} x - The input value.
+ * @returns {number} The approximated error function value.
+ */
+function erf(x) {
+	const sign = x < 0 ? -1 : 1;
+	const ax = Math.abs(x);
+	const t = 1 / (1 + 0.3275911 * ax);
+	const poly =
+		t *
+		(0.254829592 +
+			t *
+				(-0.284496736 +
+					t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+	return sign * (1 - poly * Math.exp(-ax * ax));
+}
+
+/**
+ * Calculates the cumulative distribution function of a Gaussian distribution at a point.
+ * @param {number} x - The point to evaluate.
+ * @param {number} mx - The mean of the distribution.
+ * @param {number} sx - The standard deviation of the distribution.
+ * @returns {number} The cumulative probability P(X <= x).
+ */
+function gaussianCdf(x, mx, sx) {
+	if (sx === 0) return x < mx ? 0 : 1;
+	return 0.5 * (1 + erf((x - mx) / (sx * Math.SQRT2)));
+}
+
+/**
+ * Calculates the natural logarithm of the gamma function using the Lanczos approximation (g = 7, n = 9).
+ * @param {number} x - The input value, greater than 0.
+ * @returns {number} ln Γ(x).
+ */
+function logGamma(x) {
+	const coefficients = [
+		0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+		771.32342877765313, -176.61502916214059, 12.507343278686905,
+		-0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+	];
+
+	// Reflect small values, where the approximation is poor.
+	if (x < 0.5) {
+		return (
+			Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) -
+			logGamma(1 - x)
+		);
+	}
+
+	const z = x - 1;
+	let sum = coefficients[0];
+	for (let i = 1; i < coefficients.length; i++) {
+		sum += coefficients[i] / (z + i);
+	}
+	const t = z + 7.5;
+	return (
+		0.5 * Math.log(2 * Math.PI) +
+		(z + 0.5) * Math.log(t) -
+		t +
+		Math.log(sum)
+	);
+}
+
+/**
+ * Evaluates the continued fraction for the regularized incomplete beta function with the modified Lentz method.
+ * Converges quickly for x < (a + 1) / (a + b + 2).
+ * @param {number} x - The upper limit of integration, in the range [0, 1].
+ * @param {number} a - The first shape parameter.
+ * @param {number} b - The second shape parameter.
+ * @returns {number} The value of the continued fraction.
+ */
+function betaContinuedFraction(x, a, b) {
+	const tiny = 1e-300;
+	let c = 1;
+	let d = 1 - ((a + b) * x) / (a + 1);
+	d = 1 / (Math.abs(d) < tiny ? tiny : d);
+	let h = d;
+
+	for (let m = 1; m <= 300; m++) {
+		const m2 = 2 * m;
+
+		// Even step.
+		let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+		d = 1 + aa * d;
+		d = 1 / (Math.abs(d) < tiny ? tiny : d);
+		c = 1 + aa / c;
+		c = Math.abs(c) < tiny ? tiny : c;
+		h *= d * c;
+
+		// Odd step.
+		aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+		d = 1 + aa * d;
+		d = 1 / (Math.abs(d) < tiny ? tiny : d);
+		c = 1 + aa / c;
+		c = Math.abs(c) < tiny ? tiny : c;
+		const delta = d * c;
+		h *= delta;
+
+		if (Math.abs(delta - 1) < 1e-12) break;
+	}
+
+	return h;
+}
+
+/**
+ * Calculates the regularized incomplete beta function Iₓ(a, b).
+ * @param {number} x - The upper limit of integration, in the range [0, 1].
+ * @param {number} a - The first shape parameter.
+ * @param {number} b - The second shape parameter.
+ * @returns {number} Iₓ(a, b), in the range [0, 1].
+ */
+function incompleteBeta(x, a, b) {
+	if (x <= 0) return 0;
+	if (x >= 1) return 1;
+
+	const front = Math.exp(
+		logGamma(a + b) -
+			logGamma(a) -
+			logGamma(b) +
+			a * Math.log(x) +
+			b * Math.log(1 - x),
+	);
+
+	// Use the symmetry relation where the continued fraction converges slowly.
+	return x < (a + 1) / (a + b + 2)
+		? (front * betaContinuedFraction(x, a, b)) / a
+		: 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+/**
+ * Calculates the two-sided tail probability of Student's t distribution, P(|T| >= |t|).
+ * @param {number} t - The t statistic.
+ * @param {number} df - The degrees of freedom, which need not be a whole number.
+ * @returns {number} The two-sided p-value.
+ */
+function studentTTwoSided(t, df) {
+	if (!isFinite(t)) return isNaN(t) ? NaN : 0;
+	return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Finds the critical value of Student's t distribution for a two-sided test, the t with P(|T| >= t) = alpha.
+ * @param {number} alpha - The two-sided tail probability, in the range (0, 1).
+ * @param {number} df - The degrees of freedom.
+ * @returns {number} The critical value.
+ */
+function studentTCritical(alpha, df) {
+	// The tail probability falls as t grows, so bisect on it.
+	let low = 0;
+	let high = 1;
+	while (studentTTwoSided(high, df) > alpha) high *= 2;
+	for (let i = 0; i < 60; i++) {
+		const middle = (low + high) / 2;
+		if (studentTTwoSided(middle, df) > alpha) {
+			low = middle;
+		} else {
+			high = middle;
+		}
+	}
+	return (low + high) / 2;
+}
+
+/**
+ * Calculates the upper tail probability of the F distribution, P(F >= f).
+ * @param {number} f - The F statistic.
+ * @param {number} df1 - The numerator degrees of freedom.
+ * @param {number} df2 - The denominator degrees of freedom.
+ * @returns {number} The p-value.
+ */
+function fSurvival(f, df1, df2) {
+	if (isNaN(f)) return NaN;
+	if (f <= 0) return 1;
+	if (!isFinite(f)) return 0;
+	return incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+}
+
+/**
+ * Calculates the survival function of the Kolmogorov distribution,
+ * Q(λ) = 2 Σ (-1)^(j-1) exp(-2 j² λ²), the asymptotic p-value of the Kolmogorov–Smirnov test.
+ * @param {number} lambda - The scaled statistic.
+ * @returns {number} The tail probability, in the range [0, 1].
+ */
+function kolmogorovSurvival(lambda) {
+	if (lambda < 0.2) return 1;
+
+	let sum = 0;
+	for (let j = 1; j <= 100; j++) {
+		const term = Math.exp(-2 * j * j * lambda * lambda);
+		sum += (j % 2 === 1 ? 2 : -2) * term;
+		if (term < 1e-12) break;
+	}
+	return Math.min(1, Math.max(0, sum));
+}
+
+/**
+ * Finds the first index in a sorted array whose value is not less than (or, if strict, greater than) x.
+ * @param {number[]} sorted - The input array, sorted in ascending order.
+ * @param {number} x - The value to search for.
+ * @param {boolean} [strict=false] - Whether to find the first value strictly greater than x.
+ * @returns {number} The index, or the array length if no such value exists.
+ */
+function lowerBound(sorted, x, strict = false) {
+	let lo = 0;
+	let hi = sorted.length;
+	while (lo < hi) {
+		const mid = (lo + hi) >>> 1;
+		if (strict ? sorted[mid] <= x : sorted[mid] < x) {
+			lo = mid + 1;
+		} else {
+			hi = mid;
+		}
+	}
+	return lo;
+}
+
+/**
+ * Calculates the percentile rank of a value within a sorted array.
+ * Ties are counted as half below and half above (mid-rank definition).
+ * @param {number[]} sorted - The input array, sorted in ascending order.
+ * @param {number} x - The value to rank.
+ * @returns {number} The fraction of values below x, in the range [0, 1].
+ */
+function percentileRank(sorted, x) {
+	if (sorted.length === 0) return 0;
+
+	const below = lowerBound(sorted, x);
+	const equal = lowerBound(sorted, x, true) - below;
+	return (below + 0.5 * equal) / sorted.length;
+}
+
+/**
+ * Calculates a percentile of a sorted array using linear interpolation between closest ranks.
+ * @param {number[]} sorted - The input array, sorted in ascending order.
+ * @param {number} p - The percentile as a fraction in the range [0, 1].
+ * @returns {number} The percentile value, or NaN if empty.
+ */
+function percentile(sorted, p) {
+	if (sorted.length === 0) return NaN;
+
+	const position = Math.min(1, Math.max(0, p)) * (sorted.length - 1);
+	const lower = Math.floor(position);
+	const upper = Math.min(lower + 1, sorted.length - 1);
+	return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Ranks an array of numbers, giving tied values the average of the ranks they span.
+ * @param {number[]} x - The input array.
+ * @returns {number[]} The rank of each value, starting at 1.
+ */
+function ranks(x) {
+	const order = x.map((_, i) => i).sort((a, b) => x[a] - x[b]);
+	const result = new Array(x.length);
+
+	for (let start = 0; start < order.length;) {
+		let end = start + 1;
+		while (end < order.length && x[order[end]] === x[order[start]]) {
+			end++;
+		}
+
+		// Positions start..end-1 hold ranks start+1..end.
+		const rank = (start + 1 + end) / 2;
+		for (let i = start; i < end; i++) {
+			result[order[i]] = rank;
+		}
+		start = end;
+	}
+
+	return result;
+}
+
+/**
+ * Inverts a matrix using Gaussian elimination with partial pivoting.
+ * @param {number[][]} matrix - The matrix to invert.
+ * @returns {number[][] | null} The inverse matrix, or null if singular.
+ */
+function invertMatrix(matrix) {
+	const n = matrix.length;
+	// Create augmented matrix [A | I]
+	const aug = matrix.map((row, i) => {
+		const newRow = [...row];
+		for (let j = 0; j < n; j++) {
+			newRow.push(i === j ? 1 : 0);
+		}
+		return newRow;
+	});
+
+	// Forward elimination with partial pivoting
+	for (let col = 0; col < n; col++) {
+		// Find pivot
+		let maxRow = col;
+		for (let row = col + 1; row < n; row++) {
+			if (Math.abs(aug[row][col]) > Math.abs(aug[maxRow][col])) {
+				maxRow = row;
+			}
+		}
+
+		// Swap rows
+		[aug[col], aug[maxRow]] = [aug[maxRow], aug[col]];
+
+		// Check for singular matrix
+		if (Math.abs(aug[col][col]) < 1e-12) {
+			return null;
+		}
+
+		// Scale pivot row
+		const pivot = aug[col][col];
+		for (let j = 0; j < 2 * n; j++) {
+			aug[col][j] /= pivot;
+		}
+
+		// Eliminate column
+		for (let row = 0; row < n; row++) {
+			if (row !== col) {
+				const factor = aug[row][col];
+				for (let j = 0; j < 2 * n; j++) {
+					aug[row][j] -= factor * aug[col][j];
+				}
+			}
+		}
+	}
+
+	// Extract inverse from augmented matrix
+	return aug.map((row) => row.slice(n));
+}
+
+/**
+ * Represents a smoothing kernel for kernel density estimation.
+ */
+class Kernel {
+	/**
+	 * The Gaussian kernel. Truncated at 5 bandwidths, where its weight is negligible.
+	 * @type {Kernel}
+	 */
+	static GAUSSIAN = new Kernel(
+		"gaussian",
+		"Gaussian",
+		5,
+		(u) => Math.exp(-0.5 * u * u) / Math.sqrt(2 * Math.PI),
+	);
+
+	/**
+	 * The Epanechnikov kernel.
+	 * @type {Kernel}
+	 */
+	static EPANECHNIKOV = new Kernel(
+		"epanechnikov",
+		"Epanechnikov",
+		1,
+		(u) => 0.75 * (1 - u * u),
+	);
+
+	/**
+	 * Returns an array of all kernels.
+	 * @returns {Kernel[]} An array of all kernels.
+	 */
+	static all() {
+		return [this.GAUSSIAN, this.EPANECHNIKOV];
+	}
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} id The id for the kernel.
+	 * @param {string} name The name for the kernel.
+	 * @param {number} support The half-width of the kernel's support, in bandwidths.
+	 * @param {function(number): number} evaluate The kernel function of a standardized distance.
+	 */
+	constructor(id, name, support, evaluate) {
+		this.id = id;
+		this.name = name;
+		this.support = support;
+		this.evaluate = evaluate;
+	}
+}
+
+/**
+ * Creates a kernel density estimate over a sorted array.
+ * @param {number[]} sorted - The input array, sorted in ascending order.
+ * @param {number} h - The bandwidth.
+ * @param {Kernel} kernel - The smoothing kernel.
+ * @returns {function(number): number} The estimated density function.
+ */
+function kernelDensity(sorted, h, kernel) {
+	const n = sorted.length;
+
+	return function (x) {
+		if (n === 0 || !(h > 0)) return 0;
+
+		// Only values within the kernel's support contribute.
+		const reach = kernel.support * h;
+		let sum = 0;
+		for (
+			let i = lowerBound(sorted, x - reach);
+			i < n && sorted[i] <= x + reach;
+			i++
+		) {
+			sum += kernel.evaluate((x - sorted[i]) / h);
+		}
+		return sum / (n * h);
+	};
+}
+
+/**
+ * Creates a LOESS smoother (Cleveland, 1979): at each point, a linear regression weighted
+ * by the tricube of the distance to the nearest fraction of the data.
+ * @param {number[]} xs - The X values, sorted in ascending order.
+ * @param {number[]} ys - The Y values, in the same order as the X values.
+ * @param {number} span - The fraction of the data in each local regression, in the range (0, 1].
+ * @returns {function(number): number} The smoothed function, which gives NaN without enough data.
+ */
+function loess(xs, ys, span) {
+	const n = xs.length;
+	const k = Math.min(n, Math.max(2, Math.ceil(span * n)));
+
+	return function (x) {
+		if (n < 2) return NaN;
+
+		// Grow the window [lo, hi) to the k values nearest to x.
+		let lo = lowerBound(xs, x);
+		let hi = lo;
+		while (hi - lo < k) {
+			if (hi === n || (lo > 0 && x - xs[lo - 1] <= xs[hi] - x)) {
+				lo--;
+			} else {
+				hi++;
+			}
+		}
+
+		const reach = Math.max(x - xs[lo], xs[hi - 1] - x);
+		let sw = 0;
+		let swx = 0;
+		let swy = 0;
+		let swxx = 0;
+		let swxy = 0;
+		for (let i = lo; i < hi; i++) {
+			// Centre on x so the intercept is the smoothed value.
+			const dx = xs[i] - x;
+			const w = reach > 0 ? (1 - Math.abs(dx / reach) ** 3) ** 3 : 1;
+			sw += w;
+			swx += w * dx;
+			swy += w * ys[i];
+			swxx += w * dx * dx;
+			swxy += w * dx * ys[i];
+		}
+
+		if (sw === 0) return NaN;
+
+		// Fall back to the weighted mean when the window has a single distinct X value.
+		const denominator = sw * swxx - swx * swx;
+		if (denominator <= 1e-12 * sw * swxx) return swy / sw;
+
+		return (swy * swxx - swx * swxy) / denominator;
+	};
+}
+
+/**
+ * Creates a moving average smoother: the mean of the Y values whose X value lies within a window.
+ * @param {number[]} xs - The X values, sorted in ascending order.
+ * @param {number[]} ys - The Y values, in the same order as the X values.
+ * @param {number} halfWidth - The distance from the centre of the window to either edge.
+ * @returns {function(number): number} The smoothed function, which gives NaN where the window is empty.
+ */
+function movingAverage(xs, ys, halfWidth) {
+	return function (x) {
+		let sum = 0;
+		let count = 0;
+		for (
+			let i = lowerBound(xs, x - halfWidth);
+			i < xs.length && xs[i] <= x + halfWidth;
+			i++
+		) {
+			sum += ys[i];
+			count++;
+		}
+		return count > 0 ? sum / count : NaN;
+	};
+}
+
+/**
+ * Calculates the z-score (standard score) for a value.
+ * @param {number} x - The value.
+ * @param {number} mx - The mean.
+ * @param {number} sx - The standard deviation.
+ * @returns {number} The z-score.
+ */
+function zScore(x, mx, sx) {
+	if (sx === 0) return 0;
+	return (x - mx) / sx;
+}
+
+/**
+ * The squared Mahalanobis distance beyond which a pair of values is an outlier: the 99.9th percentile of
+ * the chi-squared distribution with 2 degrees of freedom, which for 2 degrees of freedom is -2 ln(0.001).
+ * @type {number}
+ */
+const MAHALANOBIS_THRESHOLD = -2 * Math.log(0.001);
+
+/**
+ * Represents a rule for detecting outliers in one dimension, as a pair of fences outside which values are outliers.
+ */
+class OutlierRule {
+	/**
+	 * Tukey's fences: 1.5 interquartile ranges below the first quartile or above the third.
+	 * @type {OutlierRule}
+	 */
+	static IQR = new OutlierRule("iqr", "IQR fences", (series, dim) => {
+		const q1 = series.percentile(dim, 0.25);
+		const q3 = series.percentile(dim, 0.75);
+		const k = 1.5 * (q3 - q1);
+		return { lower: q1 - k, upper: q3 + k };
+	});
+
+	/**
+	 * The robust z-score (Iglewicz & Hoaglin, 1993): a modified z-score above 3.5 in absolute value,
+	 * with the median in place of the mean and the median absolute deviation in place of the standard deviation.
+	 * @type {OutlierRule}
+	 */
+	static ROBUST_Z = new OutlierRule(
+		"robust-z",
+		"Robust z-score",
+		(series, dim) => {
+			const median = series.median(dim);
+			const reach = (3.5 * series.mad(dim)) / 0.6745;
+			return { lower: median - reach, upper: median + reach };
+		},
+	);
+
+	/**
+	 * Returns an array of all outlier rules.
+	 * @returns {OutlierRule[]} An array of all outlier rules.
+	 */
+	static all() {
+		return [this.IQR, this.ROBUST_Z];
+	}
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} id The id for the rule.
+	 * @param {string} name The name for the rule.
+	 * @param {function(Series, string): {lower: number, upper: number}} fences Calculates the fences for a dimension of a series.
+	 */
+	constructor(id, name, fences) {
+		this.id = id;
+		this.name = name;
+		this.fences = fences;
+	}
+}
+
+/**
+ * A data structure representing a collection of related series (data columns).
+ * Handles lazy calculation and caching of statistical properties.
+ *
+ * Missing observations are held as null, keeping the dimensions aligned by subject.
+ * Statistics of one dimension use its observed values; statistics of a pair of dimensions
+ * use the pairwise-complete observations, the subjects observed in both.
+ */
+class Series {
+	/**
+	 * Pools several series into one by concatenating the values of each dimension they share.
+	 * @param {Series[]} seriesList - The series to pool.
+	 * @returns {Series} The pooled series.
+	 */
+	static pool(seriesList) {
+		const dims = (seriesList[0]?.dimensions() ?? []).filter((dim) =>
+			seriesList.every((s) => dim in s.values),
+		);
+
+		return new Series(
+			Object.fromEntries(
+				dims.map((dim) => [
+					dim,
+					seriesList.flatMap((s) => s.valuesOf(dim)),
+				]),
+			),
+		);
+	}
+
+	/**
+	 * Creates a new Series.
+	 * @param {Object.<string, Array<number|null>>} values - A dictionary mapping dimension names to arrays of numbers,
+	 * with null for missing observations.
+	 */
+	constructor(values) {
+		this.values = values;
+
+		this._stats = {
+			observed: Object.create(null),
+			mean: Object.create(null),
+			stddev: Object.create(null),
+			mad: Object.create(null),
+			skewness: Object.create(null),
+			kurtosis: Object.create(null),
+			sorted: Object.create(null),
+			ranks: Object.create(null),
+			pdf: Object.create(null),
+			cdf: Object.create(null),
+			// Cache for joint stats: key will be "dim1,dim2"
+			complete: Object.create(null),
+			covariance: Object.create(null),
+			correlation: Object.create(null),
+			rankCorrelation: Object.create(null),
+			jointLogPdf: Object.create(null),
+			// Cache for outlier fences: key will be "dim,rule"
+			fences: Object.create(null),
+			// Cache for density estimates: key will be "dim,kernel,bandwidth"
+			kde: Object.create(null),
+			// Cache for smoothers: key will be "dimX,dimY,method,parameter"
+			smoother: Object.create(null),
+		};
+	}
+
+	/**
+	 * Returns the list of available dimensions (keys).
+	 * @returns {string[]} The dimension names.
+	 */
+	dimensions() {
+		return Object.keys(this.values);
+	}
+
+	/**
+	 * Returns the values for a specific dimension.
+	 * @param {string} dim - The dimension name.
+	 * @returns {Array<number|null>} The array of values, with null for missing observations.
+	 */
+	valuesOf(dim) {
+		return this.values[dim] || [];
+	}
+
+	/**
+	 * Returns (or caches) the observed values for a dimension, leaving out missing ones.
+	 * @param {string} dim - The dimension name.
+	 * @returns {number[]} The observed values.
+	 */
+	observedValuesOf(dim) {
+		if (this._stats.observed[dim] === undefined) {
+			const dimValues = this.valuesOf(dim);
+			this._stats.observed[dim] = dimValues.some(isMissing)
+				? dimValues.filter((v) => !isMissing(v))
+				: dimValues;
+		}
+		return this._stats.observed[dim];
+	}
+
+	/**
+	 * Returns the number of observed values for a dimension.
+	 * @param {string} dim - The dimension name.
+	 * @returns {number} The number of observations.
+	 */
+	count(dim) {
+		return this.observedValuesOf(dim).length;
+	}
+
+	/**
+	 * Returns the number of missing values for a dimension.
+	 * @param {string} dim - The dimension name.
+	 * @returns {number} The number of missing observations.
+	 */
+	missingCount(dim) {
+		return this.valuesOf(dim).length - this.count(dim);
+	}
+
+	/**
+	 * Returns (or caches) the series restricted to the subjects observed in every one of some dimensions.
+	 * Returns this series itself when none of them has missing values.
+	 * @param {string[]} dims - The dimension names.
+	 * @returns {Series} The complete series, holding only the given dimensions unless it is this series.
+	 */
+	complete(dims) {
+		if (dims.every((dim) => this.missingCount(dim) === 0)) {
+			return this;
+		}
+
+		const key = dims.join(",");
+		if (this._stats.complete[key] === undefined) {
+			const n = this.valuesOf(dims[0]).length;
+			const rows = [];
+			for (let i = 0; i < n; i++) {
+				if (dims.every((dim) => !isMissing(this.valuesOf(dim)[i]))) {
+					rows.push(i);
+				}
+			}
+
+			this._stats.complete[key] = new Series(
+				Object.fromEntries(
+					dims.map((dim) => [
+						dim,
+						rows.map((i) => this.valuesOf(dim)[i]),
+					]),
+				),
+			);
+		}
+		return this._stats.complete[key];
+	}
+
+	/**
+	 * Calculates (or returns cached) mean for a dimension.
+	 * @param {string} dim - The dimension name.
+	 * @returns {number} The mean.
+	 */
+	mean(dim) {
+		if (this._stats.mean[dim] === undefined) {
+			const dimValues = this.observedValuesOf(dim);
+			this._stats.mean[dim] = mean(dimValues);
+		}
+		return this._stats.mean[dim];
+	}
+
+	stddev(dim) {
+		if (this._stats.stddev[dim] === undefined) {
+			const dimValues = this.observedValuesOf(dim);
+			const m = this.mean(dim);
+			this._stats.stddev[dim] = stddev(dimValues, m);
+		}
+		return this._stats.stddev[dim];
+	}
+
+	/**
+	 * Calculates (or returns cached) skewness for a dimension.
+	 * Uses the moment coefficient g1, which is 0 for symmetric distributions.
+	 * @param {string} dim - The dimension name.
+	 * @returns {number} The skewness.
+	 */
+	skewness(dim) {
+		if (this._stats.skewness[dim] === undefined) {
+			this._stats.skewness[dim] = standardizedMoment(
+				this.observedValuesOf(dim),
+				this.mean(dim),
+				this.stddev(dim),
+				3,
+			);
+		}
+		return this._stats.skewness[dim];
+	}
+
+	/**
+	 * Calculates (or returns cached) excess kurtosis for a dimension.
+	 * Uses the moment coefficient g2, which is 0 for a normal distribution.
+	 * @param {string} dim - The dimension name.
+	 * @returns {number} The excess kurtosis.
+	 */
+	kurtosis(dim) {
+		if (this._stats.kurtosis[dim] === undefined) {
+			const values = this.observedValuesOf(dim);
+			this._stats.kurtosis[dim] =
+				values.length === 0
+					? 0
+					: standardizedMoment(
+							values,
+							this.mean(dim),
+							this.stddev(dim),
+							4,
+						) - 3;
+		}
+		return this._stats.kurtosis[dim];
+	}
+
+	/**
+	 * Calculates (or returns cached) the covariance between two dimensions,
+	 * over the subjects observed in both.
+	 * @param {string} dim1 - The first dimension name.
+	 * @param {string} dim2 - The second dimension name.
+	 * @returns {number} The covariance.
+	 */
+	covariance(dim1, dim2) {
+		const key = `${dim1},${dim2}`;
+		if (this._stats.covariance[key] === undefined) {
+			const pair = this.complete([dim1, dim2]);
+			const values1 = pair.valuesOf(dim1);
+			const values2 = pair.valuesOf(dim2);
+			const m1 = pair.mean(dim1);
+			const m2 = pair.mean(dim2);
+			this._stats.covariance[key] = covariance(values1, m1, values2, m2);
+		}
+		return this._stats.covariance[key];
+	}
+
+	/**
+	 * Calculates (or returns cached) the Pearson correlation between two dimensions,
+	 * over the subjects observed in both.
+	 * @param {string} dim1 - The first dimension name.
+	 * @param {string} dim2 - The second dimension name.
+	 * @returns {number} The correlation, or 0 if either dimension is constant.
+	 */
+	correlation(dim1, dim2) {
+		const key = `${dim1},${dim2}`;
+		if (this._stats.correlation[key] === undefined) {
+			const pair = this.complete([dim1, dim2]);
+			const cov = this.covariance(dim1, dim2);
+			const s1 = pair.stddev(dim1);
+			const s2 = pair.stddev(dim2);
+			this._stats.correlation[key] =
+				s1 > 0 && s2 > 0 ? cov / (s1 * s2) : 0;
+		}
+		return this._stats.correlation[key];
+	}
+
+	/**
+	 * Calculates (or returns cached) Spearman's rank correlation between two dimensions.
+	 * This is the Pearson correlation of the ranks, so it measures any monotonic relationship.
+	 * Subjects are ranked among those observed in both dimensions.
+	 * @param {string} dim1 - The first dimension name.
+	 * @param {string} dim2 - The second dimension name.
+	 * @returns {number} The rank correlation, or 0 if either dimension is constant.
+	 */
+	rankCorrelation(dim1, dim2) {
+		const key = `${dim1},${dim2}`;
+		if (this._stats.rankCorrelation[key] === undefined) {
+			const pair = this.complete([dim1, dim2]);
+			const ranks1 = pair.ranks(dim1);
+			const ranks2 = pair.ranks(dim2);
+			const m1 = mean(ranks1);
+			const m2 = mean(ranks2);
+			const s1 = stddev(ranks1, m1);
+			const s2 = stddev(ranks2, m2);
+			this._stats.rankCorrelation[key] =
+				s1 > 0 && s2 > 0
+					? covariance(ranks1, m1, ranks2, m2) / (s1 * s2)
+					: 0;
+		}
+		return this._stats.rankCorrelation[key];
+	}
+
+	pdf(dim) {
+		if (this._stats.pdf[dim] === undefined) {
+			const m = this.mean(dim);
+			const s = this.stddev(dim);
+
+			this._stats.pdf[dim] = function (x) {
+				return gaussianPdf(x, m, s);
+			};
+		}
+
+		return this._stats.pdf[dim];
+	}
+
+	cdf(dim) {
+		if (this._stats.cdf[dim] === undefined) {
+			const m = this.mean(dim);
+			const s = this.stddev(dim);
+
+			this._stats.cdf[dim] = function (x) {
+				return gaussianCdf(x, m, s);
+			};
+		}
+
+		return this._stats.cdf[dim];
+	}
+
+	/**
+	 * Returns (or caches) the bivariate normal log density for a pair of dimensions.
+	 * Accounts for the correlation between the two dimensions, fitted to the subjects observed in both.
+	 * @param {string} dim1 - The first dimension name.
+	 * @param {string} dim2 - The second dimension name.
+	 * @returns {function(number, number): number} The log density function.
+	 */
+	jointLogPdf(dim1, dim2) {
+		const key = `${dim1},${dim2}`;
+		if (this._stats.jointLogPdf[key] === undefined) {
+			const pair = this.complete([dim1, dim2]);
+			const m1 = pair.mean(dim1);
+			const m2 = pair.mean(dim2);
+			const s1 = pair.stddev(dim1);
+			const s2 = pair.stddev(dim2);
+			const rho = this.correlation(dim1, dim2);
+
+			this._stats.jointLogPdf[key] = function (x, y) {
+				return bivariateGaussianLogPdf(x, y, m1, m2, s1, s2, rho);
+			};
+		}
+
+		return this._stats.jointLogPdf[key];
+	}
+
+	/**
+	 * Returns (or caches) the observed values for a dimension sorted in ascending order.
+	 * @param {string} dim - The dimension name.
+	 * @returns {number[]} The sorted values.
+	 */
+	sorted(dim) {
+		if (this._stats.sorted[dim] === undefined) {
+			this._stats.sorted[dim] = [...this.observedValuesOf(dim)].sort(
+				(a, b) => a - b,
+			);
+		}
+		return this._stats.sorted[dim];
+	}
+
+	/**
+	 * Returns (or caches) the rank of each observed value of a dimension, averaging ties.
+	 * @param {string} dim - The dimension name.
+	 * @returns {number[]} The ranks, starting at 1, in the order of the observed values.
+	 */
+	ranks(dim) {
+		if (this._stats.ranks[dim] === undefined) {
+			this._stats.ranks[dim] = ranks(this.observedValuesOf(dim));
+		}
+		return this._stats.ranks[dim];
+	}
+
+	/**
+	 * Calculates the empirical percentile rank of a value within a dimension.
+	 * @param {string} dim - The dimension name.
+	 * @param {number} x - The value to rank.
+	 * @returns {number} The fraction of observed values below x, in the range [0, 1].
+	 */
+	percentileRank(dim, x) {
+		return percentileRank(this.sorted(dim), x);
+	}
+
+	/**
+	 * Calculates a percentile of a dimension.
+	 * @param {string} dim - The dimension name.
+	 * @param {number} p - The percentile as a fraction in the range [0, 1].
+	 * @returns {number} The percentile value.
+	 */
+	percentile(dim, p) {
+		return percentile(this.sorted(dim), p);
+	}
+
+	/**
+	 * Returns the smallest value of a dimension.
+	 * @param {string} dim - The dimension name.
+	 * @returns {number|undefined} The minimum, or undefined if empty.
+	 */
+	min(dim) {
+		return this.sorted(dim)[0];
+	}
+
+	/**
+	 * Returns the largest value of a dimension.
+	 * @param {string} dim - The dimension name.
+	 * @returns {number|undefined} The maximum, or undefined if empty.
+	 */
+	max(dim) {
+		return this.sorted(dim).at(-1);
+	}
+
+	/**
+	 * Calculates the median of a dimension.
+	 * @param {string} dim - The dimension name.
+	 * @returns {number} The median, or NaN if empty.
+	 */
+	median(dim) {
+		return this.percentile(dim, 0.5);
+	}
+
+	/**
+	 * Calculates the interquartile range of a dimension.
+	 * @param {string} dim - The dimension name.
+	 * @returns {number} The distance between the 25th and 75th percentiles, or NaN if empty.
+	 */
+	iqr(dim) {
+		return this.percentile(dim, 0.75) - this.percentile(dim, 0.25);
+	}
+
+	/**
+	 * Calculates (or returns cached) the median absolute deviation of a dimension from its median.
+	 * @param {string} dim - The dimension name.
+	 * @returns {number} The median absolute deviation, or NaN if empty.
+	 */
+	mad(dim) {
+		if (this._stats.mad[dim] === undefined) {
+			const median = this.median(dim);
+			const deviations = this.observedValuesOf(dim)
+				.map((v) => Math.abs(v - median))
+				.sort((a, b) => a - b);
+			this._stats.mad[dim] = percentile(deviations, 0.5);
+		}
+		return this._stats.mad[dim];
+	}
+
+	/**
+	 * Returns (or caches) the fences of a dimension under an outlier rule.
+	 * @param {string} dim - The dimension name.
+	 * @param {OutlierRule} rule - The outlier rule.
+	 * @returns {{lower: number, upper: number}} The fences, which are NaN if empty.
+	 */
+	outlierFences(dim, rule) {
+		const key = `${dim},${rule.id}`;
+		if (this._stats.fences[key] === undefined) {
+			this._stats.fences[key] = rule.fences(this, dim);
+		}
+		return this._stats.fences[key];
+	}
+
+	/**
+	 * Returns whether a value lies outside the fences of a dimension under an outlier rule.
+	 * Constant dimensions, whose fences coincide, have no outliers.
+	 * @param {string} dim - The dimension name.
+	 * @param {OutlierRule} rule - The outlier rule.
+	 * @param {number|null} x - The value, or null if missing.
+	 * @returns {boolean} Whether the value is an outlier. Missing values never are.
+	 */
+	isOutlier(dim, rule, x) {
+		if (isMissing(x)) return false;
+
+		const { lower, upper } = this.outlierFences(dim, rule);
+		return lower < upper && (x < lower || x > upper);
+	}
+
+	/**
+	 * Calculates the squared Mahalanobis distance of a pair of values from the centroid of two dimensions,
+	 * using their covariance over the subjects observed in both.
+	 * @param {string} dim1 - The first dimension name.
+	 * @param {string} dim2 - The second dimension name.
+	 * @param {number} x - The value of the first dimension.
+	 * @param {number} y - The value of the second dimension.
+	 * @returns {number} The squared distance, or 0 if either dimension is constant or they are perfectly correlated.
+	 */
+	mahalanobisDistanceSquared(dim1, dim2, x, y) {
+		const pair = this.complete([dim1, dim2]);
+		const v1 = pair.covariance(dim1, dim1);
+		const v2 = pair.covariance(dim2, dim2);
+		const c = pair.covariance(dim1, dim2);
+		const det = v1 * v2 - c * c;
+		if (!(det > 0)) return 0;
+
+		const d1 = x - pair.mean(dim1);
+		const d2 = y - pair.mean(dim2);
+		return (v2 * d1 * d1 - 2 * c * d1 * d2 + v1 * d2 * d2) / det;
+	}
+
+	/**
+	 * Returns whether a pair of values is a bivariate outlier: its squared Mahalanobis distance exceeds
+	 * the 99.9th percentile of the chi-squared distribution with 2 degrees of freedom.
+	 * @param {string} dim1 - The first dimension name.
+	 * @param {string} dim2 - The second dimension name.
+	 * @param {number|null} x - The value of the first dimension, or null if missing.
+	 * @param {number|null} y - The value of the second dimension, or null if missing.
+	 * @returns {boolean} Whether the pair is an outlier. Pairs missing either value never are.
+	 */
+	isBivariateOutlier(dim1, dim2, x, y) {
+		if (isMissing(x) || isMissing(y)) return false;
+
+		return (
+			this.mahalanobisDistanceSquared(dim1, dim2, x, y) >
+			MAHALANOBIS_THRESHOLD
+		);
+	}
+
+	/**
+	 * Calculates a rule-of-thumb bandwidth for kernel density estimation of a dimension.
+	 * - silverman: 0.9 * min(σ, IQR / 1.34) * n^(-1/5), robust to skew and outliers.
+	 * - scott: 1.06 * σ * n^(-1/5), optimal for normally distributed data.
+	 * @param {string} dim - The dimension name.
+	 * @param {"silverman"|"scott"} rule - The bandwidth rule.
+	 * @returns {number} The bandwidth.
+	 */
+	bandwidth(dim, rule) {
+		const n = this.count(dim);
+		if (n === 0) return 0;
+
+		const s = this.stddev(dim);
+		if (rule === "scott") {
+			return 1.06 * s * Math.pow(n, -1 / 5);
+		}
 
-/**
- * Calculates the covariance between two arrays of numbers.
- * @param {number[]} x - The first array.
- * @param {number} mx - The mean of the first array.
- * @param {number[]} y - The second array.
- * @param {number} my - The mean of the second array.
- * @returns {number} The covariance.
- */
-function covariance(x, mx, y, my) {
-	if (x.length !== y.length || x.length === 0) return 0;
-	return x.reduce((s, v, i) => s + (v - mx) * (y[i] - my), 0) / x.length;
+		const iqr = this.iqr(dim);
+		const spread = iqr > 0 ? Math.min(s, iqr / 1.34) : s;
+		return 0.9 * spread * Math.pow(n, -1 / 5);
+	}
+
+	/**
+	 * Returns (or caches) a kernel density estimate for a dimension.
+	 * @param {string} dim - The dimension name.
+	 * @param {Kernel} kernel - The smoothing kernel.
+	 * @param {number} h - The bandwidth.
+	 * @returns {function(number): number} The estimated density function.
+	 */
+	kde(dim, kernel, h) {
+		const key = `${dim},${kernel.id},${h}`;
+		if (this._stats.kde[key] === undefined) {
+			this._stats.kde[key] = kernelDensity(this.sorted(dim), h, kernel);
+		}
+		return this._stats.kde[key];
+	}
+
+	/**
+	 * Returns (or caches) a smoother of one dimension as a function of another.
+	 * - loess: locally weighted linear regression over a fraction of the data.
+	 * - moving-average: the mean within a window of fixed width.
+	 * @param {string} dimX - The dimension to smooth over.
+	 * @param {string} dimY - The dimension to smooth.
+	 * @param {"loess"|"moving-average"} method - The smoothing method.
+	 * @param {number} parameter - The span for LOESS, or the half-width of the window for the moving average.
+	 * @returns {function(number): number} The smoothed function, fitted to the subjects observed in both dimensions.
+	 */
+	smoother(dimX, dimY, method, parameter) {
+		const key = `${dimX},${dimY},${method},${parameter}`;
+		if (this._stats.smoother[key] === undefined) {
+			const pair = this.complete([dimX, dimY]);
+			const xs = pair.valuesOf(dimX);
+			const ys = pair.valuesOf(dimY);
+			const order = xs.map((_, i) => i).sort((a, b) => xs[a] - xs[b]);
+			const sortedXs = order.map((i) => xs[i]);
+			const sortedYs = order.map((i) => ys[i]);
+
+			this._stats.smoother[key] =
+				method === "moving-average"
+					? movingAverage(sortedXs, sortedYs, parameter)
+					: loess(sortedXs, sortedYs, parameter);
+		}
+		return this._stats.smoother[key];
+	}
 }
 
 /**
- * Calculates the probability density function of a Gaussian distribution at a point.
- * @param {number} x - The point to evaluate.
- * @param {number} mx - The mean of the distribution.
- * @param {number} sx - The standard deviation of the distribution.
- * @returns {number} The probability density.
+ * Compares one dimension of two series, such as the male and female subjects, with hypothesis tests and effect sizes.
+ * Each test returns its statistic and two-sided p-value; the large-sample tests use their usual approximations,
+ * which are accurate for the hundreds of subjects per gender in the surveys.
  */
-function gaussianPdf(x, mx, sx) {
-	if (sx === 0) return 0;
-	const z = (x - mx) / sx;
-	return (1 / (sx * Math.sqrt(2 * Math.PI))) * Math.exp(-0.5 * z * z);
+class TwoSampleComparison {
+	/**
+	 * Creates a new instance.
+	 * @param {Series} first - The first series.
+	 * @param {Series} second - The second series.
+	 * @param {string} dim - The dimension to compare.
+	 */
+	constructor(first, second, dim) {
+		this.first = first;
+		this.second = second;
+		this.dim = dim;
+	}
+
+	/**
+	 * Gets the number of observed values in each series.
+	 * @returns {[number, number]} The counts of the first and second series.
+	 */
+	get counts() {
+		return [this.first.count(this.dim), this.second.count(this.dim)];
+	}
+
+	/**
+	 * Gets the sample (n - 1) variance of each series.
+	 * @returns {[number, number]} The variances of the first and second series.
+	 */
+	get variances() {
+		return [this.first, this.second].map((series) => {
+			const n = series.count(this.dim);
+			return n > 1 ? (series.stddev(this.dim) ** 2 * n) / (n - 1) : NaN;
+		});
+	}
+
+	/**
+	 * Welch's t-test for a difference in means, which does not assume equal variances.
+	 * @returns {{ statistic: number, df: number, p: number }} The t statistic, the Welch–Satterthwaite degrees of freedom and the p-value.
+	 */
+	welchTTest() {
+		const [n1, n2] = this.counts;
+		const [v1, v2] = this.variances;
+		const se1 = v1 / n1;
+		const se2 = v2 / n2;
+
+		const statistic =
+			(this.first.mean(this.dim) - this.second.mean(this.dim)) /
+			Math.sqrt(se1 + se2);
+		const df =
+			(se1 + se2) ** 2 / (se1 ** 2 / (n1 - 1) + se2 ** 2 / (n2 - 1));
+
+		return { statistic, df, p: studentTTwoSided(statistic, df) };
+	}
+
+	/**
+	 * The Mann–Whitney U test for a shift in location, based on the ranks of the pooled values.
+	 * The p-value uses the normal approximation with a correction for ties and for continuity.
+	 * @returns {{ statistic: number, z: number, p: number }} The U statistic of the first series, its z-score and the p-value.
+	 */
+	mannWhitneyU() {
+		const [n1, n2] = this.counts;
+		const n = n1 + n2;
+		const pooledRanks = ranks([
+			...this.first.observedValuesOf(this.dim),
+			...this.second.observedValuesOf(this.dim),
+		]);
+
+		let rankSum = 0;
+		for (let i = 0; i < n1; i++) rankSum += pooledRanks[i];
+		const statistic = rankSum - (n1 * (n1 + 1)) / 2;
+
+		// Each group of t tied values reduces the variance by (t³ - t) / 12.
+		const tieCounts = new Map();
+		for (const rank of pooledRanks) {
+			tieCounts.set(rank, (tieCounts.get(rank) ?? 0) + 1);
+		}
+		let tieTerm = 0;
+		for (const t of tieCounts.values()) tieTerm += t ** 3 - t;
+
+		const expected = (n1 * n2) / 2;
+		const sd = Math.sqrt(
+			((n1 * n2) / 12) * (n + 1 - tieTerm / (n * (n - 1))),
+		);
+		const difference = statistic - expected;
+		const z =
+			sd > 0
+				? (Math.sign(difference) *
+						Math.max(0, Math.abs(difference) - 0.5)) /
+					sd
+				: 0;
+
+		return {
+			statistic,
+			z,
+			p: Math.min(1, 2 * (1 - gaussianCdf(Math.abs(z), 0, 1))),
+		};
+	}
+
+	/**
+	 * The two-sample Kolmogorov–Smirnov test for any difference between the distributions.
+	 * The p-value uses the asymptotic Kolmogorov distribution with Stephens' small-sample correction.
+	 * @returns {{ statistic: number, p: number }} The largest distance D between the empirical distribution functions and the p-value.
+	 */
+	kolmogorovSmirnov() {
+		const a = this.first.sorted(this.dim);
+		const b = this.second.sorted(this.dim);
+		const [n1, n2] = [a.length, b.length];
+
+		let i = 0;
+		let j = 0;
+		let statistic = 0;
+		while (i < n1 && j < n2) {
+			// Step past every copy of the next value in both samples before comparing.
+			const x = Math.min(a[i], b[j]);
+			while (i < n1 && a[i] === x) i++;
+			while (j < n2 && b[j] === x) j++;
+			statistic = Math.max(statistic, Math.abs(i / n1 - j / n2));
+		}
+
+		const en = Math.sqrt((n1 * n2) / (n1 + n2));
+		return {
+			statistic,
+			p: kolmogorovSurvival((en + 0.12 + 0.11 / en) * statistic),
+		};
+	}
+
+	/**
+	 * Levene's test for a difference in variances, centered on the medians (the Brown–Forsythe variant),
+	 * which keeps it reliable for skewed measurements such as weight.
+	 * @returns {{ statistic: number, df1: number, df2: number, p: number }} The W statistic, its F degrees of freedom and the p-value.
+	 */
+	levene() {
+		const deviations = [this.first, this.second].map((series) => {
+			const median = series.median(this.dim);
+			return series
+				.observedValuesOf(this.dim)
+				.map((value) => Math.abs(value - median));
+		});
+		const n = deviations[0].length + deviations[1].length;
+		const groupMeans = deviations.map((group) => mean(group));
+		const grandMean = mean(deviations.flat());
+
+		const between = deviations.reduce(
+			(sum, group, i) =>
+				sum + group.length * (groupMeans[i] - grandMean) ** 2,
+			0,
+		);
+		const within = deviations.reduce(
+			(sum, group, i) =>
+				sum +
+				group.reduce((s, value) => s + (value - groupMeans[i]) ** 2, 0),
+			0,
+		);
+
+		const df1 = 1;
+		const df2 = n - 2;
+		const statistic = (df2 * between) / (df1 * within);
+
+		return { statistic, df1, df2, p: fSurvival(statistic, df1, df2) };
+	}
+
+	/**
+	 * Cohen's d: the difference in means in units of the pooled standard deviation.
+	 * @returns {number} The effect size, positive when the first series has the larger mean.
+	 */
+	cohensD() {
+		const [n1, n2] = this.counts;
+		const [v1, v2] = this.variances;
+		const pooled = Math.sqrt(
+			((n1 - 1) * v1 + (n2 - 1) * v2) / (n1 + n2 - 2),
+		);
+
+		return (
+			(this.first.mean(this.dim) - this.second.mean(this.dim)) / pooled
+		);
+	}
+
+	/**
+	 * Hedges' g: Cohen's d corrected for its small-sample bias.
+	 * @returns {number} The effect size, positive when the first series has the larger mean.
+	 */
+	hedgesG() {
+		const [n1, n2] = this.counts;
+		return this.cohensD() * (1 - 3 / (4 * (n1 + n2) - 9));
+	}
+
+	/**
+	 * The overlapping coefficient of the normal distributions fitted to the two series:
+	 * the area under both density curves, from 0 for no overlap to 1 for identical distributions.
+	 * @returns {number} The overlapping coefficient, or NaN if either series is constant.
+	 */
+	overlap() {
+		const m1 = this.first.mean(this.dim);
+		const s1 = this.first.stddev(this.dim);
+		const m2 = this.second.mean(this.dim);
+		const s2 = this.second.stddev(this.dim);
+		if (!(s1 > 0 && s2 > 0)) return NaN;
+
+		// The densities cross where a x² + b x + c = 0, found by equating their logarithms.
+		const a = 1 / (2 * s2 * s2) - 1 / (2 * s1 * s1);
+		const b = m1 / (s1 * s1) - m2 / (s2 * s2);
+		const c =
+			(m2 * m2) / (2 * s2 * s2) -
+			(m1 * m1) / (2 * s1 * s1) +
+			Math.log(s2 / s1);
+
+		let crossings;
+		if (Math.abs(a) < 1e-12 * Math.max(1 / (s1 * s1), 1 / (s2 * s2))) {
+			if (b === 0) return 1;
+			crossings = [-c / b];
+		} else {
+			const discriminant = b * b - 4 * a * c;
+			crossings =
+				discriminant <= 0
+					? []
+					: [
+							(-b - Math.sqrt(discriminant)) / (2 * a),
+							(-b + Math.sqrt(discriminant)) / (2 * a),
+						].sort((x, y) => x - y);
+		}
+
+		// Between consecutive crossings one density stays below the other; add up its mass there.
+		const bounds = [-Infinity, ...crossings, Infinity];
+		let total = 0;
+		for (let i = 0; i < bounds.length - 1; i++) {
+			const [lower, upper] = [bounds[i], bounds[i + 1]];
+			const probe = isFinite(lower)
+				? isFinite(upper)
+					? (lower + upper) / 2
+					: lower + 1
+				: isFinite(upper)
+					? upper - 1
+					: m1;
+			const [m, s] =
+				gaussianPdf(probe, m1, s1) < gaussianPdf(probe, m2, s2)
+					? [m1, s1]
+					: [m2, s2];
+			total += gaussianCdf(upper, m, s) - gaussianCdf(lower, m, s);
+		}
+
+		return Math.min(1, Math.max(0, total));
+	}
 }
 
 /**
- * Calculates the z-score (standard score) for a value.
- * @param {number} x - The value.
- * @param {number} mx - The mean.
- * @param {number} sx - The standard deviation.
- * @returns {number} The z-score.
+ * Represents the form of a regression model: a polynomial of X, optionally fitted to the logarithms of both variables.
  */
-function zScore(x, mx, sx) {
-	if (sx === 0) return 0;
-	return (x - mx) / sx;
+class RegressionModel {
+	/**
+	 * A straight line.
+	 * @type {RegressionModel}
+	 */
+	static LINEAR = new RegressionModel("linear", 1, false);
+
+	/**
+	 * A parabola.
+	 * @type {RegressionModel}
+	 */
+	static QUADRATIC = new RegressionModel("quadratic", 2, false);
+
+	/**
+	 * A cubic polynomial.
+	 * @type {RegressionModel}
+	 */
+	static CUBIC = new RegressionModel("cubic", 3, false);
+
+	/**
+	 * A power law, Y = a·X^b, fitted as a straight line through the logarithms.
+	 * @type {RegressionModel}
+	 */
+	static LOG_LOG = new RegressionModel("log-log", 1, true);
+
+	/**
+	 * Returns an array of all regression models.
+	 * @returns {RegressionModel[]} An array of all regression models.
+	 */
+	static all() {
+		return [this.LINEAR, this.QUADRATIC, this.CUBIC, this.LOG_LOG];
+	}
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} id The id for the model.
+	 * @param {number} degree The degree of the polynomial.
+	 * @param {boolean} logarithmic Whether the model is fitted to the natural logarithms of X and Y.
+	 */
+	constructor(id, degree, logarithmic) {
+		this.id = id;
+		this.degree = degree;
+		this.logarithmic = logarithmic;
+	}
 }
 
 /**
- * A data structure representing a collection of related series (data columns).
- * Handles lazy calculation and caching of statistical properties.
+ * An ordinary least squares regression of one dimension on another, pooling the subjects of one or more series
+ * that are observed in both. Log-log models leave out subjects with values that are not positive, and report R²
+ * and the standard error on the log scale; their predictions are transformed back, so they estimate the median.
  */
-class Series {
+class Regression {
 	/**
-	 * Creates a new Series.
-	 * @param {Object.<string, number[]>} values - A dictionary mapping dimension names to arrays of numbers.
+	 * The two-sided tail probability of the confidence and prediction intervals.
+	 * @type {number}
 	 */
-	constructor(values) {
-		this.values = values;
+	static ALPHA = 0.05;
 
-		this._stats = {
-			mean: Object.create(null),
-			stddev: Object.create(null),
-			pdf: Object.create(null),
-			// Cache for joint stats: key will be "dim1,dim2"
-			covariance: Object.create(null),
-			correlation: Object.create(null),
-		};
+	/**
+	 * Fits a new regression.
+	 * @param {Series[]} seriesList - The series to pool.
+	 * @param {RegressionModel} model - The form of the model.
+	 * @param {string} [dimX="x"] - The dimension of the predictor.
+	 * @param {string} [dimY="y"] - The dimension of the response.
+	 */
+	constructor(seriesList, model, dimX = "x", dimY = "y") {
+		this.model = model;
+
+		const us = [];
+		const vs = [];
+		for (const series of seriesList) {
+			const pair = series.complete([dimX, dimY]);
+			const xs = pair.valuesOf(dimX);
+			const ys = pair.valuesOf(dimY);
+			for (let i = 0; i < xs.length; i++) {
+				if (model.logarithmic && (xs[i] <= 0 || ys[i] <= 0)) continue;
+				us.push(model.logarithmic ? Math.log(xs[i]) : xs[i]);
+				vs.push(model.logarithmic ? Math.log(ys[i]) : ys[i]);
+			}
+		}
+
+		/** @type {number} The number of subjects the model is fitted to. */
+		this.count = us.length;
+		/** @type {number} The smallest X value fitted, on the original scale. */
+		this.minX = this.untransform(Math.min(...us));
+		/** @type {number} The largest X value fitted, on the original scale. */
+		this.maxX = this.untransform(Math.max(...us));
+
+		// Standardize X, so the powers in the normal equations stay well conditioned.
+		this.center = mean(us);
+		this.scale = stddev(us, this.center) || 1;
+
+		const k = model.degree + 1;
+		const normal = Array.from({ length: k }, () => Array(k).fill(0));
+		const moments = Array(k).fill(0);
+		for (let i = 0; i < us.length; i++) {
+			const f = this.features(us[i]);
+			for (let a = 0; a < k; a++) {
+				moments[a] += f[a] * vs[i];
+				for (let b = 0; b < k; b++) normal[a][b] += f[a] * f[b];
+			}
+		}
+
+		/** @type {number} The residual degrees of freedom. */
+		this.degreesOfFreedom = us.length - k;
+		/** @type {number[][]|null} The inverse of XᵀX, or null if the model cannot be fitted. */
+		this.inverse = this.degreesOfFreedom > 0 ? invertMatrix(normal) : null;
+
+		if (!this.fitted) return;
+
+		/** @type {number[]} The coefficients of the powers of standardized X. */
+		this.coefficients = this.inverse.map((row) =>
+			row.reduce((sum, value, b) => sum + value * moments[b], 0),
+		);
+
+		const mv = mean(vs);
+		let residual = 0;
+		let total = 0;
+		for (let i = 0; i < us.length; i++) {
+			residual += (vs[i] - this.evaluate(us[i])) ** 2;
+			total += (vs[i] - mv) ** 2;
+		}
+
+		/** @type {number} The coefficient of determination. */
+		this.rSquared = total > 0 ? 1 - residual / total : NaN;
+		/** @type {number} The residual standard error. */
+		this.standardError = Math.sqrt(residual / this.degreesOfFreedom);
+		/** @type {number} The critical value of t for the intervals. */
+		this.critical = studentTCritical(
+			Regression.ALPHA,
+			this.degreesOfFreedom,
+		);
 	}
 
 	/**
-	 * Returns the list of available dimensions (keys).
-	 * @returns {string[]} The dimension names.
+	 * Gets whether there were enough distinct subjects to fit the model.
+	 * @returns {boolean} Whether the model is fitted.
 	 */
-	dimensions() {
-		return Object.keys(this.values);
+	get fitted() {
+		return this.inverse !== null;
 	}
 
 	/**
-	 * Returns the values for a specific dimension.
-	 * @param {string} dim - The dimension name.
-	 * @returns {number[]} The array of values.
+	 * Transforms an X value to the scale the model is fitted on.
+	 * @param {number} x - The value.
+	 * @returns {number} The transformed value, or NaN if a log-log model cannot take it.
 	 */
-	valuesOf(dim) {
-		return this.values[dim] || [];
+	transform(x) {
+		if (!this.model.logarithmic) return x;
+		return x > 0 ? Math.log(x) : NaN;
 	}
 
 	/**
-	 * Calculates (or returns cached) mean for a dimension.
-	 * @param {string} dim - The dimension name.
-	 * @returns {number} The mean.
+	 * Transforms a value back from the scale the model is fitted on.
+	 * @param {number} u - The transformed value.
+	 * @returns {number} The value.
 	 */
-	mean(dim) {
-		if (this._stats.mean[dim] === undefined) {
-			const dimValues = this.valuesOf(dim);
-			this._stats.mean[dim] = mean(dimValues);
-		}
-		return this._stats.mean[dim];
+	untransform(u) {
+		return this.model.logarithmic ? Math.exp(u) : u;
 	}
 
-	stddev(dim) {
-		if (this._stats.stddev[dim] === undefined) {
-			const dimValues = this.valuesOf(dim);
-			const m = this.mean(dim);
-			this._stats.stddev[dim] = stddev(dimValues, m);
-		}
-		return this._stats.stddev[dim];
+	/**
+	 * Calculates the powers of the standardized value of a transformed X value.
+	 * @param {number} u - The transformed X value.
+	 * @returns {number[]} The powers, from 0 up to the degree of the model.
+	 */
+	features(u) {
+		const z = (u - this.center) / this.scale;
+		const f = [1];
+		for (let d = 1; d <= this.model.degree; d++) f.push(f[d - 1] * z);
+		return f;
 	}
 
-	covariance(dim1, dim2) {
-		const key = `${dim1},${dim2}`;
-		if (this._stats.covariance[key] === undefined) {
-			const values1 = this.valuesOf(dim1);
-			const values2 = this.valuesOf(dim2);
-			const m1 = this.mean(dim1);
-			const m2 = this.mean(dim2);
-			this._stats.covariance[key] = covariance(values1, m1, values2, m2);
-		}
-		return this._stats.covariance[key];
+	/**
+	 * Evaluates the fitted polynomial at a transformed X value.
+	 * @param {number} u - The transformed X value.
+	 * @returns {number} The fitted value on the transformed scale.
+	 */
+	evaluate(u) {
+		return this.features(u).reduce(
+			(sum, f, a) => sum + f * this.coefficients[a],
+			0,
+		);
 	}
 
-	correlation(dim1, dim2) {
-		const key = `${dim1},${dim2}`;
-		if (this._stats.correlation[key] === undefined) {
-			const cov = this.covariance(dim1, dim2);
-			const s1 = this.stddev(dim1);
-			const s2 = this.stddev(dim2);
-			this._stats.correlation[key] =
-				s1 > 0 && s2 > 0 ? cov / (s1 * s2) : 0;
+	/**
+	 * Predicts Y at an X value, with the confidence interval of the fitted value
+	 * and the prediction interval of a new subject.
+	 * @param {number} x - The X value.
+	 * @returns {{y: number, confidence: {low: number, high: number}, prediction: {low: number, high: number}}|null}
+	 * The prediction, or null if the model is not fitted or cannot take the value.
+	 */
+	predict(x) {
+		const u = this.transform(x);
+		if (!this.fitted || isNaN(u)) return null;
+
+		const f = this.features(u);
+		let leverage = 0;
+		for (let a = 0; a < f.length; a++) {
+			for (let b = 0; b < f.length; b++) {
+				leverage += f[a] * this.inverse[a][b] * f[b];
+			}
 		}
-		return this._stats.correlation[key];
+
+		const v = this.evaluate(u);
+		const confidence =
+			this.critical * this.standardError * Math.sqrt(leverage);
+		const prediction =
+			this.critical * this.standardError * Math.sqrt(1 + leverage);
+
+		return {
+			y: this.untransform(v),
+			confidence: {
+				low: this.untransform(v - confidence),
+				high: this.untransform(v + confidence),
+			},
+			prediction: {
+				low: this.untransform(v - prediction),
+				high: this.untransform(v + prediction),
+			},
+		};
 	}
 
-	pdf(dim) {
-		if (this._stats.pdf[dim] === undefined) {
-			const m = this.mean(dim);
-			const s = this.stddev(dim);
+	/**
+	 * Expands the fitted polynomial into coefficients of the powers of transformed X, for stating the equation.
+	 * @returns {number[]} The coefficients, from the intercept up to the degree of the model.
+	 */
+	polynomial() {
+		const degree = this.model.degree;
+		const binomial = (n, k) => {
+			let result = 1;
+			for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+			return result;
+		};
 
-			this._stats.pdf[dim] = function (x) {
-				return gaussianPdf(x, m, s);
-			};
-		}
+		// β_j ((u - c) / s)^j contributes β_j C(j, k) (-c)^(j-k) / s^j to the power k.
+		return Array.from({ length: degree + 1 }, (_, k) => {
+			let sum = 0;
+			for (let j = k; j <= degree; j++) {
+				sum +=
+					(this.coefficients[j] *
+						binomial(j, k) *
+						(-this.center) ** (j - k)) /
+					this.scale ** j;
+			}
+			return sum;
+		});
+	}
+}
 
-		return this._stats.pdf[dim];
+/**
+ * The conditional distribution of unknown dimensions of a series given known values of others, under a
+ * multivariate normal with the series' means and pairwise-complete covariances: each unknown dimension u is normal
+ * with mean μ_u + Σ_uk Σ_kk⁻¹ (x_k − μ_k) and variance Σ_uu − Σ_uk Σ_kk⁻¹ Σ_ku.
+ */
+class ConditionalNormal {
+	/**
+	 * Creates a new instance.
+	 * @param {Series} series - The series.
+	 * @param {Object.<string, number>} point - The known values, by dimension.
+	 */
+	constructor(series, point) {
+		this.series = series;
+		this.point = point;
+		this.knownDims = Object.keys(point);
+
+		const known = this.knownDims.map((a) =>
+			this.knownDims.map((b) => series.covariance(a, b)),
+		);
+		/** @type {number[][]|null} The inverse of the known dimensions' covariance, or null if it is singular. */
+		this.inverse = invertMatrix(known);
+	}
+
+	/**
+	 * Gets whether the known dimensions have enough subjects, varying independently, to condition on.
+	 * @returns {boolean} Whether estimates can be made.
+	 */
+	get defined() {
+		return (
+			this.inverse !== null &&
+			this.knownDims.every((dim) => this.series.count(dim) > 1)
+		);
+	}
+
+	/**
+	 * Estimates an unknown dimension.
+	 * @param {string} dim - The dimension.
+	 * @returns {{ mean: number, stddev: number }|null} The conditional mean and standard deviation,
+	 * or null if the dimension has too few subjects or the known ones cannot be conditioned on.
+	 */
+	estimate(dim) {
+		if (!this.defined || this.series.count(dim) < 2) return null;
+
+		const cross = this.knownDims.map((k) => this.series.covariance(dim, k));
+		// The regression weights of the known dimensions: Σ_uk Σ_kk⁻¹.
+		const weights = this.knownDims.map((_, j) =>
+			cross.reduce((sum, c, i) => sum + c * this.inverse[i][j], 0),
+		);
+
+		let mean = this.series.mean(dim);
+		let variance = this.series.covariance(dim, dim);
+		this.knownDims.forEach((k, j) => {
+			mean += weights[j] * (this.point[k] - this.series.mean(k));
+			variance -= weights[j] * cross[j];
+		});
+
+		return { mean, stddev: Math.sqrt(Math.max(variance, 0)) };
+	}
+
+	/**
+	 * Combines normal estimates into a mixture, such as the estimates for each gender weighted by its posterior,
+	 * with its mean and the central interval holding a given probability.
+	 * @param {{ mean: number, stddev: number }[]} estimates - The estimates.
+	 * @param {number[]} weights - The weight of each estimate, summing to 1.
+	 * @param {number} [coverage=0.95] - The probability the interval holds.
+	 * @returns {{ mean: number, low: number, high: number }} The mean and interval of the mixture.
+	 */
+	static mix(estimates, weights, coverage = 0.95) {
+		const mean = estimates.reduce(
+			(sum, estimate, i) => sum + weights[i] * estimate.mean,
+			0,
+		);
+		// A point mass is treated as a very narrow normal, so the CDF stays continuous.
+		const spreads = estimates.map((estimate) =>
+			Math.max(estimate.stddev, 1e-9 * (Math.abs(estimate.mean) || 1)),
+		);
+		const cdf = (x) =>
+			estimates.reduce(
+				(sum, estimate, i) =>
+					sum +
+					weights[i] * gaussianCdf(x, estimate.mean, spreads[i]),
+				0,
+			);
+
+		// The mixture's quantiles lie within the range of its components' quantiles.
+		const lower = Math.min(
+			...estimates.map((estimate, i) => estimate.mean - 10 * spreads[i]),
+		);
+		const upper = Math.max(
+			...estimates.map((estimate, i) => estimate.mean + 10 * spreads[i]),
+		);
+		const quantile = (p) => {
+			let low = lower;
+			let high = upper;
+			for (let i = 0; i < 60; i++) {
+				const middle = (low + high) / 2;
+				if (cdf(middle) < p) {
+					low = middle;
+				} else {
+					high = middle;
+				}
+			}
+			return (low + high) / 2;
+		};
+
+		return {
+			mean,
+			low: quantile((1 - coverage) / 2),
+			high: quantile((1 + coverage) / 2),
+		};
 	}
 }
 
@@ -418,8 +2072,8 @@ class LDAClassifier {
 	 */
 	computePooledCovariance(dims) {
 		const [series0, series1] = this.seriesList;
-		const n0 = series0.valuesOf(dims[0]).length;
-		const n1 = series1.valuesOf(dims[0]).length;
+		const n0 = series0.count(dims[0]);
+		const n1 = series1.count(dims[0]);
 		const n = n0 + n1;
 
 		const k = dims.length;
@@ -446,53 +2100,7 @@ class LDAClassifier {
 	 * @returns {number[][] | null} The inverse matrix, or null if singular.
 	 */
 	invertMatrix(matrix) {
-		const n = matrix.length;
-		// Create augmented matrix [A | I]
-		const aug = matrix.map((row, i) => {
-			const newRow = [...row];
-			for (let j = 0; j < n; j++) {
-				newRow.push(i === j ? 1 : 0);
-			}
-			return newRow;
-		});
-
-		// Forward elimination with partial pivoting
-		for (let col = 0; col < n; col++) {
-			// Find pivot
-			let maxRow = col;
-			for (let row = col + 1; row < n; row++) {
-				if (Math.abs(aug[row][col]) > Math.abs(aug[maxRow][col])) {
-					maxRow = row;
-				}
-			}
-
-			// Swap rows
-			[aug[col], aug[maxRow]] = [aug[maxRow], aug[col]];
-
-			// Check for singular matrix
-			if (Math.abs(aug[col][col]) < 1e-12) {
-				return null;
-			}
-
-			// Scale pivot row
-			const pivot = aug[col][col];
-			for (let j = 0; j < 2 * n; j++) {
-				aug[col][j] /= pivot;
-			}
-
-			// Eliminate column
-			for (let row = 0; row < n; row++) {
-				if (row !== col) {
-					const factor = aug[row][col];
-					for (let j = 0; j < 2 * n; j++) {
-						aug[row][j] -= factor * aug[col][j];
-					}
-				}
-			}
-		}
-
-		// Extract inverse from augmented matrix
-		return aug.map((row) => row.slice(n));
+		return invertMatrix(matrix);
 	}
 
 	/**
@@ -780,4 +2388,18 @@ class LDAClassifier {
 	}
 }
 
-export { Series, BayesianClassifier, LDAClassifier, getEvidenceCategory };
+export {
+	isMissing,
+	Series,
+	TwoSampleComparison,
+	RegressionModel,
+	Regression,
+	ConditionalNormal,
+	BayesianClassifier,
+	LDAClassifier,
+	getEvidenceCategory,
+	Kernel,
+	OutlierRule,
+	gaussianCdf,
+	zScore,
+};
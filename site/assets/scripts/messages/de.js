@@ -0,0 +1,428 @@
+/**
+ * The German messages, by key.
+ */
+export default {
+	"header.tagline": "Ein (ἄνθρωπος + μέτρον)-Spielplatz im Browser",
+	"header.language": "Sprache",
+	"header.github": "GitHub-Repository besuchen",
+	"header.theme": "Zwischen hellem und dunklem Design wechseln",
+	"footer.data": "Daten:",
+	"footer.createdWith": "Erstellt mit",
+	"footer.and": "und",
+	"footer.by": "von",
+	"preferences.dataset": "Datensatz",
+	"preferences.dataset.tooltip":
+		"Wählen Sie den zu analysierenden Datensatz.",
+	"preferences.dataset.recommended": "(empfohlen)",
+	"preferences.dataset.offline": "(offline verfügbar)",
+	"preferences.dataset.includes":
+		"Enthält {count} Maße für {male} Männer und {female} Frauen.",
+	"preferences.dataset.import": "CSV importieren…",
+	"dataset.ansur1.description":
+		"Eine 1988 veröffentlichte Erhebung unter Angehörigen der U.S. Army.",
+	"dataset.ansur2.description":
+		"Eine 2017 veröffentlichte Erhebung unter Angehörigen der U.S. Army.",
+	"preferences.compare": "Vergleich",
+	"preferences.compare.tooltip":
+		"Eine weitere Erhebung im Histogramm, in der Dichte und im Streudiagramm einblenden.",
+	"preferences.compare.none": "Keiner",
+	"preferences.genders": "Geschlechter",
+	"preferences.genders.tooltip":
+		"Wählen Sie die einzubeziehenden Geschlechter.",
+	"preferences.units": "Einheiten",
+	"preferences.units.tooltip":
+		"Wählen Sie das Maßsystem und die Einheit, in der jedes System Längen und Massen anzeigt.",
+	"preferences.outliers": "Ausreißer",
+	"preferences.outliers.tooltip":
+		"Unplausible Werte markieren und optional aus allen Experimenten ausschließen.",
+	"preferences.outliers.exclude": "Ausreißer ausschließen",
+	"gender.male": "Männlich",
+	"gender.female": "Weiblich",
+	"category.general": "Allgemein",
+	"category.head": "Kopf",
+	"category.face": "Gesicht",
+	"category.neck": "Hals",
+	"category.torso": "Rumpf",
+	"category.arm": "Arm",
+	"category.hand": "Hand",
+	"category.leg": "Bein",
+	"category.foot": "Fuß",
+	"covariate.age": "Alter",
+	"covariate.component": "Komponente",
+	"covariate.branch": "Teilstreitkraft",
+	"covariate.primarymos": "Primäre MOS",
+	"covariate.installation": "Standort",
+	"covariate.dodrace": "Herkunft (DoD)",
+	"covariate.dodrace.1": "Weiß",
+	"covariate.dodrace.2": "Schwarz",
+	"covariate.dodrace.3": "Hispanisch",
+	"covariate.dodrace.4": "Asiatisch",
+	"covariate.dodrace.5": "Indigen amerikanisch",
+	"covariate.dodrace.6": "Pazifische Inseln",
+	"covariate.dodrace.8": "Andere",
+	"covariate.ethnicity": "Ethnizität",
+	"covariate.writingpreference": "Schreibhand",
+	"covariate.notReported": "Nicht angegeben",
+	"ageBand.under25": "Unter 25",
+	"ageBand.25to34": "25–34",
+	"ageBand.35to44": "35–44",
+	"ageBand.45plus": "45+",
+	"unitSystem.metric": "Metrisch",
+	"unitSystem.imperial": "Imperial",
+	"units.metricLength": "(metrische Länge)",
+	"units.imperialLength": "(imperiale Länge)",
+	"units.imperialMass": "(imperiale Masse)",
+	"displayUnit.mm": "Millimeter",
+	"displayUnit.cm": "Zentimeter",
+	"displayUnit.m": "Meter",
+	"displayUnit.in": "Zoll",
+	"displayUnit.ft-in": "Fuß und Zoll",
+	"displayUnit.kg": "Kilogramm",
+	"displayUnit.lbs": "Pfund",
+	"displayUnit.st-lbs": "Stone und Pfund",
+	"displayUnit.yrs": "Jahre",
+	"outlierRule.iqr": "IQR-Zäune",
+	"outlierRule.iqr.hint": "(1,5 × IQR jenseits der Quartile)",
+	"outlierRule.robust-z": "Robuster z-Wert",
+	"outlierRule.robust-z.hint": "(|z| > 3,5 von Median und MAD)",
+	"evidence.extreme": "Extrem",
+	"evidence.veryStrong": "Sehr stark",
+	"evidence.strong": "Stark",
+	"evidence.moderate": "Moderat",
+	"evidence.anecdotal": "Anekdotisch",
+	"experiments.histogram": "001. Tatsächliche Verteilung",
+	"experiments.scatter": "002. Tatsächliche gemeinsame Verteilung",
+	"experiments.density": "003. Modellierte Wahrscheinlichkeitsverteilung",
+	"experiments.joint-density":
+		"004. Modellierte gemeinsame Wahrscheinlichkeitsverteilung",
+	"experiments.classification": "005. Multivariate Geschlechtsklassifikation",
+	"experiments.data-export": "006. Datenexport",
+	"experiments.summary-statistics": "007. Zusammenfassende Statistik",
+	"experiments.correlation-matrix": "008. Korrelationsmatrix",
+	"experiments.age-trend": "009. Maße nach Alter",
+	"experiments.estimation": "010. Geschätzte Maße",
+	"experiments.histogram.intro":
+		"Betrachten Sie die Verteilung einer einzelnen anthropometrischen Variable. Wählen Sie die darzustellende Variable. Geben Sie einen Wert ein, um zu sehen, wo er im Datensatz liegt.",
+	"experiments.scatter.intro":
+		"Betrachten Sie die gemeinsame Verteilung zweier anthropometrischer Variablen. Wählen Sie die darzustellenden Variablen. Geben Sie für jede einen Wert ein, um zu sehen, wo dieser Punkt im Datensatz liegt. Personen, die nach der unter Ausreißer gewählten Regel als Ausreißer gelten, sind rot umrandet. Wählen Sie eine Regression, um Y aus X vorherzusagen: Geben Sie nur einen X-Wert ein, um das vorhergesagte Y mit seinen 95%-Intervallen zu sehen.",
+	"experiments.density.intro":
+		"Betrachten Sie die modellierte Wahrscheinlichkeitsverteilung einer einzelnen anthropometrischen Variable. Wählen Sie die darzustellende Variable. Geben Sie einen Wert ein, um zu sehen, wo er im Datensatz liegt.",
+	"experiments.joint-density.intro":
+		"Betrachten Sie die modellierte gemeinsame Wahrscheinlichkeitsdichte zweier anthropometrischer Variablen. Wählen Sie die darzustellenden Variablen. Geben Sie für jede einen Wert ein, um zu sehen, wo dieser Punkt im Datensatz liegt.",
+	"experiments.correlation-matrix.intro":
+		"Betrachten Sie, wie stark sich jedes Paar anthropometrischer Variablen gemeinsam verändert, gruppiert nach Körperregion. Fahren Sie über eine Zelle, um die Korrelation für jedes Geschlecht zu sehen, und klicken Sie darauf, um das Paar in die Experimente zur gemeinsamen Verteilung zu laden.",
+	"experiments.age-trend.intro":
+		"Betrachten Sie, wie sich eine anthropometrische Variable mit dem Alter verändert. Jedes Band zeigt den Mittelwert und eine Standardabweichung zu beiden Seiten für eine Altersgruppe, und die Linie folgt dem geglätteten Trend. Geben Sie einen Wert ein, um ihn über die Altersgruppen zu vergleichen.",
+	"experiments.estimation.intro":
+		"Geben Sie die Maße ein, die Sie von einer Person kennen, etwa Körpergröße, Gewicht und einige Umfänge, um jedes andere Maß im Datensatz zu schätzen. Jede Schätzung ist der Mittelwert der Personen mit den eingegebenen Maßen, mit dem Bereich, in dem 95% von ihnen liegen.",
+	"experiments.data-export.intro":
+		"Laden Sie die gewählten Maße für die gewählten Geschlechter in den gewählten Einheiten herunter. Exportieren Sie die Rohwerte jeder Person oder eine zusammenfassende Statistik mit der Korrelationsmatrix.",
+	"experiments.summary-statistics.intro":
+		"Betrachten Sie die Zahlen hinter den Diagrammen. Wählen Sie eine oder mehrere anthropometrische Variablen, um ihre deskriptive Statistik für jedes Geschlecht und die gepoolte Population aufzulisten.",
+	"experiments.classification.intro":
+		"Geben Sie unten ein oder mehrere anthropometrische Maße einer Person ein, um ihr Geschlecht zu klassifizieren.",
+	"controls.xAxis": "X-Achse:",
+	"controls.yAxis": "Y-Achse:",
+	"controls.densityRaster": "Dichteraster:",
+	"controls.jointDensityEllipseToggle": "Ellipsen anzeigen",
+	"controls.jointDensitySigmaToggle": "Sigma-Linien anzeigen",
+	"controls.measurements": "Maße:",
+	"controls.curve": "Kurve:",
+	"controls.kernel": "Kern:",
+	"controls.bandwidth": "Bandbreite:",
+	"controls.age": "Alter:",
+	"controls.densitySigmaToggle": "Sigma-Linien anzeigen",
+	"controls.trend": "Trend:",
+	"controls.ageTrendPointsToggle": "Personen anzeigen",
+	"controls.ageTrendBandsToggle": "Altersbänder anzeigen",
+	"controls.coefficient": "Koeffizient:",
+	"controls.regression": "Regression:",
+	"controls.regressionGroup": "Anpassung:",
+	"controls.estimationModel": "Modell:",
+	"controls.measurement": "Maß",
+	"controls.search": "Suchen",
+	"controls.noMeasurements": "Keine Maße",
+	"controls.measurementCount": "{count} Maße",
+	"controls.manualBandwidth": "Manuelle Bandbreite",
+	"controls.format": "Format:",
+	"options.densityCurveOption.normal": "Normalverteilung",
+	"options.densityCurveOption.normal.hint":
+		"Die an die Daten angepasste Normalverteilung.",
+	"options.densityCurveOption.kde": "Kerndichte",
+	"options.densityCurveOption.kde.hint":
+		"Eine nichtparametrische Schätzung, die der Form der Daten folgt.",
+	"options.densityCurveOption.both": "Beide",
+	"options.densityCurveOption.both.hint":
+		"Die Kerndichteschätzung über der Normalverteilung.",
+	"options.densityKernelOption.gaussian": "Gauß",
+	"options.densityKernelOption.epanechnikov": "Epanechnikov",
+	"options.densityBandwidthOption.silverman": "Silverman",
+	"options.densityBandwidthOption.silverman.hint":
+		"Robust gegenüber Schiefe und Ausreißern.",
+	"options.densityBandwidthOption.scott": "Scott",
+	"options.densityBandwidthOption.scott.hint":
+		"Optimal für normalverteilte Daten.",
+	"options.densityBandwidthOption.manual": "Manuell",
+	"options.densityBandwidthOption.manual.hint":
+		"Mit dem Schieberegler unten einstellen.",
+	"options.densityAgeBandOption.none": "Alle Altersgruppen",
+	"options.densityAgeBandOption.none.hint": "Eine Kurve pro Geschlecht.",
+	"options.densityAgeBandOption.split": "Nach Altersband",
+	"options.densityAgeBandOption.split.hint":
+		"Eine Kurve pro Geschlecht und Altersband (unter 25, 25–34, 35–44, 45+), wo das Alter erfasst ist. Blendet einen Vergleichsdatensatz aus.",
+	"options.jointDensityHeatmapOption.mixture": "Mischung",
+	"options.jointDensityHeatmapOption.mixture.hint":
+		"Dichte der gesamten Population.",
+	"options.jointDensityHeatmapOption.series": "Pro Geschlecht",
+	"options.jointDensityHeatmapOption.series.hint":
+		"Die Dichte jedes Geschlechts in seiner eigenen Farbe.",
+	"options.jointDensityHeatmapOption.difference": "Differenz",
+	"options.jointDensityHeatmapOption.difference.hint":
+		"Log-Dichte männlich minus weiblich.",
+	"options.jointDensityHeatmapOption.none": "Keines",
+	"options.correlationCoefficientOption.pearson": "Pearson",
+	"options.correlationCoefficientOption.pearson.hint":
+		"Die Stärke des linearen Zusammenhangs.",
+	"options.correlationCoefficientOption.spearman": "Spearman",
+	"options.correlationCoefficientOption.spearman.hint":
+		"Die Stärke eines beliebigen monotonen Zusammenhangs, auf Basis von Rängen.",
+	"options.ageTrendSmoothingOption.loess": "LOESS",
+	"options.ageTrendSmoothingOption.loess.hint":
+		"Eine lokale lineare Regression über die nächstgelegene Hälfte der Personen.",
+	"options.ageTrendSmoothingOption.moving-average": "Gleitender Mittelwert",
+	"options.ageTrendSmoothingOption.moving-average.hint":
+		"Der Mittelwert der Personen in einem 5-Jahres-Fenster.",
+	"options.ageTrendSmoothingOption.none": "Keine",
+	"options.ageTrendSmoothingOption.none.hint": "Die Trendlinie ausblenden.",
+	"options.scatterRegressionOption.none": "Keine",
+	"options.scatterRegressionOption.none.hint": "Nur die Personen zeigen.",
+	"options.scatterRegressionOption.linear": "Linear",
+	"options.scatterRegressionOption.linear.hint":
+		"Eine nach der Methode der kleinsten Quadrate angepasste Gerade.",
+	"options.scatterRegressionOption.quadratic": "Quadratisch",
+	"options.scatterRegressionOption.quadratic.hint":
+		"Eine Parabel, für Zusammenhänge mit einer Krümmung.",
+	"options.scatterRegressionOption.cubic": "Kubisch",
+	"options.scatterRegressionOption.cubic.hint":
+		"Ein Polynom dritten Grades, für Zusammenhänge mit zwei Krümmungen.",
+	"options.scatterRegressionOption.log-log": "Log-Log",
+	"options.scatterRegressionOption.log-log.hint":
+		"Ein Potenzgesetz, angepasst als Gerade durch die Logarithmen beider Größen.",
+	"options.scatterRegressionGroupOption.gender": "Je Geschlecht",
+	"options.scatterRegressionGroupOption.gender.hint":
+		"Eine Anpassung für jedes Geschlecht.",
+	"options.scatterRegressionGroupOption.pooled": "Gepoolt",
+	"options.scatterRegressionGroupOption.pooled.hint":
+		"Eine Anpassung an alle Personen, unabhängig vom Geschlecht.",
+	"options.scatterRegressionGroupOption.both": "Beides",
+	"options.scatterRegressionGroupOption.both.hint":
+		"Eine Anpassung je Geschlecht und eine an alle Personen.",
+	"options.estimationModelOption.weighted": "Nach Geschlecht gewichtet",
+	"options.estimationModelOption.weighted.hint":
+		"Eine Schätzung, die die Geschlechter danach mischt, wie wahrscheinlich die eingegebenen Maße jedes machen.",
+	"options.estimationModelOption.gender": "Je Geschlecht",
+	"options.estimationModelOption.gender.hint":
+		"Eine Schätzung für jedes Geschlecht.",
+	population: "Population",
+	"population.tooltip":
+		"Wählen Sie die einzubeziehende Population von Personen.",
+	"population.reset": "Zurücksetzen",
+	"population.any": "beliebig",
+	"population.selected": "{count} ausgewählt",
+	"population.min": "{covariate} Minimum",
+	"population.max": "{covariate} Maximum",
+	"population.count": "{selected} von {total}",
+	"population.noGenders": "Keine Geschlechter ausgewählt.",
+	"population.empty":
+		"Dieser Datensatz erfasst keine demografischen Angaben.",
+	"readout.gender": "Geschlecht",
+	"readout.zScore": "z-Wert",
+	"readout.empiricalPercentile": "Empirisches Perzentil",
+	"readout.normalPercentile": "Normales Perzentil",
+	"comparison.difference": "Differenz (95%-KI)",
+	"comparison.interval": "{low} bis {high}",
+	"comparison.notMeasured": "Nicht erhoben in {dataset}",
+	"tests.title": "Männer vs. Frauen: {measurement}",
+	"tests.test": "Test",
+	"tests.statistic": "Teststatistik",
+	"tests.p": "p-Wert",
+	"tests.pBelow": "< {bound}",
+	"tests.welch": "Welch-t-Test (Mittelwerte)",
+	"tests.mannWhitney": "Mann-Whitney-U (Ränge)",
+	"tests.kolmogorovSmirnov": "Kolmogorow-Smirnow (Verteilungen)",
+	"tests.levene": "Levene-Test (Varianzen)",
+	"tests.effectSize": "Effektstärke",
+	"tests.value": "Wert",
+	"tests.cohensD": "Cohens d",
+	"tests.hedgesG": "Hedges' g",
+	"tests.overlap": "Überlappung der angepassten Normalverteilungen",
+	"tests.note":
+		"Positive Effektstärken bedeuten, dass Männer im Mittel größere Werte haben. Der Levene-Test ist am Median zentriert; die p-Werte von Mann-Whitney und Kolmogorow-Smirnow sind Näherungen für große Stichproben.",
+	"regression.fit": "Anpassung",
+	"regression.equation": "Gleichung",
+	"regression.standardError": "SE",
+	"regression.predicted": "Vorhersage bei {value}",
+	"regression.confidence": "95%-KI",
+	"regression.prediction": "95%-PI",
+	"regression.outOfDomain":
+		"Das Modell kann bei diesem Wert nichts vorhersagen.",
+	"regression.note":
+		"x in {x}, y in {y}. SE ist der Standardfehler der Residuen. Das Konfidenzintervall (KI) begrenzt den Mittelwert bei x, das Prognoseintervall (PI) eine neue Person.",
+	"regression.note.logarithmic":
+		"x in {x}, y in {y}. R² und SE beziehen sich auf die natürlichen Logarithmen, und Vorhersagen schätzen den Median. Das Konfidenzintervall (KI) begrenzt ihn bei x, das Prognoseintervall (PI) eine neue Person.",
+	"toolbar.minX": "X min",
+	"toolbar.minX.label": "X-Minimum",
+	"toolbar.maxX": "X max",
+	"toolbar.maxX.label": "X-Maximum",
+	"toolbar.minY": "Y min",
+	"toolbar.minY.label": "Y-Minimum",
+	"toolbar.maxY": "Y max",
+	"toolbar.maxY.label": "Y-Maximum",
+	"toolbar.reset": "Zurücksetzen",
+	"toolbar.exportPng": "Als PNG exportieren",
+	"toolbar.exportSvg": "Als SVG exportieren",
+	"toolbar.hint":
+		"Scrollen oder mit zwei Fingern zoomen, ziehen zum Verschieben.",
+	"plot.subject": "{series}, Person Nr. {number}",
+	"plot.outlierSubject": "{series}, Person Nr. {number} (Ausreißer)",
+	"plot.outliers": "Ausreißer ({rule})",
+	"plot.normal": "{series} (normal)",
+	"plot.kde": "{series} (KDE)",
+	"plot.fit": "{series} (Anpassung)",
+	"plot.age": "Alter",
+	"plot.ageAxis": "Alter (Jahre)",
+	"plot.ageBand": "Alter {band}",
+	"plot.trendAt": "{series}, Trend bei {age}",
+	"plot.triangles": "Unteres Dreieck: {lower} · Oberes Dreieck: {upper}",
+	"classification.method": "Klassifikationsmethode",
+	"classification.method.tooltip":
+		"Wählen Sie die zu verwendende Klassifikationsmethode.",
+	"classifier.lda": "Lineare Diskriminanzanalyse",
+	"classifier.lda.hint": "Berücksichtigt Korrelationen zwischen den Maßen.",
+	"classifier.naive-bayes": "Naive Bayes",
+	"classifier.naive-bayes.hint": "Nimmt an, dass die Maße unabhängig sind.",
+	"classification.measurements": "Maße",
+	"cards.add": "Maß hinzufügen",
+	"cards.remove": "Entfernen",
+	"classification.result": "Klassifikationsergebnis",
+	"classification.classification": "Klassifikation:",
+	"classification.bayesFactor": "Bayes-Faktor:",
+	"classification.favors": "spricht für {gender}",
+	"classification.evidenceBreakdown": "Aufschlüsselung der Evidenz",
+	"classification.class": "Klasse",
+	"classification.posterior": "A-posteriori-Wahrscheinlichkeit",
+	"classification.mahalanobis": "Mahalanobis-Distanz",
+	"classification.closerTo": "Näher an {gender}",
+	"classification.distance": "Distanz:",
+	"classification.weight": "Gewichtung:",
+	"classification.zScores": "z-Werte:",
+	"classification.likelihoodRatio": "Likelihood-Quotient:",
+	"classification.noDataset": "Datensatz nicht geladen.",
+	"classification.noMeasurements":
+		"Fügen Sie mindestens ein Maß mit einem Wert hinzu, um das Klassifikationsergebnis zu sehen.",
+	"classification.noSeries":
+		"Die Reihen für die Klassifikation konnten nicht erstellt werden.",
+	"classification.bothGenders":
+		"Die gewählte Population braucht männliche und weibliche Personen für die Klassifikation.",
+	"estimation.known": "Bekannte Maße",
+	"estimation.estimates": "Schätzungen",
+	"estimation.measurement": "Maß",
+	"estimation.estimate": "Schätzung",
+	"estimation.interval": "{coverage}%-Vorhersageintervall",
+	"estimation.weightedBy":
+		"Gewichtet nach der Wahrscheinlichkeit jedes Geschlechts: {weights}.",
+	"estimation.unavailable": "Zu wenige Personen",
+	"estimation.noMeasurements":
+		"Fügen Sie mindestens ein Maß mit einem Wert hinzu, um die Schätzungen zu sehen.",
+	"estimation.loading": "Maße werden geladen…",
+	"estimation.noModel":
+		"Die gewählte Population hat zu wenige Personen mit den eingegebenen Maßen für eine Schätzung.",
+	"estimation.note":
+		"Die Schätzungen nehmen an, dass die Maße jedes Geschlechts gemeinsam normalverteilt sind, mit den Mittelwerten und Kovarianzen der gewählten Population.",
+	"export.downloadData": "Daten herunterladen",
+	"export.downloadStatistics": "Zusammenfassende Statistik herunterladen",
+	"export.empty":
+		"Wählen Sie mindestens ein Maß und ein Geschlecht zum Exportieren.",
+	"export.failed":
+		"Die Messwerte konnten nicht geladen werden, daher wurde nichts exportiert. Prüfen Sie Ihre Verbindung und versuchen Sie es erneut.",
+	"export.status.one": "{count} Maß für {subjects} Personen ({series}).",
+	"export.status": "{count} Maße für {subjects} Personen ({series}).",
+	"statistics.measurement": "Maß",
+	"statistics.gender": "Geschlecht",
+	"statistics.n": "n",
+	"statistics.missing": "Fehlend",
+	"statistics.missing.tooltip":
+		"Personen in der Population ohne Wert; ausgeschlossene Ausreißer zählen nicht dazu.",
+	"statistics.excluded": "Ausreißer",
+	"statistics.excluded.tooltip":
+		"Als Ausreißer ausgeschlossene Werte, die nicht als fehlend zählen.",
+	"statistics.mean": "Mittelwert",
+	"statistics.sd": "SD",
+	"statistics.min": "Min",
+	"statistics.max": "Max",
+	"statistics.median": "Median",
+	"statistics.iqr": "IQR",
+	"statistics.skewness": "Schiefe",
+	"statistics.skewness.tooltip":
+		"Momentkoeffizient; 0 bei symmetrischen Verteilungen.",
+	"statistics.kurtosis": "Kurtosis",
+	"statistics.kurtosis.tooltip":
+		"Exzess-Kurtosis; 0 bei einer Normalverteilung.",
+	"statistics.pooled": "Gepoolt",
+	"statistics.empty": "Wählen Sie mindestens ein Maß und ein Geschlecht.",
+	"import.title": "Datensatz importieren",
+	"import.close": "Schließen",
+	"import.file": "CSV-Datei",
+	"import.name": "Name",
+	"import.name.placeholder": "Meine Erhebung",
+	"import.genderColumn": "Geschlechtsspalte",
+	"import.maleValue": "Wert für männlich",
+	"import.femaleValue": "Wert für weiblich",
+	"import.column.column": "Spalte",
+	"import.column.useAs": "Verwenden als",
+	"import.column.useAs.label": "Verwendung von {column}",
+	"import.column.id": "ID",
+	"import.column.id.label": "ID von {column}",
+	"import.column.name": "Name",
+	"import.column.name.label": "Name von {column}",
+	"import.column.unit": "Einheit",
+	"import.column.unit.label": "Einheit von {column}",
+	"import.role.ignore": "Ignorieren",
+	"import.role.length": "Länge",
+	"import.role.mass": "Masse",
+	"import.cancel": "Abbrechen",
+	"import.submit": "Importieren",
+	"import.status.choose":
+		"Wählen Sie eine CSV-Datei mit einer Kopfzeile und einer Zeile pro Person.",
+	"import.status.invalidFile":
+		"Die Datei braucht eine Kopfzeile, mindestens zwei Spalten und eine Zeile pro Person.",
+	"import.status.ready.one":
+		"Bereit, {count} Maß für {male} Männer und {female} Frauen zu importieren.",
+	"import.status.ready":
+		"Bereit, {count} Maße für {male} Männer und {female} Frauen zu importieren.",
+	"import.status.skipped":
+		"{count} Zeilen ohne männlichen oder weiblichen Geschlechtswert oder ohne Zahl für jedes Maß werden ausgelassen.",
+	"import.problem.noFile": "Wählen Sie eine CSV-Datei zum Importieren.",
+	"import.problem.noName": "Geben Sie einen Namen für den Datensatz ein.",
+	"import.problem.noGenderValues":
+		"Wählen Sie die Werte der Geschlechtsspalte für männliche und weibliche Personen.",
+	"import.problem.sameGenderValues":
+		"Männliche und weibliche Personen brauchen unterschiedliche Geschlechtswerte.",
+	"import.problem.noMeasurements":
+		"Verwenden Sie mindestens eine Spalte als Längen- oder Massenmaß.",
+	"import.problem.invalidId":
+		"„{id}“ ist keine gültige ID; verwenden Sie nur Kleinbuchstaben und Ziffern.",
+	"import.problem.duplicateId":
+		"Mehr als eine Spalte verwendet die ID „{id}“.",
+	"import.problem.noMeasurementName":
+		"Geben Sie für jedes Maß einen Namen ein.",
+	"import.problem.noRows":
+		"Keine Zeile hat einen männlichen oder weiblichen Geschlechtswert und eine Zahl für ein Maß.",
+	"import.imported":
+		"Importiert. Enthält {count} Maße für {male} Männer und {female} Frauen.",
+	"import.notSaved":
+		"{dataset} konnte in diesem Browser nicht gespeichert werden und geht beim Neuladen der Seite verloren.",
+	"import.remove": "Entfernen",
+	"import.remove.label": "{dataset} entfernen",
+	"import.remove.confirm": "Den importierten Datensatz {dataset} entfernen?",
+};
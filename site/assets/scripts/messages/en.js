@@ -0,0 +1,417 @@
+/**
+ * The English messages, by key. Every message has an English version, which other locales fall back to.
+ * Placeholders such as `{count}` are filled in by `t`.
+ */
+export default {
+	"header.tagline": "An (ἄνθρωπος + μέτρον) playground in the browser",
+	"header.language": "Language",
+	"header.github": "Visit GitHub repository",
+	"header.theme": "Toggle between light and dark theme",
+	"footer.data": "Data:",
+	"footer.createdWith": "Created with",
+	"footer.and": "and",
+	"footer.by": "by",
+	"preferences.dataset": "Dataset",
+	"preferences.dataset.tooltip": "Choose the dataset to analyze.",
+	"preferences.dataset.recommended": "(recommended)",
+	"preferences.dataset.offline": "(available offline)",
+	"preferences.dataset.includes":
+		"Includes {count} measures for {male} men and {female} women.",
+	"preferences.dataset.import": "Import CSV…",
+	"dataset.ansur1.description":
+		"A survey of U.S. Army personnel published in 1988.",
+	"dataset.ansur2.description":
+		"A survey of U.S. Army personnel published in 2017.",
+	"preferences.compare": "Compare",
+	"preferences.compare.tooltip":
+		"Overlay another survey in the histogram, density and scatter plots.",
+	"preferences.compare.none": "None",
+	"preferences.genders": "Genders",
+	"preferences.genders.tooltip": "Choose the gender(s) to include.",
+	"preferences.units": "Units",
+	"preferences.units.tooltip":
+		"Choose the units of measurement to use, and which unit each system shows lengths and masses in.",
+	"preferences.outliers": "Outliers",
+	"preferences.outliers.tooltip":
+		"Flag implausible values, and optionally exclude them from every experiment.",
+	"preferences.outliers.exclude": "Exclude outliers",
+	"gender.male": "Male",
+	"gender.female": "Female",
+	"category.general": "General",
+	"category.head": "Head",
+	"category.face": "Face",
+	"category.neck": "Neck",
+	"category.torso": "Torso",
+	"category.arm": "Arm",
+	"category.hand": "Hand",
+	"category.leg": "Leg",
+	"category.foot": "Foot",
+	"covariate.age": "Age",
+	"covariate.component": "Component",
+	"covariate.branch": "Branch",
+	"covariate.primarymos": "Primary MOS",
+	"covariate.installation": "Installation",
+	"covariate.dodrace": "DoD Race",
+	"covariate.dodrace.1": "White",
+	"covariate.dodrace.2": "Black",
+	"covariate.dodrace.3": "Hispanic",
+	"covariate.dodrace.4": "Asian",
+	"covariate.dodrace.5": "Native American",
+	"covariate.dodrace.6": "Pacific Islander",
+	"covariate.dodrace.8": "Other",
+	"covariate.ethnicity": "Ethnicity",
+	"covariate.writingpreference": "Writing Preference",
+	"covariate.notReported": "Not reported",
+	"ageBand.under25": "Under 25",
+	"ageBand.25to34": "25–34",
+	"ageBand.35to44": "35–44",
+	"ageBand.45plus": "45+",
+	"unitSystem.metric": "Metric",
+	"unitSystem.imperial": "Imperial",
+	"units.metricLength": "(metric length)",
+	"units.imperialLength": "(imperial length)",
+	"units.imperialMass": "(imperial mass)",
+	"displayUnit.mm": "Millimeters",
+	"displayUnit.cm": "Centimeters",
+	"displayUnit.m": "Meters",
+	"displayUnit.in": "Inches",
+	"displayUnit.ft-in": "Feet and inches",
+	"displayUnit.kg": "Kilograms",
+	"displayUnit.lbs": "Pounds",
+	"displayUnit.st-lbs": "Stone and pounds",
+	"displayUnit.yrs": "Years",
+	"outlierRule.iqr": "IQR fences",
+	"outlierRule.iqr.hint": "(1.5 × IQR beyond the quartiles)",
+	"outlierRule.robust-z": "Robust z-score",
+	"outlierRule.robust-z.hint": "(|z| > 3.5 from median and MAD)",
+	"evidence.extreme": "Extreme",
+	"evidence.veryStrong": "Very Strong",
+	"evidence.strong": "Strong",
+	"evidence.moderate": "Moderate",
+	"evidence.anecdotal": "Anecdotal",
+	"experiments.histogram": "001. Actual Distribution",
+	"experiments.scatter": "002. Actual Joint Distribution",
+	"experiments.density": "003. Modelled Probability Distribution",
+	"experiments.joint-density": "004. Modelled Joint Probability Distribution",
+	"experiments.classification": "005. Multivariate Gender Classification",
+	"experiments.data-export": "006. Data Export",
+	"experiments.summary-statistics": "007. Summary Statistics",
+	"experiments.correlation-matrix": "008. Correlation Matrix",
+	"experiments.age-trend": "009. Measurement by Age",
+	"experiments.estimation": "010. Estimated Measurements",
+	"experiments.histogram.intro":
+		"View the distribution of a single anthropometric variable. Select the variable to visualize. Enter a value to see where it falls within the dataset.",
+	"experiments.scatter.intro":
+		"View the joint distribution between two anthropometric variables. Select the variables to visualize. Enter a value for each to see where that point falls within the dataset. Subjects flagged as outliers by the rule chosen under Outliers are ringed in red. Choose a regression to predict Y from X: enter only an X value to see the predicted Y with its 95% intervals.",
+	"experiments.density.intro":
+		"View the modelled probability distribution for a single anthropometric variable. Select the variable to visualize. Enter a value to see where it falls within the dataset.",
+	"experiments.joint-density.intro":
+		"View the modelled joint probability density for two anthropometric variables. Select the variables to visualize. Enter a value for each to see where that point falls within the dataset.",
+	"experiments.correlation-matrix.intro":
+		"View how strongly every pair of anthropometric variables moves together, grouped by body region. Hover over a cell to see the correlation for each gender, and click it to load the pair into the joint distribution experiments.",
+	"experiments.age-trend.intro":
+		"View how an anthropometric variable changes with age. Each band shows the mean and one standard deviation either side for an age group, and the line follows the smoothed trend. Enter a value to compare it across ages.",
+	"experiments.estimation.intro":
+		"Enter the measurements you know of a person, such as stature, weight and a few circumferences, to estimate every other measurement in the dataset. Each estimate is the average of people with the entered measurements, with the range 95% of them fall in.",
+	"experiments.data-export.intro":
+		"Download the selected measurements for the selected genders, in the selected units. Export the raw values for each subject, or summary statistics with the correlation matrix.",
+	"experiments.summary-statistics.intro":
+		"View the numbers behind the plots. Select one or more anthropometric variables to list their descriptive statistics for each gender and for the pooled population.",
+	"experiments.classification.intro":
+		"Enter one or more anthropometric measurements for an individual below to classify their gender.",
+	"controls.xAxis": "X-Axis:",
+	"controls.yAxis": "Y-Axis:",
+	"controls.densityRaster": "Density Raster:",
+	"controls.jointDensityEllipseToggle": "Show Ellipses",
+	"controls.jointDensitySigmaToggle": "Show Sigma Lines",
+	"controls.measurements": "Measurements:",
+	"controls.curve": "Curve:",
+	"controls.kernel": "Kernel:",
+	"controls.bandwidth": "Bandwidth:",
+	"controls.age": "Age:",
+	"controls.densitySigmaToggle": "Show Sigma Lines",
+	"controls.trend": "Trend:",
+	"controls.ageTrendPointsToggle": "Show Subjects",
+	"controls.ageTrendBandsToggle": "Show Age Bands",
+	"controls.coefficient": "Coefficient:",
+	"controls.regression": "Regression:",
+	"controls.regressionGroup": "Fit:",
+	"controls.estimationModel": "Model:",
+	"controls.measurement": "Measurement",
+	"controls.search": "Search",
+	"controls.noMeasurements": "No measurements",
+	"controls.measurementCount": "{count} measurements",
+	"controls.manualBandwidth": "Manual bandwidth",
+	"controls.format": "Format:",
+	"options.densityCurveOption.normal": "Normal Fit",
+	"options.densityCurveOption.normal.hint":
+		"The normal distribution fitted to the data.",
+	"options.densityCurveOption.kde": "Kernel Density",
+	"options.densityCurveOption.kde.hint":
+		"A non-parametric estimate that follows the data's shape.",
+	"options.densityCurveOption.both": "Both",
+	"options.densityCurveOption.both.hint":
+		"The kernel density estimate overlaid on the normal fit.",
+	"options.densityKernelOption.gaussian": "Gaussian",
+	"options.densityKernelOption.epanechnikov": "Epanechnikov",
+	"options.densityBandwidthOption.silverman": "Silverman",
+	"options.densityBandwidthOption.silverman.hint":
+		"Robust to skew and outliers.",
+	"options.densityBandwidthOption.scott": "Scott",
+	"options.densityBandwidthOption.scott.hint":
+		"Optimal for normally distributed data.",
+	"options.densityBandwidthOption.manual": "Manual",
+	"options.densityBandwidthOption.manual.hint": "Set with the slider below.",
+	"options.densityAgeBandOption.none": "All Ages",
+	"options.densityAgeBandOption.none.hint": "One curve per gender.",
+	"options.densityAgeBandOption.split": "By Age Band",
+	"options.densityAgeBandOption.split.hint":
+		"One curve per gender and age band (under 25, 25–34, 35–44, 45+), where age is recorded. Hides any comparison dataset.",
+	"options.jointDensityHeatmapOption.mixture": "Mixture",
+	"options.jointDensityHeatmapOption.mixture.hint":
+		"Density of the combined population.",
+	"options.jointDensityHeatmapOption.series": "Per Gender",
+	"options.jointDensityHeatmapOption.series.hint":
+		"Each gender's density in its own color.",
+	"options.jointDensityHeatmapOption.difference": "Difference",
+	"options.jointDensityHeatmapOption.difference.hint":
+		"Male minus female log-density.",
+	"options.jointDensityHeatmapOption.none": "None",
+	"options.correlationCoefficientOption.pearson": "Pearson",
+	"options.correlationCoefficientOption.pearson.hint":
+		"The strength of the linear relationship.",
+	"options.correlationCoefficientOption.spearman": "Spearman",
+	"options.correlationCoefficientOption.spearman.hint":
+		"The strength of any monotonic relationship, based on ranks.",
+	"options.ageTrendSmoothingOption.loess": "LOESS",
+	"options.ageTrendSmoothingOption.loess.hint":
+		"A local linear regression over the nearest half of the subjects.",
+	"options.ageTrendSmoothingOption.moving-average": "Moving Average",
+	"options.ageTrendSmoothingOption.moving-average.hint":
+		"The mean of the subjects within a 5-year window.",
+	"options.ageTrendSmoothingOption.none": "None",
+	"options.ageTrendSmoothingOption.none.hint": "Hide the trend line.",
+	"options.scatterRegressionOption.none": "None",
+	"options.scatterRegressionOption.none.hint": "Show the subjects only.",
+	"options.scatterRegressionOption.linear": "Linear",
+	"options.scatterRegressionOption.linear.hint":
+		"A straight line fitted by least squares.",
+	"options.scatterRegressionOption.quadratic": "Quadratic",
+	"options.scatterRegressionOption.quadratic.hint":
+		"A parabola, for relationships that bend once.",
+	"options.scatterRegressionOption.cubic": "Cubic",
+	"options.scatterRegressionOption.cubic.hint":
+		"A cubic polynomial, for relationships that bend twice.",
+	"options.scatterRegressionOption.log-log": "Log-Log",
+	"options.scatterRegressionOption.log-log.hint":
+		"A power law, fitted as a straight line through the logarithms of both.",
+	"options.scatterRegressionGroupOption.gender": "Per Gender",
+	"options.scatterRegressionGroupOption.gender.hint":
+		"One fit for each gender.",
+	"options.scatterRegressionGroupOption.pooled": "Pooled",
+	"options.scatterRegressionGroupOption.pooled.hint":
+		"One fit to all subjects, regardless of gender.",
+	"options.scatterRegressionGroupOption.both": "Both",
+	"options.scatterRegressionGroupOption.both.hint":
+		"A fit for each gender and one to all subjects.",
+	"options.estimationModelOption.weighted": "Weighted by Gender",
+	"options.estimationModelOption.weighted.hint":
+		"One estimate, mixing the genders by how likely the entered measurements make each.",
+	"options.estimationModelOption.gender": "Per Gender",
+	"options.estimationModelOption.gender.hint":
+		"One estimate for each gender.",
+	population: "Population",
+	"population.tooltip": "Choose the population of subjects to include.",
+	"population.reset": "Reset",
+	"population.any": "any",
+	"population.selected": "{count} selected",
+	"population.min": "{covariate} minimum",
+	"population.max": "{covariate} maximum",
+	"population.count": "{selected} of {total}",
+	"population.noGenders": "No genders selected.",
+	"population.empty": "This dataset does not record demographics.",
+	"readout.gender": "Gender",
+	"readout.zScore": "Z-score",
+	"readout.empiricalPercentile": "Empirical %ile",
+	"readout.normalPercentile": "Normal %ile",
+	"comparison.difference": "Difference (95% CI)",
+	"comparison.interval": "{low} to {high}",
+	"comparison.notMeasured": "Not measured in {dataset}",
+	"tests.title": "Male vs. female: {measurement}",
+	"tests.test": "Test",
+	"tests.statistic": "Statistic",
+	"tests.p": "p-value",
+	"tests.pBelow": "< {bound}",
+	"tests.welch": "Welch's t-test (means)",
+	"tests.mannWhitney": "Mann–Whitney U (ranks)",
+	"tests.kolmogorovSmirnov": "Kolmogorov–Smirnov (distributions)",
+	"tests.levene": "Levene's test (variances)",
+	"tests.effectSize": "Effect size",
+	"tests.value": "Value",
+	"tests.cohensD": "Cohen's d",
+	"tests.hedgesG": "Hedges' g",
+	"tests.overlap": "Overlap of the fitted normals",
+	"tests.note":
+		"Positive effect sizes mean men measure more on average. Levene's test is centered on the medians; the Mann–Whitney and Kolmogorov–Smirnov p-values are large-sample approximations.",
+	"regression.fit": "Fit",
+	"regression.equation": "Equation",
+	"regression.standardError": "SE",
+	"regression.predicted": "Predicted at {value}",
+	"regression.confidence": "95% CI",
+	"regression.prediction": "95% PI",
+	"regression.outOfDomain": "The model cannot predict at this value.",
+	"regression.note":
+		"x in {x}, y in {y}. SE is the residual standard error. The confidence interval (CI) bounds the mean at x; the prediction interval (PI) bounds a new subject.",
+	"regression.note.logarithmic":
+		"x in {x}, y in {y}. R² and SE are on the natural-log scale, and predictions estimate the median. The confidence interval (CI) bounds it at x; the prediction interval (PI) bounds a new subject.",
+	"toolbar.minX": "X min",
+	"toolbar.minX.label": "X minimum",
+	"toolbar.maxX": "X max",
+	"toolbar.maxX.label": "X maximum",
+	"toolbar.minY": "Y min",
+	"toolbar.minY.label": "Y minimum",
+	"toolbar.maxY": "Y max",
+	"toolbar.maxY.label": "Y maximum",
+	"toolbar.reset": "Reset",
+	"toolbar.exportPng": "Export as PNG",
+	"toolbar.exportSvg": "Export as SVG",
+	"toolbar.hint": "Scroll or pinch to zoom, drag to pan.",
+	"plot.subject": "{series} subject #{number}",
+	"plot.outlierSubject": "{series} subject #{number} (outlier)",
+	"plot.outliers": "Outliers ({rule})",
+	"plot.normal": "{series} (normal)",
+	"plot.kde": "{series} (KDE)",
+	"plot.fit": "{series} fit",
+	"plot.age": "Age",
+	"plot.ageAxis": "Age (years)",
+	"plot.ageBand": "Age {band}",
+	"plot.trendAt": "{series} trend at {age}",
+	"plot.triangles": "Lower triangle: {lower} · Upper triangle: {upper}",
+	"classification.method": "Classification Method",
+	"classification.method.tooltip": "Choose the classification method to use.",
+	"classifier.lda": "Linear Discriminant Analysis",
+	"classifier.lda.hint": "Accounts for correlations between measurements.",
+	"classifier.naive-bayes": "Naive Bayes",
+	"classifier.naive-bayes.hint": "Assumes measurements are independent.",
+	"classification.measurements": "Measurements",
+	"cards.add": "Add Measurement",
+	"cards.remove": "Remove",
+	"classification.result": "Classification Result",
+	"classification.classification": "Classification:",
+	"classification.bayesFactor": "Bayes Factor:",
+	"classification.favors": "favors {gender}",
+	"classification.evidenceBreakdown": "Evidence Breakdown",
+	"classification.class": "Class",
+	"classification.posterior": "Posterior Probability",
+	"classification.mahalanobis": "Mahalanobis Distance",
+	"classification.closerTo": "Closer to {gender}",
+	"classification.distance": "Distance:",
+	"classification.weight": "Weight:",
+	"classification.zScores": "Z-scores:",
+	"classification.likelihoodRatio": "Likelihood ratio:",
+	"classification.noDataset": "Dataset not loaded.",
+	"classification.noMeasurements":
+		"Add at least one measurement with a value to see the classification result.",
+	"classification.noSeries": "Unable to build series for classification.",
+	"classification.bothGenders":
+		"The selected population needs both male and female subjects to classify.",
+	"estimation.known": "Known Measurements",
+	"estimation.estimates": "Estimates",
+	"estimation.measurement": "Measurement",
+	"estimation.estimate": "Estimate",
+	"estimation.interval": "{coverage}% Prediction Interval",
+	"estimation.weightedBy":
+		"Weighted by the probability of each gender: {weights}.",
+	"estimation.unavailable": "Too few subjects",
+	"estimation.noMeasurements":
+		"Add at least one measurement with a value to see the estimates.",
+	"estimation.loading": "Loading measurements…",
+	"estimation.noModel":
+		"The selected population has too few subjects with the entered measurements to estimate from.",
+	"estimation.note":
+		"Estimates assume the measurements of each gender are jointly normally distributed, with the means and covariances of the selected population.",
+	"export.downloadData": "Download Data",
+	"export.downloadStatistics": "Download Summary Statistics",
+	"export.empty": "Select at least one measurement and gender to export.",
+	"export.failed":
+		"The measurement values could not be loaded, so nothing was exported. Check your connection and try again.",
+	"export.status.one":
+		"{count} measurement for {subjects} subjects ({series}).",
+	"export.status": "{count} measurements for {subjects} subjects ({series}).",
+	"statistics.measurement": "Measurement",
+	"statistics.gender": "Gender",
+	"statistics.n": "n",
+	"statistics.missing": "Missing",
+	"statistics.missing.tooltip":
+		"Subjects in the population without a value, not counting excluded outliers.",
+	"statistics.excluded": "Outliers",
+	"statistics.excluded.tooltip":
+		"Values excluded as outliers, which are not counted as missing.",
+	"statistics.mean": "Mean",
+	"statistics.sd": "SD",
+	"statistics.min": "Min",
+	"statistics.max": "Max",
+	"statistics.median": "Median",
+	"statistics.iqr": "IQR",
+	"statistics.skewness": "Skewness",
+	"statistics.skewness.tooltip":
+		"Moment coefficient; 0 for symmetric distributions.",
+	"statistics.kurtosis": "Kurtosis",
+	"statistics.kurtosis.tooltip":
+		"Excess kurtosis; 0 for a normal distribution.",
+	"statistics.pooled": "Pooled",
+	"statistics.empty": "Select at least one measurement and gender.",
+	"import.title": "Import Dataset",
+	"import.close": "Close",
+	"import.file": "CSV File",
+	"import.name": "Name",
+	"import.name.placeholder": "My Survey",
+	"import.genderColumn": "Gender Column",
+	"import.maleValue": "Male Value",
+	"import.femaleValue": "Female Value",
+	"import.column.column": "Column",
+	"import.column.useAs": "Use As",
+	"import.column.useAs.label": "Use of {column}",
+	"import.column.id": "ID",
+	"import.column.id.label": "ID of {column}",
+	"import.column.name": "Name",
+	"import.column.name.label": "Name of {column}",
+	"import.column.unit": "Unit",
+	"import.column.unit.label": "Unit of {column}",
+	"import.role.ignore": "Ignore",
+	"import.role.length": "Length",
+	"import.role.mass": "Mass",
+	"import.cancel": "Cancel",
+	"import.submit": "Import",
+	"import.status.choose":
+		"Choose a CSV file with a header row and one row per subject.",
+	"import.status.invalidFile":
+		"The file needs a header row, at least two columns and one row per subject.",
+	"import.status.ready.one":
+		"Ready to import {count} measurement for {male} men and {female} women.",
+	"import.status.ready":
+		"Ready to import {count} measurements for {male} men and {female} women.",
+	"import.status.skipped":
+		"{count} rows without a male or female gender value, or without a number for any measurement, will be left out.",
+	"import.problem.noFile": "Choose a CSV file to import.",
+	"import.problem.noName": "Enter a name for the dataset.",
+	"import.problem.noGenderValues":
+		"Choose the values of the gender column for male and female subjects.",
+	"import.problem.sameGenderValues":
+		"Male and female subjects need different gender values.",
+	"import.problem.noMeasurements":
+		"Use at least one column as a length or mass measurement.",
+	"import.problem.invalidId":
+		'"{id}" is not a valid ID; use lowercase letters and digits only.',
+	"import.problem.duplicateId": 'More than one column uses the ID "{id}".',
+	"import.problem.noMeasurementName": "Enter a name for every measurement.",
+	"import.problem.noRows":
+		"No rows have a male or female gender value and a number for some measurement.",
+	"import.imported":
+		"Imported. Includes {count} measures for {male} men and {female} women.",
+	"import.notSaved":
+		"{dataset} could not be saved in this browser and will be lost when the page is reloaded.",
+	"import.remove": "Remove",
+	"import.remove.label": "Remove {dataset}",
+	"import.remove.confirm": "Remove the imported dataset {dataset}?",
+};
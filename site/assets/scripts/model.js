@@ -1,3 +1,5 @@
+import { t } from "./i18n.js";
+
 /**
  * Represents a gender.
  */
@@ -6,13 +8,13 @@ class Gender {
 	 * The male gender.
 	 * @type {Gender}
 	 */
-	static MALE = new Gender("male", "Male");
+	static MALE = new Gender("male");
 
 	/**
 	 * The female gender.
 	 * @type {Gender}
 	 */
-	static FEMALE = new Gender("female", "Female");
+	static FEMALE = new Gender("female");
 
 	/**
 	 * Returns an array of all genders.
@@ -25,11 +27,17 @@ class Gender {
 	/**
 	 *
 	 * @param {string} id The id for the gender.
-	 * @param {string} name The name for the gender.
 	 */
-	constructor(id, name) {
+	constructor(id) {
 		this.id = id;
-		this.name = name;
+	}
+
+	/**
+	 * Gets the name of the gender in the current locale.
+	 * @returns {string} The name.
+	 */
+	get name() {
+		return t(`gender.${this.id}`);
 	}
 }
 
@@ -67,51 +75,183 @@ class UnitSystem {
 	}
 }
 
+/**
+ * Represents a concrete unit values are displayed and entered in, such as centimeters or feet and inches.
+ * Compound units are entered as a whole number of their first part and the remainder in their second part,
+ * and are displayed as a decimal number of their first part.
+ */
+class DisplayUnit {
+	/**
+	 * Millimeters.
+	 * @type {DisplayUnit}
+	 */
+	static MILLIMETER = new DisplayUnit("mm", "mm", 1000, 0);
+	/**
+	 * Centimeters.
+	 * @type {DisplayUnit}
+	 */
+	static CENTIMETER = new DisplayUnit("cm", "cm", 100, 1);
+	/**
+	 * Meters.
+	 * @type {DisplayUnit}
+	 */
+	static METER = new DisplayUnit("m", "m", 1, 3);
+	/**
+	 * Inches.
+	 * @type {DisplayUnit}
+	 */
+	static INCH = new DisplayUnit("in", "in", 39.3701, 1);
+	/**
+	 * Feet and inches, 12 inches to the foot.
+	 * @type {DisplayUnit}
+	 */
+	static FOOT_INCH = new DisplayUnit("ft-in", "ft", 39.3701 / 12, 2, [
+		{ abbreviation: "ft", size: 1 },
+		{ abbreviation: "in", size: 1 / 12 },
+	]);
+	/**
+	 * Kilograms.
+	 * @type {DisplayUnit}
+	 */
+	static KILOGRAM = new DisplayUnit("kg", "kg", 1, 1);
+	/**
+	 * Pounds.
+	 * @type {DisplayUnit}
+	 */
+	static POUND = new DisplayUnit("lbs", "lbs", 2.20462, 1);
+	/**
+	 * Stone and pounds, 14 pounds to the stone.
+	 * @type {DisplayUnit}
+	 */
+	static STONE_POUND = new DisplayUnit("st-lbs", "st", 2.20462 / 14, 2, [
+		{ abbreviation: "st", size: 1 },
+		{ abbreviation: "lbs", size: 1 / 14 },
+	]);
+	/**
+	 * Years.
+	 * @type {DisplayUnit}
+	 */
+	static YEAR = new DisplayUnit("yrs", "yrs", 0.0000316887, 1);
+
+	/**
+	 * Gets all defined display units.
+	 * @returns {DisplayUnit[]} An array of all defined display units.
+	 */
+	static all() {
+		return [
+			this.MILLIMETER,
+			this.CENTIMETER,
+			this.METER,
+			this.INCH,
+			this.FOOT_INCH,
+			this.KILOGRAM,
+			this.POUND,
+			this.STONE_POUND,
+			this.YEAR,
+		];
+	}
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} id The id for the display unit.
+	 * @param {string} abbreviation The abbreviation values are labeled with.
+	 * @param {number} conversionFactor The factor converting a value from the base unit to this unit.
+	 * @param {number} decimals The number of decimals values in this unit are shown with, so each unit shows about the same precision.
+	 * @param {{abbreviation: string, size: number}[]} [parts=[]] The parts of a compound unit with their sizes in this unit, or none for a simple unit.
+	 */
+	constructor(id, abbreviation, conversionFactor, decimals, parts = []) {
+		this.id = id;
+		this.abbreviation = abbreviation;
+		this.conversionFactor = conversionFactor;
+		this.decimals = decimals;
+		this.parts = parts;
+	}
+
+	/**
+	 * Whether values are entered in parts, such as feet and inches.
+	 * @type {boolean}
+	 */
+	get isCompound() {
+		return this.parts.length > 0;
+	}
+
+	/**
+	 * The label of a value entry, naming every part of a compound unit.
+	 * @type {string}
+	 */
+	get entryLabel() {
+		return this.isCompound
+			? this.parts.map((part) => part.abbreviation).join(" + ")
+			: this.abbreviation;
+	}
+
+	/**
+	 * Splits a value into a whole number of the first part and the remainder in the second part,
+	 * carrying a remainder that rounds up to a whole first part.
+	 * @param {number} value The value in this unit.
+	 * @param {number} [decimals=2] The number of decimals to round the remainder to.
+	 * @returns {number[]} The value of each part.
+	 */
+	split(value, decimals = 2) {
+		const [whole, rest] = this.parts;
+		const perWhole = whole.size / rest.size;
+		let count = Math.floor(value / whole.size);
+		let remainder = Number(
+			((value - count * whole.size) / rest.size).toFixed(decimals),
+		);
+
+		if (remainder >= perWhole) {
+			count += 1;
+			remainder -= perWhole;
+		}
+
+		return [count, remainder];
+	}
+
+	/**
+	 * Joins the values of each part into a value in this unit.
+	 * @param {number[]} values The value of each part.
+	 * @returns {number} The value in this unit.
+	 */
+	join(values) {
+		return this.parts.reduce(
+			(sum, part, i) => sum + (values[i] || 0) * part.size,
+			0,
+		);
+	}
+}
+
 /**
  * Represents a unit of measurement.
  */
 class Unit {
 	/**
-	 * The unit for length measurements.
+	 * The unit for length measurements, stored in meters.
 	 * @type {Unit}
 	 */
 	static LENGTH = new Unit("length", {
-		metric: {
-			abbreviation: "cm",
-			conversionFactor: 100,
-		},
-		imperial: {
-			abbreviation: "in",
-			conversionFactor: 39.3701,
-		},
+		metric: [
+			DisplayUnit.CENTIMETER,
+			DisplayUnit.MILLIMETER,
+			DisplayUnit.METER,
+		],
+		imperial: [DisplayUnit.INCH, DisplayUnit.FOOT_INCH],
 	});
 	/**
-	 * The unit for mass measurements.
+	 * The unit for mass measurements, stored in kilograms.
 	 * @type {Unit}
 	 */
 	static MASS = new Unit("mass", {
-		metric: {
-			abbreviation: "kg",
-			conversionFactor: 1,
-		},
-		imperial: {
-			abbreviation: "lbs",
-			conversionFactor: 2.20462,
-		},
+		metric: [DisplayUnit.KILOGRAM],
+		imperial: [DisplayUnit.POUND, DisplayUnit.STONE_POUND],
 	});
 	/**
 	 * The unit for time measurements.
 	 * @type {Unit}
 	 */
 	static TIME = new Unit("time", {
-		metric: {
-			abbreviation: "yrs",
-			conversionFactor: 0.0000316887,
-		},
-		imperial: {
-			abbreviation: "yrs",
-			conversionFactor: 0.0000316887,
-		},
+		metric: [DisplayUnit.YEAR],
+		imperial: [DisplayUnit.YEAR],
 	});
 	/**
 	 * Gets all defined units.
@@ -124,33 +264,120 @@ class Unit {
 	/**
 	 * Creates a new instance.
 	 * @param {string} id The id for the unit.
-	 * @param {{metric: {abbreviation: string, conversionFactor: number}, imperial: {abbreviation: string, conversionFactor: number}}} forSystem The unit definitions for each unit system.
+	 * @param {{metric: DisplayUnit[], imperial: DisplayUnit[]}} forSystem The display units to choose from in each unit system, the default first.
 	 */
-	constructor(
-		id,
-		forSystem = {
-			metric: {
-				abbreviation: undefined,
-				conversionFactor: 1,
-			},
-			imperial: {
-				abbreviation: undefined,
-				conversionFactor: 1,
-			},
-		},
-	) {
+	constructor(id, forSystem) {
 		this.id = id;
 		this.forSystem = forSystem;
 	}
 
 	/**
-	 * Converts the specified value to the specified unit system.
+	 * Gets the display unit chosen for this unit in a unit system.
+	 * @param {string} system The ID of the unit system.
+	 * @param {Object<string, Object<string, string>>} [choices={}] The chosen display unit IDs by unit system and unit ID, as stored in the preferences.
+	 * @returns {DisplayUnit} The chosen display unit, or the system's default if none or an unknown one is chosen.
+	 */
+	displayUnitFor(system, choices = {}) {
+		const id = choices[system]?.[this.id];
+		return (
+			this.forSystem[system].find((unit) => unit.id === id) ??
+			this.forSystem[system][0]
+		);
+	}
+
+	/**
+	 * Converts the specified value from the base unit to the specified display unit.
 	 * @param {number} value The value to convert.
-	 * @param {UnitSystem} system The target unit system.
+	 * @param {DisplayUnit} displayUnit The target display unit.
 	 * @returns {number} The converted value.
 	 */
-	convertTo(value, system) {
-		return value * this.forSystem[system.id].conversionFactor;
+	convertTo(value, displayUnit) {
+		return value * displayUnit.conversionFactor;
+	}
+}
+
+/**
+ * Represents the body region a measurement belongs to.
+ */
+class Category {
+	/**
+	 * Overall body size, such as stature and weight.
+	 * @type {Category}
+	 */
+	static GENERAL = new Category("general");
+	/**
+	 * The head region.
+	 * @type {Category}
+	 */
+	static HEAD = new Category("head");
+	/**
+	 * The face region.
+	 * @type {Category}
+	 */
+	static FACE = new Category("face");
+	/**
+	 * The neck region.
+	 * @type {Category}
+	 */
+	static NECK = new Category("neck");
+	/**
+	 * The torso region.
+	 * @type {Category}
+	 */
+	static TORSO = new Category("torso");
+	/**
+	 * The arm region.
+	 * @type {Category}
+	 */
+	static ARM = new Category("arm");
+	/**
+	 * The hand region.
+	 * @type {Category}
+	 */
+	static HAND = new Category("hand");
+	/**
+	 * The leg region.
+	 * @type {Category}
+	 */
+	static LEG = new Category("leg");
+	/**
+	 * The foot region.
+	 * @type {Category}
+	 */
+	static FOOT = new Category("foot");
+
+	/**
+	 * Returns an array of all categories, overall body size first and then from head to foot.
+	 * @returns {Category[]} An array of all categories.
+	 */
+	static all() {
+		return [
+			this.GENERAL,
+			this.HEAD,
+			this.FACE,
+			this.NECK,
+			this.TORSO,
+			this.ARM,
+			this.HAND,
+			this.LEG,
+			this.FOOT,
+		];
+	}
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} id The id for the category.
+	 */
+	constructor(id) {
+		this.id = id;
+	}
+
+	/**
+	 * Gets the name of the category in the current locale.
+	 * @returns {string} The name.
+	 */
+	get name() {
+		return t(`category.${this.id}`);
 	}
 }
 
@@ -163,8 +390,10 @@ class Measurement {
 	 * @param {string} id The id for the measurement.
 	 * @param {string} name The name for the measurement.
 	 * @param {Unit} unit The unit for the measurement.
-	 * @param {{male: Array<number>, female: Array<number>}} forGender The raw measurement values for each gender.
+	 * @param {{male: ArrayLike<number|null>|null, female: ArrayLike<number|null>|null}} forGender The raw measurement values for each gender,
+	 * with null or NaN for missing values, or null for genders whose values were not recorded or have not been loaded yet.
 	 * @param {number} conversionFactor The conversion factor to apply to raw measurement values.
+	 * @param {Category} category The body region the measurement belongs to.
 	 */
 	constructor(
 		id,
@@ -175,23 +404,220 @@ class Measurement {
 			female: null,
 		},
 		conversionFactor = 1,
+		category = Category.GENERAL,
 	) {
 		this.id = id;
 		this.name = name;
 		this.unit = unit;
 		this.forGender = forGender;
 		this.conversionFactor = conversionFactor;
+		this.category = category;
+
+		/** @type {{male: boolean, female: boolean}} Whether values were recorded for each gender, which is known before they are loaded. */
+		this.recorded = {
+			male: forGender.male != null,
+			female: forGender.female != null,
+		};
+
+		/** @type {{male: Array<number>|null, female: Array<number>|null}} The indices of the subjects in the selected population for each gender, or null for all subjects. */
+		this.selection = {
+			male: null,
+			female: null,
+		};
 	}
 
 	/**
-	 * Gets the measurement values for the specified gender.
+	 * Gets the measurement values for the specified gender, for the subjects in the selected population.
 	 * @param {Genders} gender The specified gender.
-	 * @returns {Array<number>} An array of measurement values for the specified gender.
+	 * @returns {Array<number|null>} An array of measurement values for the specified gender, with null for missing values,
+	 * empty if they have not been loaded.
 	 */
 	valuesFor(gender) {
-		// Apply conversion factor to raw values and return.
-		return this.forGender[gender.id].map((v) => v / this.conversionFactor);
+		const values = this.forGender[gender.id];
+		const selection = this.selection[gender.id];
+
+		if (!values) {
+			return [];
+		}
+
+		// Apply conversion factor to raw values and return them as a plain array, as loaded values are typed arrays.
+		// Loaded values mark missing values as NaN and imported ones as null; both are returned as null.
+		return Array.from(
+			selection ? selection.map((i) => values[i]) : values,
+			(v) =>
+				v === null || Number.isNaN(v)
+					? null
+					: v / this.conversionFactor,
+		);
+	}
+}
+
+/**
+ * Represents a demographic covariate recorded for each subject, such as age or service branch.
+ */
+class Covariate {
+	/**
+	 * The age in years, filtered by range.
+	 * @type {Covariate}
+	 */
+	static AGE = new Covariate("age", "range");
+	/**
+	 * The service component (e.g. Regular Army or Army National Guard).
+	 * @type {Covariate}
+	 */
+	static COMPONENT = new Covariate("component");
+	/**
+	 * The branch (e.g. Combat Arms).
+	 * @type {Covariate}
+	 */
+	static BRANCH = new Covariate("branch");
+	/**
+	 * The primary military occupational specialty code.
+	 * @type {Covariate}
+	 */
+	static PRIMARY_MOS = new Covariate("primarymos");
+	/**
+	 * The installation where the subject was measured.
+	 * @type {Covariate}
+	 */
+	static INSTALLATION = new Covariate("installation");
+	/**
+	 * The race as coded by the Department of Defense.
+	 * @type {Covariate}
+	 */
+	static DOD_RACE = new Covariate("dodrace", "choice", [
+		"1",
+		"2",
+		"3",
+		"4",
+		"5",
+		"6",
+		"8",
+	]);
+	/**
+	 * The self-reported ethnicity, which most subjects left blank.
+	 * @type {Covariate}
+	 */
+	static ETHNICITY = new Covariate("ethnicity");
+	/**
+	 * The preferred writing hand.
+	 * @type {Covariate}
+	 */
+	static WRITING_PREFERENCE = new Covariate("writingpreference");
+
+	/**
+	 * Gets all defined covariates.
+	 * @returns {Covariate[]} An array of all defined covariates.
+	 */
+	static all() {
+		return [
+			this.AGE,
+			this.COMPONENT,
+			this.BRANCH,
+			this.PRIMARY_MOS,
+			this.INSTALLATION,
+			this.DOD_RACE,
+			this.ETHNICITY,
+			this.WRITING_PREFERENCE,
+		];
+	}
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} id The id for the covariate, matching its column in the dataset.
+	 * @param {"range"|"choice"} type Whether the covariate is numeric and filtered by range, or filtered by a set of values.
+	 * @param {string[]} codes The coded values, whose labels are messages such as "covariate.dodrace.1".
+	 */
+	constructor(id, type = "choice", codes = []) {
+		this.id = id;
+		this.type = type;
+		this.codes = codes;
+	}
+
+	/**
+	 * Gets the name of the covariate in the current locale.
+	 * @returns {string} The name.
+	 */
+	get name() {
+		return t(`covariate.${this.id}`);
+	}
+
+	/**
+	 * Gets the display label for a value of the covariate in the current locale.
+	 * @param {string|number|null} value The value, or null if missing.
+	 * @returns {string} The label.
+	 */
+	labelFor(value) {
+		if (value === null) {
+			return t("covariate.notReported");
+		}
+
+		return this.codes.includes(String(value))
+			? t(`covariate.${this.id}.${value}`)
+			: String(value);
+	}
+}
+
+/**
+ * Represents a band of ages, used to stratify subjects by age.
+ * The bands are contiguous and cover every age.
+ */
+class AgeBand {
+	static UNDER_25 = new AgeBand("under25", 0, 25);
+	static FROM_25_TO_34 = new AgeBand("25to34", 25, 35);
+	static FROM_35_TO_44 = new AgeBand("35to44", 35, 45);
+	static FROM_45 = new AgeBand("45plus", 45, Infinity);
+
+	/**
+	 * Gets all defined age bands, youngest first.
+	 * @returns {AgeBand[]} An array of all defined age bands.
+	 */
+	static all() {
+		return [
+			this.UNDER_25,
+			this.FROM_25_TO_34,
+			this.FROM_35_TO_44,
+			this.FROM_45,
+		];
+	}
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} id The id for the age band.
+	 * @param {number} min The youngest age in the band, inclusive.
+	 * @param {number} max The oldest age in the band, exclusive.
+	 */
+	constructor(id, min, max) {
+		this.id = id;
+		this.min = min;
+		this.max = max;
+	}
+
+	/**
+	 * Gets the name of the age band in the current locale.
+	 * @returns {string} The name.
+	 */
+	get name() {
+		return t(`ageBand.${this.id}`);
+	}
+
+	/**
+	 * Returns whether an age falls within the band.
+	 * @param {number|null} age The age in years, or null if missing.
+	 * @returns {boolean} Whether the age is in the band, which a missing age never is.
+	 */
+	contains(age) {
+		return age !== null && age >= this.min && age < this.max;
 	}
 }
 
-export { Gender, UnitSystem, Unit, Measurement };
+export {
+	Gender,
+	UnitSystem,
+	DisplayUnit,
+	Unit,
+	Category,
+	Measurement,
+	Covariate,
+	AgeBand,
+};
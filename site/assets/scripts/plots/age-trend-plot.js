@@ -0,0 +1,521 @@
+import { Plot } from "./plot.js";
+import { Series } from "../math.js";
+import { formatNumber, t } from "../i18n.js";
+
+/**
+ * The spread of the horizontal jitter given to each subject, in years.
+ * Ages are recorded in whole years, so without jitter the subjects stack up in columns.
+ * @type {number}
+ */
+const AGE_JITTER = 0.6;
+
+/**
+ * The number of points each trend line is sampled at.
+ * @type {number}
+ */
+const TREND_SAMPLES = 100;
+
+/**
+ * A plot of a measurement against age, with the mean ± one standard deviation
+ * of each age band and a smoothed trend line for each series.
+ * Each series holds the ages in its "x" dimension and the measurement in its "y" dimension.
+ * @extends Plot
+ */
+class AgeTrendPlot extends Plot {
+	/**
+	 * Creates a new AgeTrendPlot.
+	 * @param {import("../math.js").Series[]} series - The data series to plot.
+	 * @param {string[]} seriesColors - Colors for each series.
+	 * @param {string[]} seriesLabels - Labels for each series.
+	 * @param {import("../model.js").AgeBand[]} ageBands - The age bands to summarize.
+	 * @param {{ method: "loess"|"moving-average", parameter: number }|null} [smoothing=null] - The trend line smoother (see Series.smoother), or null for no trend line.
+	 * @param {number} [valueOfInterest] - An optional measurement value to highlight.
+	 * @param {Object} [padding] - Padding around the plot.
+	 * @param {string} [yLabel=""] - Label for the Y axis.
+	 * @param {boolean} [darkMode=false] - Whether to render in dark mode.
+	 * @param {boolean} [showPoints=true] - Whether to draw each subject.
+	 * @param {boolean} [showBands=true] - Whether to draw the age band statistics.
+	 * @param {string} [emptyMessage=""] - The message to show when there are no series.
+	 */
+	constructor(
+		series,
+		seriesColors,
+		seriesLabels,
+		ageBands,
+		smoothing = null,
+		valueOfInterest = undefined,
+		padding = { top: 20, right: 20, bottom: 20, left: 20 },
+		yLabel = "",
+		darkMode = false,
+		showPoints = true,
+		showBands = true,
+		emptyMessage = "",
+	) {
+		super(padding, darkMode);
+
+		this.series = series;
+		this.seriesColors = seriesColors;
+		this.seriesLabels = seriesLabels;
+		this.ageBands = ageBands;
+		this.smoothing = smoothing;
+		this.valueOfInterest = valueOfInterest;
+		this.yLabel = yLabel;
+		this.showPoints = showPoints;
+		this.showBands = showBands;
+		this.emptyMessage = emptyMessage;
+
+		/** @type {{ band: import("../model.js").AgeBand, n: number, mean: number, stddev: number }[][]} The statistics of each age band, per series. */
+		this.bandStatistics = series.map((s) =>
+			this.calculateBandStatistics(s),
+		);
+	}
+
+	/**
+	 * Renders the age trend plot.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - The logical width of the canvas.
+	 * @param {number} height - The logical height of the canvas.
+	 */
+	handleRender(ctx, width, height) {
+		const bounds = this.resolveBounds();
+
+		// Clip and draw chart elements
+		ctx.save();
+		this.clipChartArea(ctx, width, height);
+
+		if (this.showPoints) this.drawPoints(ctx, width, height, bounds);
+		if (this.showBands) this.drawBands(ctx, width, height, bounds);
+		this.drawTrends(ctx, width, height, bounds);
+		this.drawValueOfInterest(ctx, width, height, bounds);
+		ctx.restore();
+
+		// Draw axes and labels on top, outside the clip region
+		this.drawAxes(ctx, width, height, bounds);
+		this.drawSeriesLegend(ctx, this.seriesColors, this.seriesLabels);
+
+		if (this.series.length === 0) {
+			this.drawMessage(ctx, width, height, this.emptyMessage);
+		}
+	}
+
+	/**
+	 * Calculates the number, mean and standard deviation of the measurement in each age band.
+	 * Bands without subjects are left out.
+	 * @param {import("../math.js").Series} series - The series.
+	 * @returns {{ band: import("../model.js").AgeBand, n: number, mean: number, stddev: number }[]} The statistics of each band.
+	 */
+	calculateBandStatistics(series) {
+		const ages = series.valuesOf("x");
+		const values = series.valuesOf("y");
+
+		return this.ageBands
+			.map((band) => {
+				const y = values.filter((_, i) => band.contains(ages[i]));
+				const bandSeries = new Series({ y });
+				return {
+					band,
+					n: y.length,
+					mean: bandSeries.mean("y"),
+					stddev: bandSeries.stddev("y"),
+				};
+			})
+			.filter((statistics) => statistics.n > 0);
+	}
+
+	/**
+	 * Gets the data axes that can be zoomed and panned.
+	 * @returns {("x"|"y")[]} The zoomable axes.
+	 */
+	zoomAxes() {
+		return ["x", "y"];
+	}
+
+	/**
+	 * Calculates the data bounds (min/max age and measurement).
+	 * Falls back to a typical adult age range when there is no data.
+	 * @returns {{minX: number, maxX: number, minY: number, maxY: number}} The bounds.
+	 */
+	calculateBounds() {
+		const xs = this.series.flatMap((s) => s.valuesOf("x"));
+		const ys = this.series.flatMap((s) => s.valuesOf("y"));
+
+		if (xs.length === 0) {
+			return { minX: 17, maxX: 60, minY: 0, maxY: 1 };
+		}
+
+		return {
+			minX: Math.min(...xs) - AGE_JITTER / 2,
+			maxX: Math.max(...xs) + AGE_JITTER / 2,
+			minY: Math.min(...ys),
+			maxY: Math.max(...ys),
+		};
+	}
+
+	/**
+	 * Gets the plotted age of a subject, offset by a deterministic jitter.
+	 * @param {number} age - The recorded age.
+	 * @param {number} index - The index of the subject in its series.
+	 * @returns {number} The jittered age.
+	 */
+	jitteredAge(age, index) {
+		// The golden ratio spreads consecutive subjects evenly across the jitter.
+		return age + (((index * 0.6180339887) % 1) - 0.5) * AGE_JITTER;
+	}
+
+	/**
+	 * Gets the span of ages an age band covers within the data.
+	 * @param {import("../model.js").AgeBand} band - The age band.
+	 * @returns {[number, number]} The youngest and oldest age.
+	 */
+	bandExtent(band) {
+		return [
+			Math.max(band.min, this.dataBounds.minX),
+			Math.min(band.max, this.dataBounds.maxX),
+		];
+	}
+
+	/**
+	 * Describes the subject nearest to a point, or otherwise the age band under it.
+	 * @param {number} x - The X data value.
+	 * @param {number} y - The Y data value.
+	 * @param {number} px - The X coordinate on the canvas.
+	 * @param {number} py - The Y coordinate on the canvas.
+	 * @returns {Object} The description.
+	 */
+	describePoint(x, y, px, py) {
+		const { width, height } = this.size;
+
+		const nearest = this.showPoints
+			? this.findNearestSubject(px, py)
+			: null;
+		if (nearest) {
+			const series = this.series[nearest.seriesIndex];
+			const color = this.seriesColors[nearest.seriesIndex];
+			return {
+				title: t("plot.subject", {
+					series: this.seriesLabels[nearest.seriesIndex],
+					number: nearest.subjectIndex + 1,
+				}),
+				rows: [
+					{
+						label: t("plot.age"),
+						color,
+						value: String(
+							series.valuesOf("x")[nearest.subjectIndex],
+						),
+					},
+					{
+						label: this.yLabel || "Y",
+						color,
+						value: formatNumber(
+							series.valuesOf("y")[nearest.subjectIndex],
+							this.decimals.y,
+						),
+					},
+				],
+				marker: nearest.marker,
+			};
+		}
+
+		const band = this.ageBands.find((b) => b.contains(x));
+		if (!band || this.series.length === 0) {
+			return super.describePoint(x, y, px, py);
+		}
+
+		const rows = [];
+		this.series.forEach((series, i) => {
+			const statistics = this.bandStatistics[i].find(
+				(s) => s.band === band,
+			);
+			if (statistics) {
+				rows.push({
+					label: this.seriesLabels[i],
+					color: this.seriesColors[i],
+					value: `${formatNumber(statistics.mean, this.decimals.y)} ± ${formatNumber(statistics.stddev, this.decimals.y)} (n = ${statistics.n})`,
+				});
+			}
+
+			const trend = this.trendAt(series, x);
+			if (!isNaN(trend)) {
+				rows.push({
+					label: t("plot.trendAt", {
+						series: this.seriesLabels[i],
+						age: formatNumber(x, 1),
+					}),
+					color: this.seriesColors[i],
+					value: formatNumber(trend, this.decimals.y),
+				});
+			}
+		});
+
+		const [bandStart, bandEnd] = this.bandExtent(band).map(
+			(age) =>
+				this.calculatePointProjection(
+					age,
+					0,
+					width,
+					height,
+					this.bounds,
+				)[0],
+		);
+
+		return {
+			title: t("plot.ageBand", { band: band.name }),
+			rows,
+			band: [bandStart, bandEnd],
+		};
+	}
+
+	/**
+	 * Finds the subject nearest to a canvas position, within a small pixel radius.
+	 * @param {number} px - The X coordinate on the canvas.
+	 * @param {number} py - The Y coordinate on the canvas.
+	 * @returns {{ seriesIndex: number, subjectIndex: number, marker: [number, number] }|null} The subject, or null if none is close enough.
+	 */
+	findNearestSubject(px, py) {
+		const { width, height } = this.size;
+		const maxDistance = 12;
+
+		let nearest = null;
+		let nearestDistance = maxDistance * maxDistance;
+
+		for (let i = 0; i < this.series.length; i++) {
+			const xs = this.series[i].valuesOf("x");
+			const ys = this.series[i].valuesOf("y");
+
+			for (let j = 0; j < xs.length; j++) {
+				const [sx, sy] = this.calculatePointProjection(
+					this.jitteredAge(xs[j], j),
+					ys[j],
+					width,
+					height,
+					this.bounds,
+				);
+				const distance = (sx - px) ** 2 + (sy - py) ** 2;
+				if (distance <= nearestDistance) {
+					nearestDistance = distance;
+					nearest = {
+						seriesIndex: i,
+						subjectIndex: j,
+						marker: [sx, sy],
+					};
+				}
+			}
+		}
+
+		return nearest;
+	}
+
+	/**
+	 * Evaluates the trend line of a series at an age.
+	 * @param {import("../math.js").Series} series - The series.
+	 * @param {number} age - The age.
+	 * @returns {number} The smoothed value, or NaN if there is no trend line or not enough data.
+	 */
+	trendAt(series, age) {
+		if (!this.smoothing) return NaN;
+
+		// Only smooth within the ages observed, rather than extrapolating.
+		if (age < series.min("x") || age > series.max("x")) return NaN;
+
+		return series.smoother(
+			"x",
+			"y",
+			this.smoothing.method,
+			this.smoothing.parameter,
+		)(age);
+	}
+
+	/**
+	 * Draws the axes and labels.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - Width of the plot.
+	 * @param {number} height - Height of the plot.
+	 * @param {Object} bounds - Data bounds.
+	 */
+	drawAxes(ctx, width, height, bounds) {
+		const left = this.padding.left;
+		const right = width - this.padding.right;
+		const top = this.padding.top;
+		const bottom = height - this.padding.bottom;
+
+		this.drawXAxisLine(ctx, left, right, bottom);
+		this.drawYAxisLine(ctx, left, top, bottom);
+
+		this.drawXAxisTicks(ctx, left, right, bottom, bounds);
+		this.drawYAxisTicks(ctx, left, top, bottom, bounds);
+
+		this.drawXAxisLabel(ctx, width, height, t("plot.ageAxis"));
+		this.drawYAxisLabel(ctx, width, height, this.yLabel);
+	}
+
+	/**
+	 * Draws each subject as a faint point.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - Width of the plot.
+	 * @param {number} height - Height of the plot.
+	 * @param {Object} bounds - Data bounds.
+	 */
+	drawPoints(ctx, width, height, bounds) {
+		ctx.save();
+		ctx.globalAlpha = 0.25;
+
+		for (let i = 0; i < this.series.length; i++) {
+			const xs = this.series[i].valuesOf("x");
+			const ys = this.series[i].valuesOf("y");
+
+			ctx.fillStyle = this.seriesColors[i];
+
+			for (let j = 0; j < xs.length; j++) {
+				const [px, py] = this.calculatePointProjection(
+					this.jitteredAge(xs[j], j),
+					ys[j],
+					width,
+					height,
+					bounds,
+				);
+
+				ctx.beginPath();
+				ctx.arc(px, py, 2, 0, Math.PI * 2);
+				ctx.fill();
+			}
+		}
+
+		ctx.restore();
+	}
+
+	/**
+	 * Draws the mean of each age band as a line across the band, within a shaded band of ± one standard deviation.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - Width of the plot.
+	 * @param {number} height - Height of the plot.
+	 * @param {Object} bounds - Data bounds.
+	 */
+	drawBands(ctx, width, height, bounds) {
+		ctx.save();
+
+		this.bandStatistics.forEach((statistics, i) => {
+			ctx.fillStyle = this.seriesColors[i];
+			ctx.strokeStyle = this.seriesColors[i];
+
+			for (const { band, mean, stddev } of statistics) {
+				const [start, end] = this.bandExtent(band);
+				const [x0, yHigh] = this.calculatePointProjection(
+					start,
+					mean + stddev,
+					width,
+					height,
+					bounds,
+				);
+				const [x1, yLow] = this.calculatePointProjection(
+					end,
+					mean - stddev,
+					width,
+					height,
+					bounds,
+				);
+				const [, yMean] = this.calculatePointProjection(
+					start,
+					mean,
+					width,
+					height,
+					bounds,
+				);
+
+				ctx.globalAlpha = 0.2;
+				ctx.fillRect(x0, yHigh, x1 - x0, yLow - yHigh);
+
+				ctx.globalAlpha = 0.9;
+				ctx.lineWidth = 2;
+				ctx.beginPath();
+				ctx.moveTo(x0, yMean);
+				ctx.lineTo(x1, yMean);
+				ctx.stroke();
+			}
+		});
+
+		ctx.restore();
+	}
+
+	/**
+	 * Draws the smoothed trend line of each series over the ages it covers.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - Width of the plot.
+	 * @param {number} height - Height of the plot.
+	 * @param {Object} bounds - Data bounds.
+	 */
+	drawTrends(ctx, width, height, bounds) {
+		if (!this.smoothing) return;
+
+		ctx.save();
+		ctx.lineWidth = 3;
+		ctx.lineJoin = "round";
+
+		this.series.forEach((series, i) => {
+			const minAge = series.min("x");
+			const maxAge = series.max("x");
+			if (minAge === undefined) return;
+
+			ctx.strokeStyle = this.seriesColors[i];
+			ctx.beginPath();
+
+			let drawing = false;
+			for (let s = 0; s <= TREND_SAMPLES; s++) {
+				const age = minAge + ((maxAge - minAge) * s) / TREND_SAMPLES;
+				const value = this.trendAt(series, age);
+
+				if (isNaN(value)) {
+					drawing = false;
+					continue;
+				}
+
+				const [px, py] = this.calculatePointProjection(
+					age,
+					value,
+					width,
+					height,
+					bounds,
+				);
+				if (drawing) {
+					ctx.lineTo(px, py);
+				} else {
+					ctx.moveTo(px, py);
+					drawing = true;
+				}
+			}
+
+			ctx.stroke();
+		});
+
+		ctx.restore();
+	}
+
+	/**
+	 * Draws a horizontal line at the measurement value of interest.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - Width of the plot.
+	 * @param {number} height - Height of the plot.
+	 * @param {Object} bounds - Data bounds.
+	 */
+	drawValueOfInterest(ctx, width, height, bounds) {
+		if (this.valueOfInterest === undefined) return;
+
+		const [, py] = this.calculatePointProjection(
+			bounds.minX,
+			this.valueOfInterest,
+			width,
+			height,
+			bounds,
+		);
+
+		ctx.save();
+		this.configureContext(ctx);
+		ctx.beginPath();
+		ctx.moveTo(this.padding.left, py);
+		ctx.lineTo(width - this.padding.right, py);
+		ctx.stroke();
+		ctx.restore();
+	}
+}
+
+export { AgeTrendPlot };
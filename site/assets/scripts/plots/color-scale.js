@@ -0,0 +1,98 @@
+/**
+ * A continuous color scale built by linear interpolation between evenly spaced color stops.
+ */
+class ColorScale {
+	/**
+	 * The perceptually uniform "viridis" scale (dark purple to yellow).
+	 * @type {ColorScale}
+	 */
+	static VIRIDIS = new ColorScale([
+		[68, 1, 84],
+		[72, 40, 120],
+		[62, 74, 137],
+		[49, 104, 142],
+		[38, 130, 142],
+		[31, 158, 137],
+		[53, 183, 121],
+		[109, 205, 89],
+		[180, 222, 44],
+		[253, 231, 37],
+	]);
+
+	/**
+	 * Creates a scale from CSS hex colors (e.g. "#2563eb").
+	 * @param {...string} colors - The hex colors to use as stops, from low to high.
+	 * @returns {ColorScale} The color scale.
+	 */
+	static fromHex(...colors) {
+		return new ColorScale(
+			colors.map((color) => ColorScale.parseHex(color)),
+		);
+	}
+
+	/**
+	 * Parses a CSS hex color into its RGB components.
+	 * @param {string} color - The hex color ("#rgb" or "#rrggbb").
+	 * @returns {number[]} The [r, g, b] components in the range [0, 255].
+	 */
+	static parseHex(color) {
+		let hex = color.replace("#", "");
+		if (hex.length === 3) {
+			hex = hex
+				.split("")
+				.map((c) => c + c)
+				.join("");
+		}
+		return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+	}
+
+	/**
+	 * Creates a new ColorScale.
+	 * @param {number[][]} stops - The [r, g, b] or [r, g, b, a] stops, from low to high. Alpha is in the range [0, 1].
+	 */
+	constructor(stops) {
+		this.stops = stops.map((stop) =>
+			stop.length === 4 ? stop : [...stop, 1],
+		);
+	}
+
+	/**
+	 * Returns a copy of this scale with the alpha of every stop replaced.
+	 * @param {number[]} alphas - The alpha for each stop, in the range [0, 1].
+	 * @returns {ColorScale} The new color scale.
+	 */
+	withAlpha(alphas) {
+		return new ColorScale(
+			this.stops.map(([r, g, b], i) => [r, g, b, alphas[i]]),
+		);
+	}
+
+	/**
+	 * Gets the interpolated color at a position along the scale.
+	 * @param {number} t - The position along the scale, clamped to [0, 1].
+	 * @returns {number[]} The [r, g, b, a] color with r, g, b in [0, 255] and a in [0, 1].
+	 */
+	colorAt(t) {
+		const clamped = Math.min(1, Math.max(0, isNaN(t) ? 0 : t));
+		const scaled = clamped * (this.stops.length - 1);
+		const index = Math.min(Math.floor(scaled), this.stops.length - 2);
+		const f = scaled - index;
+
+		const from = this.stops[index];
+		const to = this.stops[index + 1] ?? from;
+
+		return from.map((c, i) => c + (to[i] - c) * f);
+	}
+
+	/**
+	 * Gets the interpolated color at a position along the scale as a CSS color string.
+	 * @param {number} t - The position along the scale, clamped to [0, 1].
+	 * @returns {string} The CSS rgba() color.
+	 */
+	cssColorAt(t) {
+		const [r, g, b, a] = this.colorAt(t);
+		return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a})`;
+	}
+}
+
+export { ColorScale };
@@ -0,0 +1,376 @@
+import { Plot } from "./plot.js";
+import { ColorScale } from "./color-scale.js";
+import { formatNumber, t } from "../i18n.js";
+
+/**
+ * A heatmap of the correlations between every pair of measurements.
+ * Measurements are grouped by category along both axes. With two series, the lower
+ * triangle shows the first series and the upper triangle the second, as captioned
+ * below the matrix; with one series the matrix is symmetric.
+ *
+ * Column i spans X in [i, i + 1] and row i spans Y in [n - i - 1, n - i], so the
+ * first measurement is in the top-left corner.
+ * @extends Plot
+ */
+class CorrelationMatrixPlot extends Plot {
+	/**
+	 * Creates a new CorrelationMatrixPlot.
+	 * @param {import("../model.js").Measurement[]} measurements - The measurements, in display order.
+	 * @param {Float64Array[]} matrices - The row-major correlation matrix of each series.
+	 * @param {string[]} seriesColors - Colors for each series.
+	 * @param {string[]} seriesLabels - Labels for each series.
+	 * @param {string} [coefficientLabel="r"] - The symbol for the correlation coefficient.
+	 * @param {Object} [padding] - Padding around the plot.
+	 * @param {boolean} [darkMode=false] - Whether to render in dark mode.
+	 */
+	constructor(
+		measurements,
+		matrices,
+		seriesColors,
+		seriesLabels,
+		coefficientLabel = "r",
+		padding = { top: 20, right: 20, bottom: 20, left: 20 },
+		darkMode = false,
+	) {
+		super(padding, darkMode);
+
+		this.measurements = measurements;
+		this.matrices = matrices;
+		this.seriesColors = seriesColors;
+		this.seriesLabels = seriesLabels;
+		this.coefficientLabel = coefficientLabel;
+	}
+
+	/**
+	 * Renders the correlation matrix.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - The logical width of the canvas.
+	 * @param {number} height - The logical height of the canvas.
+	 */
+	handleRender(ctx, width, height) {
+		const bounds = this.resolveBounds();
+
+		ctx.save();
+		this.clipChartArea(ctx, width, height);
+		this.drawCells(ctx, width, height, bounds);
+		this.drawCategorySeparators(ctx, width, height, bounds);
+		ctx.restore();
+
+		this.drawAxes(ctx, width, height, bounds);
+
+		this.drawXAxisLabel(
+			ctx,
+			width,
+			height,
+			this.matrices.length === 2
+				? t("plot.triangles", {
+						lower: this.seriesLabels[0],
+						upper: this.seriesLabels[1],
+					})
+				: this.seriesLabels[0],
+		);
+
+		this.drawColorScaleLegend(
+			ctx,
+			width,
+			height,
+			[this.colorScale()],
+			[
+				{ t: 1, label: "+1" },
+				{ t: 0.5, label: "0" },
+				{ t: 0, label: "-1" },
+			],
+			this.coefficientLabel,
+		);
+	}
+
+	/**
+	 * Builds the diverging color scale from a correlation of -1 to +1.
+	 * @returns {ColorScale} The color scale.
+	 */
+	colorScale() {
+		const neutral = this.darkMode ? "#374151" : "#f3f4f6";
+		return ColorScale.fromHex("#2166ac", neutral, "#b2182b");
+	}
+
+	/**
+	 * Gets the correlation shown in a cell.
+	 * @param {number} row - The row index.
+	 * @param {number} column - The column index.
+	 * @returns {number} The correlation.
+	 */
+	correlationAt(row, column) {
+		const n = this.measurements.length;
+		const matrix =
+			this.matrices.length === 2 && row < column
+				? this.matrices[1]
+				: this.matrices[0];
+
+		return matrix[row * n + column];
+	}
+
+	/**
+	 * Finds the cell under a point in data coordinates.
+	 * @param {number} x - The X data value.
+	 * @param {number} y - The Y data value.
+	 * @returns {{ row: number, column: number }|null} The cell, or null if outside the matrix.
+	 */
+	cellAt(x, y) {
+		const n = this.measurements.length;
+		const column = Math.floor(x);
+		const row = Math.floor(n - y);
+
+		if (column < 0 || column >= n || row < 0 || row >= n) return null;
+
+		return { row, column };
+	}
+
+	/**
+	 * Finds the pair of measurements under a canvas position.
+	 * @param {number} px - The X coordinate on the canvas.
+	 * @param {number} py - The Y coordinate on the canvas.
+	 * @returns {{ x: import("../model.js").Measurement, y: import("../model.js").Measurement }|null} The column (X) and row (Y) measurements, or null if outside the matrix.
+	 */
+	pairAt(px, py) {
+		const inspection = this.inspect(px, py);
+		const cell = inspection && this.cellAt(inspection.x, inspection.y);
+		if (!cell) return null;
+
+		return {
+			x: this.measurements[cell.column],
+			y: this.measurements[cell.row],
+		};
+	}
+
+	/**
+	 * Draws one raster pixel per cell, scaled up to the matrix area.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - Width of the plot.
+	 * @param {number} height - Height of the plot.
+	 * @param {Object} bounds - Data bounds.
+	 */
+	drawCells(ctx, width, height, bounds) {
+		const n = this.measurements.length;
+		if (n === 0 || this.matrices.length === 0) return;
+
+		const scale = this.colorScale();
+		const raster = document.createElement("canvas");
+		raster.width = n;
+		raster.height = n;
+		const rasterCtx = raster.getContext("2d");
+		const image = rasterCtx.createImageData(n, n);
+		const pixels = image.data;
+
+		for (let row = 0; row < n; row++) {
+			for (let column = 0; column < n; column++) {
+				const i = row * n + column;
+				const [r, g, b] = scale.colorAt(
+					(this.correlationAt(row, column) + 1) / 2,
+				);
+				pixels[i * 4] = r;
+				pixels[i * 4 + 1] = g;
+				pixels[i * 4 + 2] = b;
+				pixels[i * 4 + 3] = 255;
+			}
+		}
+
+		rasterCtx.putImageData(image, 0, 0);
+
+		const [left, top] = this.calculatePointProjection(
+			0,
+			n,
+			width,
+			height,
+			bounds,
+		);
+		const [right, bottom] = this.calculatePointProjection(
+			n,
+			0,
+			width,
+			height,
+			bounds,
+		);
+
+		ctx.save();
+		ctx.imageSmoothingEnabled = false;
+		ctx.drawImage(raster, left, top, right - left, bottom - top);
+		ctx.restore();
+	}
+
+	/**
+	 * Groups consecutive measurements by category.
+	 * @returns {{ category: import("../model.js").Category, start: number, end: number }[]} The groups, with start inclusive and end exclusive.
+	 */
+	categoryGroups() {
+		const groups = [];
+
+		this.measurements.forEach((measurement, i) => {
+			const last = groups.at(-1);
+			if (last && last.category === measurement.category) {
+				last.end = i + 1;
+			} else {
+				groups.push({
+					category: measurement.category,
+					start: i,
+					end: i + 1,
+				});
+			}
+		});
+
+		return groups;
+	}
+
+	/**
+	 * Draws lines between the category groups.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - Width of the plot.
+	 * @param {number} height - Height of the plot.
+	 * @param {Object} bounds - Data bounds.
+	 */
+	drawCategorySeparators(ctx, width, height, bounds) {
+		const n = this.measurements.length;
+
+		const [left, bottom] = this.calculatePointProjection(
+			0,
+			0,
+			width,
+			height,
+			bounds,
+		);
+		const [right, top] = this.calculatePointProjection(
+			n,
+			n,
+			width,
+			height,
+			bounds,
+		);
+
+		ctx.save();
+		this.configureContext(ctx);
+		ctx.globalAlpha = 0.6;
+		ctx.beginPath();
+
+		for (const { start } of this.categoryGroups().slice(1)) {
+			const [x, y] = this.calculatePointProjection(
+				start,
+				n - start,
+				width,
+				height,
+				bounds,
+			);
+
+			ctx.moveTo(x, top);
+			ctx.lineTo(x, bottom);
+			ctx.moveTo(left, y);
+			ctx.lineTo(right, y);
+		}
+
+		ctx.stroke();
+		ctx.restore();
+	}
+
+	/**
+	 * Gets the data axes that can be zoomed and panned.
+	 * @returns {("x"|"y")[]} The zoomable axes.
+	 */
+	zoomAxes() {
+		return ["x", "y"];
+	}
+
+	/**
+	 * Calculates the data bounds, one unit per measurement.
+	 * @returns {{minX: number, maxX: number, minY: number, maxY: number}} The bounds.
+	 */
+	calculateBounds() {
+		const n = this.measurements.length;
+		return { minX: 0, maxX: n, minY: 0, maxY: n };
+	}
+
+	/**
+	 * Describes the correlation of each series for the pair under a point.
+	 * @param {number} x - The X data value.
+	 * @param {number} y - The Y data value.
+	 * @param {number} px - The X coordinate on the canvas.
+	 * @param {number} py - The Y coordinate on the canvas.
+	 * @returns {Object} The description.
+	 */
+	describePoint(x, y, px, py) {
+		const cell = this.cellAt(x, y);
+		if (!cell) return { title: "", rows: [] };
+
+		const n = this.measurements.length;
+		const rowMeasurement = this.measurements[cell.row];
+		const columnMeasurement = this.measurements[cell.column];
+
+		return {
+			title: `${rowMeasurement.name} × ${columnMeasurement.name}`,
+			rows: this.matrices.map((matrix, i) => ({
+				label: this.seriesLabels[i],
+				color: this.seriesColors[i],
+				value: `${this.coefficientLabel} = ${formatNumber(matrix[cell.row * n + cell.column], 2)}`,
+			})),
+		};
+	}
+
+	/**
+	 * Draws the axes with the category of each group of rows and columns.
+	 * Labels that do not fit their group are left out.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - Width of the plot.
+	 * @param {number} height - Height of the plot.
+	 * @param {Object} bounds - Data bounds.
+	 */
+	drawAxes(ctx, width, height, bounds) {
+		const n = this.measurements.length;
+		const left = this.padding.left;
+		const right = width - this.padding.right;
+		const top = this.padding.top;
+		const bottom = height - this.padding.bottom;
+
+		this.drawXAxisLine(ctx, left, right, bottom);
+		this.drawYAxisLine(ctx, left, top, bottom);
+
+		ctx.save();
+		this.configureContext(ctx);
+		ctx.font = "10px monospace";
+
+		for (const { category, start, end } of this.categoryGroups()) {
+			const [x0, y0] = this.calculatePointProjection(
+				start,
+				n - start,
+				width,
+				height,
+				bounds,
+			);
+			const [x1, y1] = this.calculatePointProjection(
+				end,
+				n - end,
+				width,
+				height,
+				bounds,
+			);
+			const label = category.name;
+			const labelWidth = ctx.measureText(label).width;
+
+			// Columns, below the X axis
+			const cx = (Math.max(x0, left) + Math.min(x1, right)) / 2;
+			if (Math.min(x1, right) - Math.max(x0, left) > labelWidth + 4) {
+				ctx.textAlign = "center";
+				ctx.textBaseline = "top";
+				ctx.fillText(label, cx, bottom + 6);
+			}
+
+			// Rows, left of the Y axis
+			const cy = (Math.max(y0, top) + Math.min(y1, bottom)) / 2;
+			if (Math.min(y1, bottom) - Math.max(y0, top) > 12) {
+				ctx.textAlign = "right";
+				ctx.textBaseline = "middle";
+				ctx.fillText(label, left - 6, cy);
+			}
+		}
+
+		ctx.restore();
+	}
+}
+
+export { CorrelationMatrixPlot };
@@ -1,10 +1,21 @@
 import { Plot } from "./plot.js";
+import { formatNumber, t } from "../i18n.js";
 
 /**
  * A plot that displays data distribution as density curves.
+ * Curves can be the fitted normal, a non-parametric kernel density estimate, or both overlaid.
  * @extends Plot
  */
 class DensityPlot extends Plot {
+	/**
+	 * The available curve modes.
+	 * - normal: The fitted normal distribution.
+	 * - kde: The kernel density estimate.
+	 * - both: The kernel density estimate overlaid on the fitted normal.
+	 * @type {string[]}
+	 */
+	static CURVE_MODES = ["normal", "kde", "both"];
+
 	/**
 	 * Creates a new DensityPlot.
 	 * @param {import("../math.js").Series[]} series - The data series to plot.
@@ -16,6 +27,8 @@ class DensityPlot extends Plot {
 	 * @param {string} [xLabel=""] - Label for the X axis.
 	 * @param {boolean} [darkMode=false] - Whether to render in dark mode.
 	 * @param {boolean} [showSigmaLines=true] - Whether to show sigma lines.
+	 * @param {string} [curveMode="normal"] - Which curves to draw, one of {@link DensityPlot.CURVE_MODES}.
+	 * @param {{ kernel: import("../math.js").Kernel, bandwidths: number[] }} [kde] - The kernel and per-series bandwidths for the kernel density estimate.
 	 */
 	constructor(
 		series,
@@ -27,6 +40,8 @@ class DensityPlot extends Plot {
 		xLabel = "",
 		darkMode = false,
 		showSigmaLines = true,
+		curveMode = "normal",
+		kde = { kernel: undefined, bandwidths: [] },
 	) {
 		super(padding, darkMode);
 
@@ -37,14 +52,10 @@ class DensityPlot extends Plot {
 		this.lineOfInterest = lineOfInterest;
 		this.xLabel = xLabel;
 		this.showSigmaLines = showSigmaLines;
+		this.curveMode = curveMode;
+		this.kde = kde;
 	}
 
-	/**
-	 * Renders the density plot.
-	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
-	 * @param {number} width - The logical width of the canvas.
-	 * @param {number} height - The logical height of the canvas.
-	 */
 	/**
 	 * Renders the density plot.
 	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
@@ -52,16 +63,20 @@ class DensityPlot extends Plot {
 	 * @param {number} height - The logical height of the canvas.
 	 */
 	handleRender(ctx, width, height) {
-		const bounds = this.calculateBounds();
+		const bounds = this.resolveBounds();
+		const curves = this.sampleCurves(bounds);
+		const maxDensity = Math.max(
+			...curves.flatMap((c) => c.points.map((p) => p.y)),
+		);
 
 		// Clip and draw chart elements
 		ctx.save();
 		this.clipChartArea(ctx, width, height);
 
 		if (this.showSigmaLines) {
-			this.drawSigmaLines(ctx, width, height, bounds);
+			this.drawSigmaLines(ctx, width, height, bounds, maxDensity);
 		}
-		this.drawDensityCurves(ctx, width, height, bounds);
+		this.drawDensityCurves(ctx, width, height, bounds, curves, maxDensity);
 		this.drawLineOfInterest(
 			ctx,
 			width,
@@ -73,6 +88,15 @@ class DensityPlot extends Plot {
 
 		// Draw axes and labels on top, outside the clip region
 		this.drawAxes(ctx, width, height, bounds);
+		this.drawSeriesLegend(ctx, this.seriesColors, this.seriesLabels);
+	}
+
+	/**
+	 * Gets the data axes that can be zoomed and panned.
+	 * @returns {("x"|"y")[]} The zoomable axes.
+	 */
+	zoomAxes() {
+		return ["x"];
 	}
 
 	/**
@@ -80,13 +104,56 @@ class DensityPlot extends Plot {
 	 * @returns {{minX: number, maxX: number}} The bounds.
 	 */
 	calculateBounds() {
-		const xs = this.series.flatMap((s) => s.valuesOf("x"));
+		const xs = this.series.flatMap((s) => s.observedValuesOf("x"));
 		return {
 			minX: Math.min(...xs),
 			maxX: Math.max(...xs),
 		};
 	}
 
+	/**
+	 * Describes the density of each drawn curve at a point.
+	 * @param {number} x - The X data value.
+	 * @param {number|undefined} y - Unused.
+	 * @param {number} px - The X coordinate on the canvas.
+	 * @param {number} py - The Y coordinate on the canvas.
+	 * @returns {Object} The description.
+	 */
+	describePoint(x, y, px, py) {
+		const rows = [];
+
+		this.series.forEach((s, i) => {
+			if (this.curveMode !== "kde") {
+				rows.push({
+					label:
+						this.curveMode === "both"
+							? t("plot.normal", { series: this.seriesLabels[i] })
+							: this.seriesLabels[i],
+					color: this.seriesColors[i],
+					value: s.pdf("x")(x).toPrecision(3),
+				});
+			}
+			if (this.curveMode !== "normal" && this.kde.kernel) {
+				rows.push({
+					label:
+						this.curveMode === "both"
+							? t("plot.kde", { series: this.seriesLabels[i] })
+							: this.seriesLabels[i],
+					color: this.seriesColors[i],
+					value: s
+						.kde(
+							"x",
+							this.kde.kernel,
+							this.kde.bandwidths[i],
+						)(x)
+						.toPrecision(3),
+				});
+			}
+		});
+
+		return { title: `${formatNumber(x, this.decimals.x)}`, rows };
+	}
+
 	/**
 	 * Draws the axes and labels.
 	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
@@ -110,8 +177,9 @@ class DensityPlot extends Plot {
 	 * @param {number} width - Width of the plot.
 	 * @param {number} height - Height of the plot.
 	 * @param {Object} bounds - Data bounds.
+	 * @param {number} maxDensity - The density at the top of the plot area.
 	 */
-	drawSigmaLines(ctx, width, height, bounds) {
+	drawSigmaLines(ctx, width, height, bounds, maxDensity) {
 		ctx.save();
 		this.configureContext(ctx);
 
@@ -119,26 +187,11 @@ class DensityPlot extends Plot {
 		const right = width - this.padding.right;
 		const bottom = height - this.padding.bottom;
 		const drawableHeight = bottom - this.padding.top;
-		const axisColor = this.darkMode ? "#FFFFFF" : "#000000";
 
 		ctx.lineWidth = 1;
 		ctx.globalAlpha = 0.5;
 		ctx.setLineDash([4, 4]);
 
-		// --- Precompute global max density ---
-		const sampleCount = 256;
-		let maxDensity = 0;
-
-		for (const s of this.series) {
-			const pdf = s.pdf("x");
-
-			for (let i = 0; i < sampleCount; i++) {
-				const t = i / (sampleCount - 1);
-				const x = bounds.minX + t * (bounds.maxX - bounds.minX);
-				maxDensity = Math.max(maxDensity, pdf(x));
-			}
-		}
-
 		// --- Draw clipped sigma lines ---
 		for (let i = 0; i < this.series.length; i++) {
 			const s = this.series[i];
@@ -210,57 +263,85 @@ class DensityPlot extends Plot {
 		ctx.restore();
 	}
 
+	/**
+	 * Samples the density curves to draw for each series.
+	 * @param {Object} bounds - Data bounds.
+	 * @param {number} [sampleCount=256] - Number of points to sample for each curve.
+	 * @returns {{ seriesIndex: number, kind: "normal"|"kde", points: { x: number, y: number }[] }[]} The sampled curves.
+	 */
+	sampleCurves(bounds, sampleCount = 256) {
+		const curves = [];
+
+		this.series.forEach((s, seriesIndex) => {
+			const densities = [];
+			if (this.curveMode !== "kde") {
+				densities.push({ kind: "normal", pdf: s.pdf("x") });
+			}
+			if (this.curveMode !== "normal" && this.kde.kernel) {
+				densities.push({
+					kind: "kde",
+					pdf: s.kde(
+						"x",
+						this.kde.kernel,
+						this.kde.bandwidths[seriesIndex],
+					),
+				});
+			}
+
+			for (const { kind, pdf } of densities) {
+				const points = [];
+				for (let i = 0; i < sampleCount; i++) {
+					const t = i / (sampleCount - 1);
+					const x = bounds.minX + t * (bounds.maxX - bounds.minX);
+					points.push({ x, y: pdf(x) });
+				}
+				curves.push({ seriesIndex, kind, points });
+			}
+		});
+
+		return curves;
+	}
+
 	/**
 	 * Draws the probability density curves.
+	 * When both curve kinds are shown, the fitted normal is drawn dashed beneath the estimate.
 	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
 	 * @param {number} width - Width of the plot.
 	 * @param {number} height - Height of the plot.
 	 * @param {Object} bounds - Data bounds.
-	 * @param {number} [sampleCount=256] - Number of points to sample for the curve.
+	 * @param {{ seriesIndex: number, kind: "normal"|"kde", points: { x: number, y: number }[] }[]} curves - The sampled curves.
+	 * @param {number} maxDensity - The density at the top of the plot area.
 	 */
-	drawDensityCurves(ctx, width, height, bounds, sampleCount = 256) {
+	drawDensityCurves(ctx, width, height, bounds, curves, maxDensity) {
 		ctx.save();
 
 		const left = this.padding.left;
 		const right = width - this.padding.right;
 		const bottom = height - this.padding.bottom;
 		const drawableHeight = bottom - this.padding.top;
-
-		// --- Sample PDFs per series ---
-		const curves = this.series.map((s) => {
-			const pdf = s.pdf("x");
-
-			const points = [];
-			for (let i = 0; i < sampleCount; i++) {
-				const t = i / (sampleCount - 1);
-				const x = bounds.minX + t * (bounds.maxX - bounds.minX);
-				const y = pdf(x);
-				points.push({ x, y });
-			}
-			return points;
-		});
-
-		// --- Global Y scale ---
-		const maxDensity = Math.max(
-			...curves.flatMap((c) => c.map((p) => p.y)),
-		);
+		const overlaid = this.curveMode === "both";
 
 		// --- Draw curves ---
-		for (let i = 0; i < curves.length; i++) {
-			const curve = curves[i];
+		for (const curve of curves) {
+			const points = curve.points;
+			const dashed = overlaid && curve.kind === "normal";
 
-			ctx.strokeStyle = this.seriesColors[i];
-			ctx.lineWidth = this.lineThickness;
-			ctx.globalAlpha = 0.5;
+			ctx.strokeStyle = this.seriesColors[curve.seriesIndex];
+			ctx.lineWidth = dashed
+				? Math.max(1, this.lineThickness - 1)
+				: this.lineThickness;
+			ctx.globalAlpha = dashed ? 0.6 : 0.5;
+			ctx.setLineDash(dashed ? [6, 4] : []);
 
 			ctx.beginPath();
-			for (let j = 0; j < curve.length; j++) {
+			for (let j = 0; j < points.length; j++) {
 				const px =
 					left +
-					((curve[j].x - bounds.minX) / (bounds.maxX - bounds.minX)) *
+					((points[j].x - bounds.minX) /
+						(bounds.maxX - bounds.minX)) *
 						(right - left);
 
-				const py = bottom - (curve[j].y / maxDensity) * drawableHeight;
+				const py = bottom - (points[j].y / maxDensity) * drawableHeight;
 
 				if (j === 0) {
 					ctx.moveTo(px, py);
@@ -1,4 +1,5 @@
 import { Plot } from "./plot.js";
+import { formatNumber } from "../i18n.js";
 
 /**
  * A plot that displays data distribution as a histogram.
@@ -37,6 +38,9 @@ class HistogramPlot extends Plot {
 		this.lineOfInterest = lineOfInterest;
 		this.binCount = binCount;
 		this.xLabel = xLabel;
+
+		/** @type {{ binCount: number, binWidthValue: number, counts: number[][] }|null} The bins from the last render. */
+		this.bins = null;
 	}
 
 	/**
@@ -46,7 +50,7 @@ class HistogramPlot extends Plot {
 	 * @param {number} height - The logical height of the canvas.
 	 */
 	handleRender(ctx, width, height) {
-		const bounds = this.calculateBounds();
+		const bounds = this.resolveBounds();
 
 		// Clip and draw chart elements
 		ctx.save();
@@ -64,6 +68,15 @@ class HistogramPlot extends Plot {
 
 		// Draw axes and labels on top, outside the clip region
 		this.drawAxes(ctx, width, height, bounds);
+		this.drawSeriesLegend(ctx, this.seriesColors, this.seriesLabels);
+	}
+
+	/**
+	 * Gets the data axes that can be zoomed and panned.
+	 * @returns {("x"|"y")[]} The zoomable axes.
+	 */
+	zoomAxes() {
+		return ["x"];
 	}
 
 	/**
@@ -71,13 +84,63 @@ class HistogramPlot extends Plot {
 	 * @returns {{minX: number, maxX: number}} The bounds.
 	 */
 	calculateBounds() {
-		const xs = this.series.flatMap((s) => s.valuesOf("x"));
+		const xs = this.series.flatMap((s) => s.observedValuesOf("x"));
 		return {
 			minX: Math.min(...xs),
 			maxX: Math.max(...xs),
 		};
 	}
 
+	/**
+	 * Describes the bin under a point: its value range and the count per series.
+	 * @param {number} x - The X data value.
+	 * @param {number|undefined} y - Unused.
+	 * @param {number} px - The X coordinate on the canvas.
+	 * @param {number} py - The Y coordinate on the canvas.
+	 * @returns {Object} The description.
+	 */
+	describePoint(x, y, px, py) {
+		if (!this.bins) return super.describePoint(x, y, px, py);
+
+		const { binCount, binWidthValue, counts } = this.bins;
+		const index = Math.min(
+			binCount - 1,
+			Math.max(0, Math.floor((x - this.bounds.minX) / binWidthValue)),
+		);
+		const binStart = this.bounds.minX + index * binWidthValue;
+		const binEnd = binStart + binWidthValue;
+
+		const { width, height } = this.size;
+		const [bandLeft] = this.calculatePointProjection(
+			binStart,
+			0,
+			width,
+			height,
+			this.bounds,
+		);
+		const [bandRight] = this.calculatePointProjection(
+			binEnd,
+			0,
+			width,
+			height,
+			this.bounds,
+		);
+
+		return {
+			title: `${formatNumber(binStart, this.decimals.x)} – ${formatNumber(binEnd, this.decimals.x)}`,
+			rows: this.series.map((s, i) => {
+				const count = counts[i][index];
+				const total = s.count("x") || 1;
+				return {
+					label: this.seriesLabels[i],
+					color: this.seriesColors[i],
+					value: `${count} (${formatNumber((count / total) * 100, 1)}%)`,
+				};
+			}),
+			band: [bandLeft, bandRight],
+		};
+	}
+
 	/**
 	 * Draws the axes and labels.
 	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
@@ -96,23 +159,13 @@ class HistogramPlot extends Plot {
 	}
 
 	/**
-	 * Draws the histogram bars.
-	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
-	 * @param {number} width - Width of the plot.
-	 * @param {number} height - Height of the plot.
+	 * Counts the values of each series into bins spanning the bounds.
 	 * @param {Object} bounds - Data bounds.
+	 * @returns {{ binCount: number, binWidthValue: number, counts: number[][] }} The bin count, bin width and per-series counts.
 	 */
-	drawHistogramBars(ctx, width, height, bounds) {
-		ctx.save();
-
-		const left = this.padding.left;
-		const right = width - this.padding.right;
-		const top = this.padding.top;
-		const bottom = height - this.padding.bottom;
-		const drawableHeight = bottom - top;
-
+	calculateBins(bounds) {
 		// Determine effective bin count: clamp between 1 and distinct value count, capped by binCount.
-		const allXs = this.series.flatMap((s) => s.valuesOf("x"));
+		const allXs = this.series.flatMap((s) => s.observedValuesOf("x"));
 		const distinctCount = Math.max(1, new Set(allXs).size);
 		const binCount = Math.min(this.binCount, distinctCount);
 
@@ -120,8 +173,8 @@ class HistogramPlot extends Plot {
 		const binWidthValue = span / binCount;
 
 		// Build bins per series: counts.
-		const allSeriesBins = this.series.map((s) => {
-			const xs = s.valuesOf("x");
+		const counts = this.series.map((s) => {
+			const xs = s.observedValuesOf("x");
 			const bins = new Array(binCount).fill(0);
 			for (const x of xs) {
 				const idx =
@@ -133,6 +186,28 @@ class HistogramPlot extends Plot {
 			return bins;
 		});
 
+		return { binCount, binWidthValue, counts };
+	}
+
+	/**
+	 * Draws the histogram bars.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - Width of the plot.
+	 * @param {number} height - Height of the plot.
+	 * @param {Object} bounds - Data bounds.
+	 */
+	drawHistogramBars(ctx, width, height, bounds) {
+		ctx.save();
+
+		const left = this.padding.left;
+		const right = width - this.padding.right;
+		const top = this.padding.top;
+		const bottom = height - this.padding.bottom;
+		const drawableHeight = bottom - top;
+
+		this.bins = this.calculateBins(bounds);
+		const { binCount, counts: allSeriesBins } = this.bins;
+
 		// Global max for scaling.
 		const maxCount = Math.max(
 			...allSeriesBins.flatMap((bins) => bins),
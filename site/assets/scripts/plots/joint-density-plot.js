@@ -1,11 +1,36 @@
 import { Plot } from "./plot.js";
+import { ColorScale } from "./color-scale.js";
+import { formatNumber } from "../i18n.js";
 
 /**
- * A plot that displays the joint distribution of two variables using density estimation.
- * Assumes independence between X and Y dimensions for simplified rendering (P(x,y) ~ P(x)P(y)).
+ * A plot that displays the joint distribution of two variables using bivariate normal models.
+ * Each series is modelled with its full covariance (including correlation) and can be shown
+ * as a filled density raster, as sigma ellipses, or both.
  * @extends Plot
  */
 class JointDensityPlot extends Plot {
+	/**
+	 * The available heatmap modes.
+	 * - none: No raster, only ellipses.
+	 * - series: Each series' density in its own color.
+	 * - mixture: The density of the mixture of all series, weighted by series size.
+	 * - difference: The log-density of the first series minus that of the second.
+	 * @type {string[]}
+	 */
+	static HEATMAP_MODES = ["none", "series", "mixture", "difference"];
+
+	/**
+	 * The log-density ratio at which the difference color scale saturates.
+	 * @type {number}
+	 */
+	static DIFFERENCE_LIMIT = 4;
+
+	/**
+	 * The size of a raster cell, in logical pixels.
+	 * @type {number}
+	 */
+	static CELL_SIZE = 2;
+
 	/**
 	 * Creates a new JointDensityPlot.
 	 * @param {import("../math.js").Series[]} series - The data series to plot.
@@ -17,6 +42,8 @@ class JointDensityPlot extends Plot {
 	 * @param {string} [yLabel=""] - Label for the Y axis.
 	 * @param {boolean} [darkMode=false] - Whether to render in dark mode.
 	 * @param {boolean} [showSigmaLines=true] - Whether to show inner sigma lines (1σ, 2σ) and labels.
+	 * @param {string} [heatmapMode="mixture"] - How to fill the density raster, one of {@link JointDensityPlot.HEATMAP_MODES}.
+	 * @param {boolean} [showEllipses=true] - Whether to overlay the sigma ellipses.
 	 */
 	constructor(
 		series,
@@ -28,6 +55,8 @@ class JointDensityPlot extends Plot {
 		yLabel = "",
 		darkMode = false,
 		showSigmaLines = true,
+		heatmapMode = "mixture",
+		showEllipses = true,
 	) {
 		super(padding, darkMode);
 
@@ -38,6 +67,8 @@ class JointDensityPlot extends Plot {
 		this.xLabel = xLabel;
 		this.yLabel = yLabel;
 		this.showSigmaLines = showSigmaLines;
+		this.heatmapMode = heatmapMode;
+		this.showEllipses = showEllipses;
 	}
 
 	/**
@@ -47,18 +78,286 @@ class JointDensityPlot extends Plot {
 	 * @param {number} height - The logical height of the canvas.
 	 */
 	handleRender(ctx, width, height) {
-		const bounds = this.calculateBounds();
+		const bounds = this.resolveBounds();
 
 		// Clip and draw chart elements
 		ctx.save();
 		this.clipChartArea(ctx, width, height);
 
-		this.drawDensityHeatmap(ctx, width, height, bounds);
+		const heatmap = this.calculateHeatmap(width, height, bounds);
+		if (heatmap) {
+			this.drawDensityHeatmap(ctx, width, height, heatmap);
+		}
+		if (this.showEllipses) {
+			this.drawSigmaEllipses(ctx, width, height, bounds);
+		}
 		this.drawPointOfInterest(ctx, width, height, bounds);
 		ctx.restore();
 
 		// Draw axes and labels on top, outside the clip region
 		this.drawAxes(ctx, width, height, bounds);
+		this.drawSeriesLegend(ctx, this.seriesColors, this.seriesLabels);
+
+		if (heatmap) {
+			this.drawHeatmapLegend(ctx, width, height, heatmap);
+		}
+	}
+
+	/**
+	 * Resolves the heatmap mode actually used, falling back when the data cannot support it.
+	 * The difference mode needs two series; with a single series every mode shows its density.
+	 * @returns {string} The effective heatmap mode.
+	 */
+	effectiveHeatmapMode() {
+		if (this.series.length === 0) {
+			return "none";
+		}
+		if (this.heatmapMode === "difference" && this.series.length !== 2) {
+			return "mixture";
+		}
+		return this.heatmapMode;
+	}
+
+	/**
+	 * Evaluates each series' bivariate normal density on a grid covering the plot area.
+	 * @param {number} width - The logical width of the canvas.
+	 * @param {number} height - The logical height of the canvas.
+	 * @param {Object} bounds - The data bounds.
+	 * @returns {Object|null} The grid (mode, dimensions, plot area and per-series log densities), or null if no raster is drawn.
+	 */
+	calculateHeatmap(width, height, bounds) {
+		const mode = this.effectiveHeatmapMode();
+		if (mode === "none") {
+			return null;
+		}
+
+		const left = this.padding.left;
+		const right = width - this.padding.right;
+		const top = this.padding.top;
+		const bottom = height - this.padding.bottom;
+
+		const columns = Math.max(
+			1,
+			Math.ceil((right - left) / JointDensityPlot.CELL_SIZE),
+		);
+		const rows = Math.max(
+			1,
+			Math.ceil((bottom - top) / JointDensityPlot.CELL_SIZE),
+		);
+
+		// Mixture weights are proportional to the number of subjects observed in both dimensions in each series.
+		const counts = this.series.map((s) =>
+			s.complete(["x", "y"]).count("x"),
+		);
+		const total = counts.reduce((a, b) => a + b, 0) || 1;
+		const weights = counts.map((n) => n / total);
+
+		const logDensities = this.series.map((s) => {
+			const logPdf = s.jointLogPdf("x", "y");
+			const grid = new Float64Array(columns * rows);
+
+			for (let r = 0; r < rows; r++) {
+				// Rows run top to bottom, so Y decreases with r.
+				const y =
+					bounds.maxY -
+					((r + 0.5) / rows) * (bounds.maxY - bounds.minY);
+				for (let c = 0; c < columns; c++) {
+					const x =
+						bounds.minX +
+						((c + 0.5) / columns) * (bounds.maxX - bounds.minX);
+					grid[r * columns + c] = logPdf(x, y);
+				}
+			}
+
+			return grid;
+		});
+
+		return {
+			mode,
+			columns,
+			rows,
+			logDensities,
+			weights,
+			left,
+			top,
+			right,
+			bottom,
+		};
+	}
+
+	/**
+	 * Draws the filled density raster.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - Width of the plot.
+	 * @param {number} height - Height of the plot.
+	 * @param {Object} heatmap - The grid from {@link JointDensityPlot#calculateHeatmap}.
+	 */
+	drawDensityHeatmap(ctx, width, height, heatmap) {
+		const { columns, rows, logDensities, weights } = heatmap;
+		const cellCount = columns * rows;
+
+		// Mixture density per cell, used directly or to fade out empty regions.
+		const mixture = new Float64Array(cellCount);
+		let maxMixture = 0;
+		for (let i = 0; i < cellCount; i++) {
+			let p = 0;
+			for (let s = 0; s < logDensities.length; s++) {
+				p += weights[s] * Math.exp(logDensities[s][i]);
+			}
+			mixture[i] = p;
+			maxMixture = Math.max(maxMixture, p);
+		}
+		heatmap.maxMixture = maxMixture;
+
+		if (maxMixture === 0) {
+			return;
+		}
+
+		// Fade in over the lowest 5% of the density so the raster has no hard edge.
+		const fade = (t) => Math.min(1, t / 0.05);
+
+		const raster = document.createElement("canvas");
+		raster.width = columns;
+		raster.height = rows;
+		const rasterCtx = raster.getContext("2d");
+		const image = rasterCtx.createImageData(columns, rows);
+		const pixels = image.data;
+
+		const setPixel = (i, [r, g, b], alpha) => {
+			pixels[i * 4] = r;
+			pixels[i * 4 + 1] = g;
+			pixels[i * 4 + 2] = b;
+			pixels[i * 4 + 3] = Math.round(alpha * 255);
+		};
+
+		if (heatmap.mode === "mixture") {
+			for (let i = 0; i < cellCount; i++) {
+				const t = mixture[i] / maxMixture;
+				setPixel(i, ColorScale.VIRIDIS.colorAt(t), fade(t));
+			}
+		} else if (heatmap.mode === "difference") {
+			const scale = this.differenceColorScale();
+			const limit = JointDensityPlot.DIFFERENCE_LIMIT;
+			const [first, second] = logDensities;
+
+			for (let i = 0; i < cellCount; i++) {
+				const d = first[i] - second[i];
+				const t =
+					(Math.max(-limit, Math.min(limit, d)) + limit) /
+					(2 * limit);
+				setPixel(i, scale.colorAt(t), fade(mixture[i] / maxMixture));
+			}
+		} else {
+			// Per-series: blend series colors by their density relative to each series' own peak.
+			const colors = this.seriesColors.map((c) => ColorScale.parseHex(c));
+			const peaks = logDensities.map((grid) =>
+				grid.reduce((max, v) => Math.max(max, v), -Infinity),
+			);
+
+			for (let i = 0; i < cellCount; i++) {
+				let totalT = 0;
+				let maxT = 0;
+				const rgb = [0, 0, 0];
+
+				for (let s = 0; s < logDensities.length; s++) {
+					const t = Math.exp(logDensities[s][i] - peaks[s]);
+					totalT += t;
+					maxT = Math.max(maxT, t);
+					for (let k = 0; k < 3; k++) {
+						rgb[k] += colors[s][k] * t;
+					}
+				}
+
+				const color =
+					totalT > 0 ? rgb.map((v) => v / totalT) : [0, 0, 0];
+				setPixel(i, color, maxT);
+			}
+		}
+
+		rasterCtx.putImageData(image, 0, 0);
+
+		ctx.save();
+		ctx.imageSmoothingEnabled = true;
+		ctx.drawImage(
+			raster,
+			heatmap.left,
+			heatmap.top,
+			heatmap.right - heatmap.left,
+			heatmap.bottom - heatmap.top,
+		);
+		ctx.restore();
+	}
+
+	/**
+	 * Builds the diverging color scale for the difference mode, from the second series' color to the first's.
+	 * @returns {ColorScale} The diverging color scale.
+	 */
+	differenceColorScale() {
+		const neutral = this.darkMode ? "#374151" : "#f3f4f6";
+		return ColorScale.fromHex(
+			this.seriesColors[1],
+			neutral,
+			this.seriesColors[0],
+		);
+	}
+
+	/**
+	 * Draws the color scale legend for the density raster.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - Width of the plot.
+	 * @param {number} height - Height of the plot.
+	 * @param {Object} heatmap - The grid from {@link JointDensityPlot#calculateHeatmap}.
+	 */
+	drawHeatmapLegend(ctx, width, height, heatmap) {
+		if (heatmap.mode === "mixture") {
+			const max = heatmap.maxMixture || 0;
+			this.drawColorScaleLegend(
+				ctx,
+				width,
+				height,
+				[ColorScale.VIRIDIS],
+				[0, 0.5, 1].map((t) => ({
+					t,
+					label: (t * max).toPrecision(2),
+				})),
+				"density",
+			);
+		} else if (heatmap.mode === "difference") {
+			const limit = JointDensityPlot.DIFFERENCE_LIMIT;
+			this.drawColorScaleLegend(
+				ctx,
+				width,
+				height,
+				[this.differenceColorScale()],
+				[
+					{ t: 1, label: this.seriesLabels[0] },
+					{ t: 0.75, label: `+${limit / 2}` },
+					{ t: 0.5, label: "0" },
+					{ t: 0.25, label: `-${limit / 2}` },
+					{ t: 0, label: this.seriesLabels[1] },
+				],
+				"ln ratio",
+			);
+		} else {
+			this.drawColorScaleLegend(
+				ctx,
+				width,
+				height,
+				this.seriesColors.map((color) =>
+					ColorScale.fromHex(color, color).withAlpha([0, 1]),
+				),
+				[0, 0.5, 1].map((t) => ({ t, label: `${t * 100}%` })),
+				"of peak",
+			);
+		}
+	}
+
+	/**
+	 * Gets the data axes that can be zoomed and panned.
+	 * @returns {("x"|"y")[]} The zoomable axes.
+	 */
+	zoomAxes() {
+		return ["x", "y"];
 	}
 
 	/**
@@ -66,8 +365,8 @@ class JointDensityPlot extends Plot {
 	 * @returns {{minX: number, maxX: number, minY: number, maxY: number}} The bounds.
 	 */
 	calculateBounds() {
-		const xs = this.series.flatMap((s) => s.valuesOf("x"));
-		const ys = this.series.flatMap((s) => s.valuesOf("y"));
+		const xs = this.series.flatMap((s) => s.observedValuesOf("x"));
+		const ys = this.series.flatMap((s) => s.observedValuesOf("y"));
 
 		return {
 			minX: Math.min(...xs),
@@ -78,27 +377,35 @@ class JointDensityPlot extends Plot {
 	}
 
 	/**
-	 * Projects a data point to canvas coordinates.
-	 * @param {number} x - The X value.
-	 * @param {number} y - The Y value.
-	 * @param {number} width - The logical width of the canvas.
-	 * @param {number} height - The logical height of the canvas.
-	 * @param {Object} bounds - The data bounds.
-	 * @returns {[number, number]} The [x, y] coordinates on the canvas.
+	 * Describes the joint density of each series at a point.
+	 * @param {number} x - The X data value.
+	 * @param {number} y - The Y data value.
+	 * @param {number} px - The X coordinate on the canvas.
+	 * @param {number} py - The Y coordinate on the canvas.
+	 * @returns {Object} The description.
 	 */
-	calculatePointProjection(x, y, width, height, bounds) {
-		const px =
-			this.padding.left +
-			((x - bounds.minX) / (bounds.maxX - bounds.minX)) *
-				(width - this.padding.left - this.padding.right);
-
-		const py =
-			height -
-			this.padding.bottom -
-			((y - bounds.minY) / (bounds.maxY - bounds.minY)) *
-				(height - this.padding.top - this.padding.bottom);
-
-		return [px, py];
+	describePoint(x, y, px, py) {
+		const logDensities = this.series.map((s) =>
+			s.jointLogPdf("x", "y")(x, y),
+		);
+
+		const rows = logDensities.map((logDensity, i) => ({
+			label: this.seriesLabels[i],
+			color: this.seriesColors[i],
+			value: Math.exp(logDensity).toPrecision(3),
+		}));
+
+		if (logDensities.length === 2) {
+			rows.push({
+				label: "ln ratio",
+				value: formatNumber(logDensities[0] - logDensities[1], 2),
+			});
+		}
+
+		return {
+			title: `${formatNumber(x, this.decimals.x)}, ${formatNumber(y, this.decimals.y)}`,
+			rows,
+		};
 	}
 
 	/**
@@ -125,20 +432,15 @@ class JointDensityPlot extends Plot {
 	}
 
 	/**
-	 * Draws the density heatmap.
+	 * Draws the sigma ellipses for each series.
 	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
 	 * @param {number} width - Width of the plot.
 	 * @param {number} height - Height of the plot.
 	 * @param {Object} bounds - Data bounds.
 	 */
-	drawDensityHeatmap(ctx, width, height, bounds) {
+	drawSigmaEllipses(ctx, width, height, bounds) {
 		ctx.save();
 
-		const left = this.padding.left;
-		const right = width - this.padding.right;
-		const top = this.padding.top;
-		const bottom = height - this.padding.bottom;
-
 		// Draw contours for each series (1, 2, 3 standard deviations)
 		for (let i = 0; i < this.series.length; i++) {
 			const s = this.series[i];
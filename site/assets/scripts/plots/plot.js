@@ -1,6 +1,11 @@
+import { SvgContext } from "./svg-context.js";
+import { formatNumber } from "../i18n.js";
+
 /**
  * Base class for all plots.
  * Provides shared rendering logic for axes, labels, and canvas management.
+ * Plots draw through the CanvasRenderingContext2D API only, so the same drawing
+ * code can target a canvas or an {@link SvgContext} for export.
  */
 class Plot {
 	/**
@@ -14,6 +19,17 @@ class Plot {
 	) {
 		this.padding = padding;
 		this.darkMode = darkMode;
+
+		/** @type {{minX?: number, maxX?: number, minY?: number, maxY?: number}|null} A zoomed view overriding some of the calculated bounds. */
+		this.viewBounds = null;
+		/** @type {Object|null} The calculated data bounds of the last render, before any view override. */
+		this.dataBounds = null;
+		/** @type {Object|null} The data bounds used by the last render. */
+		this.bounds = null;
+		/** @type {{ width: number, height: number }|null} The logical size of the last render. */
+		this.size = null;
+		/** @type {{ x: number, y: number }} The number of decimals values on each axis are shown with, from the display unit of its measurement. */
+		this.decimals = { x: 1, y: 1 };
 	}
 
 	/**
@@ -44,9 +60,53 @@ class Plot {
 		ctx.clearRect(0, 0, width, height);
 		ctx.restore();
 
+		this.size = { width, height };
 		this.handleRender(ctx, width, height);
 	}
 
+	/**
+	 * Renders the plot as a PNG image at a higher resolution than the screen.
+	 * Must be called after {@link Plot#render}, whose size it reuses.
+	 * @param {number} [scale=3] - The number of image pixels per CSS pixel.
+	 * @returns {Promise<Blob>} A promise that resolves with the PNG image.
+	 */
+	toPng(scale = 3) {
+		const { width, height } = this.size;
+		const canvas = document.createElement("canvas");
+		canvas.width = Math.round(width * scale);
+		canvas.height = Math.round(height * scale);
+
+		const ctx = canvas.getContext("2d");
+		ctx.scale(scale, scale);
+		this.drawBackground(ctx, width, height);
+		this.handleRender(ctx, width, height);
+
+		return new Promise((resolve, reject) =>
+			canvas.toBlob(
+				(blob) =>
+					blob
+						? resolve(blob)
+						: reject(new Error("PNG export failed.")),
+				"image/png",
+			),
+		);
+	}
+
+	/**
+	 * Renders the plot as an SVG document.
+	 * Must be called after {@link Plot#render}, whose size it reuses.
+	 * @returns {string} The SVG markup.
+	 */
+	toSvg() {
+		const { width, height } = this.size;
+		const ctx = new SvgContext(width, height);
+
+		this.drawBackground(ctx, width, height);
+		this.handleRender(ctx, width, height);
+
+		return ctx.toString();
+	}
+
 	/**
 	 * Handles the specific rendering logic for the plot.
 	 * Must be implemented by derived classes.
@@ -58,6 +118,228 @@ class Plot {
 		throw new Error("handleRender() not implemented in base Plot class.");
 	}
 
+	/**
+	 * Calculates the data bounds of the plot.
+	 * Must be implemented by derived classes.
+	 * @returns {{minX: number, maxX: number, minY?: number, maxY?: number}} The bounds.
+	 */
+	calculateBounds() {
+		throw new Error(
+			"calculateBounds() not implemented in base Plot class.",
+		);
+	}
+
+	/**
+	 * Gets the data axes that can be zoomed and panned.
+	 * Derived classes override this; axes not listed always span the calculated bounds.
+	 * @returns {("x"|"y")[]} The zoomable axes.
+	 */
+	zoomAxes() {
+		return [];
+	}
+
+	/**
+	 * Resolves the data bounds to render with, applying the view override of any
+	 * zoomable axis, and remembers them for inspection.
+	 * @returns {{minX: number, maxX: number, minY?: number, maxY?: number}} The bounds.
+	 */
+	resolveBounds() {
+		this.dataBounds = this.calculateBounds();
+		this.bounds = { ...this.dataBounds };
+
+		for (const axis of this.zoomAxes()) {
+			const min = this.viewBounds?.[`min${axis.toUpperCase()}`];
+			const max = this.viewBounds?.[`max${axis.toUpperCase()}`];
+			if (min === undefined || max === undefined || !(min < max))
+				continue;
+
+			this.bounds[`min${axis.toUpperCase()}`] = min;
+			this.bounds[`max${axis.toUpperCase()}`] = max;
+		}
+
+		return this.bounds;
+	}
+
+	/**
+	 * Returns whether the last render used a view override rather than the calculated bounds.
+	 * @returns {boolean} Whether the plot is zoomed or panned.
+	 */
+	isZoomed() {
+		if (!this.bounds || !this.dataBounds) return false;
+
+		return Object.keys(this.dataBounds).some(
+			(key) => this.bounds[key] !== this.dataBounds[key],
+		);
+	}
+
+	/**
+	 * Projects a data point to canvas coordinates.
+	 * @param {number} x - The X value.
+	 * @param {number} y - The Y value (ignored by plots without a Y data axis).
+	 * @param {number} width - The logical width of the canvas.
+	 * @param {number} height - The logical height of the canvas.
+	 * @param {Object} bounds - The data bounds.
+	 * @returns {[number, number]} The [x, y] coordinates on the canvas.
+	 */
+	calculatePointProjection(x, y, width, height, bounds) {
+		const px =
+			this.padding.left +
+			((x - bounds.minX) / (bounds.maxX - bounds.minX)) *
+				(width - this.padding.left - this.padding.right);
+
+		const py =
+			height -
+			this.padding.bottom -
+			((y - bounds.minY) / (bounds.maxY - bounds.minY)) *
+				(height - this.padding.top - this.padding.bottom);
+
+		return [px, py];
+	}
+
+	/**
+	 * Maps canvas coordinates back to data coordinates, inverting {@link Plot#calculatePointProjection}.
+	 * @param {number} px - The X coordinate on the canvas.
+	 * @param {number} py - The Y coordinate on the canvas.
+	 * @param {number} width - The logical width of the canvas.
+	 * @param {number} height - The logical height of the canvas.
+	 * @param {Object} bounds - The data bounds.
+	 * @returns {[number, number|undefined]} The [x, y] data values; y is undefined for plots without a Y data axis.
+	 */
+	invertPointProjection(px, py, width, height, bounds) {
+		const x =
+			bounds.minX +
+			((px - this.padding.left) /
+				(width - this.padding.left - this.padding.right)) *
+				(bounds.maxX - bounds.minX);
+
+		const y =
+			bounds.minY === undefined
+				? undefined
+				: bounds.minY +
+					((height - this.padding.bottom - py) /
+						(height - this.padding.top - this.padding.bottom)) *
+						(bounds.maxY - bounds.minY);
+
+		return [x, y];
+	}
+
+	/**
+	 * Inspects the plot at a canvas position, for tooltips and crosshairs.
+	 * Returns null when the position is outside the plot area or the plot has not been rendered.
+	 * @param {number} px - The X coordinate on the canvas.
+	 * @param {number} py - The Y coordinate on the canvas.
+	 * @returns {{ px: number, py: number, x: number, y: number|undefined, title: string, rows: { label: string, color?: string, value: string }[], marker?: [number, number], band?: [number, number] }|null} The inspection.
+	 */
+	inspect(px, py) {
+		if (!this.bounds || !this.size) return null;
+
+		const { width, height } = this.size;
+		const left = this.padding.left;
+		const right = width - this.padding.right;
+		const top = this.padding.top;
+		const bottom = height - this.padding.bottom;
+
+		if (px < left || px > right || py < top || py > bottom) return null;
+
+		const [x, y] = this.invertPointProjection(
+			px,
+			py,
+			width,
+			height,
+			this.bounds,
+		);
+
+		return { px, py, x, y, ...this.describePoint(x, y, px, py) };
+	}
+
+	/**
+	 * Describes the data under a point, for tooltips.
+	 * Derived classes override this to provide context-appropriate details.
+	 * @param {number} x - The X data value.
+	 * @param {number|undefined} y - The Y data value.
+	 * @param {number} px - The X coordinate on the canvas.
+	 * @param {number} py - The Y coordinate on the canvas.
+	 * @returns {{ title: string, rows: { label: string, color?: string, value: string }[], marker?: [number, number], band?: [number, number] }} The description.
+	 */
+	describePoint(x, y, px, py) {
+		return {
+			title:
+				y === undefined
+					? formatNumber(x, this.decimals.x)
+					: `${formatNumber(x, this.decimals.x)}, ${formatNumber(y, this.decimals.y)}`,
+			rows: [],
+		};
+	}
+
+	/**
+	 * Draws the crosshair and highlights for an inspection.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {ReturnType<Plot["inspect"]>} inspection - The inspection to draw.
+	 */
+	drawInspection(ctx, inspection) {
+		const { width, height } = this.size;
+		const left = this.padding.left;
+		const right = width - this.padding.right;
+		const top = this.padding.top;
+		const bottom = height - this.padding.bottom;
+
+		ctx.save();
+		this.configureContext(ctx);
+
+		if (inspection.band) {
+			ctx.globalAlpha = 0.15;
+			ctx.fillRect(
+				inspection.band[0],
+				top,
+				inspection.band[1] - inspection.band[0],
+				bottom - top,
+			);
+			ctx.globalAlpha = 1;
+		}
+
+		ctx.globalAlpha = 0.6;
+		ctx.setLineDash([3, 3]);
+		ctx.beginPath();
+		ctx.moveTo(inspection.px, top);
+		ctx.lineTo(inspection.px, bottom);
+		if (inspection.y !== undefined) {
+			ctx.moveTo(left, inspection.py);
+			ctx.lineTo(right, inspection.py);
+		}
+		ctx.stroke();
+
+		if (inspection.marker) {
+			ctx.globalAlpha = 1;
+			ctx.setLineDash([]);
+			ctx.lineWidth = 2;
+			ctx.beginPath();
+			ctx.arc(
+				inspection.marker[0],
+				inspection.marker[1],
+				6,
+				0,
+				Math.PI * 2,
+			);
+			ctx.stroke();
+		}
+
+		ctx.restore();
+	}
+
+	/**
+	 * Fills the whole plot with the page background color.
+	 * On screen the canvas is transparent; exports need an explicit background.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - The logical width of the canvas.
+	 * @param {number} height - The logical height of the canvas.
+	 */
+	drawBackground(ctx, width, height) {
+		ctx.save();
+		ctx.fillStyle = this.darkMode ? "#13171f" : "#ffffff";
+		ctx.fillRect(0, 0, width, height);
+		ctx.restore();
+	}
+
 	/**
 	 * Configures standard text and stroke styles.
 	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
@@ -79,10 +361,17 @@ class Plot {
 		const left = this.padding.left;
 		const bottom = height - this.padding.bottom;
 
-		// Clip w.r.t. the left and bottom axes, but allow drawing to extend
-		// to the top and right edges of the canvas to avoid cutting off markers.
 		ctx.beginPath();
-		ctx.rect(left, 0, width - left, bottom);
+		if (this.isZoomed()) {
+			// Data runs past every edge of a zoomed view, so clip to the plot area.
+			const right = width - this.padding.right;
+			const top = this.padding.top;
+			ctx.rect(left, top, right - left, bottom - top);
+		} else {
+			// Clip w.r.t. the left and bottom axes, but allow drawing to extend
+			// to the top and right edges of the canvas to avoid cutting off markers.
+			ctx.rect(left, 0, width - left, bottom);
+		}
 		ctx.clip();
 	}
 
@@ -145,7 +434,7 @@ class Plot {
 			ctx.lineTo(x, bottom + 5);
 			ctx.stroke();
 
-			ctx.fillText(value.toFixed(1), x, bottom + 7);
+			ctx.fillText(formatNumber(value, this.decimals.x), x, bottom + 7);
 		}
 		ctx.restore();
 	}
@@ -175,7 +464,7 @@ class Plot {
 			ctx.lineTo(left - 5, y);
 			ctx.stroke();
 
-			ctx.fillText(value.toFixed(1), left - 7, y);
+			ctx.fillText(formatNumber(value, this.decimals.y), left - 7, y);
 		}
 		ctx.restore();
 	}
@@ -247,6 +536,136 @@ class Plot {
 		ctx.stroke();
 		ctx.restore();
 	}
+
+	/**
+	 * Draws a vertical color scale legend in the right padding of the plot.
+	 * Multiple scales are drawn side by side, sharing the same ticks.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - The canvas logical width.
+	 * @param {number} height - The canvas logical height.
+	 * @param {import("./color-scale.js").ColorScale[]} colorScales - The scales to draw, left to right.
+	 * @param {{ t: number, label: string }[]} ticks - Tick positions along the scale (0 = bottom, 1 = top) and their labels.
+	 * @param {string} [title] - Optional title drawn above the bar.
+	 */
+	drawColorScaleLegend(ctx, width, height, colorScales, ticks, title) {
+		const barWidth = 12;
+		const steps = 64;
+		const left = width - this.padding.right + 10;
+		const top = this.padding.top;
+		const bottom = height - this.padding.bottom;
+		const stepHeight = (bottom - top) / steps;
+		const scaleWidth = barWidth / colorScales.length;
+
+		ctx.save();
+		this.configureContext(ctx);
+
+		// Draw the bar as stacked cells so it renders identically on any backend.
+		colorScales.forEach((colorScale, i) => {
+			for (let s = 0; s < steps; s++) {
+				ctx.fillStyle = colorScale.cssColorAt((s + 0.5) / steps);
+				ctx.fillRect(
+					left + i * scaleWidth,
+					bottom - (s + 1) * stepHeight,
+					scaleWidth,
+					stepHeight + 0.5,
+				);
+			}
+		});
+
+		this.configureContext(ctx);
+		ctx.strokeRect(left, top, barWidth, bottom - top);
+
+		ctx.font = "10px monospace";
+		ctx.textAlign = "left";
+		ctx.textBaseline = "middle";
+
+		for (const tick of ticks) {
+			const y = bottom - tick.t * (bottom - top);
+
+			ctx.beginPath();
+			ctx.moveTo(left + barWidth, y);
+			ctx.lineTo(left + barWidth + 3, y);
+			ctx.stroke();
+
+			ctx.fillText(tick.label, left + barWidth + 5, y);
+		}
+
+		if (title) {
+			ctx.textAlign = "right";
+			ctx.textBaseline = "bottom";
+			ctx.fillText(title, width - 2, top - 3);
+		}
+
+		ctx.restore();
+	}
+
+	/**
+	 * Draws a legend of the series colors and labels in the top-left corner of the plot area.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {string[]} colors - The color of each series.
+	 * @param {string[]} labels - The label of each series.
+	 */
+	drawSeriesLegend(ctx, colors, labels) {
+		if (labels.length === 0) return;
+
+		const swatchSize = 10;
+		const lineHeight = 16;
+		const inset = 8;
+		const left = this.padding.left + inset;
+		const top = this.padding.top + inset;
+
+		ctx.save();
+		this.configureContext(ctx);
+		ctx.textAlign = "left";
+		ctx.textBaseline = "middle";
+
+		const textWidth = Math.max(
+			...labels.map((label) => ctx.measureText(label).width),
+		);
+
+		// Backdrop so the legend stays legible over data.
+		ctx.globalAlpha = 0.7;
+		ctx.fillStyle = this.darkMode ? "#13171f" : "#ffffff";
+		ctx.fillRect(
+			left - 4,
+			top - 4,
+			swatchSize + 6 + textWidth + 8,
+			labels.length * lineHeight + 8 - (lineHeight - swatchSize),
+		);
+		ctx.globalAlpha = 1;
+
+		labels.forEach((label, i) => {
+			const y = top + i * lineHeight;
+
+			ctx.fillStyle = colors[i];
+			ctx.fillRect(left, y, swatchSize, swatchSize);
+
+			ctx.fillStyle = this.darkMode ? "#FFFFFF" : "#000000";
+			ctx.fillText(label, left + swatchSize + 6, y + swatchSize / 2);
+		});
+
+		ctx.restore();
+	}
+
+	/**
+	 * Draws a message in the centre of the plot area, e.g. when there is nothing to plot.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - The canvas logical width.
+	 * @param {number} height - The canvas logical height.
+	 * @param {string} message - The message text.
+	 */
+	drawMessage(ctx, width, height, message) {
+		ctx.save();
+		this.configureContext(ctx);
+		ctx.textAlign = "center";
+		ctx.textBaseline = "middle";
+		ctx.fillText(
+			message,
+			(this.padding.left + width - this.padding.right) / 2,
+			(this.padding.top + height - this.padding.bottom) / 2,
+		);
+		ctx.restore();
+	}
 }
 
 export { Plot };
@@ -1,10 +1,26 @@
 import { Plot } from "./plot.js";
+import { isMissing } from "../math.js";
+import { formatNumber, t } from "../i18n.js";
+
+/**
+ * The number of points each regression line and its bands are sampled at.
+ * @type {number}
+ */
+const REGRESSION_SAMPLES = 100;
 
 /**
  * A plot that displays data as points on a Cartesian plane.
+ * Subjects flagged as outliers are ringed. Regressions are drawn over the points with their
+ * 95% confidence band (darker) and prediction band (lighter), and predict Y at the point of interest's X.
  * @extends Plot
  */
 class ScatterPlot extends Plot {
+	/**
+	 * The color of the ring around outliers.
+	 * @type {string}
+	 */
+	static OUTLIER_COLOR = "#ef4444";
+
 	/**
 	 * Creates a new ScatterPlot.
 	 * @param {import("../math.js").Series[]} series - The data series to plot.
@@ -16,6 +32,8 @@ class ScatterPlot extends Plot {
 	 * @param {string} [xLabel=""] - Label for the X axis.
 	 * @param {string} [yLabel=""] - Label for the Y axis.
 	 * @param {boolean} [darkMode=false] - Whether to render in dark mode.
+	 * @param {import("../math.js").OutlierRule|null} [outlierRule=null] - The rule to flag outliers by, or null to flag none.
+	 * @param {{regressions: import("../math.js").Regression[], labels: string[], colors: string[]}} [regressions] - The regressions to draw, with their labels and colors.
 	 */
 	constructor(
 		series,
@@ -27,6 +45,8 @@ class ScatterPlot extends Plot {
 		xLabel = "",
 		yLabel = "",
 		darkMode = false,
+		outlierRule = null,
+		regressions = { regressions: [], labels: [], colors: [] },
 	) {
 		super(padding, darkMode);
 
@@ -37,6 +57,30 @@ class ScatterPlot extends Plot {
 		this.pointOfInterest = pointOfInterest;
 		this.xLabel = xLabel;
 		this.yLabel = yLabel;
+		this.outlierRule = outlierRule;
+		this.regressions = regressions;
+
+		/** @type {boolean[][]} Whether each subject of each series is flagged as an outlier. */
+		this.outliers = series.map((s) => this.flagOutliers(s));
+	}
+
+	/**
+	 * Flags the subjects of a series that are outliers in either dimension under the outlier rule,
+	 * or whose pair of values is a bivariate outlier by Mahalanobis distance.
+	 * @param {import("../math.js").Series} series - The series.
+	 * @returns {boolean[]} Whether each subject is an outlier, all false if there is no outlier rule.
+	 */
+	flagOutliers(series) {
+		const xs = series.valuesOf("x");
+		const ys = series.valuesOf("y");
+
+		return xs.map(
+			(x, i) =>
+				this.outlierRule !== null &&
+				(series.isOutlier("x", this.outlierRule, x) ||
+					series.isOutlier("y", this.outlierRule, ys[i]) ||
+					series.isBivariateOutlier("x", "y", x, ys[i])),
+		);
 	}
 
 	/**
@@ -46,17 +90,45 @@ class ScatterPlot extends Plot {
 	 * @param {number} height - The logical height of the canvas.
 	 */
 	handleRender(ctx, width, height) {
-		const bounds = this.calculateBounds();
+		const bounds = this.resolveBounds();
 
 		// Clip and draw chart elements
 		ctx.save();
 		this.clipChartArea(ctx, width, height);
 
 		this.drawPoints(ctx, width, height, bounds);
+		this.drawRegressions(ctx, width, height, bounds);
+		this.drawPrediction(ctx, width, height, bounds);
 		ctx.restore();
 
 		// Draw axes and labels on top, outside the clip region
 		this.drawAxes(ctx, width, height, bounds);
+
+		const colors = [...this.seriesColors];
+		const labels = [...this.seriesLabels];
+		// Fits of a single series share its color and entry; only pooled fits need their own.
+		this.regressions.colors.forEach((color, i) => {
+			if (this.seriesColors.includes(color)) return;
+			colors.push(color);
+			labels.push(t("plot.fit", { series: this.regressions.labels[i] }));
+		});
+		if (this.outliers.some((flags) => flags.includes(true))) {
+			colors.push(ScatterPlot.OUTLIER_COLOR);
+			labels.push(
+				t("plot.outliers", {
+					rule: t(`outlierRule.${this.outlierRule.id}`),
+				}),
+			);
+		}
+		this.drawSeriesLegend(ctx, colors, labels);
+	}
+
+	/**
+	 * Gets the data axes that can be zoomed and panned.
+	 * @returns {("x"|"y")[]} The zoomable axes.
+	 */
+	zoomAxes() {
+		return ["x", "y"];
 	}
 
 	/**
@@ -64,8 +136,8 @@ class ScatterPlot extends Plot {
 	 * @returns {{minX: number, maxX: number, minY: number, maxY: number}} The bounds.
 	 */
 	calculateBounds() {
-		const xs = this.series.flatMap((s) => s.valuesOf("x"));
-		const ys = this.series.flatMap((s) => s.valuesOf("y"));
+		const xs = this.series.flatMap((s) => s.observedValuesOf("x"));
+		const ys = this.series.flatMap((s) => s.observedValuesOf("y"));
 
 		return {
 			minX: Math.min(...xs),
@@ -76,27 +148,95 @@ class ScatterPlot extends Plot {
 	}
 
 	/**
-	 * Projects a data point to canvas coordinates.
-	 * @param {number} x - The X value.
-	 * @param {number} y - The Y value.
-	 * @param {number} width - The logical width of the canvas.
-	 * @param {number} height - The logical height of the canvas.
+	 * Returns whether a point lies within the bounds, so zoomed views skip hidden subjects.
+	 * Subjects missing either value are never within the bounds.
+	 * @param {number|null} x - The X value.
+	 * @param {number|null} y - The Y value.
 	 * @param {Object} bounds - The data bounds.
-	 * @returns {[number, number]} The [x, y] coordinates on the canvas.
+	 * @returns {boolean} Whether the point is within the bounds.
+	 */
+	isWithinBounds(x, y, bounds) {
+		return (
+			!isMissing(x) &&
+			!isMissing(y) &&
+			x >= bounds.minX &&
+			x <= bounds.maxX &&
+			y >= bounds.minY &&
+			y <= bounds.maxY
+		);
+	}
+
+	/**
+	 * Describes the subject nearest to a point, within a small pixel radius.
+	 * @param {number} x - The X data value.
+	 * @param {number} y - The Y data value.
+	 * @param {number} px - The X coordinate on the canvas.
+	 * @param {number} py - The Y coordinate on the canvas.
+	 * @returns {Object} The description.
 	 */
-	calculatePointProjection(x, y, width, height, bounds) {
-		const px =
-			this.padding.left +
-			((x - bounds.minX) / (bounds.maxX - bounds.minX)) *
-				(width - this.padding.left - this.padding.right);
-
-		const py =
-			height -
-			this.padding.bottom -
-			((y - bounds.minY) / (bounds.maxY - bounds.minY)) *
-				(height - this.padding.top - this.padding.bottom);
-
-		return [px, py];
+	describePoint(x, y, px, py) {
+		const { width, height } = this.size;
+		const maxDistance = 12;
+
+		let nearest = null;
+		let nearestDistance = maxDistance * maxDistance;
+
+		for (let i = 0; i < this.series.length; i++) {
+			const xs = this.series[i].valuesOf("x");
+			const ys = this.series[i].valuesOf("y");
+
+			for (let j = 0; j < xs.length; j++) {
+				if (!this.isWithinBounds(xs[j], ys[j], this.bounds)) continue;
+
+				const [sx, sy] = this.calculatePointProjection(
+					xs[j],
+					ys[j],
+					width,
+					height,
+					this.bounds,
+				);
+				const distance = (sx - px) ** 2 + (sy - py) ** 2;
+				if (distance <= nearestDistance) {
+					nearestDistance = distance;
+					nearest = {
+						seriesIndex: i,
+						subjectIndex: j,
+						marker: [sx, sy],
+					};
+				}
+			}
+		}
+
+		if (!nearest) return super.describePoint(x, y, px, py);
+
+		const series = this.series[nearest.seriesIndex];
+		const outlier =
+			this.outliers[nearest.seriesIndex][nearest.subjectIndex];
+		return {
+			title: t(outlier ? "plot.outlierSubject" : "plot.subject", {
+				series: this.seriesLabels[nearest.seriesIndex],
+				number: nearest.subjectIndex + 1,
+			}),
+			rows: [
+				{
+					label: this.xLabel || "X",
+					color: this.seriesColors[nearest.seriesIndex],
+					value: formatNumber(
+						series.valuesOf("x")[nearest.subjectIndex],
+						this.decimals.x,
+					),
+				},
+				{
+					label: this.yLabel || "Y",
+					color: this.seriesColors[nearest.seriesIndex],
+					value: formatNumber(
+						series.valuesOf("y")[nearest.subjectIndex],
+						this.decimals.y,
+					),
+				},
+			],
+			marker: nearest.marker,
+		};
 	}
 
 	/**
@@ -141,6 +281,8 @@ class ScatterPlot extends Plot {
 			ctx.globalAlpha = 0.5;
 
 			for (let j = 0; j < xs.length; j++) {
+				if (!this.isWithinBounds(xs[j], ys[j], bounds)) continue;
+
 				const [px, py] = this.calculatePointProjection(
 					xs[j],
 					ys[j],
@@ -152,6 +294,17 @@ class ScatterPlot extends Plot {
 				ctx.beginPath();
 				ctx.arc(px, py, this.pointRadius, 0, Math.PI * 2);
 				ctx.fill();
+
+				if (this.outliers[i][j]) {
+					ctx.save();
+					ctx.globalAlpha = 1.0;
+					ctx.strokeStyle = ScatterPlot.OUTLIER_COLOR;
+					ctx.lineWidth = 1.5;
+					ctx.beginPath();
+					ctx.arc(px, py, this.pointRadius + 2, 0, Math.PI * 2);
+					ctx.stroke();
+					ctx.restore();
+				}
 			}
 		}
 
@@ -178,6 +331,129 @@ class ScatterPlot extends Plot {
 
 		ctx.restore();
 	}
+
+	/**
+	 * Draws each regression line over the X values it was fitted to, with its confidence and prediction bands.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - Width of the plot.
+	 * @param {number} height - Height of the plot.
+	 * @param {Object} bounds - Data bounds.
+	 */
+	drawRegressions(ctx, width, height, bounds) {
+		ctx.save();
+		ctx.lineWidth = 2.5;
+		ctx.lineJoin = "round";
+
+		this.regressions.regressions.forEach((regression, i) => {
+			const minX = Math.max(regression.minX, bounds.minX);
+			const maxX = Math.min(regression.maxX, bounds.maxX);
+			if (!(minX < maxX)) return;
+
+			const samples = [];
+			for (let s = 0; s <= REGRESSION_SAMPLES; s++) {
+				const x = minX + ((maxX - minX) * s) / REGRESSION_SAMPLES;
+				const prediction = regression.predict(x);
+				if (prediction) samples.push({ x, ...prediction });
+			}
+			if (samples.length < 2) return;
+
+			const project = (x, y) =>
+				this.calculatePointProjection(x, y, width, height, bounds);
+
+			ctx.fillStyle = this.regressions.colors[i];
+			ctx.strokeStyle = this.regressions.colors[i];
+
+			for (const [band, alpha] of [
+				["prediction", 0.12],
+				["confidence", 0.3],
+			]) {
+				ctx.globalAlpha = alpha;
+				ctx.beginPath();
+				samples.forEach((sample, s) => {
+					const [px, py] = project(sample.x, sample[band].high);
+					if (s === 0) ctx.moveTo(px, py);
+					else ctx.lineTo(px, py);
+				});
+				for (let s = samples.length - 1; s >= 0; s--) {
+					ctx.lineTo(...project(samples[s].x, samples[s][band].low));
+				}
+				ctx.closePath();
+				ctx.fill();
+			}
+
+			ctx.globalAlpha = 1.0;
+			ctx.beginPath();
+			samples.forEach((sample, s) => {
+				const [px, py] = project(sample.x, sample.y);
+				if (s === 0) ctx.moveTo(px, py);
+				else ctx.lineTo(px, py);
+			});
+			ctx.stroke();
+		});
+
+		ctx.restore();
+	}
+
+	/**
+	 * Draws the Y each regression predicts at the X value of interest, with its prediction interval.
+	 * @param {CanvasRenderingContext2D} ctx - The drawing context.
+	 * @param {number} width - Width of the plot.
+	 * @param {number} height - Height of the plot.
+	 * @param {Object} bounds - Data bounds.
+	 */
+	drawPrediction(ctx, width, height, bounds) {
+		const x = this.pointOfInterest.x;
+		if (x === undefined || isNaN(x)) return;
+
+		ctx.save();
+		ctx.lineWidth = 2;
+
+		this.regressions.regressions.forEach((regression, i) => {
+			const prediction = regression.predict(x);
+			if (!prediction) return;
+
+			const [px, py] = this.calculatePointProjection(
+				x,
+				prediction.y,
+				width,
+				height,
+				bounds,
+			);
+			const [, low] = this.calculatePointProjection(
+				x,
+				prediction.prediction.low,
+				width,
+				height,
+				bounds,
+			);
+			const [, high] = this.calculatePointProjection(
+				x,
+				prediction.prediction.high,
+				width,
+				height,
+				bounds,
+			);
+
+			ctx.strokeStyle = this.darkMode ? "#FFFFFF" : "#000000";
+			ctx.fillStyle = this.regressions.colors[i];
+
+			ctx.beginPath();
+			ctx.moveTo(px, low);
+			ctx.lineTo(px, high);
+			ctx.moveTo(px - 5, low);
+			ctx.lineTo(px + 5, low);
+			ctx.moveTo(px - 5, high);
+			ctx.lineTo(px + 5, high);
+			ctx.stroke();
+
+			ctx.beginPath();
+			ctx.arc(px, py, this.pointRadius + 2, 0, Math.PI * 2);
+			ctx.fill();
+			ctx.stroke();
+		});
+
+		ctx.restore();
+	}
 }
 
 export { ScatterPlot };
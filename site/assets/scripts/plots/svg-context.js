@@ -0,0 +1,473 @@
+/**
+ * A drawing context that records the subset of the CanvasRenderingContext2D API used by plots
+ * and serializes it as an SVG document, so a plot can be rendered as vector graphics.
+ * Images drawn with drawImage() (e.g. density rasters) are embedded as PNG data URLs.
+ */
+class SvgContext {
+	/**
+	 * The drawing state saved and restored by save() and restore().
+	 * @type {string[]}
+	 */
+	static STATE_KEYS = [
+		"fillStyle",
+		"strokeStyle",
+		"lineWidth",
+		"lineJoin",
+		"globalAlpha",
+		"font",
+		"textAlign",
+		"textBaseline",
+		"imageSmoothingEnabled",
+		"lineDash",
+		"transform",
+		"clipId",
+	];
+
+	/**
+	 * Maps canvas text alignment to the SVG text-anchor attribute.
+	 * @type {Object<string, string>}
+	 */
+	static TEXT_ANCHORS = {
+		left: "start",
+		start: "start",
+		center: "middle",
+		right: "end",
+		end: "end",
+	};
+
+	/**
+	 * Maps canvas text baselines to the SVG dominant-baseline attribute.
+	 * @type {Object<string, string>}
+	 */
+	static DOMINANT_BASELINES = {
+		top: "text-before-edge",
+		hanging: "hanging",
+		middle: "central",
+		alphabetic: "alphabetic",
+		ideographic: "ideographic",
+		bottom: "text-after-edge",
+	};
+
+	/**
+	 * Creates a new SvgContext.
+	 * @param {number} width - The width of the document in CSS pixels.
+	 * @param {number} height - The height of the document in CSS pixels.
+	 */
+	constructor(width, height) {
+		this.width = width;
+		this.height = height;
+
+		this.fillStyle = "#000000";
+		this.strokeStyle = "#000000";
+		this.lineWidth = 1;
+		this.lineJoin = "miter";
+		this.globalAlpha = 1;
+		this.font = "10px sans-serif";
+		this.textAlign = "start";
+		this.textBaseline = "alphabetic";
+		this.imageSmoothingEnabled = true;
+		this.lineDash = [];
+		/** @type {number[]} The current transform as [a, b, c, d, e, f]. */
+		this.transform = [1, 0, 0, 1, 0, 0];
+		/** @type {string|null} The ID of the clip path applied to new elements. */
+		this.clipId = null;
+
+		this.path = [];
+		this.stack = [];
+		this.definitions = [];
+		this.elements = [];
+	}
+
+	/**
+	 * Saves the drawing state.
+	 */
+	save() {
+		this.stack.push(
+			Object.fromEntries(
+				SvgContext.STATE_KEYS.map((key) => [key, this[key]]),
+			),
+		);
+	}
+
+	/**
+	 * Restores the most recently saved drawing state.
+	 */
+	restore() {
+		const state = this.stack.pop();
+		if (state) Object.assign(this, state);
+	}
+
+	/**
+	 * Moves the origin.
+	 * @param {number} x - The horizontal offset.
+	 * @param {number} y - The vertical offset.
+	 */
+	translate(x, y) {
+		const [a, b, c, d, e, f] = this.transform;
+		this.transform = [a, b, c, d, e + a * x + c * y, f + b * x + d * y];
+	}
+
+	/**
+	 * Scales the coordinate system.
+	 * @param {number} x - The horizontal factor.
+	 * @param {number} y - The vertical factor.
+	 */
+	scale(x, y) {
+		const [a, b, c, d, e, f] = this.transform;
+		this.transform = [a * x, b * x, c * y, d * y, e, f];
+	}
+
+	/**
+	 * Rotates the coordinate system.
+	 * @param {number} angle - The clockwise angle in radians.
+	 */
+	rotate(angle) {
+		const [a, b, c, d, e, f] = this.transform;
+		const cos = Math.cos(angle);
+		const sin = Math.sin(angle);
+		this.transform = [
+			a * cos + c * sin,
+			b * cos + d * sin,
+			c * cos - a * sin,
+			d * cos - b * sin,
+			e,
+			f,
+		];
+	}
+
+	/**
+	 * Sets the dash pattern for strokes.
+	 * @param {number[]} segments - Alternating dash and gap lengths.
+	 */
+	setLineDash(segments) {
+		this.lineDash = [...segments];
+	}
+
+	/**
+	 * Gets the dash pattern for strokes.
+	 * @returns {number[]} Alternating dash and gap lengths.
+	 */
+	getLineDash() {
+		return [...this.lineDash];
+	}
+
+	/**
+	 * Starts a new path.
+	 */
+	beginPath() {
+		this.path = [];
+	}
+
+	/**
+	 * Closes the current subpath.
+	 */
+	closePath() {
+		this.path.push("Z");
+	}
+
+	/**
+	 * Begins a new subpath at a point.
+	 * @param {number} x - The X coordinate.
+	 * @param {number} y - The Y coordinate.
+	 */
+	moveTo(x, y) {
+		this.path.push(`M${fmt(x)} ${fmt(y)}`);
+	}
+
+	/**
+	 * Adds a straight line to a point.
+	 * @param {number} x - The X coordinate.
+	 * @param {number} y - The Y coordinate.
+	 */
+	lineTo(x, y) {
+		this.path.push(`L${fmt(x)} ${fmt(y)}`);
+	}
+
+	/**
+	 * Adds a rectangle subpath.
+	 * @param {number} x - The X coordinate of the top-left corner.
+	 * @param {number} y - The Y coordinate of the top-left corner.
+	 * @param {number} width - The width.
+	 * @param {number} height - The height.
+	 */
+	rect(x, y, width, height) {
+		this.path.push(
+			`M${fmt(x)} ${fmt(y)}h${fmt(width)}v${fmt(height)}h${fmt(-width)}Z`,
+		);
+	}
+
+	/**
+	 * Adds a circular arc.
+	 * @param {number} x - The X coordinate of the center.
+	 * @param {number} y - The Y coordinate of the center.
+	 * @param {number} radius - The radius.
+	 * @param {number} startAngle - The start angle in radians, clockwise from the positive X axis.
+	 * @param {number} endAngle - The end angle in radians.
+	 * @param {boolean} [counterclockwise=false] - Whether to draw counterclockwise.
+	 */
+	arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+		const r = fmt(radius);
+
+		if (Math.abs(endAngle - startAngle) >= Math.PI * 2) {
+			// A full circle cannot be a single SVG arc, so draw two halves.
+			this.path.push(
+				`${this.path.length ? "L" : "M"}${fmt(x + radius)} ${fmt(y)}`,
+				`A${r} ${r} 0 1 1 ${fmt(x - radius)} ${fmt(y)}`,
+				`A${r} ${r} 0 1 1 ${fmt(x + radius)} ${fmt(y)}`,
+			);
+			return;
+		}
+
+		let delta = endAngle - startAngle;
+		if (!counterclockwise && delta < 0) delta += Math.PI * 2;
+		if (counterclockwise && delta > 0) delta -= Math.PI * 2;
+
+		const startX = x + radius * Math.cos(startAngle);
+		const startY = y + radius * Math.sin(startAngle);
+		const endX = x + radius * Math.cos(startAngle + delta);
+		const endY = y + radius * Math.sin(startAngle + delta);
+		const largeArc = Math.abs(delta) > Math.PI ? 1 : 0;
+		const sweep = counterclockwise ? 0 : 1;
+
+		this.path.push(
+			`${this.path.length ? "L" : "M"}${fmt(startX)} ${fmt(startY)}`,
+			`A${r} ${r} 0 ${largeArc} ${sweep} ${fmt(endX)} ${fmt(endY)}`,
+		);
+	}
+
+	/**
+	 * Fills the current path.
+	 */
+	fill() {
+		this.emit("path", { d: this.path.join(""), fill: this.fillStyle });
+	}
+
+	/**
+	 * Strokes the current path.
+	 */
+	stroke() {
+		this.emit("path", {
+			d: this.path.join(""),
+			fill: "none",
+			...this.strokeAttributes(),
+		});
+	}
+
+	/**
+	 * Restricts subsequent drawing to the current path.
+	 */
+	clip() {
+		const id = `clip${this.definitions.length}`;
+		this.definitions.push(
+			`<clipPath id="${id}"${attributes({
+				"clip-path": this.clipId ? `url(#${this.clipId})` : undefined,
+			})}><path${attributes({
+				d: this.path.join(""),
+				transform: this.transformAttribute(),
+			})}/></clipPath>`,
+		);
+		this.clipId = id;
+	}
+
+	/**
+	 * Fills a rectangle.
+	 * @param {number} x - The X coordinate of the top-left corner.
+	 * @param {number} y - The Y coordinate of the top-left corner.
+	 * @param {number} width - The width.
+	 * @param {number} height - The height.
+	 */
+	fillRect(x, y, width, height) {
+		this.emit("rect", {
+			...rectAttributes(x, y, width, height),
+			fill: this.fillStyle,
+		});
+	}
+
+	/**
+	 * Strokes a rectangle.
+	 * @param {number} x - The X coordinate of the top-left corner.
+	 * @param {number} y - The Y coordinate of the top-left corner.
+	 * @param {number} width - The width.
+	 * @param {number} height - The height.
+	 */
+	strokeRect(x, y, width, height) {
+		this.emit("rect", {
+			...rectAttributes(x, y, width, height),
+			fill: "none",
+			...this.strokeAttributes(),
+		});
+	}
+
+	/**
+	 * Clears a rectangle. The document starts empty, so there is nothing to clear.
+	 */
+	clearRect() {}
+
+	/**
+	 * Draws filled text.
+	 * @param {string} text - The text.
+	 * @param {number} x - The X coordinate of the anchor.
+	 * @param {number} y - The Y coordinate of the baseline.
+	 */
+	fillText(text, x, y) {
+		this.emit(
+			"text",
+			{
+				x: fmt(x),
+				y: fmt(y),
+				fill: this.fillStyle,
+				style: `font: ${this.font}`,
+				"text-anchor": SvgContext.TEXT_ANCHORS[this.textAlign],
+				"dominant-baseline":
+					SvgContext.DOMINANT_BASELINES[this.textBaseline],
+			},
+			escape(String(text)),
+		);
+	}
+
+	/**
+	 * Estimates the size of text, as an SVG document cannot be measured before it is displayed.
+	 * @param {string} text - The text.
+	 * @returns {{ width: number }} The approximate metrics.
+	 */
+	measureText(text) {
+		const size = parseFloat(this.font.match(/([\d.]+)px/)?.[1] ?? "10");
+		const advance = this.font.includes("monospace") ? 0.6 : 0.55;
+		return { width: String(text).length * size * advance };
+	}
+
+	/**
+	 * Draws an image (such as another canvas), embedding it as a PNG data URL.
+	 * @param {HTMLCanvasElement} image - The image to draw.
+	 * @param {number} x - The X coordinate of the top-left corner.
+	 * @param {number} y - The Y coordinate of the top-left corner.
+	 * @param {number} [width] - The drawn width.
+	 * @param {number} [height] - The drawn height.
+	 */
+	drawImage(image, x, y, width = image.width, height = image.height) {
+		this.emit("image", {
+			...rectAttributes(x, y, width, height),
+			href: image.toDataURL("image/png"),
+			preserveAspectRatio: "none",
+			style: this.imageSmoothingEnabled
+				? undefined
+				: "image-rendering: pixelated",
+		});
+	}
+
+	/**
+	 * Gets the attributes for stroking with the current state.
+	 * @returns {Object<string, string|number|undefined>} The attributes.
+	 */
+	strokeAttributes() {
+		return {
+			stroke: this.strokeStyle,
+			"stroke-width": fmt(this.lineWidth),
+			// Miter is the default in both canvas and SVG.
+			"stroke-linejoin":
+				this.lineJoin === "miter" ? undefined : this.lineJoin,
+			"stroke-dasharray": this.lineDash.length
+				? this.lineDash.map(fmt).join(" ")
+				: undefined,
+		};
+	}
+
+	/**
+	 * Gets the transform attribute for the current transform.
+	 * @returns {string|undefined} The attribute value, or undefined for the identity transform.
+	 */
+	transformAttribute() {
+		const [a, b, c, d, e, f] = this.transform;
+		if (a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0) {
+			return undefined;
+		}
+		return `matrix(${this.transform.map(fmt).join(" ")})`;
+	}
+
+	/**
+	 * Adds an element drawn with the current transform, opacity and clip.
+	 * @param {string} tag - The element name.
+	 * @param {Object<string, string|number|undefined>} attrs - The element attributes.
+	 * @param {string} [content] - The escaped element content.
+	 */
+	emit(tag, attrs, content) {
+		const element = `<${tag}${attributes({
+			...attrs,
+			opacity: this.globalAlpha < 1 ? fmt(this.globalAlpha) : undefined,
+			transform: this.transformAttribute(),
+		})}${content === undefined ? "/>" : `>${content}</${tag}>`}`;
+
+		// Wrap clipped elements so the clip is not affected by the element's own transform.
+		this.elements.push(
+			this.clipId
+				? `<g clip-path="url(#${this.clipId})">${element}</g>`
+				: element,
+		);
+	}
+
+	/**
+	 * Serializes the drawing as an SVG document.
+	 * @returns {string} The SVG markup.
+	 */
+	toString() {
+		return [
+			`<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(this.width)}" height="${fmt(this.height)}" viewBox="0 0 ${fmt(this.width)} ${fmt(this.height)}">`,
+			`<defs>${this.definitions.join("")}</defs>`,
+			...this.elements,
+			"</svg>",
+		].join("\n");
+	}
+}
+
+/**
+ * Formats a number compactly for SVG output.
+ * @param {number} value - The number.
+ * @returns {string} The formatted number.
+ */
+function fmt(value) {
+	return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Gets the position and size attributes of a rectangle, normalizing negative sizes.
+ * @param {number} x - The X coordinate of a corner.
+ * @param {number} y - The Y coordinate of a corner.
+ * @param {number} width - The (possibly negative) width.
+ * @param {number} height - The (possibly negative) height.
+ * @returns {Object<string, string>} The attributes.
+ */
+function rectAttributes(x, y, width, height) {
+	return {
+		x: fmt(Math.min(x, x + width)),
+		y: fmt(Math.min(y, y + height)),
+		width: fmt(Math.abs(width)),
+		height: fmt(Math.abs(height)),
+	};
+}
+
+/**
+ * Serializes element attributes, skipping undefined values.
+ * @param {Object<string, string|number|undefined>} attrs - The attributes.
+ * @returns {string} The attributes, each preceded by a space.
+ */
+function attributes(attrs) {
+	return Object.entries(attrs)
+		.filter(([, value]) => value !== undefined)
+		.map(([name, value]) => ` ${name}="${escape(String(value))}"`)
+		.join("");
+}
+
+/**
+ * Escapes text for use in XML content and attribute values.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escape(text) {
+	return text
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+export { SvgContext };
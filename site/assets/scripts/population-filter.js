@@ -0,0 +1,83 @@
+/**
+ * Selects a population of subjects by their demographic covariates,
+ * e.g. "Army National Guard, age 25–35, Combat Arms".
+ *
+ * Each criterion restricts one covariate: a range covariate to a minimum and/or maximum,
+ * a choice covariate to a set of accepted values. A subject must meet every criterion.
+ */
+class PopulationFilter {
+	/**
+	 * Creates a new PopulationFilter.
+	 * @param {Object<string, {min?: number, max?: number}|Array<string|number>>} criteria - The criteria by covariate ID:
+	 * a range for range covariates, or the accepted values for choice covariates.
+	 */
+	constructor(criteria = {}) {
+		this.criteria = criteria;
+	}
+
+	/**
+	 * Returns whether the filter selects every subject.
+	 * @returns {boolean} Whether there are no criteria.
+	 */
+	isEmpty() {
+		return Object.keys(this.criteria).length === 0;
+	}
+
+	/**
+	 * Gets a string identifying the criteria, for caching results per population.
+	 * @returns {string} The key.
+	 */
+	key() {
+		return JSON.stringify(this.criteria);
+	}
+
+	/**
+	 * Returns whether a covariate value meets the criterion for that covariate.
+	 * @param {string} covariateId - The covariate ID.
+	 * @param {string|number|null} value - The subject's value, or null if missing.
+	 * @returns {boolean} Whether the value is accepted. A missing value is never within a range.
+	 */
+	accepts(covariateId, value) {
+		const criterion = this.criteria[covariateId];
+
+		if (criterion === undefined) return true;
+		if (Array.isArray(criterion)) {
+			return criterion.some(
+				(accepted) => String(accepted) === String(value),
+			);
+		}
+
+		return (
+			value !== null &&
+			(criterion.min === undefined || value >= criterion.min) &&
+			(criterion.max === undefined || value <= criterion.max)
+		);
+	}
+
+	/**
+	 * Selects the subjects meeting every criterion.
+	 * Criteria for covariates the data does not have are ignored.
+	 * @param {Object<string, Array<string|number>>} covariates - The covariate values of each subject, by covariate ID.
+	 * @param {number} count - The number of subjects.
+	 * @returns {number[]|null} The indices of the selected subjects, or null if the filter selects every subject.
+	 */
+	select(covariates, count) {
+		const covariateIds = Object.keys(this.criteria).filter(
+			(id) => id in covariates,
+		);
+		if (covariateIds.length === 0) return null;
+
+		const indices = [];
+		for (let i = 0; i < count; i++) {
+			if (
+				covariateIds.every((id) => this.accepts(id, covariates[id][i]))
+			) {
+				indices.push(i);
+			}
+		}
+
+		return indices;
+	}
+}
+
+export { PopulationFilter };
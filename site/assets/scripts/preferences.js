@@ -33,19 +33,30 @@ export class Preferences {
 
 		if (!data) {
 			data = {
-				dataset: "ansur2",
+				dataset: null,
 				genders: {
 					male: true,
 					female: true,
 				},
 				unit: "metric",
+				displayUnits: { metric: {}, imperial: {} },
+				compareDataset: null,
+				outlierRule: "iqr",
+				excludeOutliers: false,
+				locale: null,
 			};
 		}
 
 		// Ensure defaults for missing properties (migration support)
-		if (!data.dataset) data.dataset = "ansur2";
+		if (data.dataset === undefined) data.dataset = null;
 		if (!data.genders) data.genders = { male: true, female: true };
 		if (!data.unit) data.unit = "metric";
+		if (!data.displayUnits)
+			data.displayUnits = { metric: {}, imperial: {} };
+		if (data.compareDataset === undefined) data.compareDataset = null;
+		if (!data.outlierRule) data.outlierRule = "iqr";
+		if (data.excludeOutliers === undefined) data.excludeOutliers = false;
+		if (data.locale === undefined) data.locale = null;
 
 		return data;
 	}
@@ -62,7 +73,7 @@ export class Preferences {
 
 	/**
 	 * Gets the ID of the selected dataset.
-	 * @returns {string} The dataset ID.
+	 * @returns {string|null} The dataset ID, or null until one is chosen, as the default comes from the dataset manifest.
 	 */
 	get dataset() {
 		return this._data.dataset;
@@ -77,6 +88,23 @@ export class Preferences {
 		this.save();
 	}
 
+	/**
+	 * Gets the ID of the dataset to compare the selected dataset with.
+	 * @returns {string|null} The dataset ID, or null for no comparison.
+	 */
+	get compareDataset() {
+		return this._data.compareDataset;
+	}
+
+	/**
+	 * Sets the ID of the dataset to compare the selected dataset with and saves.
+	 * @param {string|null} value The new dataset ID, or null for no comparison.
+	 */
+	set compareDataset(value) {
+		this._data.compareDataset = value || null;
+		this.save();
+	}
+
 	/**
 	 * Gets the ID of the selected unit system.
 	 * @returns {string} The unit system ID.
@@ -94,6 +122,80 @@ export class Preferences {
 		this.save();
 	}
 
+	/**
+	 * Gets the display units chosen for each unit system. Units without a choice use the system's default.
+	 * The object is replaced rather than changed when a choice is made, so earlier values stay intact.
+	 * @returns {Object<string, Object<string, string>>} The display unit IDs by unit system ID and unit ID.
+	 */
+	get displayUnits() {
+		return this._data.displayUnits;
+	}
+
+	/**
+	 * Chooses the display unit of a unit in a unit system and saves.
+	 * @param {string} system The unit system ID.
+	 * @param {string} unit The unit ID.
+	 * @param {string} value The display unit ID.
+	 */
+	setDisplayUnit(system, unit, value) {
+		this._data.displayUnits = {
+			...this._data.displayUnits,
+			[system]: { ...this._data.displayUnits[system], [unit]: value },
+		};
+		this.save();
+	}
+
+	/**
+	 * Gets the ID of the rule outliers are detected by.
+	 * @returns {string} The outlier rule ID.
+	 */
+	get outlierRule() {
+		return this._data.outlierRule;
+	}
+
+	/**
+	 * Sets the ID of the rule outliers are detected by and saves.
+	 * @param {string} value The new outlier rule ID.
+	 */
+	set outlierRule(value) {
+		this._data.outlierRule = value;
+		this.save();
+	}
+
+	/**
+	 * Gets whether outliers are excluded from every experiment.
+	 * @returns {boolean} Whether outliers are excluded.
+	 */
+	get excludeOutliers() {
+		return this._data.excludeOutliers;
+	}
+
+	/**
+	 * Sets whether outliers are excluded from every experiment and saves.
+	 * @param {boolean} value Whether to exclude outliers.
+	 */
+	set excludeOutliers(value) {
+		this._data.excludeOutliers = value;
+		this.save();
+	}
+
+	/**
+	 * Gets the language the interface is shown in.
+	 * @returns {string|null} The locale ID, or null to follow the browser's language.
+	 */
+	get locale() {
+		return this._data.locale;
+	}
+
+	/**
+	 * Sets the language the interface is shown in and saves.
+	 * @param {string} value The locale ID.
+	 */
+	set locale(value) {
+		this._data.locale = value;
+		this.save();
+	}
+
 	/**
 	 * Gets the gender selection state.
 	 * @returns {{male: boolean, female: boolean}} The gender selection state.
@@ -0,0 +1,349 @@
+import { Unit, UnitSystem } from "./model.js";
+import { formatInputNumber, parseFormattedNumber } from "./i18n.js";
+
+/**
+ * Serializes the application state to and from the URL query string, so a view can be shared as a link.
+ *
+ * The state covers the preferences (dataset, comparison dataset, genders, unit, display units, outliers), every named experiment input
+ * (measurement selections and values, toggles, options and the classifier) and the
+ * measurement cards of the classification and estimation experiments. Inputs are only written when they differ from their defaults.
+ * Decimal inputs are written with a decimal point whatever the locale, so links work in every language.
+ */
+class UrlState {
+	/**
+	 * Query parameters holding lists of measurement cards: the classification cards and the known measurements of the estimation experiment.
+	 * @type {string[]}
+	 */
+	static CARD_KEYS = ["cards", "estimate"];
+
+	/**
+	 * Query parameters reserved for the preferences and measurement cards.
+	 * Every other parameter names an experiment input.
+	 * @type {string[]}
+	 */
+	static RESERVED_KEYS = [
+		"dataset",
+		"compare",
+		"genders",
+		"unit",
+		"units",
+		"outliers",
+		...UrlState.CARD_KEYS,
+	];
+
+	/**
+	 * Parses a query string into a state.
+	 * @param {string} search - The query string, e.g. `location.search`.
+	 * @returns {{ dataset?: string, compare?: string, genders?: {male: boolean, female: boolean}, unit?: string, units?: string[], outliers?: {rule: string, exclude: boolean}, inputs: Object<string, string>, cards: Object<string, { measurementId: string, value: string }[]> }} The state, with the card lists by query parameter.
+	 */
+	static parse(search) {
+		const params = new URLSearchParams(search);
+		const state = { inputs: {}, cards: {} };
+
+		if (params.has("dataset")) state.dataset = params.get("dataset");
+		if (params.has("compare")) state.compare = params.get("compare");
+		if (params.has("unit")) state.unit = params.get("unit");
+		if (params.has("units")) {
+			state.units = params.get("units").split(",").filter(Boolean);
+		}
+		if (params.has("outliers")) {
+			const [rule, exclude] = params.get("outliers").split(",");
+			state.outliers = { rule, exclude: exclude === "exclude" };
+		}
+		if (params.has("genders")) {
+			const genders = params.get("genders").split(",");
+			state.genders = {
+				male: genders.includes("male"),
+				female: genders.includes("female"),
+			};
+		}
+		for (const key of UrlState.CARD_KEYS) {
+			if (!params.has(key)) continue;
+			state.cards[key] = params
+				.get(key)
+				.split(",")
+				.filter(Boolean)
+				.map((card) => {
+					const [measurementId, value = ""] = card.split(":");
+					return { measurementId, value };
+				});
+		}
+
+		for (const [key, value] of params) {
+			if (!UrlState.RESERVED_KEYS.includes(key)) {
+				state.inputs[key] = value;
+			}
+		}
+
+		return state;
+	}
+
+	/**
+	 * Serializes a state into a query string.
+	 * @param {ReturnType<typeof UrlState.parse>} state - The state.
+	 * @returns {string} The query string, including the leading "?".
+	 */
+	static serialize(state) {
+		const params = new URLSearchParams();
+
+		if (state.dataset) params.set("dataset", state.dataset);
+		if (state.compare) params.set("compare", state.compare);
+		if (state.genders) {
+			params.set(
+				"genders",
+				Object.keys(state.genders)
+					.filter((gender) => state.genders[gender])
+					.join(","),
+			);
+		}
+		if (state.unit) params.set("unit", state.unit);
+		if (state.units?.length) params.set("units", state.units.join(","));
+		if (state.outliers) {
+			params.set(
+				"outliers",
+				state.outliers.exclude
+					? `${state.outliers.rule},exclude`
+					: state.outliers.rule,
+			);
+		}
+
+		for (const [key, value] of Object.entries(state.inputs)) {
+			params.set(key, value);
+		}
+
+		for (const [key, cards] of Object.entries(state.cards ?? {})) {
+			params.set(
+				key,
+				cards
+					.map((card) =>
+						card.value
+							? `${card.measurementId}:${card.value}`
+							: card.measurementId,
+					)
+					.join(","),
+			);
+		}
+
+		return `?${params}`;
+	}
+
+	/**
+	 * Creates a new UrlState.
+	 * @param {HTMLElement} root - The element containing the experiment inputs.
+	 * @param {import("./preferences.js").Preferences} preferences - User preferences.
+	 * @param {Object<string, { getCards: () => { measurementId: string, value: string }[], setCards: (cards: { measurementId: string, value: string }[]) => void }>} cardLists - The experiments present with measurement cards, by the query parameter in `CARD_KEYS` their cards are written to.
+	 */
+	constructor(root, preferences, cardLists) {
+		this.root = root;
+		this.preferences = preferences;
+		this.cardLists = cardLists;
+
+		/** @type {Object<string, string>} The input values before any state was applied. */
+		this.defaultInputs = {};
+		/** @type {Object<string, string>} Serialized default cards, by query parameter. */
+		this.defaultCards = {};
+	}
+
+	/**
+	 * Records the current inputs and cards as the defaults, which are left out of the URL.
+	 * Call once the inputs have been populated and before applying any state.
+	 */
+	captureDefaults() {
+		this.defaultInputs = this.captureInputs();
+		this.defaultCards = Object.fromEntries(
+			Object.entries(this.cardLists).map(([key, list]) => [
+				key,
+				JSON.stringify(list.getCards()),
+			]),
+		);
+	}
+
+	/**
+	 * Groups the experiment inputs by name.
+	 * Preference inputs are serialized separately, measurement cards as lists, and
+	 * range sliders are skipped as they are rescaled for each measurement.
+	 * @returns {Map<string, HTMLInputElement[]>} The inputs by name.
+	 */
+	inputGroups() {
+		const groups = new Map();
+
+		for (const input of this.root.querySelectorAll("input[name]")) {
+			if (
+				input.type === "range" ||
+				input.closest(
+					"[data-preference-dropdown], [data-measurement-cards]",
+				)
+			) {
+				continue;
+			}
+
+			if (!groups.has(input.name)) groups.set(input.name, []);
+			groups.get(input.name).push(input);
+		}
+
+		return groups;
+	}
+
+	/**
+	 * Reads the value of every experiment input.
+	 * Radio groups give the checked value, multiple-choice checkboxes a comma-separated list,
+	 * single checkboxes "1" or "0", and other inputs their value.
+	 * @returns {Object<string, string>} The values by input name.
+	 */
+	captureInputs() {
+		const values = {};
+
+		for (const [name, inputs] of this.inputGroups()) {
+			const [first] = inputs;
+
+			if (first.type === "radio") {
+				values[name] = inputs.find((i) => i.checked)?.value ?? "";
+			} else if (first.type === "checkbox" && isMultiple(first)) {
+				values[name] = inputs
+					.filter((i) => i.checked)
+					.map((i) => i.value)
+					.join(",");
+			} else if (first.type === "checkbox") {
+				values[name] = first.checked ? "1" : "0";
+			} else if (first.inputMode === "decimal") {
+				const value = parseFormattedNumber(first.value);
+				values[name] = isNaN(value) ? "" : String(value);
+			} else {
+				values[name] = first.value;
+			}
+		}
+
+		return values;
+	}
+
+	/**
+	 * Captures the current state, leaving out inputs and cards that match their defaults.
+	 * @returns {ReturnType<typeof UrlState.parse>} The state.
+	 */
+	capture() {
+		const inputs = Object.fromEntries(
+			Object.entries(this.captureInputs()).filter(
+				([name, value]) => this.defaultInputs[name] !== value,
+			),
+		);
+		const cards = Object.fromEntries(
+			Object.entries(this.cardLists)
+				.map(([key, list]) => [key, list.getCards()])
+				.filter(
+					([key, list]) =>
+						JSON.stringify(list) !== this.defaultCards[key],
+				),
+		);
+
+		return {
+			dataset: this.preferences.dataset,
+			compare: this.preferences.compareDataset ?? undefined,
+			genders: { ...this.preferences.genders },
+			unit: this.preferences.unit,
+			// Only display units that differ from their system's default are named.
+			units: UnitSystem.all().flatMap((system) =>
+				Unit.all()
+					.map((unit) => [
+						unit.forSystem[system.id][0],
+						unit.displayUnitFor(
+							system.id,
+							this.preferences.displayUnits,
+						),
+					])
+					.filter(([fallback, chosen]) => chosen !== fallback)
+					.map(([, chosen]) => chosen.id),
+			),
+			outliers: this.preferences.excludeOutliers
+				? { rule: this.preferences.outlierRule, exclude: true }
+				: undefined,
+			inputs,
+			cards,
+		};
+	}
+
+	/**
+	 * Applies input values, falling back to the defaults for inputs the state leaves out.
+	 * Fires the same events as user interaction so components update themselves.
+	 * Choices are applied before values, as choosing a measurement clears its value.
+	 * @param {Object<string, string>} inputs - The values by input name.
+	 */
+	applyInputs(inputs) {
+		const values = { ...this.defaultInputs, ...inputs };
+		const groups = [...this.inputGroups()];
+		const isChoice = ([, [first]]) =>
+			first.type === "radio" || first.type === "checkbox";
+
+		for (const [name, group] of groups.filter(isChoice)) {
+			if (values[name] === undefined) continue;
+
+			const [first] = group;
+
+			// Skip choices the current dataset does not offer (e.g. a missing measurement).
+			if (
+				first.type === "radio" &&
+				!group.some((input) => input.value === values[name])
+			) {
+				continue;
+			}
+
+			const selected =
+				first.type === "radio"
+					? [values[name]]
+					: isMultiple(first)
+						? values[name].split(",")
+						: values[name] === "1"
+							? [first.value]
+							: [];
+
+			let changed = null;
+			for (const input of group) {
+				const checked = selected.includes(input.value);
+				if (input.checked !== checked) {
+					input.checked = checked;
+					changed ??= input;
+				}
+			}
+
+			changed?.dispatchEvent(new Event("change", { bubbles: true }));
+		}
+
+		for (const [name, [input]] of groups.filter((g) => !isChoice(g))) {
+			if (values[name] === undefined) continue;
+
+			const value =
+				input.inputMode === "decimal" && values[name] !== ""
+					? formatInputNumber(Number(values[name]), 10)
+					: values[name];
+			if (input.value === value) continue;
+
+			input.value = value;
+			input.dispatchEvent(new Event("input", { bubbles: true }));
+		}
+	}
+
+	/**
+	 * Applies a state's inputs and measurement cards.
+	 * The preferences are applied by the caller, as changing them reloads data.
+	 * @param {ReturnType<typeof UrlState.parse>} state - The state.
+	 */
+	apply(state) {
+		this.applyInputs(state.inputs);
+		for (const [key, list] of Object.entries(this.cardLists)) {
+			list.setCards(
+				state.cards?.[key] ?? JSON.parse(this.defaultCards[key]),
+			);
+		}
+	}
+}
+
+/**
+ * Returns whether a checkbox belongs to a multiple-choice measurement dropdown or the population filter.
+ * @param {HTMLInputElement} input - The checkbox.
+ * @returns {boolean} Whether the checkbox is one of several choices.
+ */
+const isMultiple = (input) =>
+	input.closest(
+		"[data-measurement-dropdown-multiple], [data-population-filter]",
+	) !== null;
+
+export { UrlState };
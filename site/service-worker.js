@@ -0,0 +1,128 @@
+/**
+ * Service worker that keeps the playground working offline.
+ *
+ * The app shell (pages, styles, scripts, icons and the dataset manifest) is precached on install. The files of a
+ * dataset are cached when the page asks for them, which it does for each dataset the user selects. Caches are
+ * named after a version derived by the build from their content, and caches from other builds are deleted on
+ * activation, so a rebuilt dataset is only fetched again once it has changed.
+ */
+
+/**
+ * The shell files and the files of each dataset, with their versions. Filled in by the build.
+ * @type {{ version: string, shell: string[], datasets: Object<string, { version: string, files: string[] }> }}
+ */
+const BUILD = { version: "development", shell: [], datasets: {} };
+
+/**
+ * The prefix of every cache this service worker owns.
+ * @type {string}
+ */
+const CACHE_PREFIX = "anthropometry-";
+
+/**
+ * The name of the cache holding the app shell of this build.
+ * @type {string}
+ */
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${BUILD.version}`;
+
+/**
+ * Gets the name of the cache holding the files of a dataset in this build.
+ * @param {string} id - The ID of the dataset.
+ * @returns {string} The cache name.
+ */
+const datasetCacheName = (id) =>
+	`${CACHE_PREFIX}data-${id}-${BUILD.datasets[id].version}`;
+
+/**
+ * Caches the files of a dataset that are not cached yet.
+ * @param {string} id - The ID of the dataset.
+ * @returns {Promise<void>} A promise that resolves when every file is cached.
+ */
+const cacheDataset = async (id) => {
+	if (!(id in BUILD.datasets)) {
+		throw new Error(`Dataset "${id}" is not part of this build.`);
+	}
+
+	const cache = await caches.open(datasetCacheName(id));
+
+	for (const file of BUILD.datasets[id].files) {
+		if (!(await cache.match(file))) {
+			await cache.add(file);
+		}
+	}
+};
+
+/**
+ * Responds to a request from the caches, falling back to the network.
+ * Pages are matched without their query string, which only holds the shared state.
+ * Range requests are answered with the whole cached file, which the data loader accepts.
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>} The response.
+ */
+const respond = async (request) => {
+	const cached = await caches.match(request, {
+		ignoreSearch: request.mode === "navigate",
+	});
+
+	return cached ?? fetch(request);
+};
+
+self.addEventListener("install", (event) => {
+	event.waitUntil(
+		caches
+			.open(SHELL_CACHE)
+			.then((cache) => cache.addAll(BUILD.shell))
+			.then(() => self.skipWaiting()),
+	);
+});
+
+self.addEventListener("activate", (event) => {
+	const current = [
+		SHELL_CACHE,
+		...Object.keys(BUILD.datasets).map(datasetCacheName),
+	];
+
+	event.waitUntil(
+		caches
+			.keys()
+			.then((names) =>
+				Promise.all(
+					names
+						.filter(
+							(name) =>
+								name.startsWith(CACHE_PREFIX) &&
+								!current.includes(name),
+						)
+						.map((name) => caches.delete(name)),
+				),
+			)
+			.then(() => self.clients.claim()),
+	);
+});
+
+self.addEventListener("fetch", (event) => {
+	const url = new URL(event.request.url);
+
+	if (event.request.method !== "GET" || url.origin !== location.origin) {
+		return;
+	}
+
+	event.respondWith(respond(event.request));
+});
+
+self.addEventListener("message", (event) => {
+	if (event.data?.type !== "cache-dataset") return;
+
+	const { id } = event.data;
+
+	event.waitUntil(
+		cacheDataset(id)
+			.then(() =>
+				event.source?.postMessage({ type: "dataset-cached", id }),
+			)
+			.catch((e) => {
+				console.error(`Failed to cache dataset "${id}"`, e);
+				event.source?.postMessage({ type: "dataset-cache-failed", id });
+			}),
+	);
+});